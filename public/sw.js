@@ -1,7 +1,7 @@
 // Service Worker for Typst Web Editor
 // Provides offline support by caching assets
 
-const CACHE_NAME = "typst-editor-v1";
+const CACHE_NAME = "typst-editor-v2";
 const STATIC_ASSETS = [
   "/",
   "/index.html",
@@ -69,12 +69,20 @@ async function cacheFirst(request) {
   const cachedResponse = await caches.match(request);
   if (cachedResponse) {
     // Return cached response, but also update cache in background
-    updateCache(request);
+    // (content-hashed build assets such as the compiler WASM never change)
+    if (!isImmutableAsset(request)) {
+      updateCache(request);
+    }
     return cachedResponse;
   }
   return networkFirst(request);
 }
 
+// Vite emits content-hashed files under /assets/
+function isImmutableAsset(request) {
+  return new URL(request.url).pathname.startsWith("/assets/");
+}
+
 // Network-first strategy
 async function networkFirst(request) {
   try {
@@ -118,6 +126,25 @@ self.addEventListener("message", (event) => {
     self.skipWaiting();
   }
 
+  // Precache content-hashed assets the page knows about (e.g. the Typst compiler WASM)
+  if (event.data?.type === "precache" && Array.isArray(event.data.urls)) {
+    event.waitUntil(
+      caches.open(CACHE_NAME).then((cache) =>
+        Promise.all(
+          event.data.urls.map((url) =>
+            cache.match(url).then((cached) => {
+              if (cached) return;
+              console.log("[SW] Precaching:", url);
+              return cache.add(url).catch((err) => {
+                console.warn("[SW] Failed to precache:", url, err);
+              });
+            })
+          )
+        )
+      )
+    );
+  }
+
   if (event.data === "clearCache") {
     caches.delete(CACHE_NAME).then(() => {
       console.log("[SW] Cache cleared");
@@ -0,0 +1,197 @@
+// Collaboration Relay for Typst Web Editor
+// A small WebSocket server for the "WebSocket relay" collaboration transport
+// (src/collab.js): every text message a client sends is passed on to the other
+// clients in the same room (ws://host:port/?room=<name>). It keeps nothing;
+// the editors hold the documents. No dependencies, so it runs anywhere Node does.
+//
+// Usage: node scripts/collab-relay.js [--port 8788] [--host 127.0.0.1] [--origin https://editor.example]
+//   --host    the interface to listen on. Only this machine by default; 0.0.0.0
+//             lets the whole network in (anyone who can connect can join a room)
+//   --origin  comma-separated page origins allowed to connect besides the
+//             localhost ones, "*" for any. Clients that aren't pages send none
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE = 64 * 1024 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+const options = parseArgs(process.argv.slice(2));
+const port = Number(options.port || 8788);
+const host = options.host || "127.0.0.1";
+const allowedOrigins = new Set((options.origin || "").split(",").map(origin => origin.trim()).filter(Boolean));
+const LOCAL_HOSTNAMES = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+// room -> Set of sockets
+const rooms = new Map();
+
+function parseArgs(args) {
+  const parsed = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      parsed[args[i].slice(2)] = args[i + 1];
+      i++;
+    }
+  }
+  return parsed;
+}
+
+// Any page the browser shows could open a WebSocket here; only the editor's may
+function isAllowedOrigin(origin) {
+  if (!origin || allowedOrigins.has("*") || allowedOrigins.has(origin)) return true;
+  try {
+    return LOCAL_HOSTNAMES.has(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Reads client frames off a socket; onMessage(text) for each complete text message
+function createFrameReader(socket, onMessage) {
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentsSize = 0;
+
+  const close = (code) => {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(OPCODES.close, payload));
+  };
+
+  return (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+
+    while (buffered.length >= 2) {
+      const fin = (buffered[0] & 0x80) !== 0;
+      const opcode = buffered[0] & 0x0f;
+      const masked = (buffered[1] & 0x80) !== 0;
+      let length = buffered[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (buffered.length < 4) return;
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffered.length < 10) return;
+        length = Number(buffered.readBigUInt64BE(2));
+        offset = 10;
+      }
+      // Clients must mask what they send
+      if (!masked) return close(1002);
+      if (length > MAX_MESSAGE || fragmentsSize + length > MAX_MESSAGE) return close(1009);
+      if (buffered.length < offset + 4 + length) return;
+
+      const mask = buffered.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+      buffered = buffered.subarray(offset + 4 + length);
+
+      switch (opcode) {
+        case OPCODES.text:
+        case OPCODES.binary:
+        case OPCODES.continuation:
+          if (opcode !== OPCODES.continuation) {
+            fragments = [];
+            fragmentsSize = 0;
+          }
+          fragments.push(payload);
+          fragmentsSize += payload.length;
+          if (fin) {
+            const message = Buffer.concat(fragments);
+            fragments = [];
+            fragmentsSize = 0;
+            onMessage(message.toString("utf-8"));
+          }
+          break;
+        case OPCODES.ping:
+          socket.write(encodeFrame(OPCODES.pong, payload));
+          break;
+        case OPCODES.close:
+          socket.end(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+          return;
+      }
+    }
+  };
+}
+
+function join(room, socket) {
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  const members = rooms.get(room);
+  members.add(socket);
+  console.log(`[Relay] Client joined "${room}" (${members.size} connected)`);
+
+  const leave = () => {
+    if (!members.delete(socket)) return;
+    if (members.size === 0) rooms.delete(room);
+    console.log(`[Relay] Client left "${room}" (${members.size} connected)`);
+  };
+
+  socket.on("data", createFrameReader(socket, (message) => {
+    const frame = encodeFrame(OPCODES.text, Buffer.from(message, "utf-8"));
+    for (const member of members) {
+      if (member !== socket && member.writable) member.write(frame);
+    }
+  }));
+  socket.on("close", leave);
+  socket.on("error", leave);
+}
+
+const server = createServer((request, response) => {
+  response.writeHead(426, { "Content-Type": "text/plain" });
+  response.end(`Connect with a WebSocket: ws://${host}:${port}/?room=<name>\n`);
+});
+
+server.on("upgrade", (request, socket) => {
+  const key = request.headers["sec-websocket-key"];
+  if (request.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  if (!isAllowedOrigin(request.headers.origin)) {
+    console.warn(`[Relay] Refused a client from ${request.headers.origin} (allow it with --origin)`);
+    socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+    return;
+  }
+
+  const accept = createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "",
+    "",
+  ].join("\r\n"));
+  socket.setNoDelay(true);
+
+  const room = new URL(request.url, "http://localhost").searchParams.get("room") || "default";
+  join(room, socket);
+});
+
+server.listen(port, host, () => {
+  console.log(`[Relay] Collaboration relay on ws://${host}:${port}`);
+});
@@ -0,0 +1,135 @@
+// Mock Storage Server for Typst Web Editor
+// A small in-memory implementation of the storage REST contract
+// (docs/storage-api.md), for trying the Storage Server setting and testing
+// the HTTP adapter against. Everything is lost when it stops.
+//
+// Usage: node scripts/mock-storage-server.js [--port 8787] [--token secret] [--latency 0]
+//   --token    require "Authorization: Bearer <token>"
+//   --latency  delay every response by this many ms, to watch the offline queue work
+
+import { createServer } from "node:http";
+
+const COLLECTIONS = ["projects", "documents", "files", "history", "preferences", "comments", "suggestions"];
+const MAX_BODY = 64 * 1024 * 1024;
+
+const options = parseArgs(process.argv.slice(2));
+const port = Number(options.port || 8787);
+const token = options.token || "";
+const latency = Number(options.latency || 0);
+
+// collection -> key -> { etag, body } (body kept as the JSON text it arrived in)
+const data = new Map(COLLECTIONS.map(collection => [collection, new Map()]));
+let revision = 0;
+
+function parseArgs(args) {
+  const parsed = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      parsed[args[i].slice(2)] = args[i + 1];
+      i++;
+    }
+  }
+  return parsed;
+}
+
+function send(response, status, body = null, headers = {}) {
+  response.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type, If-Match, If-None-Match",
+    "Access-Control-Expose-Headers": "ETag",
+    ...(body === null ? {} : { "Content-Type": "application/json" }),
+    ...headers,
+  });
+  response.end(body === null ? undefined : typeof body === "string" ? body : JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new Error("Body too large"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    request.on("error", reject);
+  });
+}
+
+// "If-Match" and "If-None-Match: *" against the stored item (undefined when missing)
+function preconditionFails(request, item) {
+  const ifMatch = request.headers["if-match"];
+  const ifNoneMatch = request.headers["if-none-match"];
+  if (ifMatch && (!item || (ifMatch !== "*" && ifMatch !== item.etag))) return true;
+  if (ifNoneMatch === "*" && item) return true;
+  return false;
+}
+
+async function handle(request, response) {
+  if (request.method === "OPTIONS") return send(response, 204);
+  if (token && request.headers.authorization !== `Bearer ${token}`) {
+    return send(response, 401, { error: "Unauthorized" });
+  }
+
+  const url = new URL(request.url, "http://localhost");
+  const [collection, encodedKey, ...rest] = url.pathname.split("/").filter(Boolean);
+  const items = data.get(collection);
+  if (!items || rest.length > 0) return send(response, 404, { error: "Not found" });
+
+  if (encodedKey === undefined) {
+    if (request.method !== "GET") return send(response, 405, { error: "Method not allowed" });
+    const list = Array.from(items, ([key, item]) => ({ key, etag: item.etag }));
+    return send(response, 200, { items: list });
+  }
+
+  const key = decodeURIComponent(encodedKey);
+  const item = items.get(key);
+
+  switch (request.method) {
+    case "GET":
+      if (!item) return send(response, 404, { error: "Not found" });
+      return send(response, 200, item.body, { ETag: item.etag });
+
+    case "PUT": {
+      if (preconditionFails(request, item)) return send(response, 412, { error: "Precondition failed" });
+      const body = await readBody(request);
+      try {
+        JSON.parse(body);
+      } catch {
+        return send(response, 400, { error: "Body must be JSON" });
+      }
+      const etag = `"${++revision}"`;
+      items.set(key, { etag, body });
+      return send(response, item ? 200 : 201, null, { ETag: etag });
+    }
+
+    case "DELETE":
+      if (!item) return send(response, 404, { error: "Not found" });
+      if (preconditionFails(request, item)) return send(response, 412, { error: "Precondition failed" });
+      items.delete(key);
+      return send(response, 204);
+
+    default:
+      return send(response, 405, { error: "Method not allowed" });
+  }
+}
+
+const server = createServer((request, response) => {
+  setTimeout(() => {
+    handle(request, response).catch((e) => {
+      console.error("[Mock Server]", e);
+      send(response, 500, { error: e.message });
+    });
+  }, latency);
+});
+
+// `--port 0` picks a free port; the log line names the one it got
+server.listen(port, () => {
+  console.log(`[Mock Server] Storage API on http://localhost:${server.address().port}${token ? " (token required)" : ""}`);
+});
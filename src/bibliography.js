@@ -0,0 +1,240 @@
+// Bibliography Module for Typst Web Editor
+// Reads citation entries out of BibTeX (.bib) and Hayagriva (.yml) files and
+// highlights BibTeX in Monaco
+
+// Entry types that hold no citable reference
+const BIBTEX_DIRECTIVES = ["string", "preamble", "comment"];
+
+export function isBibliographyFile(name) {
+  return /\.(bib|ya?ml)$/i.test(name);
+}
+
+// Monaco language id for a bibliography file
+export function getBibliographyLanguage(name) {
+  return /\.bib$/i.test(name) ? "bibtex" : "yaml";
+}
+
+// Parse a bibliography file into [{ key, type, author, title, year }]
+export function parseBibliography(name, text) {
+  try {
+    return /\.bib$/i.test(name) ? parseBibtex(text) : parseHayagriva(text);
+  } catch (e) {
+    console.warn(`[Bibliography] Failed to parse ${name}:`, e);
+    return [];
+  }
+}
+
+// Short author line for completion details: "Knuth", "Knuth and Lamport", "Knuth et al."
+export function formatAuthors(authors) {
+  const surnames = authors.map(author => {
+    const name = author.trim();
+    return name.includes(",") ? name.split(",")[0].trim() : name.split(/\s+/).pop();
+  }).filter(Boolean);
+
+  if (surnames.length > 2) return `${surnames[0]} et al.`;
+  return surnames.join(" and ");
+}
+
+// =====================
+// BIBTEX
+// =====================
+function parseBibtex(text) {
+  const entries = [];
+  const entryStart = /@\s*([a-zA-Z]+)\s*([{(])/g;
+  let match;
+
+  while ((match = entryStart.exec(text))) {
+    const type = match[1].toLowerCase();
+    const bodyStart = entryStart.lastIndex;
+    const bodyEnd = findClosing(text, bodyStart, match[2] === "{" ? "}" : ")");
+    entryStart.lastIndex = bodyEnd;
+    if (BIBTEX_DIRECTIVES.includes(type)) continue;
+
+    const body = text.slice(bodyStart, bodyEnd);
+    const comma = body.indexOf(",");
+    const key = (comma === -1 ? body : body.slice(0, comma)).trim();
+    if (!key) continue;
+
+    const fields = comma === -1 ? {} : parseBibtexFields(body.slice(comma + 1));
+    entries.push({
+      key,
+      type,
+      author: fields.author ? formatAuthors(fields.author.split(/\s+and\s+/i)) : fields.editor ? formatAuthors(fields.editor.split(/\s+and\s+/i)) : "",
+      title: fields.title || "",
+      year: fields.year || (fields.date || "").slice(0, 4),
+    });
+  }
+
+  return entries;
+}
+
+// Index of the delimiter closing the group that starts at `start` (or the end of text)
+function findClosing(text, start, close) {
+  const open = close === "}" ? "{" : "(";
+  let depth = 1;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === open) depth++;
+    else if (text[i] === close && --depth === 0) return i;
+  }
+  return text.length;
+}
+
+// Parse `name = {value}, name = "value", name = 2024` pairs
+function parseBibtexFields(body) {
+  const fields = {};
+  const fieldName = /\s*,?\s*([a-zA-Z][\w-]*)\s*=\s*/g;
+  let match;
+
+  while ((match = fieldName.exec(body))) {
+    let pos = fieldName.lastIndex;
+    let value;
+
+    if (body[pos] === "{") {
+      const end = findClosing(body, pos + 1, "}");
+      value = body.slice(pos + 1, end);
+      pos = end + 1;
+    } else if (body[pos] === '"') {
+      const end = body.indexOf('"', pos + 1);
+      value = body.slice(pos + 1, end === -1 ? body.length : end);
+      pos = end === -1 ? body.length : end + 1;
+    } else {
+      const end = body.slice(pos).search(/[,}]|$/);
+      value = body.slice(pos, pos + end);
+      pos += end;
+    }
+
+    fields[match[1].toLowerCase()] = cleanBibtexValue(value);
+    fieldName.lastIndex = pos;
+  }
+
+  return fields;
+}
+
+// Drop braces, LaTeX commands and line breaks used inside BibTeX values
+function cleanBibtexValue(value) {
+  return value
+    .replace(/\\(?:emph|textit|textbf|textsc|texttt|url)\s*/g, "")
+    .replace(/\\([a-zA-Z]+)\s*/g, "$1")
+    .replace(/\\(.)/g, "$1")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// =====================
+// HAYAGRIVA
+// =====================
+// Entries are the top-level keys of the YAML document; only the fields shown
+// in completions are read, in either their inline or nested form
+function parseHayagriva(text) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+  let fieldIndent = 0;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, "");
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+
+    const indent = line.search(/\S/);
+    const topLevel = indent === 0 && line.match(/^("[^"]+"|'[^']+'|[^\s:#][^:]*):\s*$/);
+    if (topLevel) {
+      entry = { key: unquote(topLevel[1]), type: "", author: [], title: "", year: "" };
+      entries.push(entry);
+      field = null;
+      continue;
+    }
+    if (!entry) continue;
+
+    const item = line.trim();
+    if (field && indent > fieldIndent) {
+      // Nested value of the last field: a list item or a `value:` mapping
+      const listItem = item.match(/^-\s*(.*)$/);
+      const nestedValue = item.match(/^value:\s*(.*)$/);
+      if (field === "author" && listItem) entry.author.push(unquote(listItem[1]));
+      else if (field === "title" && nestedValue) entry.title = unquote(nestedValue[1]);
+      continue;
+    }
+
+    const pair = item.match(/^([a-zA-Z-]+):\s*(.*)$/);
+    field = null;
+    if (!pair) continue;
+
+    const name = pair[1].toLowerCase();
+    const value = pair[2];
+    if (name === "author" || name === "editor" || name === "title") {
+      field = name === "editor" ? null : name;
+      fieldIndent = indent;
+    }
+
+    if (!value) continue;
+    if (name === "type") entry.type = unquote(value).toLowerCase();
+    else if (name === "title") entry.title = unquote(value);
+    else if (name === "date") entry.year = unquote(value).slice(0, 4);
+    else if (name === "author") entry.author = parseInlineList(value);
+    else if (name === "editor" && entry.author.length === 0) entry.author = parseInlineList(value);
+  }
+
+  return entries.map(entry => ({ ...entry, author: formatAuthors(entry.author) }));
+}
+
+function unquote(value) {
+  const text = value.trim();
+  return /^(".*"|'.*')$/.test(text) ? text.slice(1, -1) : text;
+}
+
+// `["Doe, Jane", "Roe, Rick"]` or a single `Doe, Jane`
+function parseInlineList(value) {
+  const text = value.trim();
+  if (!text.startsWith("[")) return [unquote(text)];
+  return (text.slice(1, -1).match(/"[^"]*"|'[^']*'|[^,]+,[^,\]]+|[^,]+/g) || []).map(unquote);
+}
+
+// =====================
+// MONACO
+// =====================
+const bibtexTokensProvider = {
+  defaultToken: "",
+  ignoreCase: true,
+
+  tokenizer: {
+    root: [
+      [/%.*$/, "comment"],
+      [/(@\s*)(string|preamble|comment)/, ["keyword", "keyword"]],
+      [/(@\s*[a-zA-Z]+)(\s*[{(]\s*)([^,\s]+)/, ["keyword", "@brackets", "tag.reference"]],
+      [/[a-zA-Z][\w-]*(?=\s*=)/, "type"],
+      // Only a brace after `=` opens a value; the others delimit entries
+      [/(=\s*)(\{)/, ["operator", { token: "string", next: "@braced" }]],
+      [/=/, "operator"],
+      [/\d+/, "number"],
+      [/"/, "string", "@quoted"],
+      [/[{}()]/, "@brackets"],
+    ],
+
+    quoted: [
+      [/\\./, "string.escape"],
+      [/[^"\\]+/, "string"],
+      [/"/, "string", "@pop"],
+    ],
+
+    braced: [
+      [/[^{}]+/, "string"],
+      [/\{/, "string", "@push"],
+      [/\}/, "string", "@pop"],
+    ],
+  },
+};
+
+export function registerBibtexLanguage(monaco) {
+  monaco.languages.register({ id: "bibtex", extensions: [".bib"], aliases: ["BibTeX", "bibtex"] });
+  monaco.languages.setLanguageConfiguration("bibtex", {
+    comments: { lineComment: "%" },
+    brackets: [["{", "}"], ["(", ")"]],
+    autoClosingPairs: [
+      { open: "{", close: "}" },
+      { open: "(", close: ")" },
+      { open: '"', close: '"' },
+    ],
+  });
+  monaco.languages.setMonarchTokensProvider("bibtex", bibtexTokensProvider);
+}
@@ -0,0 +1,327 @@
+// Collaboration Module for Typst Web Editor
+// Several people edit a project's documents at once. Every document open in a
+// session is a shared text (see crdt.js) kept by each participant; local edits
+// go out as operations and everyone's copies converge whatever order those
+// arrive in. Participants also share who they are and where their cursors are.
+//
+// Messages go through a transport, picked by name. Two come built in: a
+// BroadcastChannel (other tabs of this browser) and a WebSocket relay that
+// passes messages between everyone in the same room (scripts/collab-relay.js).
+//
+// Messages: { type, from, ... }
+//   hello    { user }                              someone (re)connected
+//   presence { user, path, selections }            selections as shared-text anchors
+//   state    { path, runs, seed, fresh, reply, to? } a whole document
+//   ops      { path, op }                          an edit
+//   bye      {}
+
+import { createSharedText, diffText } from "./crdt.js";
+
+// Cursor colors to pick from
+export const USER_COLORS = ["#e06c75", "#61afef", "#98c379", "#c678dd", "#d19a66", "#56b6c2", "#e5c07b", "#be5046"];
+
+// Participants re-announce themselves this often, and are forgotten after missing a few (ms)
+const HEARTBEAT_INTERVAL = 10000;
+const PEER_TIMEOUT = 30000;
+
+// =====================
+// Transports
+// =====================
+
+// name -> { label, needsUrl, create({ room, url, onMessage, onStatus }) -> { send(message), close() } }
+// onStatus("connecting" | "connected" | "disconnected"); messages are plain JSON objects
+const transports = new Map();
+
+export function registerTransport(name, transport) {
+  transports.set(name, transport);
+}
+
+export function getTransports() {
+  return Array.from(transports, ([name, { label, needsUrl }]) => ({ name, label, needsUrl: Boolean(needsUrl) }));
+}
+
+registerTransport("broadcast", {
+  label: "This browser (other tabs)",
+  create({ room, onMessage, onStatus }) {
+    const channel = new BroadcastChannel(`typst-editor-collab:${room}`);
+    channel.onmessage = (event) => onMessage(event.data);
+    queueMicrotask(() => onStatus("connected"));
+    return {
+      send: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  },
+});
+
+// Reconnects with a growing delay while the relay is unreachable
+registerTransport("websocket", {
+  label: "WebSocket relay",
+  needsUrl: true,
+  create({ room, url, onMessage, onStatus }) {
+    const address = `${url}${url.includes("?") ? "&" : "?"}room=${encodeURIComponent(room)}`;
+    let socket = null;
+    let retryDelay = 1000;
+    let retryTimer = null;
+    let closed = false;
+
+    const connect = () => {
+      onStatus("connecting");
+      socket = new WebSocket(address);
+      socket.onopen = () => {
+        retryDelay = 1000;
+        onStatus("connected");
+      };
+      socket.onmessage = (event) => {
+        try {
+          onMessage(JSON.parse(event.data));
+        } catch (e) {
+          console.warn("[Collab] Ignoring malformed message:", e);
+        }
+      };
+      socket.onclose = () => {
+        if (closed) return;
+        onStatus("disconnected");
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, 30000);
+      };
+    };
+    connect();
+
+    return {
+      // Edits made while disconnected reach the others with the full state sent on reconnect
+      send(message) {
+        if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+      },
+      close() {
+        closed = true;
+        clearTimeout(retryTimer);
+        socket?.close();
+      },
+    };
+  },
+});
+
+// =====================
+// Session
+// =====================
+
+// Join `room` as `user` ({ name, color }) over the transport named `transport`.
+// onRemoteEdit(path, changes) runs when someone else changed an open document,
+// with the text changes (see crdt.js) to apply; onConflict(path, text) when
+// this copy had edits of its own but gave way to another one, with the text it
+// had; onPeersChange() when someone joins, leaves, moves their cursor or
+// switches documents; onStatus(status) with the transport's connection status
+export function joinSession({ room, transport = "broadcast", url = "", user, onRemoteEdit = null, onConflict = null, onPeersChange = null, onStatus = null }) {
+  const factory = transports.get(transport);
+  if (!factory) throw new Error(`Unknown collaboration transport "${transport}"`);
+
+  const clientId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 9)}`;
+  // path -> { text, seed, fresh, early }: `seed` names the text the copy started
+  // from (see crdt.js), `fresh` holds while it has only that text, and `early`
+  // keeps operations that came in meanwhile
+  const docs = new Map();
+  // clientId -> { user, path, selections, seenAt }
+  const peers = new Map();
+  let presence = { path: null, selections: [] };
+  let status = "connecting";
+
+  const post = (message) => connection.send({ ...message, from: clientId });
+
+  const sendPresence = () => post({ type: "presence", user, ...presence });
+
+  const sendState = (path, reply = false, to = undefined) => {
+    const doc = docs.get(path);
+    post({ type: "state", path, runs: doc.text.getState(), seed: doc.seed, fresh: doc.fresh, reply, to });
+  };
+
+  const connection = factory.create({
+    room,
+    url,
+    onMessage: handleMessage,
+    onStatus(next) {
+      status = next;
+      if (next === "connected") {
+        // Everyone learns we're here and gets what we have, and answers with theirs
+        post({ type: "hello", user });
+        sendPresence();
+        for (const path of docs.keys()) sendState(path);
+      }
+      onStatus?.(next);
+    },
+  });
+
+  const heartbeat = setInterval(() => {
+    sendPresence();
+    expirePeers();
+  }, HEARTBEAT_INTERVAL);
+  const sayBye = () => post({ type: "bye" });
+  window.addEventListener("pagehide", sayBye);
+
+  function handleMessage(message) {
+    if (!message || message.from === clientId) return;
+    if (message.to && message.to !== clientId) return;
+
+    switch (message.type) {
+      case "hello":
+        setPeer(message.from, { user: message.user, path: null, selections: [] });
+        sendPresence();
+        break;
+      case "presence":
+        setPeer(message.from, { user: message.user, path: message.path, selections: message.selections || [] });
+        break;
+      case "state":
+        receiveState(message);
+        break;
+      case "ops":
+        receiveOperation(message.path, message.op);
+        break;
+      case "bye":
+        if (peers.delete(message.from)) onPeersChange?.();
+        break;
+    }
+  }
+
+  function setPeer(peerId, info) {
+    peers.set(peerId, { ...info, seenAt: Date.now() });
+    onPeersChange?.();
+  }
+
+  function expirePeers() {
+    const cutoff = Date.now() - PEER_TIMEOUT;
+    let changed = false;
+    for (const [peerId, peer] of peers) {
+      if (peer.seenAt < cutoff) {
+        peers.delete(peerId);
+        changed = true;
+      }
+    }
+    if (changed) onPeersChange?.();
+  }
+
+  // Copies opened from different texts can't simply be merged; that would put
+  // both texts in the document. One copy stays and the other takes its place:
+  // a copy with edits over a fresh one, or else the one with the lower seed, so
+  // both sides agree on which. The copy that gives way takes on the other's
+  // seed, and its edits, if it had any, go to onConflict
+  function receiveState({ from, path, runs, seed, fresh, reply }) {
+    const doc = docs.get(path);
+    if (!doc) return;
+
+    if (seed === doc.seed) {
+      const changes = doc.text.applyState(runs);
+      doc.fresh = doc.fresh && fresh;
+      if (!doc.fresh) doc.early = [];
+      if (changes.length > 0) onRemoteEdit?.(path, changes);
+    } else if (doc.fresh === fresh ? doc.seed > seed : !fresh) {
+      const before = doc.text.getText();
+      const text = createSharedText(doc.text.client);
+      text.applyState(runs);
+      for (const op of doc.early) text.apply(op);
+      docs.set(path, { text, seed, fresh: false, early: [] });
+      const change = diffText(before, text.getText());
+      if (change) onRemoteEdit?.(path, [change]);
+      if (!doc.fresh && change) onConflict?.(path, before);
+    }
+    // Otherwise the sender takes ours
+
+    if (!reply) sendState(path, true, from);
+  }
+
+  function receiveOperation(path, op) {
+    const doc = docs.get(path);
+    if (!doc) return;
+    if (doc.fresh) doc.early.push(op);
+    const changes = doc.text.apply(op);
+    if (changes.length > 0) onRemoteEdit?.(path, changes);
+  }
+
+  function sendOperations(path, ops) {
+    const doc = docs.get(path);
+    for (const op of ops) {
+      if (!op) continue;
+      doc.fresh = false;
+      doc.early = [];
+      post({ type: "ops", path, op });
+    }
+  }
+
+  return {
+    clientId,
+    room,
+    transport,
+
+    getStatus() {
+      return status;
+    },
+
+    // Start sharing the document at `path`, currently `text`; returns the shared
+    // text, which differs when the document was open already and others changed it
+    openDocument(path, text) {
+      if (!docs.has(path)) {
+        const shared = createSharedText(clientId, text);
+        docs.set(path, { text: shared, seed: shared.seed, fresh: true, early: [] });
+        if (status === "connected") sendState(path);
+      }
+      return docs.get(path).text.getText();
+    },
+
+    hasDocument(path) {
+      return docs.has(path);
+    },
+
+    getText(path) {
+      return docs.get(path)?.text.getText() ?? null;
+    },
+
+    // Local edits to an open document, as text changes applied one after another
+    applyLocalEdit(path, changes) {
+      const doc = docs.get(path);
+      if (!doc) return;
+      const ops = [];
+      for (const change of changes) {
+        if (change.deleteCount > 0) ops.push(doc.text.delete(change.index, change.deleteCount));
+        if (change.text) ops.push(doc.text.insert(change.index, change.text));
+      }
+      sendOperations(path, ops);
+    },
+
+    // The document's whole text changed (e.g. restored from history), sent as the smallest edit
+    replaceText(path, text) {
+      const doc = docs.get(path);
+      if (doc) sendOperations(path, doc.text.setText(text));
+    },
+
+    // Where this participant is: the document and its selections as [{ anchor, head }] offsets
+    setPresence(path, selections = []) {
+      const doc = docs.get(path);
+      presence = {
+        path,
+        selections: doc
+          ? selections.map(({ anchor, head }) => ({ anchor: doc.text.getAnchor(anchor), head: doc.text.getAnchor(head) }))
+          : [],
+      };
+      sendPresence();
+    },
+
+    // Everyone else: [{ id, user, path, selections }], selections as offsets in
+    // their document when it is open here
+    getPeers() {
+      return Array.from(peers, ([id, peer]) => {
+        const doc = docs.get(peer.path);
+        const selections = doc
+          ? peer.selections.map(({ anchor, head }) => ({ anchor: doc.text.resolveAnchor(anchor), head: doc.text.resolveAnchor(head) }))
+          : [];
+        return { id, user: peer.user, path: peer.path, selections };
+      });
+    },
+
+    leave() {
+      sayBye();
+      clearInterval(heartbeat);
+      window.removeEventListener("pagehide", sayBye);
+      connection.close();
+      peers.clear();
+      docs.clear();
+    },
+  };
+}
@@ -0,0 +1,88 @@
+// Review Comments Module for Typst Web Editor
+// Threads of comments attached to a range of a document's source. They are
+// kept next to the document (see storage.js), never in its text, so the
+// compiler never sees them. A thread remembers the text it was attached to,
+// so it finds its place again after edits made while the document wasn't open.
+
+function generateId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+}
+
+// A new thread on `range` ({ start, end, quote }) with its first comment
+export function createThread(documentId, range, author, body) {
+  const now = Date.now();
+  return {
+    id: generateId("thread"),
+    documentId,
+    start: range.start,
+    end: range.end,
+    quote: range.quote,
+    resolved: false,
+    comments: [{ id: generateId("comment"), author, body, createdAt: now }],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+export function addReply(thread, author, body) {
+  const now = Date.now();
+  return {
+    ...thread,
+    comments: [...thread.comments, { id: generateId("comment"), author, body, createdAt: now }],
+    updatedAt: now,
+  };
+}
+
+export function setResolved(thread, resolved) {
+  return { ...thread, resolved, updatedAt: Date.now() };
+}
+
+// The commented text is gone (the thread is kept, collapsed where it was)
+export function isDetached(thread) {
+  return thread.start === thread.end;
+}
+
+// Place a thread in `text`: where it was if its text is still there, else at
+// the occurrence of its text nearest to where it was, else collapsed at the
+// old position. Returns the thread itself when it didn't move
+export function relocateThread(thread, text) {
+  const { start, end, quote } = thread;
+  if (text.slice(start, end) === quote) return thread;
+
+  // A detached thread stays where its text was, even if the same words turn up elsewhere
+  let best = -1;
+  if (quote && !isDetached(thread)) {
+    for (let index = text.indexOf(quote); index !== -1; index = text.indexOf(quote, index + 1)) {
+      if (best === -1 || Math.abs(index - start) < Math.abs(best - start)) best = index;
+    }
+  }
+  if (best !== -1) {
+    return { ...thread, start: best, end: best + quote.length };
+  }
+
+  const position = Math.min(start, text.length);
+  if (position === start && position === end) return thread;
+  return { ...thread, start: position, end: position };
+}
+
+// Threads as they go into a project archive: without ids that only mean
+// something in this browser
+export function toArchiveThreads(threads) {
+  return threads.map(({ id, documentId, ...thread }) => thread);
+}
+
+// Threads read from an archive, for the document they now belong to
+export function fromArchiveThreads(threads, documentId) {
+  if (!Array.isArray(threads)) return [];
+  return threads
+    .filter(thread => Number.isInteger(thread?.start) && Number.isInteger(thread?.end) && Array.isArray(thread.comments))
+    .map(thread => ({
+      ...thread,
+      id: generateId("thread"),
+      documentId,
+      quote: String(thread.quote ?? ""),
+      resolved: Boolean(thread.resolved),
+      createdAt: thread.createdAt || Date.now(),
+      updatedAt: thread.updatedAt || Date.now(),
+    }));
+}
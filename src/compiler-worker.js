@@ -1,14 +1,70 @@
 // Typst Web Compiler Worker
 // Uses @myriaddreamin/typst.ts high-level API
 
+import typstCompilerWasmUrl from "@myriaddreamin/typst-ts-web-compiler/pkg/typst_ts_web_compiler_bg.wasm?url";
+import typstRendererWasmUrl from "@myriaddreamin/typst-ts-renderer/pkg/typst_ts_renderer_bg.wasm?url";
+import { attachStorage } from "./storage.js";
+import { DEFAULT_REGISTRY, findPackageImports, formatPackageSpec, getPackageKey, getPackageDependencies, parsePackageSpec, loadPackage } from "./packages.js";
+import { parsePageRange } from "./export.js";
+
 console.log("[Compiler Worker] Script loading...");
 
 let typstModule = null;
 let isModuleLoaded = false;
 let virtualFiles = new Map();
+let virtualSources = new Map(); // path -> text of the project's .typ files
+let mainFilePath = "main.typ"; // Project entry point
 let customFonts = [];
 let isCompiling = false;
-let pendingSource = null;
+let pendingCompile = null; // { id, format } of the latest request that arrived mid-compile
+let pendingExports = []; // Export requests that arrived mid-compile (never coalesced): { id, format, options }
+
+// typst.ts CompileFormatEnum
+const COMPILE_FORMAT = { vector: 0, pdf: 1 };
+
+// Long-lived compiler state (rebuilt only when the font set changes)
+let compiler = null;
+let compilerFontKey = null;
+let mappedFiles = new Map(); // path -> Uint8Array currently mapped into the compiler
+let mappedSources = new Map(); // path -> source text currently added to the compiler
+
+// Renderer used to turn vector artifacts into SVG and PNG (created on first use)
+let renderer = null;
+
+// Registry packages (@namespace/name:version imports)
+const PACKAGE_ROOT = "/@packages"; // Shadow-FS directory packages are unpacked into
+const PACKAGE_RETRY_DELAY = 30000; // Don't retry a failed download on every keystroke (ms)
+let packageRegistry = DEFAULT_REGISTRY;
+let loadedPackages = new Map(); // key -> { files, dependencies } of packages loaded this session
+let mappedPackages = new Set(); // keys of packages mapped into the current compiler
+let missingPackages = new Set(); // keys the compiler asked for that weren't mapped yet
+let failedPackages = new Map(); // key -> { error, time } of the last failed load
+
+// The package cache lives in IndexedDB. The worker attaches to the page's
+// database rather than opening (and upgrading) it itself, and attaches again
+// after another tab's upgrade closed the connection. Without it packages are
+// downloaded every session
+async function attachPackageCache() {
+  try {
+    await attachStorage();
+  } catch (err) {
+    console.warn("[Compiler Worker] Package cache unavailable:", err);
+  }
+}
+
+// Handed to the compiler as its package registry. resolve() is synchronous, so it
+// can only answer with packages preparePackages() already mapped; misses are
+// remembered and fetched before the next compile pass
+const packageResolver = {
+  resolve(spec) {
+    const key = getPackageKey(spec);
+    if (mappedPackages.has(key)) {
+      return `${PACKAGE_ROOT}/${key}`;
+    }
+    missingPackages.add(key);
+    return undefined;
+  },
+};
 
 // Load the typst module (once)
 async function loadModule() {
@@ -25,15 +81,15 @@ async function loadModule() {
   }
 }
 
-// Create a fresh compiler for each compilation
-async function createFreshCompiler() {
+// Create and initialize a compiler with the current font set
+async function createCompiler() {
   // Log available typst module exports for debugging (only once)
-  if (!createFreshCompiler.logged) {
+  if (!createCompiler.logged) {
     console.log("[Compiler Worker] typst.ts exports:", Object.keys(typstModule));
-    createFreshCompiler.logged = true;
+    createCompiler.logged = true;
   }
 
-  const compiler = typstModule.createTypstCompiler();
+  const newCompiler = typstModule.createTypstCompiler();
 
   // loadFonts accepts Uint8Array directly (not Blobs!)
   const fontDataArrays = customFonts.map(font => {
@@ -44,10 +100,9 @@ async function createFreshCompiler() {
 
   // Build initialization options
   // Note: WASM must match the @myriaddreamin/typst.ts package version
-  // Using CDN version that matches the npm package
+  // Vite bundles the installed package's WASM, so it is served from our own origin
   const initOptions = {
-    getModule: () =>
-      "https://cdn.jsdelivr.net/npm/@myriaddreamin/typst-ts-web-compiler/pkg/typst_ts_web_compiler_bg.wasm",
+    getModule: () => typstCompilerWasmUrl,
     beforeBuild: [],
   };
 
@@ -61,17 +116,228 @@ async function createFreshCompiler() {
     console.log(`[Compiler Worker] Loading ${fontDataArrays.length} custom fonts with default text assets`);
   }
 
-  await compiler.init(initOptions);
+  initOptions.beforeBuild.push(typstModule.initOptions.withPackageRegistry(packageResolver));
+
+  try {
+    await newCompiler.init(initOptions);
+  } catch (err) {
+    const loadError = new Error(`Failed to load Typst compiler WASM (${typstCompilerWasmUrl}): ${err.message || err}`);
+    loadError.wasmLoadFailed = true;
+    throw loadError;
+  }
 
   // Log compiler methods for debugging (only once)
-  if (!createFreshCompiler.compilerLogged) {
-    console.log("[Compiler Worker] Compiler methods:", Object.keys(compiler));
-    createFreshCompiler.compilerLogged = true;
+  if (!createCompiler.compilerLogged) {
+    console.log("[Compiler Worker] Compiler methods:", Object.keys(newCompiler));
+    createCompiler.compilerLogged = true;
+  }
+
+  return newCompiler;
+}
+
+// Identify the current font set so we know when the compiler must be rebuilt
+function getFontKey() {
+  return customFonts.map(font => `${font.name}:${font.data?.length || 0}`).join("|");
+}
+
+// Get the long-lived compiler, rebuilding it only if the font set changed
+async function getCompiler() {
+  const fontKey = getFontKey();
+  if (compiler && compilerFontKey === fontKey) {
+    return compiler;
   }
 
+  console.log(compiler
+    ? "[Compiler Worker] Font set changed, rebuilding compiler..."
+    : "[Compiler Worker] Creating compiler...");
+
+  compiler = null;
+  const newCompiler = await createCompiler();
+  compiler = newCompiler;
+  compilerFontKey = fontKey;
+  // A new compiler starts with an empty shadow filesystem
+  mappedFiles.clear();
+  mappedSources.clear();
+  mappedPackages.clear();
   return compiler;
 }
 
+// Get the renderer, initializing its WASM on first use
+async function getRenderer() {
+  if (renderer) return renderer;
+
+  const newRenderer = typstModule.createTypstRenderer();
+  try {
+    await newRenderer.init({ getModule: () => typstRendererWasmUrl });
+  } catch (err) {
+    const loadError = new Error(`Failed to load Typst renderer WASM (${typstRendererWasmUrl}): ${err.message || err}`);
+    loadError.wasmLoadFailed = true;
+    throw loadError;
+  }
+
+  renderer = newRenderer;
+  return renderer;
+}
+
+// Render a vector artifact to a single SVG document plus per-page sizes
+async function renderVectorToSvg(artifact) {
+  const svgRenderer = await getRenderer();
+  return svgRenderer.runWithSession({ format: "vector", artifactContent: artifact }, async (session) => {
+    const svg = await svgRenderer.renderSvg({ renderSession: session });
+    const pages = session.retrievePagesInfo().map(page => ({ width: page.width, height: page.height }));
+    return { svg, pages };
+  });
+}
+
+// Rasterize pages of a vector artifact to PNG, off the main thread.
+// Typst measures in points, so 72 DPI is one pixel per point
+async function renderVectorToPng(artifact, pagesText, dpi) {
+  const pngRenderer = await getRenderer();
+  return pngRenderer.runWithSession({ format: "vector", artifactContent: artifact }, async (session) => {
+    const pagesInfo = session.retrievePagesInfo();
+    const pixelPerPt = Math.max(36, Math.min(600, dpi || 144)) / 72;
+    const images = [];
+
+    for (const pageNumber of parsePageRange(pagesText, pagesInfo.length)) {
+      const page = pagesInfo[pageNumber - 1];
+      const canvas = new OffscreenCanvas(Math.ceil(page.width * pixelPerPt), Math.ceil(page.height * pixelPerPt));
+      await pngRenderer.renderCanvas({
+        renderSession: session,
+        canvas: canvas.getContext("2d"),
+        pageOffset: page.pageOffset,
+        pixelPerPt,
+        backgroundColor: "#ffffff",
+        dataSelection: { body: true },
+      });
+      const blob = await canvas.convertToBlob({ type: "image/png" });
+      images.push({ page: pageNumber, data: new Uint8Array(await blob.arrayBuffer()) });
+    }
+    return { images };
+  });
+}
+
+// Map changed sources and files into the compiler and unmap removed ones
+function syncShadowFiles(target) {
+  for (const [path, text] of virtualSources) {
+    if (mappedSources.get(path) === text) continue;
+    target.addSource("/" + path, text);
+    mappedSources.set(path, text);
+  }
+
+  for (const path of Array.from(mappedSources.keys())) {
+    if (!virtualSources.has(path)) {
+      target.unmapShadow("/" + path);
+      mappedSources.delete(path);
+    }
+  }
+
+  for (const [path, data] of virtualFiles) {
+    if (!(data instanceof Uint8Array)) continue;
+    if (mappedFiles.get(path) === data) continue;
+    target.mapShadow("/" + path, data);
+    mappedFiles.set(path, data);
+  }
+
+  for (const path of Array.from(mappedFiles.keys())) {
+    if (!virtualFiles.has(path)) {
+      target.unmapShadow("/" + path);
+      mappedFiles.delete(path);
+    }
+  }
+}
+
+// =====================
+// PACKAGES
+// =====================
+// Load every package the project imports (and the packages those import) and
+// map their files into the compiler. Returns true if anything new was mapped
+async function preparePackages(target) {
+  const queue = [];
+  for (const text of virtualSources.values()) {
+    queue.push(...findPackageImports(text));
+  }
+  for (const key of missingPackages) {
+    const [namespace, name, version] = key.split("/");
+    queue.push({ namespace, name, version });
+  }
+  missingPackages.clear();
+
+  const seen = new Set();
+  let mappedAny = false;
+  while (queue.length > 0) {
+    const spec = queue.shift();
+    const key = getPackageKey(spec);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const pkg = await getPackageFiles(spec);
+    if (!pkg) continue;
+
+    if (!mappedPackages.has(key)) {
+      for (const file of pkg.files) {
+        target.mapShadow(`${PACKAGE_ROOT}/${key}/${file.path}`, file.data);
+      }
+      mappedPackages.add(key);
+      mappedAny = true;
+    }
+    queue.push(...pkg.dependencies);
+  }
+
+  return mappedAny;
+}
+
+// A package's files from this session, the IndexedDB cache or the registry
+async function getPackageFiles(spec) {
+  const key = getPackageKey(spec);
+  if (loadedPackages.has(key)) {
+    return loadedPackages.get(key);
+  }
+
+  const failure = failedPackages.get(key);
+  if (failure && Date.now() - failure.time < PACKAGE_RETRY_DELAY) {
+    return null;
+  }
+
+  try {
+    await attachPackageCache();
+    const pkg = await loadPackage(packageRegistry, spec, () => {
+      console.log(`[Compiler Worker] Downloading ${formatPackageSpec(spec)} from ${packageRegistry}`);
+      self.postMessage({ type: "packageDownload", spec: formatPackageSpec(spec) });
+    });
+
+    const entry = { files: pkg.files, dependencies: getPackageDependencies(pkg.files) };
+    loadedPackages.set(key, entry);
+    failedPackages.delete(key);
+    return entry;
+  } catch (err) {
+    console.warn(`[Compiler Worker] Package ${formatPackageSpec(spec)} unavailable:`, err);
+    failedPackages.set(key, { error: err.message || String(err), time: Date.now() });
+    return null;
+  }
+}
+
+// Why a "package not found" diagnostic happened, if we tried to load it
+function getPackageHint(message) {
+  const spec = message && message.includes("package not found") ? parsePackageSpec(message) : null;
+  return spec ? failedPackages.get(getPackageKey(spec))?.error || null : null;
+}
+
+// Compile, then compile again if the compiler asked for packages that weren't
+// mapped yet (e.g. an import path built at runtime) and they could be loaded
+async function compileWithPackages(target, format) {
+  const options = {
+    mainFilePath: "/" + mainFilePath,
+    format,
+    diagnostics: 'full', // Get full diagnostic objects with line/column info
+  };
+
+  const result = await target.compile(options);
+  if (missingPackages.size > 0 && await preparePackages(target)) {
+    return target.compile(options);
+  }
+  return result;
+}
+
 // Load module on startup
 loadModule().catch((err) => {
   console.error("[Compiler Worker] Startup error:", err);
@@ -79,7 +345,7 @@ loadModule().catch((err) => {
 
 // Handle messages from main thread
 self.onmessage = async (event) => {
-  const { type, source, files, fonts } = event.data;
+  const { type, id, source, sources, mainFile, files, fonts, format, options, registry } = event.data;
 
   // Handle font loading message
   if (type === 'loadFonts') {
@@ -104,9 +370,25 @@ self.onmessage = async (event) => {
     return;
   }
 
-  // Handle legacy format (just source string)
-  const actualSource = typeof event.data === "string" ? event.data : source;
+  // Packages removed from the cache are fetched (and cached) again when next needed
+  if (type === 'evictPackages') {
+    for (const key of event.data.keys || []) {
+      loadedPackages.delete(key);
+    }
+    return;
+  }
+
+  // Restore the virtual filesystem (sent after the worker is respawned)
+  if (type === 'loadFiles') {
+    updateVirtualFiles(files || {});
+    console.log(`[Compiler Worker] Restored ${virtualFiles.size} virtual files`);
+    return;
+  }
+
+  // Handle legacy format (just source string, or a single source compiled as main.typ)
+  const actualSources = sources || { "main.typ": typeof event.data === "string" ? event.data : source };
   const actualFiles = files || {};
+  const requestId = typeof id === "number" ? id : null;
 
   // Ensure module is loaded
   if (!isModuleLoaded) {
@@ -114,75 +396,121 @@ self.onmessage = async (event) => {
       await loadModule();
     } catch (err) {
       self.postMessage({
-        type: "compiled",
+        type: type === "export" ? "exported" : "compiled",
+        id: requestId,
         ok: false,
         error: "Module load failed: " + err.toString(),
+        wasmLoadFailed: true,
       });
       return;
     }
   }
 
-  // Update virtual filesystem
-  updateVirtualFiles(actualFiles);
+  // Update virtual filesystem (the files map is a full snapshot when present)
+  if (files) {
+    updateVirtualFiles(actualFiles);
+  }
+
+  // Project sources are always a full snapshot
+  virtualSources = new Map(Object.entries(actualSources));
+  mainFilePath = mainFile || (sources ? Object.keys(sources)[0] : "main.typ");
 
-  // Compile
-  await compileDocument(actualSource);
+  // A different registry may have the packages the last one failed to serve
+  if (registry && registry !== packageRegistry) {
+    packageRegistry = registry;
+    failedPackages.clear();
+  }
+
+  // Export in a specific output format (does not touch the preview)
+  if (type === "export") {
+    await exportDocument(requestId, format || "pdf", options || {});
+    return;
+  }
+
+  // Compile ("pdf" for the pdf.js preview, "svg" for the vector preview)
+  await compileDocument(requestId, format || "pdf");
 };
 
 // Update virtual filesystem with uploaded files
+// Unchanged files keep their previous Uint8Array so syncShadowFiles() can skip them
 function updateVirtualFiles(files) {
+  for (const path of Array.from(virtualFiles.keys())) {
+    if (!(path in files)) {
+      virtualFiles.delete(path);
+    }
+  }
+
   for (const [path, data] of Object.entries(files)) {
+    const previous = virtualFiles.get(path);
+    if (previous && bytesEqual(previous, data)) continue;
     virtualFiles.set(path, data);
   }
 }
 
-// Compile document
-async function compileDocument(source) {
+function bytesEqual(a, b) {
+  if (!(a instanceof Uint8Array) || !(b instanceof Uint8Array)) return a === b;
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+// Compile the project from its main file
+async function compileDocument(requestId = null, format = "pdf") {
   // If already compiling, save for later
   if (isCompiling) {
-    pendingSource = source;
+    pendingCompile = { id: requestId, format };
     return;
   }
 
   isCompiling = true;
+  const startTime = performance.now();
 
   try {
-    console.log("[Compiler Worker] Creating fresh compiler...");
+    const compiler = await getCompiler();
 
-    // Create a fresh compiler for each compilation
-    const compiler = await createFreshCompiler();
+    // Map new or changed sources and uploaded files into the shadow filesystem
+    // (usually only the open file changed since the last compile)
+    syncShadowFiles(compiler);
 
-    // Add the main source file
-    compiler.addSource("/main.typ", source);
-
-    // Add any uploaded files to shadow filesystem
-    for (const [path, data] of virtualFiles) {
-      if (data instanceof Uint8Array) {
-        compiler.mapShadow("/" + path, data);
-      }
-    }
+    // Package downloads happen before the watchdog is armed
+    await preparePackages(compiler);
 
     console.log("[Compiler Worker] Compiling...");
 
-    // Compile to PDF with full diagnostics
-    const result = await compiler.compile({
-      mainFilePath: "/main.typ",
-      format: 1, // PDF format
-      diagnostics: 'full', // Get full diagnostic objects with line/column info
-    });
+    // Let the main thread arm its timeout watchdog for the actual compile
+    self.postMessage({ type: "compileStarted", id: requestId });
+
+    // Compile to PDF (or the vector artifact for the SVG preview) with full diagnostics
+    const useVector = format === "svg";
+    const result = await compileWithPackages(compiler, useVector ? COMPILE_FORMAT.vector : COMPILE_FORMAT.pdf);
 
-    console.log("[Compiler Worker] Compilation result:", result);
+    const compileTime = Math.round(performance.now() - startTime);
+    console.log(`[Compiler Worker] Compilation finished in ${compileTime} ms:`, result);
     console.log("[Compiler Worker] Result keys:", result ? Object.keys(result) : "null");
     
-    if (result && result.result) {
+    if (result && result.result && useVector) {
+      const { svg, pages } = await renderVectorToSvg(new Uint8Array(result.result));
+      self.postMessage({
+        type: "compiled",
+        id: requestId,
+        ok: true,
+        svg,
+        pages,
+        compileTime,
+      });
+    } else if (result && result.result) {
       // Create a clean copy of the PDF bytes to ensure proper transfer
       // Note: We don't use transferList here because the buffer needs to remain
       // usable for both preview rendering and later export
       const pdfBytes = new Uint8Array(result.result);
       self.postMessage({
         type: "compiled",
+        id: requestId,
         ok: true,
         pdfBuffer: pdfBytes,
+        compileTime,
       });
     } else if (result && result.diagnostics) {
       // Extract detailed error information from diagnostics
@@ -191,23 +519,27 @@ async function compileDocument(source) {
       console.log("[Compiler Worker] Parsed diagnostics:", JSON.stringify(diagnostics, null, 2));
       self.postMessage({
         type: "compiled",
+        id: requestId,
         ok: false,
         error: diagnostics.summary,
         diagnostics: diagnostics.items,
+        compileTime,
       });
     } else {
       self.postMessage({
         type: "compiled",
+        id: requestId,
         ok: false,
         error: "Unknown compilation error",
         diagnostics: [{
           severity: "error",
           message: "Unknown compilation error",
-          file: "/main.typ",
+          file: "/" + mainFilePath,
           line: null,
           column: null,
           hint: null,
         }],
+        compileTime,
       });
     }
   } catch (err) {
@@ -219,26 +551,124 @@ async function compileDocument(source) {
       errorMessage = err.message;
     }
 
+    // A thrown error may leave the compiler in a bad state; rebuild it next time
+    // (WASM load failures already left it unset)
+    if (!err.wasmLoadFailed) {
+      compiler = null;
+    }
+
     // Try to parse error for line/column info
     const parsedError = parseErrorMessage(errorMessage);
     console.log("[Compiler Worker] Parsed error:", JSON.stringify(parsedError, null, 2));
 
     self.postMessage({
       type: "compiled",
+      id: requestId,
       ok: false,
       error: errorMessage,
       diagnostics: [parsedError],
+      compileTime: Math.round(performance.now() - startTime),
+      wasmLoadFailed: !!err.wasmLoadFailed,
     });
   } finally {
     isCompiling = false;
+    processPendingWork();
+  }
+}
 
-    // Process pending compilation if any
-    if (pendingSource !== null) {
-      const nextSource = pendingSource;
-      pendingSource = null;
-      // Use setTimeout to break call stack
-      setTimeout(() => compileDocument(nextSource), 0);
+// Run queued exports first, then the latest pending compile
+function processPendingWork() {
+  if (pendingExports.length > 0) {
+    const next = pendingExports.shift();
+    // Use setTimeout to break call stack
+    setTimeout(() => exportDocument(next.id, next.format, next.options), 0);
+    return;
+  }
+
+  if (pendingCompile !== null) {
+    const next = pendingCompile;
+    pendingCompile = null;
+    // Use setTimeout to break call stack
+    setTimeout(() => compileDocument(next.id, next.format), 0);
+  }
+}
+
+// Export document as "pdf" (bytes), "vector" (typst.ts artifact), "svg" (markup + page sizes)
+// or "png" (one image per page; options.pages is a page range and options.dpi the resolution)
+async function exportDocument(requestId, format, options) {
+  if (isCompiling) {
+    pendingExports.push({ id: requestId, format, options });
+    return;
+  }
+
+  isCompiling = true;
+  const startTime = performance.now();
+
+  try {
+    if (!["pdf", "vector", "svg", "png"].includes(format)) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const compiler = await getCompiler();
+    syncShadowFiles(compiler);
+    await preparePackages(compiler);
+
+    console.log(`[Compiler Worker] Exporting as ${format}...`);
+    // The main thread watches the compile of an export on its own: rendering the
+    // result can take long for big PNGs, but can't hang
+    self.postMessage({ type: "exportStarted", id: requestId });
+
+    const result = await compileWithPackages(compiler, format === "pdf" ? COMPILE_FORMAT.pdf : COMPILE_FORMAT.vector);
+
+    if (!result || !result.result) {
+      const diagnostics = parseDiagnostics(result?.diagnostics || "Unknown compilation error");
+      self.postMessage({
+        type: "exported",
+        id: requestId,
+        ok: false,
+        format,
+        error: diagnostics.summary,
+        diagnostics: diagnostics.items,
+      });
+      return;
     }
+
+    self.postMessage({ type: "exportCompiled", id: requestId });
+
+    const artifact = new Uint8Array(result.result);
+    const message = {
+      type: "exported",
+      id: requestId,
+      ok: true,
+      format,
+      compileTime: Math.round(performance.now() - startTime),
+    };
+
+    let transfer = [];
+    if (format === "svg") {
+      Object.assign(message, await renderVectorToSvg(artifact));
+    } else if (format === "png") {
+      const { images } = await renderVectorToPng(artifact, options.pages, options.dpi);
+      message.images = images;
+      transfer = images.map(image => image.data.buffer);
+    } else {
+      message.data = artifact;
+    }
+
+    self.postMessage(message, transfer);
+  } catch (err) {
+    console.error("[Compiler Worker] Export error:", err);
+    self.postMessage({
+      type: "exported",
+      id: requestId,
+      ok: false,
+      format,
+      error: err.message || err.toString(),
+      wasmLoadFailed: !!err.wasmLoadFailed,
+    });
+  } finally {
+    isCompiling = false;
+    processPendingWork();
   }
 }
 
@@ -289,12 +719,12 @@ function parseDiagnostics(diagnostics) {
         const item = {
           severity: d.severity || "error",
           message: d.message || JSON.stringify(d),
-          file: d.path || d.span?.file || d.file || "/main.typ",
+          file: d.path || d.span?.file || d.file || "/" + mainFilePath,
           line: startLine,
           column: startCol,
           endLine: endLine,
           endColumn: endCol,
-          hint: d.hints?.join("; ") || d.hint || null,
+          hint: d.hints?.join("; ") || d.hint || getPackageHint(d.message),
         };
         
         console.log("[Compiler Worker] Parsed diagnostic item:", JSON.stringify(item, null, 2));
@@ -316,7 +746,7 @@ function parseDiagnostics(diagnostics) {
     items.push({
       severity: "error",
       message: typeof diagnostics === "string" ? diagnostics : "Unknown error",
-      file: "/main.typ",
+      file: "/" + mainFilePath,
       line: null,
       column: null,
       hint: null,
@@ -331,7 +761,7 @@ function parseErrorMessage(errorStr) {
   const result = {
     severity: "error",
     message: errorStr,
-    file: "/main.typ",
+    file: "/" + mainFilePath,
     line: null,
     column: null,
     hint: null,
@@ -388,7 +818,7 @@ self.onerror = (error) => {
     diagnostics: [{
       severity: "error",
       message: "Worker error: " + (error.message || error),
-      file: "/main.typ",
+      file: "/" + mainFilePath,
       line: null,
       column: null,
       hint: null,
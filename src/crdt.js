@@ -0,0 +1,376 @@
+// Shared Text Module for Typst Web Editor
+// A text several people edit at once, as a CRDT (an RGA sequence): every
+// character ever typed is an item with a unique id, placed after the character
+// it was typed behind (its origin). Deleted characters stay behind as
+// tombstones so concurrent edits still find their place. Replicas that applied
+// the same operations end up with the same text, whatever the order.
+//
+// Ids are { clock, client }. Clocks are Lamport clocks, so an item's clock is
+// above its origin's; of the items typed after the same origin, the one with
+// the higher id comes first.
+//
+// Operations (plain JSON, safe to send anywhere):
+//   { type: "insert", client, clock, origin, text }  text[i] gets clock + i, and
+//                                                    the character before it as origin
+//   { type: "delete", ranges: [[client, clock, count]] }
+// A replica's whole state is a list of runs: { client, clock, origin, text, deleted }
+
+const idKey = (client, clock) => `${clock}:${client}`;
+
+function isAfter(a, b) {
+  return a.clock > b.clock || (a.clock === b.clock && a.client > b.client);
+}
+
+// Replicas seeded with the same text share its items, so they merge without
+// doubling it: the seed's client id comes from the text
+function getSeedClient(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (Math.imul(hash, 31) + text.charCodeAt(i)) | 0;
+  }
+  return `seed-${(hash >>> 0).toString(36)}-${text.length}`;
+}
+
+// The single change turning `before` into `after` (common prefix and suffix
+// kept), or null when they are the same
+export function diffText(before, after) {
+  if (before === after) return null;
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (
+    end < before.length - start && end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) end++;
+  return { index: start, deleteCount: before.length - start - end, text: after.slice(start, after.length - end) };
+}
+
+// Text changes are reported as [{ index, deleteCount, text }], each relative to
+// the text after the ones before it
+export function createSharedText(client, initialText = "") {
+  const items = []; // document order, tombstones included
+  const byId = new Map();
+  const pending = []; // remote operations waiting for the items they refer to
+  let clock = 0;
+  let text = "";
+  let lastIndex = -1; // where the previous item went; runs usually continue there
+  let lastPosition = -1; // and its visible position, while nothing else has moved
+
+  function indexOfItem(item) {
+    if (items[lastIndex] === item) return lastIndex;
+    if (items[lastIndex + 1] === item) return lastIndex + 1;
+    return items.indexOf(item);
+  }
+
+  function visibleIndex(itemIndex) {
+    let count = 0;
+    for (let i = 0; i < itemIndex; i++) {
+      if (!items[i].deleted) count++;
+    }
+    return count;
+  }
+
+  // Index in `items` of the visible character at `position`, or items.length
+  function itemIndexAt(position) {
+    let count = 0;
+    for (let i = 0; i < items.length; i++) {
+      if (items[i].deleted) continue;
+      if (count === position) return i;
+      count++;
+    }
+    return items.length;
+  }
+
+  function seed(initial) {
+    const seedClient = getSeedClient(initial);
+    let origin = null;
+    for (let i = 0; i < initial.length; i++) {
+      const item = { client: seedClient, clock: i + 1, origin, char: initial[i], deleted: false };
+      items.push(item);
+      byId.set(idKey(seedClient, i + 1), item);
+      origin = { client: seedClient, clock: i + 1 };
+    }
+    clock = initial.length;
+    text = initial;
+  }
+
+  // Place one item; null when it is already here, false when its origin isn't yet.
+  // With `silent` the text is left for the caller to rebuild
+  function integrate(item, silent = false) {
+    if (byId.has(idKey(item.client, item.clock))) return null;
+
+    let index = 0;
+    if (item.origin) {
+      const origin = byId.get(idKey(item.origin.client, item.origin.clock));
+      if (!origin) return false;
+      index = indexOfItem(origin) + 1;
+    }
+    while (index < items.length && isAfter(items[index], item)) {
+      index++;
+    }
+
+    // A character typed right after the previous one is one position further on
+    const follows = index === lastIndex + 1 && lastPosition >= 0;
+    const previous = follows ? items[lastIndex] : null;
+    items.splice(index, 0, item);
+    byId.set(idKey(item.client, item.clock), item);
+    clock = Math.max(clock, item.clock);
+    lastIndex = index;
+
+    if (silent) {
+      lastPosition = -1;
+      return { index, change: null };
+    }
+    const position = previous ? lastPosition + (previous.deleted ? 0 : 1) : visibleIndex(index);
+    lastPosition = position;
+    if (item.deleted) return { index, change: null };
+    text = text.slice(0, position) + item.char + text.slice(position);
+    return { index, change: { index: position, deleteCount: 0, text: item.char } };
+  }
+
+  // Put `rest` right after the item `placed` just put in, all at once
+  function placeRun(placed, rest) {
+    for (let i = 0; i < rest.length; i += 10000) {
+      items.splice(placed.index + 1 + i, 0, ...rest.slice(i, i + 10000));
+    }
+    for (const item of rest) {
+      byId.set(idKey(item.client, item.clock), item);
+    }
+    const added = rest.map(item => item.char).join("");
+    const position = placed.change.index + 1;
+    text = text.slice(0, position) + added + text.slice(position);
+    placed.change.text += added;
+    clock = Math.max(clock, rest[rest.length - 1]?.clock || 0);
+    lastIndex = placed.index + rest.length;
+    lastPosition = position + rest.length - 1;
+  }
+
+  function remove(item) {
+    if (item.deleted) return null;
+    const position = visibleIndex(indexOfItem(item));
+    item.deleted = true;
+    lastPosition = -1;
+    text = text.slice(0, position) + text.slice(position + 1);
+    return { index: position, deleteCount: 1, text: "" };
+  }
+
+  // Merge neighbouring single-character changes
+  function coalesce(changes) {
+    const merged = [];
+    for (const change of changes) {
+      const last = merged[merged.length - 1];
+      if (last && change.deleteCount === 0 && last.deleteCount === 0 && change.index === last.index + last.text.length) {
+        last.text += change.text;
+      } else if (last && change.deleteCount > 0 && last.deleteCount > 0 && !last.text && change.index === last.index) {
+        last.deleteCount += change.deleteCount;
+      } else {
+        merged.push({ ...change });
+      }
+    }
+    return merged;
+  }
+
+  function* runItems(run) {
+    let origin = run.origin;
+    for (let i = 0; i < run.text.length; i++) {
+      yield { client: run.client, clock: run.clock + i, origin, char: run.text[i], deleted: Boolean(run.deleted) };
+      origin = { client: run.client, clock: run.clock + i };
+    }
+  }
+
+  // Changes, or null when the operation refers to items not seen yet
+  function applyOperation(op) {
+    const changes = [];
+    if (op.type === "insert") {
+      if (op.origin && !byId.has(idKey(op.origin.client, op.origin.clock))) return null;
+      const run = Array.from(runItems(op));
+      const first = integrate(run[0]);
+      const rest = run.slice(1);
+      if (first?.change && rest.every(item => !byId.has(idKey(item.client, item.clock)))) {
+        // The rest of a new run follows its first character directly: nothing
+        // else can have been typed after characters nobody has seen yet
+        placeRun(first, rest);
+        changes.push(first.change);
+      } else {
+        if (first?.change) changes.push(first.change);
+        for (const item of rest) {
+          const placed = integrate(item);
+          if (placed?.change) changes.push(placed.change);
+        }
+      }
+    } else if (op.type === "delete") {
+      const targets = [];
+      for (const [rangeClient, rangeClock, count] of op.ranges) {
+        for (let i = 0; i < count; i++) {
+          const item = byId.get(idKey(rangeClient, rangeClock + i));
+          if (!item) return null;
+          targets.push(item);
+        }
+      }
+      for (const item of targets) {
+        const change = remove(item);
+        if (change) changes.push(change);
+      }
+    }
+    return changes;
+  }
+
+  function retryPending(changes) {
+    let progress = true;
+    while (progress && pending.length > 0) {
+      progress = false;
+      for (let i = 0; i < pending.length; i++) {
+        const result = applyOperation(pending[i]);
+        if (result) {
+          changes.push(...result);
+          pending.splice(i, 1);
+          progress = true;
+          break;
+        }
+      }
+    }
+  }
+
+  function localInsert(position, insertText) {
+    if (!insertText) return null;
+    const itemIndex = itemIndexAt(position);
+    let previous = null;
+    for (let i = itemIndex - 1; i >= 0; i--) {
+      if (!items[i].deleted) {
+        previous = items[i];
+        break;
+      }
+    }
+    // Typed right after the visible character before the cursor; tombstones
+    // between don't matter, the new item's clock puts it first among them
+    const op = {
+      type: "insert",
+      client,
+      clock: clock + 1,
+      origin: previous ? { client: previous.client, clock: previous.clock } : null,
+      text: insertText,
+    };
+    applyOperation(op);
+    return op;
+  }
+
+  function localDelete(position, count) {
+    if (count <= 0) return null;
+    const ranges = [];
+    let found = 0;
+    let visible = 0;
+    for (const item of items) {
+      if (item.deleted) continue;
+      if (visible >= position && found < count) {
+        const last = ranges[ranges.length - 1];
+        if (last && last[0] === item.client && last[1] + last[2] === item.clock) {
+          last[2]++;
+        } else {
+          ranges.push([item.client, item.clock, 1]);
+        }
+        found++;
+      }
+      visible++;
+      if (found === count) break;
+    }
+    const op = { type: "delete", ranges };
+    applyOperation(op);
+    return op;
+  }
+
+  seed(initialText);
+
+  return {
+    client,
+    seed: getSeedClient(initialText),
+
+    getText() {
+      return text;
+    },
+
+    // Local edits; each returns the operation to send to the other replicas
+    insert: localInsert,
+    delete: localDelete,
+
+    // Replace the whole text with `newText`, as the smallest single edit
+    setText(newText) {
+      const change = diffText(text, newText);
+      if (!change) return [];
+      const ops = [];
+      const deleted = localDelete(change.index, change.deleteCount);
+      if (deleted) ops.push(deleted);
+      const inserted = localInsert(change.index, change.text);
+      if (inserted) ops.push(inserted);
+      return ops;
+    },
+
+    // A remote operation; returns the text changes it made (none while it waits
+    // for operations it depends on)
+    apply(op) {
+      const changes = applyOperation(op);
+      if (!changes) {
+        pending.push(op);
+        return [];
+      }
+      retryPending(changes);
+      return coalesce(changes);
+    },
+
+    getState() {
+      const runs = [];
+      let run = null;
+      let previous = null;
+      for (const item of items) {
+        const continues = run && previous && item.client === run.client && item.clock === previous.clock + 1 &&
+          item.origin?.client === previous.client && item.origin?.clock === previous.clock &&
+          item.deleted === run.deleted;
+        if (continues) {
+          run.text += item.char;
+        } else {
+          run = { client: item.client, clock: item.clock, origin: item.origin, text: item.char, deleted: item.deleted };
+          runs.push(run);
+        }
+        previous = item;
+      }
+      return runs;
+    },
+
+    // Merge another replica's state; returns the text changes. A whole document
+    // may arrive at once, so the text is rebuilt once and reported as one change
+    applyState(runs) {
+      const before = text;
+      for (const run of runs) {
+        for (const item of runItems(run)) {
+          // A state lists items in document order, so origins always come first
+          if (integrate(item, true) === null && item.deleted) {
+            byId.get(idKey(item.client, item.clock)).deleted = true;
+          }
+        }
+      }
+      text = items.filter(item => !item.deleted).map(item => item.char).join("");
+      lastPosition = -1;
+
+      const changes = [];
+      const change = diffText(before, text);
+      if (change) changes.push(change);
+      retryPending(changes);
+      return coalesce(changes);
+    },
+
+    // Cursor positions that move with the text: the id of the character before
+    // it (null at the start) and back
+    getAnchor(position) {
+      if (position <= 0) return null;
+      const item = items[itemIndexAt(position - 1)];
+      return item ? { client: item.client, clock: item.clock } : null;
+    },
+
+    resolveAnchor(anchor) {
+      if (!anchor) return 0;
+      const item = byId.get(idKey(anchor.client, anchor.clock));
+      if (!item) return 0;
+      const index = indexOfItem(item);
+      return visibleIndex(index) + (item.deleted ? 0 : 1);
+    },
+  };
+}
@@ -0,0 +1,133 @@
+// Export Module for Typst Web Editor
+// Turns compiled artifacts into downloadable PDF, per-page SVG and PNG files
+// (PNG pages are rasterized by the compiler worker; parsePageRange is shared with it)
+
+import { createZip } from "./zip.js";
+
+// Parse a page range like "1-3, 5, 8-" into sorted 1-based page numbers
+// An empty range (or "all") selects every page
+export function parsePageRange(rangeText, totalPages) {
+  const text = (rangeText || "").trim().toLowerCase();
+  if (!text || text === "all") {
+    return Array.from({ length: totalPages }, (_, i) => i + 1);
+  }
+
+  const pages = new Set();
+  for (const part of text.split(",")) {
+    const token = part.trim();
+    if (!token) continue;
+
+    const match = token.match(/^(\d*)\s*-\s*(\d*)$/);
+    if (match) {
+      const start = match[1] ? parseInt(match[1], 10) : 1;
+      const end = match[2] ? parseInt(match[2], 10) : totalPages;
+      if (start > end) {
+        throw new Error(`Invalid page range "${token}"`);
+      }
+      for (let page = start; page <= end; page++) {
+        pages.add(page);
+      }
+    } else if (/^\d+$/.test(token)) {
+      pages.add(parseInt(token, 10));
+    } else {
+      throw new Error(`Invalid page range "${token}"`);
+    }
+  }
+
+  const result = Array.from(pages).filter(page => page >= 1 && page <= totalPages).sort((a, b) => a - b);
+  if (result.length === 0) {
+    throw new Error(`No pages in range (document has ${totalPages} page${totalPages === 1 ? "" : "s"})`);
+  }
+  return result;
+}
+
+// The pages of the single-document SVG typst.ts produces, as
+// [{ tid, width, height, toSvg() }]. `tid` is typst.ts's content hash of the
+// page; toSvg() builds the page as a standalone SVG from a shallow copy of the
+// root, the shared defs and styles, and that page's group alone, so callers can
+// skip the pages they already have
+export function getSvgPages(svgText) {
+  const doc = new DOMParser().parseFromString(svgText, "image/svg+xml");
+  const root = doc.documentElement;
+  if (root.querySelector("parsererror")) {
+    throw new Error("Failed to parse SVG output");
+  }
+
+  const pageGroups = [];
+  const shared = [];
+  for (const child of Array.from(root.children)) {
+    if (child.matches("g.typst-page")) {
+      pageGroups.push(child);
+    } else if (child.localName !== "script") {
+      shared.push(child);
+    }
+  }
+  const serializer = new XMLSerializer();
+
+  return pageGroups.map((group) => {
+    const width = parseFloat(group.getAttribute("data-page-width")) || 0;
+    const height = parseFloat(group.getAttribute("data-page-height")) || 0;
+
+    return {
+      tid: group.getAttribute("data-tid") || null,
+      width,
+      height,
+      toSvg() {
+        const pageRoot = root.cloneNode(false);
+        pageRoot.setAttribute("viewBox", `0 0 ${width} ${height}`);
+        pageRoot.setAttribute("width", `${width}`);
+        pageRoot.setAttribute("height", `${height}`);
+        pageRoot.setAttribute("data-width", `${width}`);
+        pageRoot.setAttribute("data-height", `${height}`);
+
+        const pageGroup = group.cloneNode(true);
+        pageGroup.setAttribute("transform", "translate(0, 0)");
+        pageRoot.append(...shared.map(node => node.cloneNode(true)), pageGroup);
+        pageRoot.querySelectorAll("script").forEach(el => el.remove());
+        return serializer.serializeToString(pageRoot);
+      },
+    };
+  });
+}
+
+// Split the single-document SVG produced by typst.ts into standalone page SVGs
+export function splitSvgPages(svgText) {
+  return getSvgPages(svgText).map(page => page.toSvg());
+}
+
+// Trigger a browser download for a Blob
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.style.display = "none";
+  document.body.appendChild(a);
+  a.click();
+
+  // Cleanup after a short delay
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
+// Download one file per page, or a single ZIP archive containing them
+export async function downloadPages(files, baseName, asZip) {
+  if (asZip) {
+    const entries = [];
+    for (const file of files) {
+      const data = file.data instanceof Blob ? new Uint8Array(await file.data.arrayBuffer()) : file.data;
+      entries.push({ name: file.name, data });
+    }
+    const blob = createZip(entries);
+    downloadBlob(blob, `${baseName}.zip`);
+    return;
+  }
+
+  // Stagger downloads so browsers don't drop them
+  files.forEach((file, i) => {
+    const blob = file.data instanceof Blob ? file.data : new Blob([file.data], { type: file.mimeType });
+    setTimeout(() => downloadBlob(blob, file.name), i * 200);
+  });
+}
@@ -0,0 +1,152 @@
+// Folder Sync Module for Typst Web Editor
+// Keeps a project in step with a directory on disk through the File System
+// Access API: the folder is read into the project when opened, edits are
+// written back, and files other programs change (a text editor, git) are
+// picked up on the next sync. Both sides are storage providers (see storage.js).
+
+// Hidden entries (".git", ".DS_Store", ...) and these are never synced
+const IGNORED_NAMES = new Set(["node_modules"]);
+
+// Refuse folders larger than this rather than copying a whole disk into IndexedDB
+const MAX_FILES = 2000;
+
+export function isFolderAccessSupported() {
+  return typeof window.showDirectoryPicker === "function";
+}
+
+// Ask the user for a folder; rejects with an "AbortError" when they cancel
+export function pickFolder() {
+  return window.showDirectoryPicker({ id: "typst-project", mode: "readwrite" });
+}
+
+// Whether the page may read and write a folder it stored a handle for. With
+// `request` the browser asks the user, which only works during a click
+export async function hasFolderAccess(handle, request = false) {
+  const options = { mode: "readwrite" };
+  if ((await handle.queryPermission(options)) === "granted") return true;
+  return request && (await handle.requestPermission(options)) === "granted";
+}
+
+// Storage provider over a FileSystemDirectoryHandle
+export function createFolderProvider(root) {
+  const getStamp = (file) => `${file.size}:${file.lastModified}`;
+
+  async function getParent(path, create) {
+    const parts = path.split("/");
+    let directory = root;
+    for (const part of parts.slice(0, -1)) {
+      directory = await directory.getDirectoryHandle(part, { create });
+    }
+    return { directory, name: parts[parts.length - 1] };
+  }
+
+  return {
+    kind: "folder",
+    name: root.name,
+
+    async listFiles() {
+      const stamps = new Map();
+      const walk = async (directory, prefix) => {
+        for await (const [name, handle] of directory.entries()) {
+          if (name.startsWith(".") || IGNORED_NAMES.has(name)) continue;
+          if (handle.kind === "directory") {
+            await walk(handle, `${prefix}${name}/`);
+            continue;
+          }
+          if (stamps.size >= MAX_FILES) {
+            throw new Error(`"${root.name}" has more than ${MAX_FILES} files`);
+          }
+          stamps.set(prefix + name, getStamp(await handle.getFile()));
+        }
+      };
+      await walk(root, "");
+      return stamps;
+    },
+
+    async readFile(path) {
+      const { directory, name } = await getParent(path, false);
+      const file = await (await directory.getFileHandle(name)).getFile();
+      return new Uint8Array(await file.arrayBuffer());
+    },
+
+    async writeFile(path, data) {
+      const { directory, name } = await getParent(path, true);
+      const handle = await directory.getFileHandle(name, { create: true });
+      const writable = await handle.createWritable();
+      await writable.write(data);
+      await writable.close();
+      return getStamp(await handle.getFile());
+    },
+
+    async deleteFile(path) {
+      try {
+        const { directory, name } = await getParent(path, false);
+        await directory.removeEntry(name);
+      } catch (e) {
+        if (e.name !== "NotFoundError") throw e;
+      }
+    },
+  };
+}
+
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+// Two-way sync between a project's working copy (`local`) and its folder
+// (`remote`). `known` maps each path to the { local, remote } stamps it had
+// after the last sync; it is updated in place, and the caller keeps it so a
+// reload carries on where the last sync stopped.
+//
+// Whichever side changed a file since then is copied to the other. A file
+// changed on both sides takes the folder's version; the local bytes it replaced
+// are returned in `conflicts` so the caller can keep them. A file deleted from
+// the folder but edited here is written back. Resolves to
+// { pulled: [path], pushed: [path], conflicts: [{ path, data }] }
+export async function syncFolder(local, remote, known) {
+  const [localStamps, remoteStamps] = await Promise.all([local.listFiles(), remote.listFiles()]);
+  const result = { pulled: [], pushed: [], conflicts: [] };
+  const paths = new Set([...localStamps.keys(), ...remoteStamps.keys(), ...Object.keys(known)]);
+
+  for (const path of paths) {
+    const last = known[path];
+    const localStamp = localStamps.get(path);
+    const remoteStamp = remoteStamps.get(path);
+    const localChanged = localStamp !== last?.local;
+    const remoteChanged = remoteStamp !== last?.remote;
+    if (!localChanged && !remoteChanged) continue;
+
+    if (remoteChanged && (remoteStamp !== undefined || !localChanged)) {
+      // Take the folder's version, or its deletion
+      if (remoteStamp === undefined) {
+        if (localStamp !== undefined) await local.deleteFile(path);
+        delete known[path];
+        result.pulled.push(path);
+        continue;
+      }
+
+      const data = await remote.readFile(path);
+      if (localChanged && localStamp !== undefined) {
+        const localData = await local.readFile(path);
+        if (sameBytes(localData, data)) {
+          // Both sides already agree (e.g. a project reconnected to its folder)
+          known[path] = { local: localStamp, remote: remoteStamp };
+          continue;
+        }
+        result.conflicts.push({ path, data: localData });
+      }
+      known[path] = { local: await local.writeFile(path, data, localStamp), remote: remoteStamp };
+      result.pulled.push(path);
+    } else if (localStamp === undefined) {
+      await remote.deleteFile(path);
+      delete known[path];
+      result.pushed.push(path);
+    } else {
+      const data = await local.readFile(path);
+      known[path] = { local: localStamp, remote: await remote.writeFile(path, data) };
+      result.pushed.push(path);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,85 @@
+// Version History Module for Typst Web Editor
+// Keeps snapshots of each document in IndexedDB: periodic ones taken while
+// auto-saving, which thin out with age, and named ones kept until deleted
+
+import { saveSnapshot, getSnapshots, deleteSnapshot } from "./storage.js";
+
+// Take at most one automatic snapshot per document this often (ms)
+export const SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Automatic snapshots younger than `maxAge` keep one per `spacing` (0 keeps
+// them all); older ones are dropped
+const RETENTION = [
+  { maxAge: DAY, spacing: 0 },
+  { maxAge: 7 * DAY, spacing: HOUR },
+  { maxAge: 30 * DAY, spacing: DAY },
+];
+
+// Newest snapshot per document, so auto-saves don't read the store every time
+const latestSnapshots = new Map();
+
+async function getLatestSnapshot(documentId) {
+  if (!latestSnapshots.has(documentId)) {
+    const [latest = null] = await getSnapshots(documentId);
+    latestSnapshots.set(documentId, latest);
+  }
+  return latestSnapshots.get(documentId);
+}
+
+// Snapshot the content an auto-save is about to overwrite, once per interval
+export async function recordSnapshot(documentId, content) {
+  const latest = await getLatestSnapshot(documentId);
+  if (latest && Date.now() - latest.createdAt < SNAPSHOT_INTERVAL) return null;
+  return takeSnapshot(documentId, content);
+}
+
+// Snapshot a document now. Unnamed snapshots of unchanged content are skipped
+export async function takeSnapshot(documentId, content, { name = "", reason = "auto" } = {}) {
+  const latest = await getLatestSnapshot(documentId);
+  if (!name && latest && latest.content === content) return null;
+
+  const snapshot = { documentId, content, name, reason, createdAt: Date.now() };
+  snapshot.id = await saveSnapshot(snapshot);
+  latestSnapshots.set(documentId, snapshot);
+
+  await pruneSnapshots(documentId);
+  return snapshot;
+}
+
+export async function removeSnapshot(snapshot) {
+  await deleteSnapshot(snapshot.id);
+  latestSnapshots.delete(snapshot.documentId);
+}
+
+async function pruneSnapshots(documentId) {
+  const expired = getExpiredSnapshots(await getSnapshots(documentId));
+  for (const snapshot of expired) {
+    await deleteSnapshot(snapshot.id);
+  }
+}
+
+// Snapshots the retention policy drops: named ones never expire, and of the
+// automatic ones only the newest in each spacing bucket survives
+export function getExpiredSnapshots(snapshots, now = Date.now()) {
+  const keptBuckets = new Set();
+  const newestFirst = [...snapshots].sort((a, b) => b.createdAt - a.createdAt);
+
+  return newestFirst.filter(snapshot => {
+    if (snapshot.name) return false;
+
+    const age = now - snapshot.createdAt;
+    const tier = RETENTION.findIndex(rule => age < rule.maxAge);
+    if (tier === -1) return true;
+
+    const { spacing } = RETENTION[tier];
+    if (spacing === 0) return false;
+
+    const bucket = `${tier}:${Math.floor(snapshot.createdAt / spacing)}`;
+    if (keptBuckets.has(bucket)) return true;
+    keptBuckets.add(bucket);
+    return false;
+  });
+}
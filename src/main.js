@@ -1,5 +1,7 @@
 import * as pdfjsLib from "pdfjs-dist";
 import pdfjsWorker from "pdfjs-dist/build/pdf.worker.mjs?url";
+import typstCompilerWasmUrl from "@myriaddreamin/typst-ts-web-compiler/pkg/typst_ts_web_compiler_bg.wasm?url";
+import typstRendererWasmUrl from "@myriaddreamin/typst-ts-renderer/pkg/typst_ts_renderer_bg.wasm?url";
 
 // Tell pdf.js where to find the worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker;
@@ -16,11 +18,24 @@ self.MonacoEnvironment = {
 };
 
 // Import our modules
-import { registerTypstLanguage, updateCustomFonts } from "./typst-language.js";
-import { initStorage, saveDocument, getDocument, getAllDocuments, deleteDocument, getMostRecentDocument, saveFile, getFile, getAllFiles, deleteFile, fileToArrayBuffer } from "./storage.js";
+import { registerTypstLanguage, updateCustomFonts, updateCitations } from "./typst-language.js";
+import { initStorage, saveDocument, getDocument, getAllDocuments, deleteDocument, getMostRecentDocument, saveProject, getAllProjects, deleteProject, saveFile, getAllFiles, deleteFile, GLOBAL_FILES, savePackage, getAllPackages, deletePackage, fileToArrayBuffer, readDatabaseBackup, deleteDatabase, getSnapshots, getProjectDocuments, saveCommentThread, getCommentThreads, deleteCommentThread, saveSuggestions, getSuggestions, deleteSuggestions, createIndexedDBProvider, isDocumentPath, generateDocumentId, generateProjectId, getFileType, STORES } from "./storage.js";
+import { recordSnapshot, takeSnapshot, removeSnapshot } from "./history.js";
+import { initTabSync, setOpenDocument, announceSave, countTabsWith } from "./tabs.js";
+import { isFolderAccessSupported, pickFolder, hasFolderAccess, createFolderProvider, syncFolder } from "./folder-sync.js";
+import { startRemoteSync, getRemoteStatus, syncRemoteNow } from "./remote-storage.js";
+import { joinSession, getTransports, USER_COLORS } from "./collab.js";
+import { createThread, addReply, setResolved, isDetached, relocateThread, toArchiveThreads, fromArchiveThreads } from "./comments.js";
+import { applySuggestions, locateSuggestions, suggestEdit, editDirectly, acceptSuggestion, acceptAllSuggestions, rejectSuggestion, rebaseSuggestions } from "./suggestions.js";
+import { diffText } from "./crdt.js";
 import { templates, getTemplate, getTemplateList } from "./templates.js";
 import { getSharedContent, hasSharedContent, clearShareParam, copyShareLink, getShareLinkInfo } from "./share.js";
 import { icons, getIcon } from "./icons.js";
+import { parsePageRange, getSvgPages, splitSvgPages, downloadBlob, downloadPages } from "./export.js";
+import { wordAt, countOccurrences, contextAt, locateWord, maskComments } from "./sync.js";
+import { isBibliographyFile, getBibliographyLanguage, parseBibliography, registerBibtexLanguage } from "./bibliography.js";
+import { createZip, readZip } from "./zip.js";
+import { DEFAULT_REGISTRY, findPackageImports, formatPackageSpec, getPackageKey, getPackageDependencies, parsePackageSpec, loadPackage } from "./packages.js";
 
 // =====================
 // CONSTANTS
@@ -31,6 +46,8 @@ const DEFAULT_ZOOM = 1.0;
 const MIN_ZOOM = 0.25;
 const MAX_ZOOM = 4.0;
 const ZOOM_STEP = 0.25;
+const PREVIEW_SCALE = 1.5; // CSS pixels per typst point at 100% zoom
+const DEFAULT_COMPILE_TIMEOUT = 30; // seconds, 0 disables the watchdog
 
 // =====================
 // STATE
@@ -38,20 +55,38 @@ const ZOOM_STEP = 0.25;
 let editor = null;
 let compilerWorker = null;
 let compileTimer = null;
+let packagesChanged = false; // The worker downloaded packages since the list was rendered
+let compileWatchdog = null;
+let latestCompileId = 0; // ID of the most recent compile request sent to the worker
+let latestCompileSource = null; // Source of that request
+let startedCompileSource = null; // Source the worker had when it last started compiling
+let lastAppliedCompileId = 0; // ID of the newest compile result applied to the preview
+let renderGeneration = 0; // Bumped on every renderPDF() so superseded renders stop early
+let pdfDocument = null; // pdf.js document currently shown in the canvas preview
+let pageObserver = null; // Tracks the current page
+let lazyRenderObserver = null; // Renders pages as they approach the viewport
+let pdfTextCache = null; // { pdf, runs } text positions of the canvas preview's document
+let exportRequestId = 0;
+let pendingExportRequests = new Map(); // export id -> { resolve, reject }
 let saveTimer = null;
 let currentFiles = new Map();
 let isInitialized = false;
 let currentPdfBuffer = null;
+let currentSvg = null; // Last compiled SVG when the vector preview is active
 let currentZoom = DEFAULT_ZOOM;
 let sidebarVisible = true;
 let currentPage = 1;
 let totalPages = 0;
-let compileStatus = "ready"; // ready, compiling, error
+let compileStatus = "ready"; // ready, compiling, error, cancelled
 let errorMessage = "";
+let lastCompileTime = null; // Compile latency (ms) reported by the worker
+let compilerLoadFailed = false; // True when the Typst WASM could not be loaded
 let errorDecorations = []; // Monaco editor decorations for error highlighting
 let currentFileName = "main.typ";
 let currentDocumentId = null;
-let documents = new Map(); // Map of documentId -> {id, name, content, updatedAt}
+let documents = new Map(); // Map of documentId -> {id, name, content, projectId, updatedAt}
+let projects = new Map(); // Map of projectId -> {id, name, mainFile, updatedAt}
+let currentProjectId = null;
 
 // Settings
 let settings = {
@@ -60,6 +95,16 @@ let settings = {
   minimap: false,
   lineNumbers: "on",
   theme: "system",
+  compileTimeout: DEFAULT_COMPILE_TIMEOUT,
+  previewMode: "canvas", // "canvas" (pdf.js) or "vector" (typst.ts SVG)
+  packageRegistry: DEFAULT_REGISTRY, // Base URL @namespace/name:version imports are fetched from
+  storageServer: "", // Base URL of a server implementing docs/storage-api.md; empty keeps everything in this browser
+  storageToken: "", // Sent to it as a bearer token
+  userName: "", // Signs review comments and is shown to the others in a live session
+  collabColor: "", // One of USER_COLORS, picked at random on the first join
+  collabTransport: "broadcast",
+  collabRelay: "ws://localhost:8788",
+  suggestionPreview: "suggested", // "suggested" compiles the open document with its suggestions, "original" without
 };
 
 // Editor mode: 'code' or 'visual'
@@ -67,6 +112,9 @@ let editorMode = 'code';
 let visualEditorContent = '';
 let isVisualEditorSyncing = false;
 
+// Set while text saved by another tab is swapped into the editor, so it isn't saved back
+let isApplyingExternalContent = false;
+
 // Auto-compile setting
 let autoCompile = true;
 
@@ -79,12 +127,15 @@ let loadedFonts = [];
 async function init() {
   // Register Typst language for Monaco
   registerTypstLanguage(monaco);
+  registerBibtexLanguage(monaco);
 
   // Initialize IndexedDB
+  let storageError = null;
   try {
     await initStorage();
     console.log("IndexedDB initialized");
   } catch (e) {
+    storageError = e;
     console.warn("IndexedDB not available, running without persistence:", e);
   }
 
@@ -99,15 +150,7 @@ async function init() {
   registerServiceWorker();
 
   // Initialize compiler worker
-  compilerWorker = new Worker(new URL("./compiler-worker.js", import.meta.url), {
-    type: "module",
-  });
-
-  compilerWorker.onmessage = handleCompilerMessage;
-  compilerWorker.onerror = (e) => {
-    console.error("[Main] Worker error:", e);
-    setCompileStatus("error", "Compiler worker error: " + (e.message || e));
-  };
+  startCompilerWorker();
 
   // Get initial content
   const initialContent = await getInitialContent();
@@ -122,7 +165,7 @@ async function init() {
   // Create editor
   editor = monaco.editor.create(document.getElementById("monaco-editor"), {
     value: initialContent,
-    language: "typst",
+    language: getEditorLanguage(currentFileName),
     theme: monacoTheme,
     automaticLayout: true,
     minimap: { enabled: settings.minimap },
@@ -140,12 +183,17 @@ async function init() {
   });
 
   // Setup event listeners
-  editor.getModel().onDidChangeContent(() => {
+  editor.getModel().onDidChangeContent((e) => {
     if (autoCompile) {
       clearTimeout(compileTimer);
-      compileTimer = setTimeout(() => compile(editor.getValue()), COMPILE_DELAY);
+      compileTimer = setTimeout(() => compile(getCompileSource()), COMPILE_DELAY);
     }
 
+    sendCollabEdit(e);
+    updateCommentRanges(e);
+    trackSuggestionEdit(e);
+
+    if (isApplyingExternalContent) return;
     clearTimeout(saveTimer);
     saveTimer = setTimeout(() => autoSave(), AUTO_SAVE_DELAY);
   });
@@ -153,27 +201,82 @@ async function init() {
   // Track cursor position
   editor.onDidChangeCursorPosition((e) => {
     updateCursorPosition(e.position);
+    if (hasSuggestionState()) renderSuggestions();
+  });
+  editor.onDidChangeCursorSelection(() => sendCollabPresence());
+
+  editor.addAction({
+    id: "typst.revealInPreview",
+    label: "Reveal in Preview",
+    keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Alt | monaco.KeyCode.KeyJ],
+    contextMenuGroupId: "navigation",
+    run: () => revealInPreview()
   });
 
-  // Load uploaded files into virtual filesystem
-  await loadFilesIntoVFS();
+  editor.addAction({
+    id: "typst.addComment",
+    label: "Add Comment",
+    keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Alt | monaco.KeyCode.KeyM],
+    contextMenuGroupId: "navigation",
+    run: () => startComment()
+  });
 
-  // Preload sample assets (images for templates)
-  await preloadSampleAssets();
+  onSuggestionContext = editor.createContextKey("typst.onSuggestion", false);
+  editor.addAction({
+    id: "typst.toggleSuggesting",
+    label: "Toggle Suggesting",
+    keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Alt | monaco.KeyMod.Shift | monaco.KeyCode.KeyS],
+    run: () => setSuggesting(!suggesting)
+  });
+  editor.addAction({
+    id: "typst.acceptSuggestion",
+    label: "Accept Suggestion",
+    precondition: "typst.onSuggestion",
+    contextMenuGroupId: "suggestions",
+    run: () => resolveCurrentSuggestion(true)
+  });
+  editor.addAction({
+    id: "typst.rejectSuggestion",
+    label: "Reject Suggestion",
+    precondition: "typst.onSuggestion",
+    contextMenuGroupId: "suggestions",
+    run: () => resolveCurrentSuggestion(false)
+  });
+
+  // Review comments and suggestions of the open document
+  setupCommentsPanel();
+  setupSuggestions();
+  loadComments();
+  loadSuggestions();
+
+  // Load the project's uploaded files and the sample images into the virtual filesystem
+  await loadProjectAssets();
 
   // Load saved fonts
   await loadSavedFonts();
 
+  // List cached packages
+  renderPackagesList();
+
   // Initial compile
-  compile(editor.getValue());
+  compile(getCompileSource());
 
   // Setup keyboard shortcuts
   setupKeyboardShortcuts();
 
   isInitialized = true;
 
-  // Show onboarding tutorial for first-time users
-  if (!localStorage.getItem('tutorialCompleted')) {
+  // Coordinate with other tabs editing the same documents
+  initTabSync({ onPeersChange: updateTabPresence, onRemoteSave: handleRemoteSave });
+
+  // A project opened from a folder syncs again once the browser allows it
+  connectFolder(projects.get(currentProjectId));
+  startServerSync();
+
+  if (storageError?.name === "StorageUpgradeError") {
+    showStorageRecoveryModal(storageError);
+  } else if (!localStorage.getItem('tutorialCompleted')) {
+    // Show onboarding tutorial for first-time users
     setTimeout(() => startOnboardingTutorial(), 500);
   }
 }
@@ -183,12 +286,18 @@ async function init() {
 // =====================
 async function loadAllDocuments() {
   try {
+    const allProjects = await getAllProjects();
+    projects.clear();
+    for (const project of allProjects) {
+      projects.set(project.id, project);
+    }
+
     const allDocs = await getAllDocuments();
     documents.clear();
     for (const doc of allDocs) {
       documents.set(doc.id, doc);
     }
-    console.log(`Loaded ${documents.size} documents`);
+    console.log(`Loaded ${projects.size} projects, ${documents.size} documents`);
   } catch (e) {
     console.warn("Failed to load documents:", e);
   }
@@ -202,7 +311,8 @@ async function getInitialContent() {
     const content = getSharedContent();
     if (content) {
       clearShareParam();
-      // Create a new document for shared content
+      // Create a new project for shared content
+      currentProjectId = createProject("Shared", "shared.typ").id;
       currentDocumentId = generateDocumentId();
       currentFileName = "shared.typ";
       return content;
@@ -212,16 +322,20 @@ async function getInitialContent() {
   try {
     const savedDoc = await getMostRecentDocument();
     if (savedDoc?.content) {
-      // Restore saved document
+      // Restore saved document (and the project it belongs to)
       currentDocumentId = savedDoc.id;
       currentFileName = savedDoc.name || "main.typ";
+      currentProjectId = projects.has(savedDoc.projectId)
+        ? savedDoc.projectId
+        : createProject(currentFileName.replace(/\.typ$/i, ""), currentFileName).id;
       return savedDoc.content;
     }
   } catch (e) {
     console.warn("Failed to load saved document:", e);
   }
 
-  // Create default document
+  // Create default project and document
+  currentProjectId = createProject("Untitled Project").id;
   currentDocumentId = generateDocumentId();
   currentFileName = "main.typ";
 
@@ -267,7 +381,14 @@ function registerServiceWorker() {
   if ("serviceWorker" in navigator) {
     navigator.serviceWorker
       .register("/sw.js")
-      .then((reg) => console.log("Service Worker registered:", reg.scope))
+      .then((reg) => {
+        console.log("Service Worker registered:", reg.scope);
+        return navigator.serviceWorker.ready;
+      })
+      .then((reg) => {
+        // The Typst WASM files have content-hashed URLs, so ask the worker to precache them
+        reg.active?.postMessage({ type: "precache", urls: [typstCompilerWasmUrl, typstRendererWasmUrl] });
+      })
       .catch((err) => console.warn("Service Worker registration failed:", err));
   }
 }
@@ -278,26 +399,221 @@ function registerServiceWorker() {
 async function autoSave() {
   if (!isInitialized || !currentDocumentId) return;
   try {
-    const content = editor.getValue();
-    await saveDocument(currentDocumentId, content, currentFileName);
-
-    // Update local documents map
-    documents.set(currentDocumentId, {
-      id: currentDocumentId,
-      name: currentFileName,
-      content: content,
-      updatedAt: Date.now()
-    });
+    const content = getDocumentContent();
+    saveMovedThreads();
+    saveSuggestionState();
+
+    // Keep the version this save overwrites in the document's history
+    const previous = documents.get(currentDocumentId);
+    if (previous && previous.content !== content) {
+      recordSnapshot(currentDocumentId, previous.content).catch(e => console.warn("[History] Snapshot failed:", e));
+    }
+
+    // Refuses to overwrite a save another tab made after the version this tab has
+    await storeDocument(currentDocumentId, content, currentFileName, currentProjectId, previous?.updatedAt);
+
+    // A new project is stored with its first save; after that it is saved
+    // wherever its own fields change, not on every auto-save
+    const project = projects.get(currentProjectId);
+    if (project && unsavedProjects.has(project.id)) {
+      await saveProject(project);
+      unsavedProjects.delete(project.id);
+    }
+
+    if (isBibliographyFile(currentFileName)) {
+      refreshCitations();
+    }
+
+    // Write the edit through to the project's folder
+    if (folderSync?.projectId === currentProjectId) {
+      runFolderSync();
+    }
   } catch (e) {
+    if (e.name === "DocumentConflictError") {
+      // In a live session the text here already has the other saves' edits
+      if (collab?.path === currentFileName) {
+        documents.set(e.stored.id, e.stored);
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(() => autoSave(), AUTO_SAVE_DELAY);
+        return;
+      }
+      showConflictModal(e.stored);
+      return;
+    }
     console.warn("Auto-save failed:", e);
   }
 }
 
+// Save a document, keep the local copy in step with the stored record and let
+// the other tabs know
+async function storeDocument(id, content, name, projectId, baseUpdatedAt = null) {
+  const doc = await saveDocument(id, content, name, projectId, baseUpdatedAt);
+  documents.set(id, doc);
+  announceSave(doc);
+  return doc;
+}
+
 // =====================
-// DOCUMENT ID GENERATION
+// CROSS-TAB SYNC
 // =====================
-function generateDocumentId() {
-  return 'doc-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+// Mark documents other tabs have open, in the file tree and the header
+function updateTabPresence() {
+  renderFileTree();
+
+  const badge = document.getElementById("doc-shared");
+  if (!badge) return;
+  const count = currentDocumentId ? countTabsWith(currentDocumentId) : 0;
+  badge.style.display = count > 0 ? "" : "none";
+  badge.title = count === 1
+    ? "Also open in another tab; its saves appear here"
+    : `Also open in ${count} other tabs; their saves appear here`;
+}
+
+// Another tab saved a document (or a sync brought it in: `source` "disk" or
+// "server"). Follow along when this tab shows it without unsaved edits of its
+// own; otherwise both versions go to the conflict prompt
+function handleRemoteSave(doc, source = "tab") {
+  const local = documents.get(doc.id);
+  if (local && local.updatedAt >= doc.updatedAt) return;
+
+  // Shared in a live session: the others' edits come in through it
+  if (collab?.projectId === doc.projectId && collab.session.hasDocument(doc.name)) {
+    documents.set(doc.id, doc);
+    return;
+  }
+
+  if (doc.id !== currentDocumentId) {
+    documents.set(doc.id, doc);
+    if (doc.projectId === currentProjectId) {
+      renderFileTree();
+    }
+    return;
+  }
+
+  const content = getDocumentContent();
+  if (content !== doc.content && local && content !== local.content) {
+    showConflictModal(doc, source);
+    return;
+  }
+
+  documents.set(doc.id, doc);
+  if (doc.name !== currentFileName) {
+    updateFileName(doc.name);
+  }
+  if (content !== doc.content) {
+    applyExternalContent(doc.content);
+    compile(getCompileSource());
+  }
+}
+
+// Swap in text that is already stored, keeping the cursor where it was (and
+// the document's pending suggestions on top of it)
+function applyExternalContent(content) {
+  const text = rebaseOpenSuggestions(content);
+  const position = editor.getPosition();
+  isApplyingExternalContent = true;
+  editor.executeEdits("sync", [{ range: editor.getModel().getFullModelRange(), text }]);
+  isApplyingExternalContent = false;
+  editor.setPosition(position);
+  renderSuggestions();
+
+  if (editorMode === 'visual') {
+    updateVisualEditor(text);
+  }
+}
+
+// Whether a content change swapped in a whole text (another document, a save
+// from elsewhere, a restored version) rather than editing the one there
+function replacesWholeText(e) {
+  const length = editor.getModel().getValueLength();
+  return e.isFlush || e.changes.some(change => change.rangeOffset === 0 && change.text.length === length);
+}
+
+// Newest save from the other tab while the conflict prompt is open
+let conflictStored = null;
+
+// Where the stored version in a conflict came from
+const CONFLICT_SOURCES = {
+  tab: { title: "Changed in Another Tab", change: "saved in another tab", theirs: "the other tab's version", action: "Use Other Tab's Version" },
+  disk: { title: "Changed on Disk", change: "changed on disk", theirs: "the version on disk", action: "Use Version on Disk" },
+  server: { title: "Changed on the Server", change: "changed on the storage server", theirs: "the server's version", action: "Use Server Version" },
+};
+
+// This tab has unsaved edits and another tab saved the same document. Show both
+// side by side; this tab's side stays editable so the two can be merged by hand
+function showConflictModal(stored, source = "tab") {
+  if (stored.id !== currentDocumentId) return;
+  clearTimeout(saveTimer);
+  conflictStored = stored;
+
+  // Already prompting: just compare against the newer save
+  if (document.getElementById("conflict-diff") && modalDiffEditor) {
+    modalDiffEditor.getModel().original.setValue(stored.content);
+    return;
+  }
+
+  const labels = CONFLICT_SOURCES[source];
+  const content = `
+    <div class="conflict-panel">
+      <p class="conflict-message">
+        "${escapeHtml(stored.name)}" was ${labels.change} after this tab loaded it.
+        Left is ${labels.theirs}, right is yours; edit the right side to combine them.
+        The version you don't keep stays in Version History.
+      </p>
+      <div class="history-diff" id="conflict-diff"></div>
+      <div class="confirm-actions">
+        <button class="btn" id="conflict-theirs">${labels.action}</button>
+        <button class="btn primary" id="conflict-mine">Keep Right Side</button>
+      </div>
+    </div>
+  `;
+
+  showModal(labels.title, content, "wide");
+  showModalDiff(document.getElementById("conflict-diff"), stored.content, getDocumentContent(), true);
+
+  document.getElementById("conflict-theirs").addEventListener("click", () => {
+    resolveConflict(conflictStored.content);
+  });
+  document.getElementById("conflict-mine").addEventListener("click", () => {
+    resolveConflict(modalDiffEditor.getModifiedEditor().getValue());
+  });
+}
+
+// Make `content` the document's text on top of the other tab's save
+async function resolveConflict(content) {
+  const stored = conflictStored;
+  const mine = getDocumentContent();
+  conflictStored = null;
+  closeModal();
+  if (stored.id !== currentDocumentId) return;
+
+  for (const version of new Set([mine, stored.content])) {
+    if (version !== content) {
+      takeSnapshot(stored.id, version, { reason: "conflict" }).catch(e => console.warn("[History] Snapshot failed:", e));
+    }
+  }
+
+  // Build on the other tab's save from here on
+  documents.set(stored.id, stored);
+
+  if (content === stored.content) {
+    applyExternalContent(content);
+    compile(getCompileSource());
+    return;
+  }
+
+  if (content !== mine && hasSuggestionState()) {
+    // The merge is a new original for the pending suggestions
+    applyExternalContent(content);
+  } else if (content !== mine) {
+    editor.pushUndoStop();
+    editor.executeEdits("merge", [{ range: editor.getModel().getFullModelRange(), text: content }]);
+    editor.pushUndoStop();
+    if (editorMode === 'visual') {
+      updateVisualEditor(content);
+    }
+  }
+  await autoSave();
 }
 
 // =====================
@@ -306,6 +622,11 @@ function generateDocumentId() {
 function updateFileName(newName) {
   currentFileName = newName;
 
+  // Bibliography files get their own highlighting
+  if (editor) {
+    monaco.editor.setModelLanguage(editor.getModel(), getEditorLanguage(newName));
+  }
+
   // Update header document name text
   const docNameText = document.querySelector("#doc-name .document-name-text");
   if (docNameText) {
@@ -329,68 +650,172 @@ function updateFileName(newName) {
     documents.set(currentDocumentId, doc);
   }
 
+  // Tell other tabs which document this one has open
+  setOpenDocument(currentDocumentId);
+  bindCollabDocument();
+  loadComments();
+  loadSuggestions();
+
   // Re-render file tree to reflect changes
-  renderFileTree();
+  updateTabPresence();
 }
 
 // =====================
 // MULTI-FILE MANAGEMENT
 // =====================
-function renderFileTree() {
-  const fileTree = document.getElementById("file-tree");
-  if (!fileTree) return;
+const TREE_DRAG_TYPE = "application/x-typst-tree-path";
+let collapsedFolders = new Set(); // Folder paths collapsed in the file tree
+
+// Build a nested folder tree from the project's documents, assets and folders
+function buildFileTree() {
+  const root = { name: "", path: "", folders: new Map(), files: [] };
+
+  const getFolder = (folderPath) => {
+    let node = root;
+    for (const segment of folderPath ? folderPath.split("/") : []) {
+      if (!node.folders.has(segment)) {
+        const path = node.path ? `${node.path}/${segment}` : segment;
+        node.folders.set(segment, { name: segment, path, folders: new Map(), files: [] });
+      }
+      node = node.folders.get(segment);
+    }
+    return node;
+  };
+
+  for (const folder of projects.get(currentProjectId)?.folders || []) {
+    getFolder(folder);
+  }
+  const projectDocs = getCurrentProjectDocs();
+  // A brand-new document isn't in the map until its first save
+  if (currentDocumentId && !documents.has(currentDocumentId)) {
+    projectDocs.push({ id: currentDocumentId, name: currentFileName });
+  }
+  for (const doc of projectDocs) {
+    getFolder(getParentPath(doc.name)).files.push({ kind: "document", path: doc.name, doc });
+  }
+  for (const path of currentFiles.keys()) {
+    getFolder(getParentPath(path)).files.push({ kind: "asset", path });
+  }
+
+  return root;
+}
 
-  // Sort documents by updatedAt (most recent first)
-  const sortedDocs = Array.from(documents.values()).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+function renderTreeNode(node, depth) {
+  const indent = `style="padding-left: ${10 + depth * 14}px"`;
+  const project = projects.get(currentProjectId);
 
-  if (sortedDocs.length === 0) {
-    // Show current unsaved document
-    fileTree.innerHTML = `
-      <div class="file-item active" data-id="${currentDocumentId}">
-        <span class="file-icon">${icons.fileTypst}</span>
-        <span class="file-name">${currentFileName}</span>
+  const folders = Array.from(node.folders.values()).sort((a, b) => a.name.localeCompare(b.name));
+  const files = node.files.sort((a, b) => a.path.localeCompare(b.path));
+
+  return folders.map(folder => {
+    const collapsed = collapsedFolders.has(folder.path);
+    return `
+      <div class="tree-folder ${collapsed ? 'collapsed' : ''}">
+        <div class="file-item folder-item" data-folder="${escapeHtml(folder.path)}" draggable="true" ${indent}>
+          <span class="folder-chevron">${icons.chevronDown}</span>
+          <span class="file-icon">${collapsed ? icons.folder : icons.folderOpen}</span>
+          <span class="file-name">${escapeHtml(folder.name)}</span>
+          <button class="icon-btn small tree-action" data-action="new-file" title="New File in Folder">${icons.filePlus}</button>
+          <button class="icon-btn small tree-action" data-action="rename" title="Rename Folder">${icons.edit}</button>
+          <button class="icon-btn small tree-action" data-action="delete-folder" title="Delete Folder">${icons.trash}</button>
+        </div>
+        <div class="tree-children">${renderTreeNode(folder, depth + 1)}</div>
       </div>
     `;
-  } else {
-    fileTree.innerHTML = sortedDocs.map(doc => `
-      <div class="file-item ${doc.id === currentDocumentId ? 'active' : ''}" data-id="${doc.id}">
-        <span class="file-icon">${icons.fileTypst}</span>
-        <span class="file-name">${doc.name || 'Untitled.typ'}</span>
-        <button class="icon-btn small delete-doc-btn" data-doc-id="${doc.id}" title="Delete">
-          ${icons.trash}
-        </button>
+  }).join('') + files.map(file => {
+    const isDocument = file.kind === "document";
+    const fileType = getFileType(file.path);
+    const icon = fileType === "bibliography" ? icons.book : isDocument ? icons.fileTypst : fileType === "image" ? icons.image : icons.file;
+    const isActive = isDocument && file.doc.id === currentDocumentId;
+    return `
+      <div class="file-item ${isActive ? 'active' : ''}" data-kind="${file.kind}" data-path="${escapeHtml(file.path)}" ${isDocument ? `data-id="${file.doc.id}"` : ''} draggable="true" ${indent}>
+        <span class="file-icon">${icon}</span>
+        <span class="file-name">${escapeHtml(getBaseName(file.path))}</span>
+        ${isDocument && countTabsWith(file.doc.id) > 0 ? `<span class="open-elsewhere-badge" title="Open in another tab">${icons.tabs}</span>` : ''}
+        ${isDocument ? renderCollabPresence(file.path) : ''}
+        ${!isDocument || !isTypstFile(file.path) ? '' : file.path === project?.mainFile
+          ? '<span class="main-file-badge" title="Main file (compiled entry point)">main</span>'
+          : `<button class="icon-btn small tree-action" data-action="set-main" title="Set as Main File">${icons.play}</button>`}
+        <button class="icon-btn small tree-action" data-action="rename" title="Rename">${icons.edit}</button>
+        <button class="icon-btn small tree-action" data-action="delete" title="Delete">${icons.trash}</button>
       </div>
-    `).join('');
-  }
+    `;
+  }).join('');
+}
 
-  // Add click handlers for switching documents
-  fileTree.querySelectorAll('.file-item').forEach(item => {
-    item.addEventListener('click', (e) => {
-      if (e.target.closest('.delete-doc-btn')) return; // Don't switch if clicking delete
-      const docId = item.dataset.id;
-      if (docId && docId !== currentDocumentId) {
-        switchDocument(docId);
-      }
-    });
-  });
+function renderFileTree() {
+  const fileTree = document.getElementById("file-tree");
+  if (!fileTree) return;
+
+  renderProjectSelect();
+  refreshCitations();
+  fileTree.innerHTML = renderTreeNode(buildFileTree(), 0);
 
-  // Add delete handlers - use event delegation for better reliability
-  fileTree.querySelectorAll('.delete-doc-btn').forEach(btn => {
-    btn.onclick = function(e) {
+  // One delegated handler survives every re-render
+  fileTree.onclick = (e) => {
+    const item = e.target.closest('.file-item');
+    if (!item) return;
+
+    const action = e.target.closest('.tree-action')?.dataset.action;
+    if (action) {
       e.preventDefault();
       e.stopPropagation();
-      const docId = this.getAttribute('data-doc-id');
-      if (docId) {
-        deleteDocumentHandler(docId);
+      handleTreeAction(action, item);
+      return;
+    }
+
+    if (item.dataset.folder !== undefined) {
+      toggleFolder(item.dataset.folder);
+      return;
+    }
+
+    const docId = item.dataset.id;
+    if (docId && docId !== currentDocumentId) {
+      switchDocument(docId);
+    }
+  };
+}
+
+function handleTreeAction(action, item) {
+  const folder = item.dataset.folder;
+  const path = item.dataset.path;
+
+  switch (action) {
+    case "new-file":
+      showNewFileModal(folder);
+      break;
+    case "rename":
+      showRenameModal(folder ?? path, folder !== undefined);
+      break;
+    case "delete-folder":
+      deleteFolderHandler(folder);
+      break;
+    case "set-main":
+      setMainFile(item.dataset.id);
+      break;
+    case "delete":
+      if (item.dataset.kind === "asset") {
+        deleteAssetHandler(path);
+      } else {
+        deleteDocumentHandler(item.dataset.id);
       }
-    };
-  });
+      break;
+  }
+}
+
+function toggleFolder(folderPath) {
+  if (collapsedFolders.has(folderPath)) {
+    collapsedFolders.delete(folderPath);
+  } else {
+    collapsedFolders.add(folderPath);
+  }
+  renderFileTree();
 }
 
-// Check if filename already exists
+// Check if filename already exists in the current project
 function isFileNameTaken(fileName, excludeDocId = null) {
-  for (const [docId, doc] of documents) {
-    if (excludeDocId && docId === excludeDocId) continue;
+  for (const doc of getCurrentProjectDocs()) {
+    if (excludeDocId && doc.id === excludeDocId) continue;
     if (doc.name && doc.name.toLowerCase() === fileName.toLowerCase()) {
       return true;
     }
@@ -430,8 +855,19 @@ async function switchDocument(docId) {
     return;
   }
 
-  // Switch to new document
-  currentDocumentId = docId;
+  openDocument(doc);
+  showToast(`Opened "${currentFileName}"`);
+}
+
+// Show a document in the editor (the caller saves the previous one)
+function openDocument(doc) {
+  // The rich text editor only understands Typst markup
+  if (editorMode === 'visual' && !isTypstFile(doc.name || '')) {
+    switchEditorMode('code');
+  }
+
+  currentDocumentId = doc.id;
+  currentProjectId = doc.projectId || currentProjectId;
   currentFileName = doc.name || 'Untitled.typ';
 
   // Update editor content
@@ -441,9 +877,7 @@ async function switchDocument(docId) {
   updateFileName(currentFileName);
 
   // Compile new content
-  compile(editor.getValue());
-
-  showToast(`Opened "${currentFileName}"`);
+  compile(getCompileSource());
 }
 
 function deleteDocumentHandler(docId) {
@@ -461,21 +895,7 @@ function deleteDocumentHandler(docId) {
       try {
         await deleteDocument(docId);
         documents.delete(docId);
-
-        // If we deleted the current document, switch to another or create new
-        if (docId === currentDocumentId) {
-          const remainingDocs = Array.from(documents.values());
-          if (remainingDocs.length > 0) {
-            // Switch to most recent remaining document
-            const mostRecent = remainingDocs.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))[0];
-            await switchDocument(mostRecent.id);
-          } else {
-            // Create a new blank document
-            createNewDocument('main.typ');
-          }
-        } else {
-          renderFileTree();
-        }
+        await handleDocumentsRemoved([doc]);
 
         showToast(`Deleted "${fileName}"`);
       } catch (e) {
@@ -486,6 +906,36 @@ function deleteDocumentHandler(docId) {
   );
 }
 
+// Keep the project consistent after documents were deleted: hand the entry
+// point over to another file and move off the open document if it went too
+async function handleDocumentsRemoved(removedDocs) {
+  const project = projects.get(currentProjectId);
+  const remainingDocs = getCurrentProjectDocs();
+  if (project && removedDocs.some(doc => doc.name === project.mainFile) && remainingDocs.length > 0) {
+    project.mainFile = remainingDocs.sort((a, b) => a.name.localeCompare(b.name))[0].name;
+    await saveProject(project);
+  }
+
+  // If we deleted the current document, switch to another or create new
+  if (removedDocs.some(doc => doc.id === currentDocumentId)) {
+    // Don't let the switch save the deleted document back
+    clearTimeout(saveTimer);
+    currentDocumentId = null;
+
+    if (remainingDocs.length > 0) {
+      // Switch to most recent remaining document
+      const mostRecent = remainingDocs.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))[0];
+      await switchDocument(mostRecent.id);
+    } else {
+      // Create a new blank document
+      createNewDocument('main.typ');
+    }
+  } else {
+    renderFileTree();
+    compile(getCompileSource());
+  }
+}
+
 // Custom confirmation modal
 function showConfirmModal(title, message, confirmText, onConfirm) {
   const content = `
@@ -510,6 +960,47 @@ function showConfirmModal(title, message, confirmText, onConfirm) {
   });
 }
 
+// Custom single-input modal
+function showPromptModal(title, label, value, confirmText, onSubmit) {
+  const content = `
+    <div class="new-file-form">
+      <div class="settings-group">
+        <label for="prompt-input">${label}</label>
+        <input type="text" id="prompt-input">
+      </div>
+      <div class="confirm-actions">
+        <button class="btn" id="prompt-cancel">Cancel</button>
+        <button class="btn primary" id="prompt-ok">${confirmText}</button>
+      </div>
+    </div>
+  `;
+
+  showModal(title, content);
+
+  const input = document.getElementById("prompt-input");
+  input.value = value;
+  input.focus();
+  input.select();
+
+  const submit = () => {
+    const result = input.value.trim();
+    if (!result) return;
+    closeModal();
+    onSubmit(result);
+  };
+
+  document.getElementById("prompt-cancel").addEventListener("click", () => {
+    closeModal();
+  });
+  document.getElementById("prompt-ok").addEventListener("click", submit);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      submit();
+    }
+  });
+}
+
 function createNewDocument(fileName) {
   // Save current document first
   if (currentDocumentId && editor && isInitialized) {
@@ -518,6 +1009,7 @@ function createNewDocument(fileName) {
 
   // Ensure unique filename
   const uniqueFileName = getUniqueFileName(fileName);
+  rememberFolder(getParentPath(uniqueFileName));
 
   // Generate new document
   currentDocumentId = generateDocumentId();
@@ -526,7 +1018,8 @@ function createNewDocument(fileName) {
   const newDoc = {
     id: currentDocumentId,
     name: currentFileName,
-    content: `= New Document\n\nStart writing here...\n`,
+    content: isBibliographyFile(currentFileName) ? "" : `= New Document\n\nStart writing here...\n`,
+    projectId: currentProjectId,
     updatedAt: Date.now()
   };
 
@@ -549,5456 +1042,9798 @@ function createNewDocument(fileName) {
 }
 
 // =====================
-// COMPILATION
+// PROJECTS
 // =====================
-function compile(source) {
-  setCompileStatus("compiling");
+// Create a project in memory; autoSave() persists it with its first document
+// Projects created here that haven't been stored yet
+const unsavedProjects = new Set();
+
+function createProject(name, mainFile = "main.typ") {
+  const project = {
+    id: generateProjectId(),
+    name,
+    mainFile,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  projects.set(project.id, project);
+  unsavedProjects.add(project.id);
+  return project;
+}
 
-  compilerWorker.postMessage({
-    type: "compile",
-    source,
-    files: Object.fromEntries(currentFiles),
-  });
+function getCurrentProjectDocs() {
+  return Array.from(documents.values()).filter(doc => doc.projectId === currentProjectId);
 }
 
-function handleCompilerMessage(event) {
-  const { type, ok, pdfBuffer, error, diagnostics } = event.data;
+// The file the compiler starts from; falls back to the open (or any) Typst file if the main file is gone
+function getMainFilePath() {
+  const mainFile = projects.get(currentProjectId)?.mainFile;
+  if (mainFile && (mainFile === currentFileName || getCurrentProjectDocs().some(doc => doc.name === mainFile))) {
+    return mainFile;
+  }
+  if (isTypstFile(currentFileName)) {
+    return currentFileName;
+  }
+  return getCurrentProjectDocs().find(doc => isTypstFile(doc.name))?.name || currentFileName;
+}
 
-  if (type === "compiled") {
-    if (!ok) {
-      setCompileStatus("error", error, diagnostics || []);
-      return;
-    }
+// Every text file of the current project by path, with the open file's live content
+function getProjectSources(activeSource) {
+  const sources = {};
+  for (const doc of getCurrentProjectDocs()) {
+    sources[doc.name] = doc.content || "";
+  }
+  sources[currentFileName] = activeSource;
+  return sources;
+}
 
-    if (!pdfBuffer) {
-      setCompileStatus("error", "Compilation produced no output", [{
-        severity: "error",
-        message: "Compilation produced no output",
-        file: "/main.typ",
-        line: null,
-        column: null,
-        hint: null,
-      }]);
-      return;
-    }
+// Add or overwrite a text file in the current project without opening it
+async function addProjectDocument(path, content) {
+  const existing = getCurrentProjectDocs().find(doc => doc.name === path);
+  const doc = {
+    id: existing ? existing.id : generateDocumentId(),
+    name: path,
+    content,
+    projectId: currentProjectId,
+    updatedAt: Date.now()
+  };
 
-    // Make a copy for export (pdf.js will detach the buffer it receives)
-    currentPdfBuffer = new Uint8Array(pdfBuffer).slice(0);
-    // Pass a separate copy to pdf.js for rendering
-    renderPDF(new Uint8Array(pdfBuffer));
-    setCompileStatus("ready");
+  documents.set(doc.id, doc);
+  rememberFolder(getParentPath(path));
+  await storeDocument(doc.id, content, path, currentProjectId);
+  if (doc.id === currentDocumentId) {
+    editor.setValue(content);
   }
+  return doc;
 }
 
-function setCompileStatus(status, error = "", diagnostics = []) {
-  compileStatus = status;
-  errorMessage = error;
-  updateStatusBar();
+// Feed citation completion from every .bib/.yml file in the project, including uploaded assets
+function refreshCitations() {
+  const citations = [];
+  const addEntries = (path, text) => {
+    for (const entry of parseBibliography(path, text)) {
+      citations.push({ ...entry, file: path });
+    }
+  };
 
-  const errorWindow = document.getElementById("error-window");
-  if (status === "error" && (error || diagnostics.length > 0)) {
-    showErrorWindow(error, diagnostics);
-    highlightErrorLines(diagnostics);
-  } else {
-    if (errorWindow) {
-      errorWindow.classList.remove("visible");
+  for (const doc of getCurrentProjectDocs()) {
+    if (!isBibliographyFile(doc.name)) continue;
+    addEntries(doc.name, doc.id === currentDocumentId && editor ? editor.getValue() : doc.content || "");
+  }
+  for (const [path, data] of currentFiles) {
+    if (isBibliographyFile(path)) {
+      addEntries(path, new TextDecoder().decode(data));
     }
-    clearErrorHighlights();
   }
+
+  updateCitations(citations);
 }
 
-// =====================
-// ERROR WINDOW
-// =====================
-function showErrorWindow(summary, diagnostics) {
-  const errorWindow = document.getElementById("error-window");
-  if (!errorWindow) return;
+// Projects, most recently edited first. Saving a document doesn't touch its
+// project's record (that is only saved when its own fields change), so a
+// project counts as edited when its record or any of its documents was saved
+function getProjectsByActivity() {
+  const activity = new Map(Array.from(projects.values(), project => [project.id, project.updatedAt || 0]));
+  for (const doc of documents.values()) {
+    if (activity.has(doc.projectId)) {
+      activity.set(doc.projectId, Math.max(activity.get(doc.projectId), doc.updatedAt || 0));
+    }
+  }
+  return Array.from(projects.values()).sort((a, b) => activity.get(b.id) - activity.get(a.id));
+}
 
-  const errorCount = diagnostics.filter(d => d.severity === "error").length;
-  const warningCount = diagnostics.filter(d => d.severity === "warning").length;
+function renderProjectSelect() {
+  const select = document.getElementById("project-select");
+  if (!select) return;
 
-  // Update header with counts
-  const headerText = errorWindow.querySelector(".error-window-title");
-  if (headerText) {
-    const parts = [];
-    if (errorCount > 0) parts.push(`${errorCount} Error${errorCount > 1 ? 's' : ''}`);
-    if (warningCount > 0) parts.push(`${warningCount} Warning${warningCount > 1 ? 's' : ''}`);
-    headerText.textContent = parts.length > 0 ? parts.join(', ') : 'Compilation Error';
-  }
+  const sortedProjects = getProjectsByActivity();
+  select.innerHTML = sortedProjects.map(project => `
+    <option value="${project.id}" ${project.id === currentProjectId ? "selected" : ""}>${escapeHtml(project.name)}</option>
+  `).join("");
+  updateFolderStatus();
+}
 
-  // Get source code for code snippets
-  const sourceCode = editor ? editor.getValue() : '';
-  const sourceLines = sourceCode.split('\n');
+async function setMainFile(docId) {
+  const doc = documents.get(docId);
+  const project = projects.get(currentProjectId);
+  if (!doc || !project) return;
 
-  // Render diagnostics list
-  const errorList = errorWindow.querySelector(".error-list");
-  if (errorList) {
-    errorList.innerHTML = diagnostics.map((d, index) => {
-      const severityIcon = d.severity === "warning" ? icons.warning : icons.error;
-      const severityClass = d.severity || "error";
-      const location = formatErrorLocation(d);
-      const hasLocation = d.line !== null;
+  project.mainFile = doc.name;
+  await saveProject(project);
+  renderFileTree();
+  compile(getCompileSource());
+  showToast(`"${doc.name}" is now the main file`);
+}
 
-      // Generate code snippet if we have line info
-      const codeSnippet = generateCodeSnippet(d, sourceLines);
+async function switchProject(projectId) {
+  if (projectId === currentProjectId) return;
 
-      return `
-        <div class="error-item ${severityClass} ${hasLocation ? 'clickable' : ''}"
-             data-index="${index}"
-             data-line="${d.line || ''}"
-             data-column="${d.column || ''}">
-          <div class="error-item-header">
-            <span class="error-severity-icon ${severityClass}">${severityIcon}</span>
-            <span class="error-message">${escapeHtml(d.message)}</span>
-          </div>
-          ${location ? `<div class="error-location">${escapeHtml(location)}</div>` : ''}
-          ${codeSnippet}
-          ${d.hint ? `<div class="error-hint"><span class="hint-label">Hint:</span> ${escapeHtml(d.hint)}</div>` : ''}
-        </div>
-      `;
-    }).join('');
+  const project = projects.get(projectId);
+  if (!project) {
+    showToast("Project not found");
+    return;
+  }
 
-    // Add click handlers for navigating to error locations
-    errorList.querySelectorAll('.error-item.clickable').forEach(item => {
-      item.addEventListener('click', () => {
-        const line = parseInt(item.dataset.line);
-        const column = parseInt(item.dataset.column) || 1;
-        if (!isNaN(line) && editor) {
-          editor.revealLineInCenter(line);
-          editor.setPosition({ lineNumber: line, column: column });
-          editor.focus();
-        }
-      });
-    });
+  if (currentDocumentId && editor) {
+    await autoSave();
   }
+  await disconnectFolder();
 
-  errorWindow.classList.add("visible");
-}
+  currentProjectId = projectId;
+  await loadProjectAssets();
+  const projectDocs = getCurrentProjectDocs();
+  const entry = projectDocs.find(doc => doc.name === project.mainFile) || projectDocs[0];
 
-// Generate a code snippet for an error diagnostic
-function generateCodeSnippet(diagnostic, sourceLines) {
-  if (diagnostic.line === null || diagnostic.line === undefined) return '';
+  if (entry) {
+    openDocument(entry);
+  } else {
+    // The previous project's document is already saved
+    currentDocumentId = null;
+    createNewDocument(project.mainFile || "main.typ");
+  }
 
-  const errorLine = diagnostic.line;
-  const startCol = diagnostic.column || 1;
-  const endCol = diagnostic.endColumn || (startCol + 1);
-  const endLine = diagnostic.endLine || errorLine;
+  showToast(`Opened project "${project.name}"`);
+  await connectFolder(project);
+}
 
-  // Show context: 1 line before, error lines, 1 line after
-  const contextBefore = 1;
-  const contextAfter = 1;
-  const startLineIdx = Math.max(0, errorLine - 1 - contextBefore);
-  const endLineIdx = Math.min(sourceLines.length - 1, endLine - 1 + contextAfter);
+function showNewProjectModal() {
+  const content = `
+    <div class="new-file-form">
+      <div class="settings-group">
+        <label for="new-project-name">Project Name</label>
+        <input type="text" id="new-project-name" value="Untitled Project" placeholder="Enter project name">
+      </div>
+      <div class="new-file-options">
+        <button class="btn primary" id="new-project-create">Create Project</button>
+      </div>
+      <div class="new-file-info">
+        <small>The project starts with a main.typ entry point. Your current document will be saved automatically.</small>
+      </div>
+    </div>
+  `;
 
-  let snippetHtml = '<div class="error-code-snippet">';
+  showModal("New Project", content);
 
-  for (let i = startLineIdx; i <= endLineIdx; i++) {
-    const lineNum = i + 1;
-    const lineContent = sourceLines[i] || '';
-    const isErrorLine = lineNum >= errorLine && lineNum <= endLine;
-    const lineClass = isErrorLine ? 'error-line' : '';
+  const nameInput = document.getElementById("new-project-name");
+  nameInput.focus();
+  nameInput.select();
 
-    // Escape HTML in line content
-    let displayContent = escapeHtml(lineContent) || ' '; // Use space for empty lines
+  const handleCreate = async () => {
+    const name = nameInput.value.trim() || "Untitled Project";
+    closeModal();
 
-    // Highlight the error portion on error lines
-    if (isErrorLine && lineNum === errorLine && startCol > 0) {
-      const before = escapeHtml(lineContent.substring(0, startCol - 1));
-      const errorEnd = lineNum === endLine ? endCol : lineContent.length + 1;
-      const errorPart = escapeHtml(lineContent.substring(startCol - 1, errorEnd - 1)) || ' ';
-      const after = escapeHtml(lineContent.substring(errorEnd - 1));
-      displayContent = `${before}<span class="error-highlight">${errorPart}</span>${after}`;
+    if (currentDocumentId && editor) {
+      await autoSave();
     }
+    await disconnectFolder();
 
-    snippetHtml += `
-      <div class="snippet-line ${lineClass}">
-        <span class="snippet-line-num">${lineNum}</span>
-        <span class="snippet-line-content">${displayContent}</span>
-      </div>
-    `;
-  }
-
-  // Add error indicator arrow
-  if (startCol > 0) {
-    const padding = ' '.repeat(startCol - 1);
-    const underline = '^'.repeat(Math.max(1, endCol - startCol));
-    snippetHtml += `
-      <div class="snippet-indicator">
-        <span class="snippet-line-num"></span>
-        <span class="snippet-indicator-arrow">${padding}${underline}</span>
-      </div>
-    `;
-  }
+    currentProjectId = createProject(name).id;
+    currentDocumentId = null;
+    await loadProjectAssets();
+    createNewDocument("main.typ");
+    showToast(`Created project "${name}"`);
+  };
 
-  snippetHtml += '</div>';
-  return snippetHtml;
+  document.getElementById("new-project-create").addEventListener("click", handleCreate);
+  nameInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      handleCreate();
+    }
+  });
 }
 
-function formatErrorLocation(diagnostic) {
-  if (diagnostic.line === null) return null;
+function deleteProjectHandler() {
+  const project = projects.get(currentProjectId);
+  if (!project) return;
 
-  let location = diagnostic.file || "/main.typ";
-  location += `:${diagnostic.line}`;
-  if (diagnostic.column !== null) {
-    location += `:${diagnostic.column}`;
-  }
-  return location;
-}
+  showConfirmModal(
+    "Delete Project",
+    `Are you sure you want to delete "${escapeHtml(project.name)}" and all of its files?<br><small>This action cannot be undone.${project.folder ? ` The folder "${escapeHtml(project.folder.handle.name)}" on disk is left as it is.` : ""}</small>`,
+    "Delete",
+    async () => {
+      try {
+        clearTimeout(saveTimer);
+        // Deleting the project must not reach the files in its folder
+        await disconnectFolder();
+        await deleteProject(project.id);
+        for (const doc of getCurrentProjectDocs()) {
+          documents.delete(doc.id);
+        }
+        projects.delete(project.id);
+        await openFallbackProject();
 
-function escapeHtml(text) {
-  if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+        showToast(`Deleted project "${project.name}"`);
+      } catch (e) {
+        console.error("Failed to delete project:", e);
+        showToast("Failed to delete project");
+      }
+    }
+  );
 }
 
-function toggleErrorWindow() {
-  const errorWindow = document.getElementById("error-window");
-  if (errorWindow) {
-    errorWindow.classList.toggle("visible");
+// The open project is gone: open the most recent other one, or start afresh
+async function openFallbackProject() {
+  // Nothing of the deleted project may be saved again
+  clearTimeout(saveTimer);
+  currentDocumentId = null;
+  currentProjectId = null;
+
+  const remainingProjects = getProjectsByActivity();
+  if (remainingProjects.length > 0) {
+    await switchProject(remainingProjects[0].id);
+  } else {
+    currentProjectId = createProject("Untitled Project").id;
+    await loadProjectAssets();
+    createNewDocument("main.typ");
   }
 }
 
 // =====================
-// ERROR LINE HIGHLIGHTING
+// FOLDERS
 // =====================
-function highlightErrorLines(diagnostics) {
-  console.log("[Main] highlightErrorLines called with:", JSON.stringify(diagnostics, null, 2));
+// Documents and assets are keyed by their path inside the project ("chapters/intro.typ");
+// folders are implied by those paths, and the project also remembers folders explicitly
+// so that empty ones survive
+function getParentPath(path) {
+  const slash = path.lastIndexOf("/");
+  return slash >= 0 ? path.substring(0, slash) : "";
+}
 
-  if (!editor) return;
+function getBaseName(path) {
+  return path.substring(path.lastIndexOf("/") + 1);
+}
 
-  const model = editor.getModel();
-  if (!model) return;
+function joinPath(folder, name) {
+  return folder ? `${folder}/${name}` : name;
+}
 
-  // Clear previous decorations
-  clearErrorHighlights();
+// Clean up a user-entered path; returns null for paths that would escape the project
+function normalizePath(path) {
+  const segments = path.replace(/\\/g, "/").split("/").map(segment => segment.trim()).filter(segment => segment && segment !== ".");
+  if (segments.length === 0 || segments.includes("..")) return null;
+  return segments.join("/");
+}
 
-  // Create Monaco markers (squiggly underlines)
-  const markers = diagnostics
-    .filter(d => d.line !== null && d.line !== undefined)
-    .map(d => {
-      const startLine = d.line;
-      const startCol = d.column || 1;
-      // If we have end position, use it; otherwise mark to end of line
-      const endLine = d.endLine || startLine;
-      const endCol = d.endColumn || model.getLineMaxColumn(endLine);
+// Whether anything (document, asset or folder) lives at or below a path
+function isPathTaken(path) {
+  const lower = path.toLowerCase();
+  const matches = (other) => {
+    const candidate = other.toLowerCase();
+    return candidate === lower || candidate.startsWith(lower + "/");
+  };
+  return getCurrentProjectDocs().some(doc => matches(doc.name))
+    || Array.from(currentFiles.keys()).some(matches)
+    || (projects.get(currentProjectId)?.folders || []).some(matches);
+}
 
-      const marker = {
-        severity: d.severity === "warning"
-          ? monaco.MarkerSeverity.Warning
-          : monaco.MarkerSeverity.Error,
-        startLineNumber: startLine,
-        startColumn: startCol,
-        endLineNumber: endLine,
-        endColumn: endCol,
-        message: d.message || "Error",
-        source: "typst"
-      };
+// Record a folder (and its parents) on a project; the caller saves the project
+function rememberFolder(folderPath, project = projects.get(currentProjectId)) {
+  if (!project || !folderPath) return;
 
-      console.log("[Main] Created marker:", marker);
-      return marker;
-    });
+  project.folders = project.folders || [];
+  const segments = folderPath.split("/");
+  for (let i = 1; i <= segments.length; i++) {
+    const path = segments.slice(0, i).join("/");
+    if (!project.folders.includes(path)) {
+      project.folders.push(path);
+    }
+  }
+}
 
-  console.log("[Main] Setting Monaco markers:", markers.length, "markers");
+function showNewFolderModal() {
+  showPromptModal("New Folder", "Folder Name", "", "Create Folder", async (name) => {
+    const folderPath = normalizePath(name);
+    if (!folderPath) {
+      showToast("Invalid folder name");
+      return;
+    }
+    if (isPathTaken(folderPath)) {
+      showToast(`"${folderPath}" already exists`);
+      return;
+    }
 
-  // Set markers (shows squiggly underlines)
-  monaco.editor.setModelMarkers(model, "typst", markers);
+    rememberFolder(folderPath);
+    await saveProject(projects.get(currentProjectId));
+    renderFileTree();
+  });
+}
 
-  // Also add line decorations for background highlighting
-  const newDecorations = diagnostics
-    .filter(d => d.line !== null && d.line !== undefined)
-    .map(d => {
-      const isWarning = d.severity === "warning";
-      return {
-        range: new monaco.Range(d.line, 1, d.line, 1),
-        options: {
-          isWholeLine: true,
-          className: isWarning ? 'editor-line-warning' : 'editor-line-error',
-          glyphMarginClassName: isWarning ? 'editor-glyph-warning' : 'editor-glyph-error',
-          overviewRuler: {
-            color: isWarning ? '#f59e0b' : '#ef4444',
-            position: monaco.editor.OverviewRulerLane.Right
-          }
-        }
-      };
-    });
+function showRenameModal(path, isFolder) {
+  const isDocument = !isFolder && getCurrentProjectDocs().some(doc => doc.name === path);
 
-  // Apply line decorations
-  errorDecorations = editor.deltaDecorations([], newDecorations);
-}
+  showPromptModal(isFolder ? "Rename Folder" : "Rename File", "Name", getBaseName(path), "Rename", async (name) => {
+    if (name.includes("/") || name.includes("\\")) {
+      showToast("Drag items onto a folder to move them");
+      return;
+    }
 
-function clearErrorHighlights() {
-  if (!editor) return;
+    let newName = name;
+    if (isDocument && !isTypstFile(newName) && !isBibliographyFile(newName)) {
+      newName += ".typ";
+    }
 
-  // Clear Monaco markers
-  const model = editor.getModel();
-  if (model) {
-    monaco.editor.setModelMarkers(model, "typst", []);
-  }
+    const newPath = normalizePath(joinPath(getParentPath(path), newName));
+    if (!newPath) {
+      showToast("Invalid name");
+      return;
+    }
 
-  // Clear line decorations
-  errorDecorations = editor.deltaDecorations(errorDecorations, []);
+    if (await movePath(path, newPath)) {
+      showToast(`Renamed to "${getBaseName(newPath)}"`);
+    }
+  });
 }
 
-// =====================
-// PDF RENDERING
-// =====================
-async function renderPDF(buffer) {
-  const container = document.getElementById("pdf-pages");
-  container.innerHTML = "";
+// Move or rename a file or folder; every document, asset and folder below it follows.
+// Document names are their paths, so this updates IndexedDB and the compiler's view at once
+async function movePath(fromPath, toPath) {
+  if (fromPath === toPath) return false;
+  if (toPath.startsWith(fromPath + "/")) {
+    showToast("A folder can't be moved into itself");
+    return false;
+  }
+  // Renaming only the letter case of an item is fine; anything else must be free
+  if (fromPath.toLowerCase() !== toPath.toLowerCase() && isPathTaken(toPath)) {
+    showToast(`"${toPath}" already exists`);
+    return false;
+  }
+
+  const remap = (path) => {
+    if (path === fromPath) return toPath;
+    if (path.startsWith(fromPath + "/")) return toPath + path.substring(fromPath.length);
+    return null;
+  };
 
+  // Everything is stored under the new paths first, and only then does this tab
+  // follow; a failure part-way puts back what was already moved
+  const projectId = currentProjectId;
+  const movedDocs = [];
+  const movedAssets = [];
   try {
-    const pdf = await pdfjsLib.getDocument({ data: buffer }).promise;
-    totalPages = pdf.numPages;
-    updatePageInfo();
-
-    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-      const page = await pdf.getPage(pageNum);
-      const viewport = page.getViewport({ scale: currentZoom * 1.5 });
-
-      const pageWrapper = document.createElement("div");
-      pageWrapper.className = "pdf-page-wrapper";
-      pageWrapper.dataset.page = pageNum;
-
-      const canvas = document.createElement("canvas");
-      canvas.className = "pdf-page";
-      canvas.width = viewport.width;
-      canvas.height = viewport.height;
-
-      const ctx = canvas.getContext("2d");
-      await page.render({ canvasContext: ctx, viewport }).promise;
-
-      pageWrapper.appendChild(canvas);
-      container.appendChild(pageWrapper);
+    for (const [path, data] of Array.from(currentFiles)) {
+      const newPath = remap(path);
+      if (!newPath) continue;
+      await saveFile(newPath, data, getFileType(newPath), projectId);
+      movedAssets.push({ path, newPath, data });
+    }
+
+    for (const doc of getCurrentProjectDocs()) {
+      const newPath = remap(doc.name);
+      if (!newPath) continue;
+
+      // The open document's latest text lives in the editor
+      const content = doc.id === currentDocumentId ? getDocumentContent() : doc.content;
+      await storeDocument(doc.id, content, newPath, doc.projectId);
+      movedDocs.push({ doc, content });
+      // Auto-saves from here on go under the new name
+      if (doc.id === currentDocumentId) {
+        currentFileName = newPath;
+      }
     }
 
-    // Setup intersection observer for page tracking
-    setupPageTracking();
+    const project = projects.get(projectId);
+    if (project) {
+      const moved = {
+        ...project,
+        mainFile: remap(project.mainFile) || project.mainFile,
+        folders: (project.folders || []).map(folder => remap(folder) || folder),
+      };
+      rememberFolder(getParentPath(toPath), moved);
+      await saveProject(moved);
+      Object.assign(project, { mainFile: moved.mainFile, folders: moved.folders });
+    }
   } catch (e) {
-    console.error("PDF render error:", e);
-    setCompileStatus("error", "Failed to render PDF: " + e.message);
+    console.error("[Files] Move failed:", e);
+    await undoMove(projectId, movedDocs, movedAssets);
+    showToast(`Failed to move "${fromPath}"`);
+    return false;
   }
-}
-
-function setupPageTracking() {
-  const observer = new IntersectionObserver(
-    (entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          currentPage = parseInt(entry.target.dataset.page);
-          updatePageInfo();
-        }
-      });
-    },
-    { threshold: 0.5 }
-  );
-
-  document.querySelectorAll(".pdf-page-wrapper").forEach((el) => observer.observe(el));
-}
 
-function updatePageInfo() {
-  const pageInfo = document.getElementById("page-info");
-  if (pageInfo) {
-    pageInfo.textContent = `Page ${currentPage} of ${totalPages}`;
+  // The copies under the old paths go last; one left behind is only a stray asset
+  for (const { path, newPath, data } of movedAssets) {
+    currentFiles.delete(path);
+    currentFiles.set(newPath, data);
+    await deleteFile(path, projectId).catch(e => console.warn(`[Files] Failed to remove moved asset ${path}:`, e));
   }
-}
+  collapsedFolders = new Set(Array.from(collapsedFolders, folder => remap(folder) || folder));
 
-// =====================
-// ZOOM CONTROLS
-// =====================
-function zoomIn() {
-  console.log("Zoom in called, current:", currentZoom);
-  if (currentZoom < MAX_ZOOM) {
-    currentZoom = Math.min(currentZoom + ZOOM_STEP, MAX_ZOOM);
-    updateZoom();
-  }
+  // Refreshes the header, tab and file tree
+  updateFileName(currentFileName);
+  compile(getCompileSource());
+  return true;
 }
 
-function zoomOut() {
-  console.log("Zoom out called, current:", currentZoom);
-  if (currentZoom > MIN_ZOOM) {
-    currentZoom = Math.max(currentZoom - ZOOM_STEP, MIN_ZOOM);
-    updateZoom();
+// Put a failed move back: documents under their old names, and no asset copies
+// under the new paths. Whatever can't be undone, the tree is then read back from
+// storage, so it shows what is really there
+async function undoMove(projectId, movedDocs, movedAssets) {
+  try {
+    for (const { doc, content } of movedDocs) {
+      await storeDocument(doc.id, content, doc.name, doc.projectId);
+      if (doc.id === currentDocumentId) {
+        currentFileName = doc.name;
+      }
+    }
+    for (const { newPath } of movedAssets) {
+      await deleteFile(newPath, projectId);
+    }
+  } catch (e) {
+    console.error("[Files] Could not undo the failed move:", e);
+    if (projectId !== currentProjectId) return;
+    for (const doc of await getProjectDocuments(projectId)) {
+      documents.set(doc.id, doc);
+    }
+    currentFileName = documents.get(currentDocumentId)?.name || currentFileName;
+    await loadProjectAssets();
   }
+  updateFileName(currentFileName);
 }
 
-function resetZoom() {
-  currentZoom = DEFAULT_ZOOM;
-  updateZoom();
-}
+function deleteFolderHandler(folderPath) {
+  const inFolder = (path) => path.startsWith(folderPath + "/");
+  const docs = getCurrentProjectDocs().filter(doc => inFolder(doc.name));
+  const assets = Array.from(currentFiles.keys()).filter(inFolder);
+  const count = docs.length + assets.length;
 
-function fitWidth() {
-  const preview = document.getElementById("preview-content");
-  const container = document.getElementById("pdf-pages");
-  const firstPage = container.querySelector(".pdf-page");
+  showConfirmModal(
+    "Delete Folder",
+    `Are you sure you want to delete "${escapeHtml(folderPath)}"${count > 0 ? ` and the ${count} file${count === 1 ? "" : "s"} in it` : ""}?<br><small>This action cannot be undone.</small>`,
+    "Delete",
+    async () => {
+      try {
+        for (const doc of docs) {
+          await deleteDocument(doc.id);
+          documents.delete(doc.id);
+        }
+        for (const path of assets) {
+          await deleteAssetHandler(path, false);
+        }
 
-  if (firstPage && preview) {
-    const availableWidth = preview.clientWidth - 48;
-    const pageWidth = firstPage.width / currentZoom / 1.5;
-    currentZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, availableWidth / pageWidth / 1.5));
-    updateZoom();
-  }
+        const project = projects.get(currentProjectId);
+        if (project) {
+          project.folders = (project.folders || []).filter(folder => folder !== folderPath && !inFolder(folder));
+          await saveProject(project);
+        }
+        collapsedFolders.delete(folderPath);
+
+        await handleDocumentsRemoved(docs);
+        showToast(`Deleted "${folderPath}"`);
+      } catch (e) {
+        console.error("Failed to delete folder:", e);
+        showToast("Failed to delete folder");
+      }
+    }
+  );
 }
 
-function updateZoom() {
-  console.log("Updating zoom to:", currentZoom);
-  const zoomDisplay = document.getElementById("zoom-level");
-  if (zoomDisplay) {
-    zoomDisplay.textContent = `${Math.round(currentZoom * 100)}%`;
-  }
+// Drag files and folders onto a folder (or onto empty space for the project root)
+// to move them; files dragged in from the desktop are uploaded into that folder
+function setupFileTreeDragDrop() {
+  const fileTree = document.getElementById("file-tree");
+  if (!fileTree) return;
 
-  if (currentPdfBuffer) {
-    // Pass a copy since pdf.js detaches the buffer
-    renderPDF(new Uint8Array(currentPdfBuffer));
-  }
-}
+  const getDropFolder = (target) => {
+    const item = target.closest(".file-item");
+    if (!item) return "";
+    return item.dataset.folder ?? getParentPath(item.dataset.path || "");
+  };
 
-// =====================
-// FORMATTING
-// =====================
-function insertFormatting(before, after = "") {
-  if (!editor) return;
+  const clearDropTarget = () => {
+    fileTree.classList.remove("drag-over");
+    fileTree.querySelectorAll(".drop-target").forEach(el => el.classList.remove("drop-target"));
+  };
 
-  const selection = editor.getSelection();
-  const selectedText = editor.getModel().getValueInRange(selection);
-  const newText = before + selectedText + after;
+  fileTree.addEventListener("dragstart", (e) => {
+    const item = e.target.closest(".file-item[draggable='true']");
+    if (!item) return;
+    e.dataTransfer.setData(TREE_DRAG_TYPE, item.dataset.folder ?? item.dataset.path);
+    e.dataTransfer.effectAllowed = "move";
+  });
 
-  editor.executeEdits("", [{
-    range: selection,
-    text: newText,
-    forceMoveMarkers: true
-  }]);
+  fileTree.addEventListener("dragover", (e) => {
+    const types = Array.from(e.dataTransfer.types);
+    const isUpload = types.includes("Files");
+    if (!isUpload && !types.includes(TREE_DRAG_TYPE)) return;
 
-  editor.focus();
-}
+    e.preventDefault();
+    e.dataTransfer.dropEffect = isUpload ? "copy" : "move";
 
-function setupFormattingButtons() {
-  // Text formatting
-  document.getElementById("fmt-bold").addEventListener("click", () => {
-    insertFormatting("*", "*");
+    clearDropTarget();
+    const folder = getDropFolder(e.target);
+    const folderItem = folder && fileTree.querySelector(`.folder-item[data-folder="${CSS.escape(folder)}"]`);
+    if (folderItem) {
+      folderItem.classList.add("drop-target");
+    } else {
+      fileTree.classList.add("drag-over");
+    }
   });
 
-  document.getElementById("fmt-italic").addEventListener("click", () => {
-    insertFormatting("_", "_");
+  fileTree.addEventListener("dragleave", (e) => {
+    if (!fileTree.contains(e.relatedTarget)) {
+      clearDropTarget();
+    }
   });
 
-  document.getElementById("fmt-underline").addEventListener("click", () => {
-    insertFormatting("#underline[", "]");
-  });
+  fileTree.addEventListener("drop", (e) => {
+    e.preventDefault();
+    clearDropTarget();
+    const folder = getDropFolder(e.target);
 
-  document.getElementById("fmt-strike").addEventListener("click", () => {
-    insertFormatting("#strike[", "]");
-  });
+    if (e.dataTransfer.files.length > 0) {
+      handleFileUpload({ dataTransfer: e.dataTransfer }, folder);
+      return;
+    }
 
-  // Script formatting
-  document.getElementById("fmt-subscript").addEventListener("click", () => {
-    insertFormatting("#sub[", "]");
+    const fromPath = e.dataTransfer.getData(TREE_DRAG_TYPE);
+    if (fromPath) {
+      movePath(fromPath, joinPath(folder, getBaseName(fromPath)));
+    }
   });
+}
 
-  document.getElementById("fmt-superscript").addEventListener("click", () => {
-    insertFormatting("#super[", "]");
-  });
+// =====================
+// PROJECT ARCHIVES
+// =====================
+// Written at the archive root; names the project and its entry file, and
+// holds the documents' review comments by path
+const PROJECT_MANIFEST = "typst-project.json";
+
+// Every document, stored asset and folder of the current project plus the
+// manifest. Bundled sample images go in only when a document refers to them
+async function downloadProjectZip() {
+  const project = projects.get(currentProjectId);
+  if (!project) return;
+
+  await autoSave();
+
+  const docs = getCurrentProjectDocs();
+  const entries = docs.map(doc => ({
+    name: doc.name,
+    data: doc.id === currentDocumentId ? getDocumentContent() : doc.content || "",
+  }));
+  const sources = entries.map(entry => entry.data);
+
+  let storedPaths = new Set();
+  try {
+    const files = await getAllFiles(currentProjectId);
+    storedPaths = new Set(files.map(file => file.path));
+  } catch (e) {
+    console.warn("[Archive] Failed to read stored files:", e);
+  }
+  for (const [path, data] of currentFiles) {
+    if (storedPaths.has(path) || sources.some(source => source.includes(path))) {
+      entries.push({ name: path, data });
+    }
+  }
 
-  // Structure formatting
-  document.getElementById("fmt-heading").addEventListener("click", () => {
-    const position = editor.getPosition();
-    const lineContent = editor.getModel().getLineContent(position.lineNumber);
-    if (lineContent.startsWith("=")) {
-      insertFormatting("=");
-    } else {
-      editor.executeEdits("", [{
-        range: { startLineNumber: position.lineNumber, startColumn: 1, endLineNumber: position.lineNumber, endColumn: 1 },
-        text: "= ",
-        forceMoveMarkers: true
-      }]);
+  // Empty folders are kept as directory entries
+  for (const folder of project.folders || []) {
+    if (!entries.some(entry => entry.name.startsWith(folder + "/"))) {
+      entries.push({ name: folder + "/", data: "" });
     }
-    editor.focus();
-  });
+  }
 
-  document.getElementById("fmt-heading2").addEventListener("click", () => {
-    const position = editor.getPosition();
-    editor.executeEdits("", [{
-      range: { startLineNumber: position.lineNumber, startColumn: 1, endLineNumber: position.lineNumber, endColumn: 1 },
-      text: "== ",
-      forceMoveMarkers: true
-    }]);
-    editor.focus();
-  });
+  const manifest = { name: project.name, main: getMainFilePath(), exportedAt: new Date().toISOString() };
+  const comments = {};
+  for (const doc of docs) {
+    try {
+      const threads = await getCommentThreads(doc.id);
+      if (threads.length > 0) comments[doc.name] = toArchiveThreads(threads);
+    } catch (e) {
+      console.warn("[Archive] Failed to read comments:", e);
+    }
+  }
+  if (Object.keys(comments).length > 0) manifest.comments = comments;
+  entries.unshift({ name: PROJECT_MANIFEST, data: JSON.stringify(manifest, null, 2) });
 
-  document.getElementById("fmt-list").addEventListener("click", () => {
-    const position = editor.getPosition();
-    editor.executeEdits("", [{
-      range: { startLineNumber: position.lineNumber, startColumn: 1, endLineNumber: position.lineNumber, endColumn: 1 },
-      text: "- ",
-      forceMoveMarkers: true
-    }]);
-    editor.focus();
-  });
+  const fileName = project.name.replace(/[\\/:*?"<>|]+/g, "-").trim() || "project";
+  downloadBlob(createZip(entries), `${fileName}.zip`);
+  showToast(`Downloaded "${project.name}" as ZIP`);
+}
 
-  document.getElementById("fmt-quote").addEventListener("click", () => {
-    insertFormatting("#quote[", "]");
-  });
+// Open a ZIP archive as a new project: Typst and bibliography sources become
+// documents, every other file is stored as an asset at the same path, and
+// folders (empty ones too) are kept
+async function importProjectZip(file) {
+  let entries;
+  try {
+    entries = await readZip(new Uint8Array(await file.arrayBuffer()));
+  } catch (e) {
+    console.error("[Archive] Failed to read ZIP:", e);
+    showToast(`Failed to open ${file.name}: ${e.message}`);
+    return;
+  }
 
-  // Alignment
-  document.getElementById("fmt-align-left").addEventListener("click", () => {
-    insertFormatting("#align(left)[", "]");
-  });
+  entries = stripArchiveRoot(entries.filter(entry => !entry.name.startsWith("__MACOSX/")));
+  const manifestEntry = entries.find(entry => entry.name === PROJECT_MANIFEST);
+  let manifest = {};
+  if (manifestEntry) {
+    try {
+      manifest = JSON.parse(new TextDecoder().decode(manifestEntry.data));
+    } catch (e) {
+      console.warn("[Archive] Ignoring unreadable manifest:", e);
+    }
+  }
 
-  document.getElementById("fmt-align-center").addEventListener("click", () => {
-    insertFormatting("#align(center)[", "]");
-  });
+  const project = createProject(manifest.name || file.name.replace(/\.zip$/i, "") || "Imported Project");
+  // Keeps a byte order mark, and refuses text that isn't UTF-8 so it is stored as a file instead
+  const decoder = new TextDecoder("utf-8", { fatal: true, ignoreBOM: true });
+  const docPaths = [];
+  let assetCount = 0;
 
-  document.getElementById("fmt-align-right").addEventListener("click", () => {
-    insertFormatting("#align(right)[", "]");
-  });
+  try {
+    for (const entry of entries) {
+      if (entry === manifestEntry) continue;
+      const path = normalizePath(entry.name);
+      if (!path) continue;
 
-  // Insert formatting
-  document.getElementById("fmt-link").addEventListener("click", () => {
-    const selection = editor.getSelection();
-    const selectedText = editor.getModel().getValueInRange(selection);
-    if (selectedText) {
-      insertFormatting('#link("', '")[' + selectedText + ']');
-    } else {
-      insertFormatting('#link("url")[', "text]");
+      if (entry.name.endsWith("/")) {
+        rememberFolder(path, project);
+        continue;
+      }
+      rememberFolder(getParentPath(path), project);
+
+      let text = null;
+      if (isDocumentPath(path)) {
+        try {
+          text = decoder.decode(entry.data);
+        } catch {
+          text = null;
+        }
+      }
+
+      if (text !== null) {
+        const docId = generateDocumentId();
+        await storeDocument(docId, text, path, project.id);
+        for (const thread of fromArchiveThreads(manifest.comments?.[path], docId)) {
+          await saveCommentThread(thread);
+        }
+        docPaths.push(path);
+      } else {
+        await saveFile(path, entry.data, getFileType(path), project.id);
+        assetCount++;
+      }
     }
-  });
 
-  document.getElementById("fmt-image").addEventListener("click", () => {
-    insertFormatting('#image("', '", width: 80%)');
-  });
+    project.mainFile = chooseMainFile(docPaths, manifest.main);
+    await saveProject(project);
+  } catch (e) {
+    console.error("[Archive] Import failed:", e);
+    showToast(`Failed to import ${file.name}`);
+    discardProject(project.id);
+    return;
+  }
 
-  document.getElementById("fmt-table").addEventListener("click", () => {
-    insertFormatting('#table(\n  columns: (1fr, 1fr),\n  [Header 1], [Header 2],\n  [Cell 1], [Cell 2],\n)', '');
-  });
+  await switchProject(project.id);
+  showToast(`Opened "${project.name}" (${docPaths.length} document${docPaths.length === 1 ? "" : "s"}, ${assetCount} file${assetCount === 1 ? "" : "s"})`);
+}
 
-  document.getElementById("fmt-code").addEventListener("click", () => {
-    insertFormatting("`", "`");
-  });
+// Archives packed from a folder hold everything inside it; open its contents
+function stripArchiveRoot(entries) {
+  const root = entries[0]?.name.split("/")[0];
+  if (!root || !entries.every(entry => entry.name.startsWith(root + "/"))) return entries;
+  return entries
+    .map(entry => ({ ...entry, name: entry.name.slice(root.length + 1) }))
+    .filter(entry => entry.name);
+}
 
-  document.getElementById("fmt-codeblock").addEventListener("click", () => {
-    insertFormatting('```\n', '\n```');
-  });
+// Entry point of an imported project: `preferred` if the project has it, then
+// main.typ, then the least nested Typst file
+function chooseMainFile(docPaths, preferred = null) {
+  const typstPaths = docPaths.filter(isTypstFile).sort((a, b) => a.split("/").length - b.split("/").length || a.localeCompare(b));
+  return [preferred, "main.typ"].find(path => typstPaths.includes(path)) || typstPaths[0] || "main.typ";
+}
 
-  document.getElementById("fmt-math").addEventListener("click", () => {
-    insertFormatting("$", "$");
-  });
+// Don't leave a half-imported project behind
+function discardProject(projectId) {
+  projects.delete(projectId);
+  for (const doc of Array.from(documents.values())) {
+    if (doc.projectId === projectId) documents.delete(doc.id);
+  }
+  deleteProject(projectId).catch(err => console.warn("[Projects] Cleanup failed:", err));
 }
 
 // =====================
-// VISUAL EDITOR
+// LOCAL FOLDERS
 // =====================
-function switchEditorMode(mode) {
-  if (mode === editorMode) return;
+// A project opened from a folder on disk keeps `project.folder = { handle, known }`:
+// the directory handle, which IndexedDB stores but the browser only lets the page
+// use again once the user allows it, and the stamps of the last sync (see
+// syncFolder). Its IndexedDB copy stays the working copy; while the project is
+// open it is synced with the folder after every save, and polled for changes
+// made by other programs
+
+// Listing a folder stats every file in it, so polls that find nothing new wait
+// twice as long each time, up to the maximum. A change, or coming back to the
+// tab (likely from the program that changed something), starts over
+const FOLDER_SYNC_INTERVAL = 2000;
+const FOLDER_SYNC_MAX_INTERVAL = 60000;
+
+// The open project's folder while it is connected: { projectId, local, remote, timer, delay, running, lastError }
+let folderSync = null;
+
+async function openLocalFolder() {
+  if (!isFolderAccessSupported()) {
+    showToast("Opening folders needs a browser with the File System Access API, such as Chrome or Edge");
+    return;
+  }
 
-  editorMode = mode;
+  let handle;
+  try {
+    handle = await pickFolder();
+  } catch (e) {
+    if (e.name !== "AbortError") {
+      console.error("[Folder] Could not open folder:", e);
+      showToast(`Could not open folder: ${e.message}`);
+    }
+    return;
+  }
 
-  const codeEditor = document.getElementById("monaco-editor");
-  const visualContainer = document.getElementById("visual-editor-container");
-  const btnCode = document.getElementById("btn-mode-code");
-  const btnVisual = document.getElementById("btn-mode-visual");
-  const modeToggle = document.querySelector(".editor-mode-toggle");
-
-  if (mode === 'visual') {
-    // Switch to visual mode
-    codeEditor.style.display = "none";
-    visualContainer.style.display = "flex";
-    btnCode.classList.remove("active");
-    btnVisual.classList.add("active");
-    modeToggle.classList.add("visual-active");
-
-    // Convert current code to visual HTML
-    const typstCode = editor.getValue();
-    updateVisualEditor(typstCode);
+  // The folder may already be a project
+  for (const project of projects.values()) {
+    if (project.folder && await project.folder.handle.isSameEntry(handle)) {
+      if (project.id === currentProjectId) {
+        await connectFolder(project);
+      } else {
+        await switchProject(project.id);
+      }
+      return;
+    }
+  }
 
-    showToast("Rich Text Editor");
-  } else {
-    // Switch to code mode
-    codeEditor.style.display = "block";
-    visualContainer.style.display = "none";
-    btnCode.classList.add("active");
-    btnVisual.classList.remove("active");
-    modeToggle.classList.remove("visual-active");
+  if (currentDocumentId && editor) {
+    await autoSave();
+  }
 
-    // Convert visual HTML back to Typst code
-    const visualEditor = document.getElementById("visual-editor");
-    const newTypstCode = htmlToTypst(visualEditor);
+  const project = createProject(handle.name);
+  project.folder = { handle, known: {} };
+  let stored;
 
-    if (newTypstCode !== editor.getValue()) {
-      isVisualEditorSyncing = true;
-      editor.setValue(newTypstCode);
-      isVisualEditorSyncing = false;
+  try {
+    const result = await syncFolder(createIndexedDBProvider(project.id), createFolderProvider(handle), project.folder.known);
+    for (const path of result.pulled) {
+      rememberFolder(getParentPath(path), project);
     }
 
-    editor.focus();
-    showToast("Source Editor");
+    stored = await getProjectDocuments(project.id);
+    for (const doc of stored) {
+      documents.set(doc.id, doc);
+    }
+    project.mainFile = chooseMainFile(stored.map(doc => doc.name));
+    await saveProject(project);
+  } catch (e) {
+    console.error("[Folder] Failed to read folder:", e);
+    showToast(`Failed to open ${handle.name}: ${e.message}`);
+    discardProject(project.id);
+    return;
   }
-}
 
-function updateVisualEditor(typstCode) {
-  const visualEditor = document.getElementById("visual-editor");
-  visualEditor.innerHTML = typstToHtml(typstCode);
-  updateVisualLineNumbers();
+  await switchProject(project.id);
+  const assetCount = Object.keys(project.folder.known).length - stored.length;
+  showToast(`Opened folder "${handle.name}" (${stored.length} document${stored.length === 1 ? "" : "s"}, ${assetCount} file${assetCount === 1 ? "" : "s"})`);
 }
 
-function updateVisualLineNumbers() {
-  const visualEditor = document.getElementById("visual-editor");
-  const lineNumbersContainer = document.getElementById("visual-line-numbers");
-
-  if (!visualEditor || !lineNumbersContainer) return;
-
-  // Count the number of child elements (each represents a line)
-  const children = visualEditor.children;
-  const lineCount = Math.max(children.length, 1);
+// Start syncing the open project with its folder. After a reload the browser
+// wants the user's permission first: `request` asks for it (only from a click),
+// otherwise the folder button offers to reconnect
+async function connectFolder(project, request = false) {
+  await disconnectFolder();
+  if (!project?.folder) return;
 
-  // Generate line numbers HTML
-  let lineNumbersHtml = '';
-  for (let i = 1; i <= lineCount; i++) {
-    lineNumbersHtml += `<div class="visual-line-number">${i}</div>`;
+  let granted = false;
+  try {
+    granted = await hasFolderAccess(project.folder.handle, request);
+  } catch (e) {
+    console.warn("[Folder] Permission check failed:", e);
+  }
+  if (!granted || project.id !== currentProjectId || folderSync) {
+    updateFolderStatus();
+    return;
   }
 
-  lineNumbersContainer.innerHTML = lineNumbersHtml;
-
-  // Sync scroll position
-  visualEditor.addEventListener('scroll', syncLineNumbersScroll);
+  folderSync = {
+    projectId: project.id,
+    local: createIndexedDBProvider(project.id),
+    remote: createFolderProvider(project.folder.handle),
+    timer: null,
+    delay: FOLDER_SYNC_INTERVAL,
+    running: null,
+    lastError: null,
+  };
+  updateFolderStatus();
+  await runFolderSync();
 }
 
-function syncLineNumbersScroll() {
-  const visualEditor = document.getElementById("visual-editor");
-  const lineNumbersContainer = document.getElementById("visual-line-numbers");
+// Stop syncing, after letting a sync in progress finish
+async function disconnectFolder() {
+  const sync = folderSync;
+  if (!sync) return;
 
-  if (lineNumbersContainer && visualEditor) {
-    lineNumbersContainer.scrollTop = visualEditor.scrollTop;
-  }
+  folderSync = null;
+  clearTimeout(sync.timer);
+  await sync.running;
+  updateFolderStatus();
 }
 
-// Convert Typst markup to HTML for visual editor
-function typstToHtml(typst) {
-  let html = typst;
+// One sync at a time; a save during a sync is picked up by the next one. Each
+// sync schedules the next poll
+function runFolderSync() {
+  const sync = folderSync;
+  if (!sync) return Promise.resolve();
+  if (!sync.running) {
+    clearTimeout(sync.timer);
+    sync.running = syncOpenFolder(sync).then((changed) => {
+      sync.delay = changed ? FOLDER_SYNC_INTERVAL : Math.min(sync.delay * 2, FOLDER_SYNC_MAX_INTERVAL);
+    }).catch((e) => {
+      // Saving or showing what was pulled failed; the timer and autoSave don't
+      // wait on this, so it ends here, logged once like a failed sync
+      if (sync.lastError !== e.message) {
+        console.warn("[Folder] Applying the sync failed:", e);
+      }
+      sync.lastError = e.message;
+    }).finally(() => {
+      sync.running = null;
+      if (folderSync === sync) {
+        sync.timer = setTimeout(runFolderSync, sync.delay);
+      }
+    });
+  }
+  return sync.running;
+}
 
-  // Process line by line for block elements
-  const lines = html.split('\n');
-  const processedLines = [];
-  let inCodeBlock = false;
-  let codeBlockContent = [];
-  let codeBlockLang = '';
-  let inMathBlock = false;
-  let mathBlockContent = [];
+function handleFolderVisibility() {
+  if (document.visibilityState !== "visible" || !folderSync) return;
+  folderSync.delay = FOLDER_SYNC_INTERVAL;
+  runFolderSync();
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    let line = lines[i];
+// Resolves to whether anything was copied either way
+async function syncOpenFolder(sync) {
+  const project = projects.get(sync.projectId);
+  if (!project?.folder) return false;
 
-    // Handle code blocks
-    if (line.trim().startsWith('```')) {
-      if (!inCodeBlock) {
-        inCodeBlock = true;
-        codeBlockLang = line.trim().slice(3);
-        codeBlockContent = [];
-        continue;
-      } else {
-        inCodeBlock = false;
-        processedLines.push(`<pre class="visual-code-block" data-lang="${escapeHtml(codeBlockLang)}"><code>${escapeHtml(codeBlockContent.join('\n'))}</code></pre>`);
-        continue;
+  let result;
+  try {
+    result = await syncFolder(sync.local, sync.remote, project.folder.known);
+  } catch (e) {
+    if (e.name === "NotAllowedError") {
+      // Access was taken back; the button offers to reconnect
+      if (folderSync === sync) {
+        folderSync = null;
+        clearTimeout(sync.timer);
+        updateFolderStatus();
       }
+      showToast(`Lost access to the folder "${project.folder.handle.name}"`);
+    } else if (sync.lastError !== e.message) {
+      // Retried on the next sync; only log it once
+      console.warn("[Folder] Sync failed:", e);
     }
+    sync.lastError = e.message;
+    return false;
+  }
 
-    if (inCodeBlock) {
-      codeBlockContent.push(line);
-      continue;
-    }
+  if (result.pulled.length === 0 && result.pushed.length === 0) {
+    sync.lastError = null;
+    return false;
+  }
+  await saveProject(project);
 
-    // Handle math blocks ($$...$$)
-    if (line.trim().startsWith('$ ') && line.trim().endsWith(' $') && line.trim().length > 4) {
-      // Display math block
-      const mathContent = line.trim().slice(2, -2).trim();
-      processedLines.push(`<div class="visual-math-block" data-math="${escapeHtml(mathContent)}">$ ${escapeHtml(mathContent)} $</div>`);
-      continue;
+  // Keep the edits a version from disk replaced in the document's history; files
+  // other than documents have no history, and take the folder's version
+  const decoder = new TextDecoder();
+  for (const { path, data } of result.conflicts) {
+    const doc = Array.from(documents.values()).find(doc => doc.projectId === project.id && doc.name === path);
+    if (doc) {
+      takeSnapshot(doc.id, decoder.decode(data), { reason: "conflict" }).catch(e => console.warn("[History] Snapshot failed:", e));
     }
+  }
 
-    // Headings
-    if (line.startsWith('= ')) {
-      processedLines.push(`<h1 class="visual-h1" data-level="1">${processInlineTypst(line.slice(2))}</h1>`);
-      continue;
-    }
-    if (line.startsWith('== ')) {
-      processedLines.push(`<h2 class="visual-h2" data-level="2">${processInlineTypst(line.slice(3))}</h2>`);
-      continue;
-    }
-    if (line.startsWith('=== ')) {
-      processedLines.push(`<h3 class="visual-h3" data-level="3">${processInlineTypst(line.slice(4))}</h3>`);
-      continue;
-    }
-    if (line.startsWith('==== ')) {
-      processedLines.push(`<h4 class="visual-h4" data-level="4">${processInlineTypst(line.slice(5))}</h4>`);
-      continue;
-    }
+  if (result.pulled.length > 0 && folderSync === sync && sync.projectId === currentProjectId) {
+    await showFolderChanges(result.pulled);
+  }
+  sync.lastError = null;
+  return true;
+}
 
-    // List items
-    if (line.match(/^- /)) {
-      processedLines.push(`<div class="visual-list-item" data-type="bullet"><span class="visual-bullet">•</span>${processInlineTypst(line.slice(2))}</div>`);
-      continue;
-    }
-    if (line.match(/^\+ /)) {
-      processedLines.push(`<div class="visual-list-item" data-type="enum"><span class="visual-enum"></span>${processInlineTypst(line.slice(2))}</div>`);
-      continue;
-    }
-    if (line.match(/^\d+\. /)) {
-      const match = line.match(/^(\d+)\. /);
-      processedLines.push(`<div class="visual-list-item" data-type="numbered" data-num="${match[1]}"><span class="visual-num">${match[1]}.</span>${processInlineTypst(line.slice(match[0].length))}</div>`);
-      continue;
-    }
+// Bring files changed on disk into the editor, the file tree and the preview
+async function showFolderChanges(paths) {
+  const stored = await getProjectDocuments(currentProjectId);
+  for (const doc of stored) {
+    handleRemoteSave(doc, "disk");
+  }
 
-    // Block directives (simplified handling)
-    if (line.trim().startsWith('#set ') || line.trim().startsWith('#show ') || line.trim().startsWith('#let ')) {
-      processedLines.push(`<div class="visual-directive">${escapeHtml(line)}</div>`);
-      continue;
-    }
+  const storedIds = new Set(stored.map(doc => doc.id));
+  const removed = getCurrentProjectDocs().filter(doc => paths.includes(doc.name) && !storedIds.has(doc.id));
+  for (const doc of removed) {
+    documents.delete(doc.id);
+  }
 
-    // Figure blocks
-    if (line.trim().startsWith('#figure(')) {
-      processedLines.push(`<div class="visual-figure">${escapeHtml(line)}</div>`);
-      continue;
-    }
+  if (paths.some(path => !isDocumentPath(path))) {
+    await loadProjectAssets();
+  }
 
-    // Table blocks
-    if (line.trim().startsWith('#table(')) {
-      processedLines.push(`<div class="visual-table">${escapeHtml(line)}</div>`);
-      continue;
-    }
+  if (removed.length > 0) {
+    await handleDocumentsRemoved(removed);
+  } else {
+    renderFileTree();
+    compile(getCompileSource());
+  }
+}
 
-    // Comments
-    if (line.trim().startsWith('//')) {
-      processedLines.push(`<div class="visual-comment">${escapeHtml(line)}</div>`);
-      continue;
-    }
+// The project bar's folder button, shown for projects opened from a folder
+function updateFolderStatus() {
+  const button = document.getElementById("btn-folder-sync");
+  if (!button) return;
 
-    // Empty lines become paragraph breaks
-    if (line.trim() === '') {
-      processedLines.push('<div class="visual-paragraph-break"></div>');
-      continue;
-    }
+  const folder = projects.get(currentProjectId)?.folder;
+  button.style.display = folder ? "" : "none";
+  if (!folder) return;
 
-    // Regular paragraphs
-    processedLines.push(`<p class="visual-paragraph">${processInlineTypst(line)}</p>`);
+  const connected = folderSync?.projectId === currentProjectId;
+  button.classList.toggle("disconnected", !connected);
+  button.title = connected
+    ? `Synced with the folder "${folder.handle.name}" (click to sync now)`
+    : `Not synced: click to reconnect the folder "${folder.handle.name}"`;
+}
+
+async function handleFolderButton() {
+  const project = projects.get(currentProjectId);
+  if (folderSync?.projectId !== currentProjectId) {
+    await connectFolder(project, true);
+    if (folderSync) {
+      showToast(`Reconnected the folder "${project.folder.handle.name}"`);
+    }
+    return;
   }
 
-  // Join without extra newlines - the HTML structure provides the spacing
-  return processedLines.join('');
+  if (currentDocumentId && editor) {
+    await autoSave();
+  }
+  await runFolderSync();
+  showToast(`Synced with the folder "${project.folder.handle.name}"`);
 }
 
-// Process inline Typst formatting
-function processInlineTypst(text) {
-  let result = escapeHtml(text);
-
-  // Bold *text*
-  result = result.replace(/\*([^*]+)\*/g, '<strong class="visual-bold">$1</strong>');
+// =====================
+// STORAGE SERVER
+// =====================
+// With a Storage Server in the settings, everything saved here is mirrored to
+// it (see remote-storage.js), and what other browsers save there comes back in
+
+function startServerSync() {
+  startRemoteSync({
+    url: settings.storageServer,
+    token: settings.storageToken,
+    onChange: handleServerChanges,
+    onStatus: updateServerStatus,
+  }).catch(e => console.warn("[Remote] Could not start sync:", e));
+  updateServerStatus(getRemoteStatus());
+}
 
-  // Italic _text_
-  result = result.replace(/_([^_]+)_/g, '<em class="visual-italic">$1</em>');
+// Records from the server are already stored; show them
+async function handleServerChanges(changes) {
+  const removedDocs = [];
+  let assetsChanged = false;
+  let commentsChanged = false;
+  let suggestionsChange = null;
+
+  for (const { collection, key, record } of changes) {
+    if (collection === STORES.PROJECTS) {
+      if (record) {
+        projects.set(key, record);
+      } else {
+        projects.delete(key);
+      }
+    } else if (collection === STORES.DOCUMENTS) {
+      if (record) {
+        handleRemoteSave(record, "server");
+      } else if (documents.has(key)) {
+        const doc = documents.get(key);
+        documents.delete(key);
+        if (doc.projectId === currentProjectId) removedDocs.push(doc);
+      }
+    } else if (collection === STORES.FILES && key.startsWith(`${currentProjectId}/`)) {
+      assetsChanged = true;
+    } else if (collection === STORES.COMMENTS) {
+      if (record ? record.documentId === commentDocumentId : commentThreads.some(thread => thread.id === key)) {
+        commentsChanged = true;
+      }
+    } else if (collection === STORES.SUGGESTIONS && key === currentDocumentId) {
+      suggestionsChange = { record };
+    }
+  }
 
-  // Inline code `text`
-  result = result.replace(/`([^`]+)`/g, '<code class="visual-inline-code">$1</code>');
+  if (!projects.has(currentProjectId)) {
+    await openFallbackProject();
+    showToast("The open project was deleted on the storage server");
+    return;
+  }
 
-  // Inline math $text$
-  result = result.replace(/\$([^$]+)\$/g, '<span class="visual-inline-math">$$$1$$</span>');
+  if (assetsChanged) {
+    await loadProjectAssets();
+  }
+  if (commentsChanged) {
+    reloadComments();
+  }
+  if (suggestionsChange) {
+    reloadSuggestions(suggestionsChange.record);
+  }
+  if (removedDocs.length > 0) {
+    await handleDocumentsRemoved(removedDocs);
+  } else {
+    renderFileTree();
+    compile(getCompileSource());
+  }
+}
 
-  // Links #link("url")[text]
-  result = result.replace(/#link\(&quot;([^&]+)&quot;\)\[([^\]]+)\]/g, '<a class="visual-link" href="$1">$2</a>');
+const SERVER_STATES = {
+  syncing: { label: "Syncing...", indicator: "compiling" },
+  synced: { label: "Synced", indicator: "ready" },
+  offline: { label: "Offline", indicator: "cancelled" },
+  error: { label: "Sync error", indicator: "error" },
+};
 
-  // Simple function calls like #lorem(50)
-  result = result.replace(/#(\w+)\(([^)]*)\)/g, '<span class="visual-function">#$1($2)</span>');
+// Status bar item, shown while a storage server is set
+function updateServerStatus(status) {
+  const item = document.getElementById("server-status");
+  if (!item) return;
+
+  const state = SERVER_STATES[status.state];
+  item.style.display = state ? "" : "none";
+  if (!state) return;
+
+  const queued = status.pending > 0 && status.state !== "syncing"
+    ? ` (${status.pending} change${status.pending === 1 ? "" : "s"} queued)`
+    : "";
+  item.querySelector(".status-indicator").className = `status-indicator ${state.indicator}`;
+  item.querySelector(".server-status-text").textContent = state.label + queued;
+  item.title = status.error || `Storage server: ${settings.storageServer} (click to sync now)`;
+}
 
-  // Subscript #sub[text]
-  result = result.replace(/#sub\[([^\]]+)\]/g, '<sub class="visual-sub">$1</sub>');
+// =====================
+// COLLABORATION
+// =====================
+// Editing together live (see collab.js). The open document is bound to its
+// shared copy in the session: edits made here go out as they happen, and the
+// others' edits are applied to the editor. Everyone's cursor and selection show
+// in their color, and the file tree shows who has which document open. A
+// session belongs to the project it was joined in
 
-  // Superscript #super[text]
-  result = result.replace(/#super\[([^\]]+)\]/g, '<sup class="visual-super">$1</sup>');
+let collab = null; // { session, projectId, path, decorations, saveTimers, peersKey }
 
-  // Underline #underline[text]
-  result = result.replace(/#underline\[([^\]]+)\]/g, '<u class="visual-underline">$1</u>');
+// Set while others' edits are applied to the editor, so they aren't sent back
+let isApplyingRemoteEdit = false;
 
-  // Strike #strike[text]
-  result = result.replace(/#strike\[([^\]]+)\]/g, '<s class="visual-strike">$1</s>');
+const COLLAB_STATES = {
+  connecting: { label: "Connecting...", indicator: "compiling" },
+  connected: { label: "Live", indicator: "ready" },
+  disconnected: { label: "Reconnecting...", indicator: "cancelled" },
+};
 
-  // Labels <label>
-  result = result.replace(/&lt;(\w+)&gt;/g, '<span class="visual-label">&lt;$1&gt;</span>');
+function getCollabColor(color) {
+  return Math.max(0, USER_COLORS.indexOf(color));
+}
 
-  // References @label
-  result = result.replace(/@(\w+)/g, '<span class="visual-ref">@$1</span>');
+function showCollabModal() {
+  if (collab) {
+    showCollabSessionModal();
+    return;
+  }
 
-  return result;
-}
+  const transportOptions = getTransports().map(transport => `
+    <option value="${transport.name}" data-needs-url="${transport.needsUrl}" ${transport.name === settings.collabTransport ? "selected" : ""}>${escapeHtml(transport.label)}</option>
+  `).join("");
+  const colorOptions = USER_COLORS.map((color, i) => `
+    <label class="collab-swatch collab-color-${i}" title="${color}">
+      <input type="radio" name="collab-color" value="${color}" ${color === settings.collabColor ? "checked" : ""}>
+    </label>
+  `).join("");
 
-// Convert HTML from visual editor back to Typst
-function htmlToTypst(visualEditor) {
-  const lines = [];
-
-  function processNode(node) {
-    if (node.nodeType === Node.TEXT_NODE) {
-      return node.textContent;
-    }
+  const content = `
+    <div class="settings-form">
+      <div class="settings-group">
+        <label for="collab-name">Your Name</label>
+        <input type="text" id="collab-name" value="${escapeHtml(settings.userName)}" placeholder="Shown next to your cursor">
+      </div>
+      <div class="settings-group">
+        <label>Your Color</label>
+        <div class="collab-swatches">${colorOptions}</div>
+      </div>
+      <div class="settings-group">
+        <label for="collab-transport">Connect Through</label>
+        <select id="collab-transport">${transportOptions}</select>
+      </div>
+      <div class="settings-group" id="collab-relay-group">
+        <label for="collab-relay" title="Start one with npm run collab-relay">Relay URL</label>
+        <input type="text" id="collab-relay" value="${escapeHtml(settings.collabRelay)}" placeholder="ws://localhost:8788">
+      </div>
+      <div class="settings-group">
+        <label for="collab-room">Room</label>
+        <input type="text" id="collab-room" value="${escapeHtml(projects.get(currentProjectId)?.name || "")}">
+      </div>
+      <div class="new-file-info">
+        <small>Everyone who joins the same room edits the documents with the same paths together, so open the same project first (from a ZIP, a folder or the storage server).</small>
+      </div>
+      <div class="settings-actions">
+        <button class="btn primary" id="collab-join">Join Session</button>
+      </div>
+    </div>
+  `;
 
-    if (node.nodeType !== Node.ELEMENT_NODE) {
-      return '';
-    }
+  showModal("Collaborate Live", content);
 
-    const tag = node.tagName.toLowerCase();
-    const className = node.className || '';
+  const transportSelect = document.getElementById("collab-transport");
+  const updateRelayField = () => {
+    const needsUrl = transportSelect.selectedOptions[0]?.dataset.needsUrl === "true";
+    document.getElementById("collab-relay-group").style.display = needsUrl ? "" : "none";
+  };
+  transportSelect.addEventListener("change", updateRelayField);
+  updateRelayField();
 
-    // Handle different element types
-    if (className.includes('visual-h1')) {
-      return '= ' + processChildren(node);
-    }
-    if (className.includes('visual-h2')) {
-      return '== ' + processChildren(node);
-    }
-    if (className.includes('visual-h3')) {
-      return '=== ' + processChildren(node);
-    }
-    if (className.includes('visual-h4')) {
-      return '==== ' + processChildren(node);
+  document.getElementById("collab-join").addEventListener("click", () => {
+    const room = document.getElementById("collab-room").value.trim();
+    if (!room) {
+      showToast("Enter a room name");
+      return;
     }
+    settings.userName = document.getElementById("collab-name").value.trim();
+    settings.collabColor = document.querySelector('input[name="collab-color"]:checked')?.value || settings.collabColor;
+    settings.collabTransport = transportSelect.value;
+    settings.collabRelay = document.getElementById("collab-relay").value.trim() || "ws://localhost:8788";
+    saveSettings();
+    closeModal();
 
-    if (className.includes('visual-list-item')) {
-      const type = node.dataset.type;
-      const content = processChildrenSkipMarker(node);
-      if (type === 'bullet') return '- ' + content;
-      if (type === 'enum') return '+ ' + content;
-      if (type === 'numbered') return node.dataset.num + '. ' + content;
-      return '- ' + content;
-    }
+    startCollaboration(room);
+  });
+}
 
-    if (className.includes('visual-code-block')) {
-      const lang = node.dataset.lang || '';
-      const code = node.querySelector('code');
-      return '```' + lang + '\n' + (code ? code.textContent : '') + '\n```';
-    }
+// Who else is in the session, and a way out
+function showCollabSessionModal() {
+  const project = projects.get(collab.projectId);
+  const participants = [
+    { user: { name: `${settings.userName || "Anonymous"} (you)`, color: settings.collabColor }, path: collab.path },
+    ...collab.session.getPeers(),
+  ];
 
-    if (className.includes('visual-math-block')) {
-      return '$ ' + (node.dataset.math || node.textContent.replace(/^\$\s*/, '').replace(/\s*\$$/, '')) + ' $';
-    }
+  const content = `
+    <div class="settings-form">
+      <p class="collab-room">Room "${escapeHtml(collab.session.room)}" with the project "${escapeHtml(project?.name || "")}"</p>
+      <div class="collab-participants">
+        ${participants.map(peer => `
+          <div class="collab-participant">
+            <span class="collab-presence collab-color-${getCollabColor(peer.user?.color)}"></span>
+            <span class="collab-participant-name">${escapeHtml(peer.user?.name || "Anonymous")}</span>
+            <span class="collab-participant-path">${escapeHtml(peer.path || "")}</span>
+          </div>
+        `).join("")}
+      </div>
+      <div class="settings-actions">
+        <button class="btn" id="collab-leave">Leave Session</button>
+      </div>
+    </div>
+  `;
 
-    if (className.includes('visual-directive') || className.includes('visual-figure') ||
-        className.includes('visual-table') || className.includes('visual-comment')) {
-      return node.textContent;
-    }
+  showModal("Collaborate Live", content);
+  document.getElementById("collab-leave").addEventListener("click", () => {
+    leaveCollaboration();
+    closeModal();
+    showToast("Left the live session");
+  });
+}
 
-    if (className.includes('visual-paragraph-break')) {
-      return '';
-    }
+function startCollaboration(room) {
+  leaveCollaboration();
+  unloadSuggestions();
+  if (!settings.collabColor) {
+    settings.collabColor = USER_COLORS[Math.floor(Math.random() * USER_COLORS.length)];
+    saveSettings();
+  }
 
-    if (className.includes('visual-paragraph') || tag === 'p') {
-      return processChildren(node);
-    }
+  try {
+    const session = joinSession({
+      room,
+      transport: settings.collabTransport,
+      url: settings.collabRelay,
+      user: { name: settings.userName || "Anonymous", color: settings.collabColor },
+      onRemoteEdit: handleCollabEdit,
+      onConflict: handleCollabConflict,
+      onPeersChange: updateCollabPeers,
+      onStatus: updateCollabStatus,
+    });
+    collab = {
+      session,
+      projectId: currentProjectId,
+      path: null,
+      decorations: editor.createDecorationsCollection(),
+      saveTimers: new Map(),
+      peersKey: "",
+    };
+  } catch (e) {
+    console.warn("[Collab] Could not join:", e);
+    showToast(`Could not join: ${e.message}`);
+    return;
+  }
 
-    // Inline elements
-    if (className.includes('visual-bold') || tag === 'strong' || tag === 'b') {
-      return '*' + processChildren(node) + '*';
-    }
-    if (className.includes('visual-italic') || tag === 'em' || tag === 'i') {
-      return '_' + processChildren(node) + '_';
-    }
-    if (className.includes('visual-inline-code') || tag === 'code') {
-      return '`' + processChildren(node) + '`';
-    }
-    if (className.includes('visual-inline-math')) {
-      const content = node.textContent.replace(/^\$+/, '').replace(/\$+$/, '');
-      return '$' + content + '$';
-    }
-    if (className.includes('visual-link') || tag === 'a') {
-      const href = node.getAttribute('href') || '';
-      return `#link("${href}")[${processChildren(node)}]`;
-    }
-    if (className.includes('visual-sub') || tag === 'sub') {
-      return '#sub[' + processChildren(node) + ']';
-    }
-    if (className.includes('visual-super') || tag === 'sup') {
-      return '#super[' + processChildren(node) + ']';
-    }
-    if (className.includes('visual-underline') || tag === 'u') {
-      return '#underline[' + processChildren(node) + ']';
-    }
-    if (className.includes('visual-strike') || tag === 's') {
-      return '#strike[' + processChildren(node) + ']';
-    }
-    if (className.includes('visual-function')) {
-      return node.textContent;
-    }
-    if (className.includes('visual-label')) {
-      return node.textContent;
-    }
-    if (className.includes('visual-ref')) {
-      return node.textContent;
-    }
+  bindCollabDocument();
+  updateCollabStatus(collab.session.getStatus());
+  showToast(`Joined the live session "${room}"`);
+}
 
-    // Line breaks
-    if (tag === 'br') {
-      return '\n';
-    }
+function leaveCollaboration() {
+  if (!collab) return;
+  const { session, saveTimers, decorations } = collab;
+  // Others' last edits to documents not open here still get saved
+  for (const [path, timer] of saveTimers) {
+    clearTimeout(timer);
+    saveCollabDocument(path, session.getText(path));
+  }
+  session.leave();
+  decorations.clear();
+  collab = null;
+  updateCollabStatus(null);
+  renderFileTree();
 
-    // Divs and spans - just process children
-    if (tag === 'div' || tag === 'span') {
-      return processChildren(node);
-    }
+  // Suggestions were put away for the session
+  suggestionsDocumentId = null;
+  loadSuggestions();
+}
 
-    // Default: process children
-    return processChildren(node);
+// Share the open document; runs whenever another one is opened or renamed
+function bindCollabDocument() {
+  if (!collab) return;
+  if (collab.projectId !== currentProjectId) {
+    leaveCollaboration();
+    showToast("Left the live session of the previous project");
+    return;
   }
+  if (collab.path === currentFileName) return;
 
-  function processChildren(node) {
-    let result = '';
-    for (const child of node.childNodes) {
-      result += processNode(child);
-    }
-    return result;
+  collab.path = currentFileName;
+  const content = editor.getValue();
+  // Open in the session before: the others may have changed it since
+  const shared = collab.session.openDocument(collab.path, content);
+  if (shared !== content) {
+    applyCollabChanges([{ index: 0, deleteCount: content.length, text: shared }]);
   }
+  sendCollabPresence();
+  renderCollabCursors();
+}
 
-  function processChildrenSkipMarker(node) {
-    let result = '';
-    for (const child of node.childNodes) {
-      // Skip bullet/enum markers
-      if (child.className && (child.className.includes('visual-bullet') ||
-          child.className.includes('visual-enum') || child.className.includes('visual-num'))) {
-        continue;
-      }
-      result += processNode(child);
-    }
-    return result;
-  }
+// The editor's text changed: send the edit, unless it came from the session
+function sendCollabEdit(e) {
+  if (!collab || isApplyingRemoteEdit || collab.path !== currentFileName) return;
 
-  // Process each top-level child
-  for (const child of visualEditor.childNodes) {
-    // Skip whitespace-only text nodes between elements
-    if (child.nodeType === Node.TEXT_NODE && !child.textContent.trim()) {
-      continue;
-    }
-    const line = processNode(child);
-    // Only add non-null lines (paragraph breaks return empty string for blank lines)
-    if (line !== null) {
-      lines.push(line);
-    }
+  // Text swapped in whole goes out as the smallest edit, so nobody's
+  // concurrent typing is lost
+  if (replacesWholeText(e)) {
+    collab.session.replaceText(collab.path, editor.getValue());
+    return;
   }
 
-  // Clean up multiple consecutive empty lines
-  const cleanedLines = [];
-  let lastWasEmpty = false;
-  for (const line of lines) {
-    const isEmpty = line.trim() === '';
-    if (isEmpty && lastWasEmpty) {
-      continue; // Skip consecutive empty lines
-    }
-    cleanedLines.push(line);
-    lastWasEmpty = isEmpty;
+  // Offsets are of the text before the event; from the end backwards each stays valid
+  const changes = [...e.changes]
+    .sort((a, b) => b.rangeOffset - a.rangeOffset)
+    .map(change => ({ index: change.rangeOffset, deleteCount: change.rangeLength, text: change.text }));
+  collab.session.applyLocalEdit(collab.path, changes);
+}
+
+function handleCollabEdit(path, changes) {
+  if (path === collab.path && path === currentFileName) {
+    applyCollabChanges(changes);
+    renderCollabCursors();
+    return;
   }
 
-  return cleanedLines.join('\n');
+  // A document shared earlier but not open now: keep the stored copy current
+  clearTimeout(collab.saveTimers.get(path));
+  collab.saveTimers.set(path, setTimeout(() => {
+    collab.saveTimers.delete(path);
+    saveCollabDocument(path, collab.session.getText(path));
+  }, AUTO_SAVE_DELAY));
 }
 
-// Handle input in visual editor
-function handleVisualEditorInput(e) {
-  if (isVisualEditorSyncing) return;
-
-  // Update line numbers immediately
-  updateVisualLineNumbers();
+// This copy of a document had edits the session never saw (made while
+// disconnected, from another version of the file) and was replaced by the
+// session's. They are kept in Version History; for the open document the
+// prompt also offers to combine them with the session's text
+function handleCollabConflict(path, text) {
+  const doc = getCurrentProjectDocs().find(d => d.name === path);
+  if (!doc) return;
+  takeSnapshot(doc.id, text, { reason: "conflict" }).catch(e => console.warn("[History] Snapshot failed:", e));
 
-  // Debounce sync to code editor
-  clearTimeout(compileTimer);
-  compileTimer = setTimeout(() => {
-    const visualEditor = document.getElementById("visual-editor");
-    const typstCode = htmlToTypst(visualEditor);
+  if (path !== collab.path || path !== currentFileName) {
+    showToast(`"${path}" was edited apart from the session; your version is in Version History`);
+    return;
+  }
 
-    isVisualEditorSyncing = true;
-    editor.setValue(typstCode);
-    isVisualEditorSyncing = false;
+  const content = `
+    <div class="conflict-panel">
+      <p class="conflict-message">
+        "${escapeHtml(path)}" was edited here and in the live session separately, and the session's version replaced yours.
+        Left is the session's version, right is yours; edit the right side to combine them.
+        Your version stays in Version History.
+      </p>
+      <div class="history-diff" id="conflict-diff"></div>
+      <div class="confirm-actions">
+        <button class="btn" id="conflict-theirs">Use Session Version</button>
+        <button class="btn primary" id="conflict-mine">Keep Right Side</button>
+      </div>
+    </div>
+  `;
 
-    if (autoCompile) {
-      compile(typstCode);
-    }
-  }, COMPILE_DELAY);
+  showModal("Edited Apart from the Session", content, "wide");
+  showModalDiff(document.getElementById("conflict-diff"), editor.getValue(), text, true);
 
-  clearTimeout(saveTimer);
-  saveTimer = setTimeout(() => autoSave(), AUTO_SAVE_DELAY);
-}
+  document.getElementById("conflict-theirs").addEventListener("click", closeModal);
+  document.getElementById("conflict-mine").addEventListener("click", () => {
+    const merged = modalDiffEditor.getModifiedEditor().getValue();
+    closeModal();
+    if (collab?.path !== path || currentFileName !== path) return;
 
-// Handle paste in visual editor - convert to plain text
-function handleVisualEditorPaste(e) {
-  e.preventDefault();
-  const text = e.clipboardData.getData('text/plain');
-  document.execCommand('insertText', false, text);
+    // Goes to the session as an edit on top of its text
+    editor.pushUndoStop();
+    editor.executeEdits("merge", [{ range: editor.getModel().getFullModelRange(), text: merged }]);
+    editor.pushUndoStop();
+    if (editorMode === 'visual') {
+      updateVisualEditor(merged);
+    }
+  });
 }
 
-// Handle special keystrokes in visual editor
-function handleVisualEditorKeydown(e) {
-  // Enter key - insert new paragraph
-  if (e.key === 'Enter' && !e.shiftKey) {
-    e.preventDefault();
-    document.execCommand('insertParagraph', false);
+// Others' edits go into the model directly, outside this user's undo history
+function applyCollabChanges(changes) {
+  const model = editor.getModel();
+  isApplyingRemoteEdit = true;
+  try {
+    for (const change of changes) {
+      const start = model.getPositionAt(change.index);
+      const end = model.getPositionAt(change.index + change.deleteCount);
+      model.applyEdits([{ range: monaco.Range.fromPositions(start, end), text: change.text }]);
+    }
+  } finally {
+    isApplyingRemoteEdit = false;
   }
 
-  // Tab key - indent
-  if (e.key === 'Tab') {
-    e.preventDefault();
-    document.execCommand('insertText', false, '  ');
+  if (editorMode === 'visual') {
+    updateVisualEditor(model.getValue());
   }
+}
 
-  // Ctrl/Cmd + B - Bold
-  if ((e.ctrlKey || e.metaKey) && e.key === 'b') {
-    e.preventDefault();
-    applyVisualFormatting('bold');
+async function saveCollabDocument(path, content) {
+  const doc = getCurrentProjectDocs().find(d => d.name === path);
+  if (!doc || content === null || content === doc.content) return;
+  try {
+    recordSnapshot(doc.id, doc.content).catch(e => console.warn("[History] Snapshot failed:", e));
+    await storeDocument(doc.id, content, doc.name, doc.projectId);
+    if (isBibliographyFile(path)) {
+      refreshCitations();
+    }
+  } catch (e) {
+    console.warn(`[Collab] Failed to save ${path}:`, e);
   }
+}
 
-  // Ctrl/Cmd + I - Italic
-  if ((e.ctrlKey || e.metaKey) && e.key === 'i') {
-    e.preventDefault();
-    applyVisualFormatting('italic');
-  }
-
-  // Ctrl/Cmd + U - Underline
-  if ((e.ctrlKey || e.metaKey) && e.key === 'u') {
-    e.preventDefault();
-    applyVisualFormatting('underline');
-  }
+function sendCollabPresence() {
+  if (!collab || isApplyingRemoteEdit || collab.path !== currentFileName) return;
+  const model = editor.getModel();
+  const selections = (editor.getSelections() || []).map(selection => ({
+    anchor: model.getOffsetAt(selection.getSelectionStart()),
+    head: model.getOffsetAt(selection.getPosition()),
+  }));
+  collab.session.setPresence(collab.path, selections);
 }
 
-// Apply formatting in visual editor
-function applyVisualFormatting(format) {
-  const selection = window.getSelection();
-  if (!selection.rangeCount) return;
-
-  const range = selection.getRangeAt(0);
-  const selectedText = range.toString();
+// The others' cursors and selections in the open document
+function renderCollabCursors() {
+  if (!collab) return;
+  const model = editor.getModel();
+  const decorations = [];
+
+  for (const peer of collab.session.getPeers()) {
+    if (peer.path !== collab.path || collab.path !== currentFileName) continue;
+    const color = `collab-color-${getCollabColor(peer.user?.color)}`;
+    const hoverMessage = { value: peer.user?.name || "Anonymous" };
+
+    for (const { anchor, head } of peer.selections) {
+      if (anchor !== head) {
+        const start = model.getPositionAt(Math.min(anchor, head));
+        const end = model.getPositionAt(Math.max(anchor, head));
+        decorations.push({
+          range: monaco.Range.fromPositions(start, end),
+          options: { className: `collab-selection ${color}`, hoverMessage },
+        });
+      }
+      decorations.push({
+        range: monaco.Range.fromPositions(model.getPositionAt(head)),
+        options: {
+          beforeContentClassName: `collab-cursor ${color}`,
+          hoverMessage,
+          stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+        },
+      });
+    }
+  }
 
-  if (!selectedText) return;
+  collab.decorations.set(decorations);
+}
 
-  let wrapper;
-  switch (format) {
-    case 'bold':
-      wrapper = document.createElement('strong');
-      wrapper.className = 'visual-bold';
-      break;
-    case 'italic':
-      wrapper = document.createElement('em');
-      wrapper.className = 'visual-italic';
-      break;
-    case 'underline':
-      wrapper = document.createElement('u');
-      wrapper.className = 'visual-underline';
-      break;
-    default:
-      return;
+function updateCollabPeers() {
+  if (!collab) return;
+  renderCollabCursors();
+  updateCollabStatus(collab.session.getStatus());
+
+  // The tree only changes when someone comes, goes or opens another document
+  const peersKey = collab.session.getPeers()
+    .map(peer => `${peer.id}:${peer.path}:${peer.user?.name}:${peer.user?.color}`)
+    .join("\n");
+  if (peersKey !== collab.peersKey) {
+    collab.peersKey = peersKey;
+    renderFileTree();
   }
+}
 
-  range.surroundContents(wrapper);
+// Dots for the others with a document open, in the file tree
+function renderCollabPresence(path) {
+  if (!collab) return "";
+  return collab.session.getPeers()
+    .filter(peer => peer.path === path)
+    .map(peer => `<span class="collab-presence collab-color-${getCollabColor(peer.user?.color)}" title="${escapeHtml(peer.user?.name || "Anonymous")} is here"></span>`)
+    .join("");
+}
 
-  // Trigger sync
-  handleVisualEditorInput();
+// Status bar item, shown while in a session
+function updateCollabStatus(status) {
+  document.getElementById("btn-collab")?.classList.toggle("active", Boolean(collab));
+  const item = document.getElementById("collab-status");
+  if (!item) return;
+
+  const state = collab && COLLAB_STATES[status];
+  item.style.display = state ? "" : "none";
+  if (!state) return;
+
+  const others = collab.session.getPeers().length;
+  item.querySelector(".status-indicator").className = `status-indicator ${state.indicator}`;
+  item.querySelector(".collab-status-text").textContent =
+    `${state.label}: ${others === 0 ? "no one else" : others === 1 ? "1 other" : `${others} others`}`;
+  item.title = `Live session "${collab.session.room}" (click for details)`;
 }
 
 // =====================
-// RECOMPILE FUNCTIONS
+// REVIEW COMMENTS
 // =====================
-function manualRecompile() {
-  const source = editorMode === 'visual'
-    ? htmlToTypst(document.getElementById("visual-editor"))
-    : editor.getValue();
-  compile(source);
-  showToast("Recompiling...");
+// Threads of comments on ranges of the open document (see comments.js), shown
+// as highlighted text with a glyph in the gutter and listed in the comments
+// panel. Editor decorations carry each range through edits, and the moved
+// ranges are stored with the next save.
+
+let commentThreads = []; // Threads of the document in commentDocumentId
+let commentDocumentId = null;
+let commentDecorationIds = new Map(); // thread id -> decoration id
+let movedThreads = new Set(); // Ids of threads whose range changed since they were stored
+let commentDraft = null; // { start, end, quote } of a new thread being written
+let activeThreadId = null;
+let commentsPanelVisible = false;
+let showResolvedComments = false;
+
+// Load the open document's threads, when another document was opened
+async function loadComments() {
+  if (!editor || commentDocumentId === currentDocumentId) return;
+  saveMovedThreads();
+
+  const documentId = currentDocumentId;
+  commentDocumentId = documentId;
+  commentThreads = [];
+  commentDraft = null;
+  activeThreadId = null;
+  renderComments();
+
+  let threads = [];
+  try {
+    threads = documentId ? await getCommentThreads(documentId) : [];
+  } catch (e) {
+    console.warn("[Comments] Failed to load:", e);
+  }
+  if (commentDocumentId !== documentId) return;
+
+  // The document may have changed while it wasn't open here
+  commentThreads = placeThreads(threads, editor.getValue());
+  renderComments();
 }
 
-function forceRecompile() {
-  // Clear any cached state and recompile
-  currentPdfBuffer = null;
-  manualRecompile();
-  showToast("Force recompiling...");
+// Load the threads again after they changed elsewhere, dropping unsaved moves
+function reloadComments() {
+  movedThreads.clear();
+  commentDocumentId = null;
+  loadComments();
 }
 
-function toggleRecompileDropdown(e) {
-  e.stopPropagation();
-  const dropdown = document.getElementById("recompile-dropdown");
-  dropdown.classList.toggle("show");
+function placeThreads(threads, text) {
+  return threads.map(thread => {
+    const placed = relocateThread(thread, text);
+    if (placed !== thread) movedThreads.add(placed.id);
+    return placed;
+  });
 }
 
-function closeAllDropdowns() {
-  document.getElementById("recompile-dropdown")?.classList.remove("show");
+function saveMovedThreads() {
+  for (const id of movedThreads) {
+    const thread = commentThreads.find(t => t.id === id);
+    if (thread) {
+      saveCommentThread(thread).catch(e => console.warn("[Comments] Failed to save:", e));
+    }
+  }
+  movedThreads.clear();
 }
 
-// =====================
-// FIND AND REPLACE
-// =====================
-function openFind() {
-  if (editorMode === 'code' && editor) {
-    // Use Monaco's built-in find widget
-    editor.trigger('keyboard', 'actions.find');
-    editor.focus();
-  } else if (editorMode === 'visual') {
-    // For visual editor, use browser's native find or custom implementation
-    showCustomFindDialog();
+// Follow the threads' ranges through an edit of the open document
+function updateCommentRanges(e) {
+  if (commentDocumentId !== currentDocumentId || commentThreads.length === 0) return;
+  const model = editor.getModel();
+
+  // Decorations don't survive a whole new text; find each thread's text again
+  if (replacesWholeText(e)) {
+    commentThreads = placeThreads(commentThreads, model.getValue());
+    renderCommentDecorations();
+    return;
   }
+
+  commentThreads = commentThreads.map(thread => {
+    const range = model.getDecorationRange(commentDecorationIds.get(thread.id));
+    if (!range) return thread;
+    const start = model.getOffsetAt(range.getStartPosition());
+    const end = model.getOffsetAt(range.getEndPosition());
+    // A thread whose text was deleted keeps showing what it was about
+    const quote = end > start ? model.getValueInRange(range) : thread.quote;
+    if (start === thread.start && end === thread.end && quote === thread.quote) return thread;
+    movedThreads.add(thread.id);
+    return { ...thread, start, end, quote };
+  });
 }
 
-function openFindReplace() {
-  if (editorMode === 'code' && editor) {
-    // Use Monaco's built-in find and replace widget
-    editor.trigger('keyboard', 'editor.action.startFindReplaceAction');
-    editor.focus();
-  } else if (editorMode === 'visual') {
-    // For visual editor, show custom find/replace dialog
-    showCustomFindReplaceDialog();
+function renderComments() {
+  renderCommentDecorations();
+  renderCommentsPanel();
+}
+
+// Every thread gets a decoration so its range is tracked; hidden ones aren't drawn
+function renderCommentDecorations() {
+  if (!editor) return;
+  const model = editor.getModel();
+  const threads = commentDocumentId === currentDocumentId ? commentThreads : [];
+  const stickiness = monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges;
+
+  const decorations = threads.map(thread => {
+    const range = monaco.Range.fromPositions(model.getPositionAt(thread.start), model.getPositionAt(thread.end));
+    if (thread.resolved && !showResolvedComments) {
+      return { range, options: { stickiness } };
+    }
+    const state = `${thread.resolved ? " resolved" : ""}${thread.id === activeThreadId ? " active" : ""}`;
+    const count = thread.comments.length;
+    return {
+      range,
+      options: {
+        stickiness,
+        className: `comment-range${state}`,
+        glyphMarginClassName: `comment-glyph${state}`,
+        glyphMarginHoverMessage: { value: `${count} comment${count === 1 ? "" : "s"} (click to open)` },
+      },
+    };
+  });
+
+  const ids = model.deltaDecorations(Array.from(commentDecorationIds.values()), decorations);
+  commentDecorationIds = new Map(threads.map((thread, i) => [thread.id, ids[i]]));
+}
+
+function renderCommentsPanel() {
+  const open = commentThreads.filter(thread => !thread.resolved).length;
+  const button = document.getElementById("btn-comments");
+  if (button) {
+    button.classList.toggle("active", commentsPanelVisible);
+    button.querySelector(".comments-count").textContent = open > 0 ? open : "";
   }
+
+  const panel = document.getElementById("comments-panel");
+  if (!panel) return;
+  panel.style.display = commentsPanelVisible ? "" : "none";
+  if (!commentsPanelVisible) return;
+
+  document.getElementById("comments-show-resolved").checked = showResolvedComments;
+  const threads = commentThreads
+    .filter(thread => showResolvedComments || !thread.resolved)
+    .sort((a, b) => a.start - b.start || a.createdAt - b.createdAt);
+  const resolved = commentThreads.length - open;
+
+  const list = document.getElementById("comments-list");
+  list.innerHTML = `
+    ${commentDraft ? renderCommentDraft() : ""}
+    ${threads.map(renderCommentThread).join("")}
+    ${threads.length === 0 && !commentDraft ? `
+      <div class="comments-empty">
+        ${resolved > 0 ? `No open comments (${resolved} resolved).` : "No comments yet."}
+        Select some text and press ${navigator.platform.includes("Mac") ? "⌘⌥M" : "Ctrl+Alt+M"} to comment on it.
+      </div>` : ""}
+  `;
+  list.querySelector(".comment-draft textarea")?.focus();
 }
 
-// Custom find dialog for visual editor
-function showCustomFindDialog() {
-  const content = `
-    <div class="find-dialog">
-      <div class="find-input-group">
-        <label>Find:</label>
-        <input type="text" id="find-input" placeholder="Search text..." autofocus>
-      </div>
-      <div class="find-options">
-        <label><input type="checkbox" id="find-case-sensitive"> Case sensitive</label>
-        <label><input type="checkbox" id="find-whole-word"> Whole word</label>
-      </div>
-      <div class="find-results" id="find-results"></div>
-      <div class="find-actions">
-        <button class="btn" id="find-prev">Previous</button>
-        <button class="btn" id="find-next">Next</button>
-        <button class="btn primary" id="find-all">Find All</button>
+function renderCommentDraft() {
+  return `
+    <div class="comment-thread comment-draft">
+      <div class="comment-quote">${escapeHtml(commentDraft.quote)}</div>
+      <textarea class="comment-input" rows="3" placeholder="Write a comment..."></textarea>
+      <div class="comment-actions">
+        <button class="btn" data-action="cancel-draft">Cancel</button>
+        <button class="btn primary" data-action="submit-draft">Comment</button>
       </div>
     </div>
   `;
+}
 
-  showModal("Find", content);
+function renderCommentThread(thread) {
+  const detached = isDetached(thread);
+  return `
+    <div class="comment-thread${thread.resolved ? " resolved" : ""}${thread.id === activeThreadId ? " active" : ""}" data-id="${thread.id}">
+      <div class="comment-quote${detached ? " detached" : ""}" data-action="reveal"
+        title="${detached ? "The commented text was removed" : "Show in editor"}">${escapeHtml(thread.quote)}</div>
+      ${thread.comments.map(comment => `
+        <div class="comment">
+          <div class="comment-meta">
+            <span class="comment-author">${escapeHtml(comment.author || "Anonymous")}</span>
+            <span class="comment-time">${formatHistoryDay(comment.createdAt)} ${formatHistoryTime(comment.createdAt)}</span>
+          </div>
+          <div class="comment-body">${escapeHtml(comment.body)}</div>
+        </div>
+      `).join("")}
+      ${thread.resolved ? "" : `<textarea class="comment-input" rows="1" placeholder="Reply..."></textarea>`}
+      <div class="comment-actions">
+        <button class="icon-btn small" data-action="delete" title="Delete Thread">${icons.trash}</button>
+        <button class="btn" data-action="${thread.resolved ? "reopen" : "resolve"}">${thread.resolved ? "Reopen" : "Resolve"}</button>
+        ${thread.resolved ? "" : `<button class="btn primary" data-action="reply">Reply</button>`}
+      </div>
+    </div>
+  `;
+}
 
-  const findInput = document.getElementById("find-input");
-  const resultsDiv = document.getElementById("find-results");
+function toggleCommentsPanel(visible = !commentsPanelVisible) {
+  commentsPanelVisible = visible;
+  if (!visible) commentDraft = null;
+  renderCommentsPanel();
+}
 
-  let currentIndex = -1;
-  let matches = [];
+// Start a thread on the selection, or on the word (else the line) at the cursor
+function startComment() {
+  if (!currentDocumentId) return;
+  if (editorMode === 'visual') switchEditorMode('code');
 
-  function performFind() {
-    const searchText = findInput.value;
-    if (!searchText) {
-      resultsDiv.textContent = "";
-      matches = [];
-      return;
-    }
+  const model = editor.getModel();
+  let range = editor.getSelection();
+  if (range.isEmpty()) {
+    const position = range.getStartPosition();
+    const word = model.getWordAtPosition(position);
+    range = word
+      ? new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn)
+      : new monaco.Range(position.lineNumber, 1, position.lineNumber, model.getLineMaxColumn(position.lineNumber));
+  }
+  if (range.isEmpty()) {
+    showToast("Select the text to comment on");
+    return;
+  }
 
-    const visualEditor = document.getElementById("visual-editor");
-    const text = visualEditor.innerText;
-    const caseSensitive = document.getElementById("find-case-sensitive").checked;
-    const wholeWord = document.getElementById("find-whole-word").checked;
+  commentDraft = {
+    start: model.getOffsetAt(range.getStartPosition()),
+    end: model.getOffsetAt(range.getEndPosition()),
+    quote: model.getValueInRange(range),
+  };
+  activeThreadId = null;
+  commentsPanelVisible = true;
+  renderComments();
+}
 
-    // Find all matches
-    matches = [];
-    let searchStr = caseSensitive ? searchText : searchText.toLowerCase();
-    let textToSearch = caseSensitive ? text : text.toLowerCase();
+// Signs comments and suggestions
+function getUserName() {
+  return settings.userName || "Anonymous";
+}
 
-    let pos = 0;
-    while ((pos = textToSearch.indexOf(searchStr, pos)) !== -1) {
-      if (wholeWord) {
-        const before = pos > 0 ? textToSearch[pos - 1] : ' ';
-        const after = pos + searchStr.length < textToSearch.length ? textToSearch[pos + searchStr.length] : ' ';
-        if (/\w/.test(before) || /\w/.test(after)) {
-          pos++;
-          continue;
-        }
-      }
-      matches.push(pos);
-      pos++;
-    }
+// Replace a thread with its changed version and store it
+function updateThread(thread) {
+  commentThreads = commentThreads.map(t => t.id === thread.id ? thread : t);
+  movedThreads.delete(thread.id);
+  renderComments();
+  saveCommentThread(thread).catch(e => {
+    console.error("[Comments] Failed to save:", e);
+    showToast("Failed to save the comment");
+  });
+}
 
-    resultsDiv.textContent = matches.length > 0
-      ? "Found " + matches.length + " match" + (matches.length > 1 ? "es" : "")
-      : "No matches found";
+function submitCommentDraft(body) {
+  if (!commentDraft || !body) return;
+  // The text may have moved while the comment was written
+  const thread = relocateThread(createThread(currentDocumentId, commentDraft, getUserName(), body), editor.getValue());
+  commentDraft = null;
+  activeThreadId = thread.id;
+  commentThreads = [...commentThreads, thread];
+  updateThread(thread);
+}
 
-    currentIndex = matches.length > 0 ? 0 : -1;
-    highlightMatch();
+// Highlight a thread and select its text
+function openThread(threadId, reveal = false) {
+  const thread = commentThreads.find(t => t.id === threadId);
+  if (!thread) return;
+  activeThreadId = threadId;
+  commentsPanelVisible = true;
+  renderComments();
+  document.querySelector(`.comment-thread[data-id="${threadId}"]`)?.scrollIntoView({ block: "nearest" });
+
+  if (reveal) {
+    if (editorMode === 'visual') switchEditorMode('code');
+    const model = editor.getModel();
+    const range = monaco.Range.fromPositions(model.getPositionAt(thread.start), model.getPositionAt(thread.end));
+    editor.setSelection(range);
+    editor.revealRangeInCenterIfOutsideViewport(range);
+    editor.focus();
   }
+}
 
-  function highlightMatch() {
-    // Clear previous highlights
-    const visualEditor = document.getElementById("visual-editor");
-    visualEditor.querySelectorAll('.search-highlight').forEach(el => {
-      el.outerHTML = el.innerHTML;
-    });
+function handleCommentAction(action, threadElement) {
+  if (action === "cancel-draft") {
+    commentDraft = null;
+    renderCommentsPanel();
+    return;
+  }
+  if (action === "submit-draft") {
+    submitCommentDraft(threadElement.querySelector(".comment-input").value.trim());
+    return;
+  }
 
-    if (currentIndex >= 0 && matches.length > 0) {
-      // Highlight current match (simplified - would need more complex implementation for proper highlighting)
-      resultsDiv.textContent = "Match " + (currentIndex + 1) + " of " + matches.length;
+  const thread = commentThreads.find(t => t.id === threadElement.dataset.id);
+  if (!thread) return;
+  switch (action) {
+    case "reveal":
+      openThread(thread.id, true);
+      break;
+    case "reply": {
+      const body = threadElement.querySelector(".comment-input").value.trim();
+      if (body) updateThread(addReply(thread, getUserName(), body));
+      break;
     }
+    case "resolve":
+    case "reopen":
+      updateThread(setResolved(thread, action === "resolve"));
+      break;
+    case "delete":
+      showConfirmModal(
+        "Delete Comment Thread",
+        `Delete this thread and its ${thread.comments.length === 1 ? "comment" : `${thread.comments.length} comments`}?`,
+        "Delete",
+        async () => {
+          commentThreads = commentThreads.filter(t => t.id !== thread.id);
+          movedThreads.delete(thread.id);
+          if (activeThreadId === thread.id) activeThreadId = null;
+          renderComments();
+          try {
+            await deleteCommentThread(thread.id);
+          } catch (e) {
+            console.error("[Comments] Failed to delete:", e);
+            showToast("Failed to delete the thread");
+          }
+        }
+      );
+      break;
   }
+}
 
-  findInput.addEventListener("input", performFind);
-  findInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
-      e.preventDefault();
-      if (e.shiftKey) {
-        currentIndex = (currentIndex - 1 + matches.length) % matches.length;
-      } else {
-        currentIndex = (currentIndex + 1) % matches.length;
-      }
-      highlightMatch();
+function setupCommentsPanel() {
+  const list = document.getElementById("comments-list");
+  list.addEventListener("click", (e) => {
+    const threadElement = e.target.closest(".comment-thread");
+    if (!threadElement) return;
+    const actionElement = e.target.closest("[data-action]");
+    if (actionElement) {
+      handleCommentAction(actionElement.dataset.action, threadElement);
+    } else if (threadElement.dataset.id && threadElement.dataset.id !== activeThreadId && !e.target.closest("textarea")) {
+      openThread(threadElement.dataset.id);
     }
-    if (e.key === "Escape") {
-      closeModal();
+  });
+  // Ctrl+Enter sends, Escape drops a new comment
+  list.addEventListener("keydown", (e) => {
+    if (!e.target.matches(".comment-input")) return;
+    const threadElement = e.target.closest(".comment-thread");
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+      // Not a recompile
+      e.preventDefault();
+      e.stopPropagation();
+      handleCommentAction(threadElement.classList.contains("comment-draft") ? "submit-draft" : "reply", threadElement);
+    } else if (e.key === "Escape" && threadElement.classList.contains("comment-draft")) {
+      handleCommentAction("cancel-draft", threadElement);
     }
   });
 
-  document.getElementById("find-prev").addEventListener("click", () => {
-    if (matches.length > 0) {
-      currentIndex = (currentIndex - 1 + matches.length) % matches.length;
-      highlightMatch();
-    }
+  document.getElementById("btn-comments").addEventListener("click", () => toggleCommentsPanel());
+  document.getElementById("btn-close-comments").addEventListener("click", () => toggleCommentsPanel(false));
+  document.getElementById("btn-add-comment").addEventListener("click", () => startComment());
+  document.getElementById("comments-show-resolved").addEventListener("change", (e) => {
+    showResolvedComments = e.target.checked;
+    renderComments();
   });
 
-  document.getElementById("find-next").addEventListener("click", () => {
-    if (matches.length > 0) {
-      currentIndex = (currentIndex + 1) % matches.length;
-      highlightMatch();
-    }
+  // A click on a comment glyph opens its thread
+  editor.onMouseDown((e) => {
+    if (e.target.type !== monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN || !e.target.position) return;
+    const model = editor.getModel();
+    const thread = commentThreads.find(t =>
+      (showResolvedComments || !t.resolved) && model.getPositionAt(t.start).lineNumber === e.target.position.lineNumber
+    );
+    if (thread) openThread(thread.id);
   });
+}
 
-  document.getElementById("find-all").addEventListener("click", performFind);
+// =====================
+// SUGGESTIONS
+// =====================
+// Edits proposed rather than made (see suggestions.js). While the open document
+// has suggestions, the editor shows the suggested text: insertions highlighted
+// and deletions struck through where they were. The document keeps its original
+// text, which is what gets saved, synced and downloaded; the preview compiles
+// either. A live session shares plain text, so suggestions wait until it ends.
+
+let suggestionState = null; // { original, suggestions } while suggesting on the document in suggestionsDocumentId, or while it has suggestions
+let suggestionsDocumentId = null;
+let suggestionsDirty = false; // Changed since they were stored
+let suggesting = false; // Edits become suggestions
+let isApplyingSuggestions = false; // Set while a rejected suggestion's text is put back
+let suggestionDecorationIds = [];
+let onSuggestionContext = null; // Editor context key: the cursor is on a suggestion
+
+function hasSuggestionState() {
+  return suggestionState !== null && suggestionsDocumentId === currentDocumentId;
 }
 
-// Custom find and replace dialog for visual editor
-function showCustomFindReplaceDialog() {
-  const content = `
-    <div class="find-replace-dialog">
-      <div class="find-input-group">
-        <label>Find:</label>
-        <input type="text" id="find-input" placeholder="Search text..." autofocus>
-      </div>
-      <div class="find-input-group">
-        <label>Replace:</label>
-        <input type="text" id="replace-input" placeholder="Replace with...">
-      </div>
-      <div class="find-options">
-        <label><input type="checkbox" id="find-case-sensitive"> Case sensitive</label>
-        <label><input type="checkbox" id="find-whole-word"> Whole word</label>
-      </div>
-      <div class="find-results" id="find-results"></div>
-      <div class="find-actions">
-        <button class="btn" id="find-prev">Previous</button>
-        <button class="btn" id="find-next">Next</button>
-        <button class="btn" id="replace-one">Replace</button>
-        <button class="btn primary" id="replace-all">Replace All</button>
-      </div>
-    </div>
-  `;
+// The open document's text, without its pending suggestions
+function getDocumentContent() {
+  return hasSuggestionState() ? suggestionState.original : editor.getValue();
+}
 
-  showModal("Find & Replace", content);
+// What the preview compiles of the open document
+function getCompileSource() {
+  return settings.suggestionPreview === "original" ? getDocumentContent() : editor.getValue();
+}
 
-  const findInput = document.getElementById("find-input");
-  const replaceInput = document.getElementById("replace-input");
-  const resultsDiv = document.getElementById("find-results");
+// Load the open document's suggestions, when another document was opened
+async function loadSuggestions() {
+  if (!editor || suggestionsDocumentId === currentDocumentId) return;
+  saveSuggestionState();
 
-  let matchCount = 0;
+  const documentId = currentDocumentId;
+  suggestionsDocumentId = documentId;
+  suggestionState = suggesting ? { original: editor.getValue(), suggestions: [] } : null;
+  renderSuggestions();
+  if (!documentId || collab) return;
 
-  function countMatches() {
-    const searchText = findInput.value;
-    if (!searchText) {
-      resultsDiv.textContent = "";
-      matchCount = 0;
-      return;
-    }
+  let record = null;
+  try {
+    record = await getSuggestions(documentId);
+  } catch (e) {
+    console.warn("[Suggestions] Failed to load:", e);
+  }
+  if (suggestionsDocumentId !== documentId || collab || !record?.suggestions?.length) return;
+  showSuggestionRecord(record);
+}
 
-    const visualEditor = document.getElementById("visual-editor");
-    const text = visualEditor.innerText;
-    const caseSensitive = document.getElementById("find-case-sensitive").checked;
+// Show stored suggestions on the document's text, which may have been changed
+// elsewhere since they were made
+function showSuggestionRecord(record) {
+  const { state, dropped } = rebaseSuggestions({ original: record.base, suggestions: record.suggestions }, getDocumentContent());
+  suggestionState = state;
+  if (dropped > 0) {
+    suggestionsDirty = true;
+    showToast(`Dropped ${dropped} suggestion${dropped === 1 ? "" : "s"} on text that was changed elsewhere`);
+  }
+  if (!suggesting && state.suggestions.length === 0) suggestionState = null;
+  setEditorText(applySuggestions(state));
+}
 
-    let searchStr = caseSensitive ? searchText : searchText.toLowerCase();
-    let textToSearch = caseSensitive ? text : text.toLowerCase();
+// Suggestions changed on the storage server
+function reloadSuggestions(record) {
+  if (suggestionsDocumentId !== currentDocumentId || suggestionsDirty || collab) return;
+  if (record?.suggestions?.length) {
+    showSuggestionRecord(record);
+  } else if (hasSuggestionState()) {
+    // All accepted or rejected elsewhere
+    const original = suggestionState.original;
+    suggestionState = suggesting ? { original, suggestions: [] } : null;
+    setEditorText(original);
+  }
+}
 
-    matchCount = 0;
-    let pos = 0;
-    while ((pos = textToSearch.indexOf(searchStr, pos)) !== -1) {
-      matchCount++;
-      pos++;
-    }
+// A live session shares the text without suggestions: put them away until it ends
+function unloadSuggestions() {
+  suggesting = false;
+  if (hasSuggestionState()) {
+    const original = suggestionState.original;
+    saveSuggestionState();
+    suggestionState = null;
+    setEditorText(original);
+  } else {
+    renderSuggestions();
+  }
+}
 
-    resultsDiv.textContent = matchCount > 0
-      ? "Found " + matchCount + " match" + (matchCount > 1 ? "es" : "")
-      : "No matches found";
+function saveSuggestionState() {
+  if (!suggestionsDirty || !suggestionsDocumentId) return;
+  suggestionsDirty = false;
+  const documentId = suggestionsDocumentId;
+  const suggestions = suggestionState?.suggestions || [];
+  const saved = suggestions.length > 0
+    ? saveSuggestions({ documentId, base: suggestionState.original, suggestions })
+    : deleteSuggestions(documentId);
+  saved.catch(e => console.warn("[Suggestions] Failed to save:", e));
+}
+
+// Record an edit of the open document as suggestions, or make it to the original
+function trackSuggestionEdit(e) {
+  if (!hasSuggestionState() || isApplyingSuggestions || isApplyingExternalContent) return;
+
+  // Offsets are of the text before the event; from the end backwards each stays valid
+  const changes = [...e.changes]
+    .sort((a, b) => b.rangeOffset - a.rangeOffset)
+    .map(change => ({ index: change.rangeOffset, deleteCount: change.rangeLength, text: change.text }));
+  for (const change of changes) {
+    suggestionState = suggesting
+      ? suggestEdit(suggestionState, change, getUserName())
+      : editDirectly(suggestionState, change);
   }
+  suggestionsDirty = true;
+  if (!suggesting && suggestionState.suggestions.length === 0) suggestionState = null;
+  renderSuggestions();
+}
 
-  function replaceAll() {
-    const searchText = findInput.value;
-    const replaceText = replaceInput.value;
-    if (!searchText) return;
+// A new original for the open document (saved elsewhere): the text to show
+// with the pending suggestions carried over
+function rebaseOpenSuggestions(content) {
+  if (!hasSuggestionState()) return content;
+  const { state, dropped } = rebaseSuggestions(suggestionState, content);
+  suggestionState = state;
+  suggestionsDirty = true;
+  if (dropped > 0) {
+    showToast(`Dropped ${dropped} suggestion${dropped === 1 ? "" : "s"} on text that was changed elsewhere`);
+  }
+  return applySuggestions(state);
+}
 
-    // For visual editor, we need to sync back to code editor and do replace there
-    if (editorMode === 'visual') {
-      const visualEditor = document.getElementById("visual-editor");
-      const typstCode = htmlToTypst(visualEditor);
+// Put `text` in the editor as the smallest edit, without recording it
+function setEditorText(text) {
+  const change = diffText(editor.getValue(), text);
+  if (change) applySuggestionChange(change);
+  renderSuggestions();
+}
 
-      const caseSensitive = document.getElementById("find-case-sensitive").checked;
-      let newCode;
+function applySuggestionChange(change) {
+  const model = editor.getModel();
+  const range = monaco.Range.fromPositions(model.getPositionAt(change.index), model.getPositionAt(change.index + change.deleteCount));
+  isApplyingSuggestions = true;
+  editor.executeEdits("suggestions", [{ range, text: change.text }]);
+  isApplyingSuggestions = false;
+}
 
-      if (caseSensitive) {
-        newCode = typstCode.split(searchText).join(replaceText);
+function setSuggesting(on) {
+  if (on && collab) {
+    showToast("Suggestions aren't available in a live session");
+    return;
+  }
+  if (on && editorMode === 'visual') switchEditorMode('code');
+
+  suggesting = on;
+  if (on && !suggestionState && suggestionsDocumentId === currentDocumentId) {
+    suggestionState = { original: editor.getValue(), suggestions: [] };
+  } else if (!on && suggestionState?.suggestions.length === 0) {
+    suggestionState = null;
+  }
+  renderSuggestions();
+  showToast(on ? "Suggesting: your edits are kept as suggestions" : "Editing: your edits change the document");
+}
+
+function getLocatedSuggestions() {
+  return hasSuggestionState() ? locateSuggestions(suggestionState.suggestions) : [];
+}
+
+// The suggestion at the cursor
+function getCurrentSuggestion(located = getLocatedSuggestions()) {
+  const offset = editor.getModel().getOffsetAt(editor.getPosition());
+  return located.find(s => s.from <= offset && offset <= s.to) || null;
+}
+
+// After accepting or rejecting: the original (or what the editor shows) changed
+function finishResolvingSuggestions() {
+  suggestionsDirty = true;
+  if (!suggesting && suggestionState.suggestions.length === 0) suggestionState = null;
+  renderSuggestions();
+  compile(getCompileSource());
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => autoSave(), AUTO_SAVE_DELAY);
+}
+
+function resolveCurrentSuggestion(accept) {
+  const suggestion = getCurrentSuggestion();
+  if (!suggestion) return;
+  if (accept) {
+    suggestionState = acceptSuggestion(suggestionState, suggestion.id);
+  } else {
+    const { state, change } = rejectSuggestion(suggestionState, suggestion.id);
+    suggestionState = state;
+    applySuggestionChange(change);
+  }
+  finishResolvingSuggestions();
+}
+
+function resolveAllSuggestions(accept) {
+  const count = getLocatedSuggestions().length;
+  if (count === 0) return;
+  const label = count === 1 ? "the suggestion" : `all ${count} suggestions`;
+
+  showConfirmModal(
+    accept ? "Accept All Suggestions" : "Reject All Suggestions",
+    accept ? `Make ${label} part of the document?` : `Discard ${label} and keep the original text?`,
+    accept ? "Accept All" : "Reject All",
+    () => {
+      if (!hasSuggestionState()) return;
+      if (accept) {
+        suggestionState = acceptAllSuggestions(suggestionState);
       } else {
-        newCode = typstCode.replace(new RegExp(escapeRegex(searchText), 'gi'), replaceText);
+        suggestionState = { original: suggestionState.original, suggestions: [] };
+        setEditorText(suggestionState.original);
       }
+      finishResolvingSuggestions();
+      showToast(`${accept ? "Accepted" : "Rejected"} ${count} suggestion${count === 1 ? "" : "s"}`);
+    }
+  );
+}
 
-      editor.setValue(newCode);
-      updateVisualEditor(newCode);
-      compile(newCode);
+// Select the next (or previous) suggestion after the cursor
+function goToSuggestion(direction) {
+  const located = getLocatedSuggestions();
+  if (located.length === 0) return;
+  const model = editor.getModel();
+  const offset = model.getOffsetAt(editor.getPosition());
+  const target = direction > 0
+    ? located.find(s => s.from > offset) || located[0]
+    : located.findLast(s => s.to < offset) || located[located.length - 1];
+
+  const range = monaco.Range.fromPositions(model.getPositionAt(target.from), model.getPositionAt(target.to));
+  editor.setSelection(range);
+  editor.revealRangeInCenterIfOutsideViewport(range);
+  editor.focus();
+}
 
-      countMatches();
-      showToast("Replaced " + matchCount + " occurrence" + (matchCount > 1 ? "s" : ""));
+function renderSuggestions() {
+  if (!editor) return;
+  const model = editor.getModel();
+  const located = getLocatedSuggestions();
+  const current = located.length > 0 ? getCurrentSuggestion(located) : null;
+  const overviewRuler = { color: "rgba(74, 222, 128, 0.8)", position: monaco.editor.OverviewRulerLane.Left };
+
+  const decorations = [];
+  for (const suggestion of located) {
+    const state = suggestion === current ? " active" : "";
+    const removed = suggestionState.original.slice(suggestion.start, suggestion.end);
+    const hoverMessage = { value: `Suggested by ${suggestion.author || "Anonymous"}` };
+    if (removed) {
+      // Deleted text isn't in the editor's text; it is drawn in where it was
+      decorations.push({
+        range: monaco.Range.fromPositions(model.getPositionAt(suggestion.from)),
+        options: {
+          before: {
+            content: removed.replace(/\r?\n/g, "↵"),
+            inlineClassName: `suggestion-deleted${state}`,
+            cursorStops: monaco.editor.InjectedTextCursorStops.None,
+          },
+          showIfCollapsed: true,
+          hoverMessage,
+          overviewRuler,
+        },
+      });
+    }
+    if (suggestion.text) {
+      decorations.push({
+        range: monaco.Range.fromPositions(model.getPositionAt(suggestion.from), model.getPositionAt(suggestion.to)),
+        options: {
+          inlineClassName: `suggestion-inserted${state}`,
+          hoverMessage,
+          overviewRuler,
+        },
+      });
     }
   }
+  suggestionDecorationIds = model.deltaDecorations(suggestionDecorationIds, decorations);
+  onSuggestionContext?.set(Boolean(current));
+  renderSuggestionsBar(located.length, current);
+}
 
-  findInput.addEventListener("input", countMatches);
-
-  document.getElementById("replace-all").addEventListener("click", replaceAll);
-
-  document.getElementById("find-next").addEventListener("click", countMatches);
-  document.getElementById("find-prev").addEventListener("click", countMatches);
-  document.getElementById("replace-one").addEventListener("click", () => {
-    showToast("Use Replace All for visual editor");
-  });
+function renderSuggestionsBar(count, current) {
+  document.getElementById("btn-suggest")?.classList.toggle("active", suggesting);
+  const bar = document.getElementById("suggestions-bar");
+  if (!bar) return;
+
+  bar.style.display = suggesting || count > 0 ? "" : "none";
+  bar.classList.toggle("suggesting", suggesting);
+  document.getElementById("suggestions-summary").textContent =
+    `${suggesting ? "Suggesting" : "Editing"} · ${count === 0 ? "no suggestions" : count === 1 ? "1 suggestion" : `${count} suggestions`}`;
+  for (const id of ["btn-accept-suggestion", "btn-reject-suggestion"]) {
+    document.getElementById(id).disabled = !current;
+  }
+  for (const id of ["btn-prev-suggestion", "btn-next-suggestion", "btn-accept-all-suggestions", "btn-reject-all-suggestions"]) {
+    document.getElementById(id).disabled = count === 0;
+  }
+  document.getElementById("suggestions-preview").value = settings.suggestionPreview;
 }
 
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function setupSuggestions() {
+  document.getElementById("btn-suggest").addEventListener("click", () => setSuggesting(!suggesting));
+  document.getElementById("btn-prev-suggestion").addEventListener("click", () => goToSuggestion(-1));
+  document.getElementById("btn-next-suggestion").addEventListener("click", () => goToSuggestion(1));
+  document.getElementById("btn-accept-suggestion").addEventListener("click", () => resolveCurrentSuggestion(true));
+  document.getElementById("btn-reject-suggestion").addEventListener("click", () => resolveCurrentSuggestion(false));
+  document.getElementById("btn-accept-all-suggestions").addEventListener("click", () => resolveAllSuggestions(true));
+  document.getElementById("btn-reject-all-suggestions").addEventListener("click", () => resolveAllSuggestions(false));
+  document.getElementById("suggestions-preview").addEventListener("change", (e) => {
+    settings.suggestionPreview = e.target.value;
+    saveSettings();
+    compile(getCompileSource());
+  });
 }
 
 // =====================
-// UI SETUP
+// COMPILATION
 // =====================
-function setupUI() {
-  const app = document.getElementById("app");
-  app.innerHTML = `
-    <div class="app-container">
-      <!-- Header -->
-      <header class="header">
-        <div class="header-left">
-          <button class="icon-btn sidebar-toggle" id="toggle-sidebar" title="Toggle Sidebar (Ctrl+B)">
-            ${icons.sidebar}
-          </button>
-          <div class="logo">
-            <div class="logo-icon-wrapper">
-              <span class="logo-icon">${icons.fileTypst}</span>
-            </div>
-            <span class="logo-text">Typst<span class="logo-suffix">Playground</span></span>
-          </div>
-        </div>
-        <div class="header-center">
-          <div class="document-title-wrapper" id="doc-name">
-            <span class="document-icon">${icons.fileTypst}</span>
-            <span class="document-name-text">${currentFileName}</span>
-            <span class="document-status" id="doc-status" title="All changes saved">
-              ${icons.check}
-            </span>
-          </div>
-        </div>
-        <div class="header-right">
-          <button class="header-action-btn" id="btn-templates" title="Browse Templates">
-            ${icons.template}
-            <span>Templates</span>
-          </button>
-          <div class="header-divider"></div>
-          <div class="header-btn-group">
-            <button class="icon-btn" id="btn-share" title="Share Document">
-              ${icons.share}
-            </button>
-            <button class="icon-btn primary" id="btn-export" title="Download PDF">
-              ${icons.download}
-            </button>
-          </div>
-          <div class="header-divider"></div>
-          <button class="icon-btn" id="btn-settings" title="Settings">
-            ${icons.settings}
-          </button>
-          <button class="icon-btn" id="btn-help" title="Help & Keyboard Shortcuts (F1)">
-            ${icons.help}
-          </button>
-        </div>
-      </header>
+function startCompilerWorker() {
+  compilerWorker = new Worker(new URL("./compiler-worker.js", import.meta.url), {
+    type: "module",
+  });
 
+  compilerWorker.onmessage = handleCompilerMessage;
+  compilerWorker.onerror = (e) => {
+    console.error("[Main] Worker error:", e);
+    setCompileStatus("error", "Compiler worker error: " + (e.message || e));
+  };
+}
 
-      <!-- Main Content -->
-      <div class="main-content">
-        <!-- Sidebar -->
-        <aside class="sidebar" id="sidebar">
-          <div class="sidebar-content">
-            <!-- Documents Section -->
-            <div class="sidebar-section">
-              <div class="sidebar-section-header" data-tooltip="Documents">
-                <div class="section-title">
-                  <span class="section-icon">${icons.folder}</span>
-                  <span class="section-label">Documents</span>
-                </div>
-                <div class="sidebar-actions">
-                  <button class="icon-btn tiny" id="btn-new-file" title="New Document">
-                    ${icons.filePlus}
-                  </button>
-                </div>
-              </div>
-              <div class="file-tree" id="file-tree">
-                <!-- Rendered dynamically by renderFileTree() -->
-              </div>
-            </div>
+// Kill the worker (the only way to interrupt a running WASM compile) and
+// start a fresh one with the fonts and virtual files restored
+function restartCompilerWorker() {
+  disarmCompileWatchdog();
 
-            <!-- Assets Section -->
-            <div class="sidebar-section">
-              <div class="sidebar-section-header collapsible" id="uploads-header" data-tooltip="Assets">
-                <div class="section-title">
-                  <span class="section-chevron">${icons.chevronDown}</span>
-                  <span class="section-icon">${icons.image}</span>
-                  <span class="section-label">Assets</span>
-                </div>
-                <div class="sidebar-actions">
-                  <button class="icon-btn tiny" id="btn-upload" title="Upload Image or File">
-                    ${icons.upload}
-                  </button>
-                </div>
-              </div>
-              <div class="uploads-list" id="uploads-list">
-                <div class="empty-state" id="uploads-empty">
-                  <span>Drop files here or click upload</span>
-                </div>
-              </div>
-            </div>
+  if (compilerWorker) {
+    compilerWorker.terminate();
+    compilerWorker = null;
+  }
 
-            <!-- Fonts Section -->
-            <div class="sidebar-section">
-              <div class="sidebar-section-header collapsible" id="fonts-header" data-tooltip="Fonts">
-                <div class="section-title">
-                  <span class="section-chevron">${icons.chevronDown}</span>
-                  <span class="section-icon">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                      <path d="M4 7V4h16v3M9 20h6M12 4v16"/>
-                    </svg>
-                  </span>
-                  <span class="section-label">Fonts</span>
-                </div>
-                <div class="sidebar-actions">
-                  <button class="icon-btn tiny" id="btn-upload-font" title="Upload Custom Font">
-                    ${icons.upload}
-                  </button>
-                </div>
-              </div>
-              <div class="fonts-list" id="fonts-list">
-                <div class="empty-state" id="fonts-empty">
-                  <span>Upload .ttf or .otf fonts</span>
-                </div>
-              </div>
-            </div>
-          </div>
+  // Exports queued in the old worker will never answer
+  for (const { reject } of pendingExportRequests.values()) {
+    reject(new Error("Compiler was restarted"));
+  }
+  pendingExportRequests.clear();
 
-          <!-- Sidebar Footer -->
-          <div class="sidebar-footer">
-            <button class="sidebar-collapse-btn" id="sidebar-collapse-btn" title="Collapse Sidebar">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="collapse-icon">
-                <polyline points="11 17 6 12 11 7"></polyline>
-                <polyline points="18 17 13 12 18 7"></polyline>
-              </svg>
-              <span class="collapse-text">Collapse</span>
-            </button>
-          </div>
-        </aside>
+  startCompilerWorker();
 
-        <!-- Resizer -->
-        <div class="resizer" id="sidebar-resizer"></div>
+  if (loadedFonts.length > 0) {
+    sendFontsToWorker();
+  }
 
-        <!-- Editor Panel -->
-        <div class="editor-panel" id="editor-panel">
-          <!-- Editor Tabs with Mode Toggle -->
-          <div class="editor-tabs">
-            <div class="editor-tabs-left">
-              <div class="tab active" data-file="${currentFileName}">
-                <span class="tab-icon">${icons.fileTypst}</span>
-                <span class="tab-name">${currentFileName}</span>
-                <button class="tab-close" title="Close">${icons.close}</button>
-              </div>
-            </div>
-            <div class="editor-tabs-right">
-              <div class="editor-mode-toggle">
-                <div class="mode-toggle-bg" id="mode-toggle-bg"></div>
-                <button class="mode-toggle-btn active" id="btn-mode-code" title="Source Code (Code Editor)">
-                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <polyline points="16 18 22 12 16 6"></polyline>
-                    <polyline points="8 6 2 12 8 18"></polyline>
-                  </svg>
-                  <span>Source</span>
-                </button>
-                <button class="mode-toggle-btn" id="btn-mode-visual" title="Rich Text (Visual Editor)">
-                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
-                    <polyline points="14 2 14 8 20 8"></polyline>
-                    <line x1="16" y1="13" x2="8" y2="13"></line>
-                    <line x1="16" y1="17" x2="8" y2="17"></line>
-                  </svg>
-                  <span>Rich Text</span>
-                </button>
-              </div>
-            </div>
-          </div>
+  compilerWorker.postMessage({
+    type: "loadFiles",
+    files: Object.fromEntries(currentFiles),
+  });
+}
 
-          <!-- Compact Formatting Toolbar -->
-          <div class="format-bar" id="format-bar">
-            <div class="fmt-dropdown" id="font-dropdown">
-              <button class="fmt-dropdown-btn" id="btn-font-select" title="Font">
-                <span class="font-icon">A</span>
-                <span class="font-name" id="current-font">Default</span>
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="12" height="12">
-                  <polyline points="6 9 12 15 18 9"></polyline>
-                </svg>
-              </button>
-              <div class="fmt-dropdown-menu" id="font-menu">
-                <div class="font-option" data-font="">Default</div>
-                <div class="font-option" data-font="New Computer Modern">New Computer Modern</div>
-                <div class="font-option" data-font="Linux Libertine">Linux Libertine</div>
-                <div class="font-option" data-font="Source Sans Pro">Source Sans Pro</div>
-                <div class="font-option" data-font="Fira Sans">Fira Sans</div>
-                <div class="font-divider"></div>
-                <div class="font-section-label">Custom Fonts</div>
-                <div id="custom-font-options"></div>
-                <div class="font-divider"></div>
-                <button class="font-upload-btn" id="btn-font-upload-inline">+ Upload Font</button>
-              </div>
-            </div>
-            <span class="fmt-sep"></span>
-            <button class="fmt-btn" id="fmt-bold" title="Bold (Ctrl+B)"><b>B</b></button>
-            <button class="fmt-btn" id="fmt-italic" title="Italic (Ctrl+I)"><i>I</i></button>
-            <button class="fmt-btn" id="fmt-underline" title="Underline"><u>U</u></button>
-            <button class="fmt-btn" id="fmt-strike" title="Strikethrough"><s>S</s></button>
-            <span class="fmt-sep"></span>
-            <button class="fmt-btn" id="fmt-heading" title="Heading 1">H1</button>
-            <button class="fmt-btn" id="fmt-heading2" title="Heading 2">H2</button>
-            <button class="fmt-btn" id="fmt-list" title="Bullet List">☰</button>
-            <span class="fmt-sep"></span>
-            <button class="fmt-btn" id="fmt-subscript" title="Subscript">x₂</button>
-            <button class="fmt-btn" id="fmt-superscript" title="Superscript">x²</button>
-            <span class="fmt-sep"></span>
-            <button class="fmt-btn" id="fmt-link" title="Link">🔗</button>
-            <button class="fmt-btn" id="fmt-image" title="Image">🖼️</button>
-            <button class="fmt-btn" id="fmt-table" title="Table">⊞</button>
-            <button class="fmt-btn" id="fmt-math" title="Math">∑</button>
-            <button class="fmt-btn" id="fmt-code" title="Code">&lt;/&gt;</button>
-            <button class="fmt-btn" id="fmt-codeblock" title="Code Block">{ }</button>
-            <span class="fmt-sep"></span>
-            <button class="fmt-btn" id="fmt-quote" title="Quote">❝</button>
-            <button class="fmt-btn" id="fmt-align-left" title="Align Left">⫷</button>
-            <button class="fmt-btn" id="fmt-align-center" title="Align Center">☰</button>
-            <button class="fmt-btn" id="fmt-align-right" title="Align Right">⫸</button>
-            <span class="fmt-sep"></span>
-            <button class="fmt-btn search-btn" id="btn-find" title="Find (Ctrl+F)">${icons.search}</button>
-            <button class="fmt-btn search-btn" id="btn-replace" title="Find & Replace (Ctrl+H)">⇄</button>
-          </div>
+function cancelCompile() {
+  clearTimeout(compileTimer);
+  disarmCompileWatchdog();
 
-          <div class="editor-content" id="monaco-editor"></div>
-          <div class="visual-editor-container" id="visual-editor-container" style="display: none;">
-            <div class="visual-editor-wrapper">
-              <div class="visual-line-numbers" id="visual-line-numbers"></div>
-              <div class="visual-editor" id="visual-editor" contenteditable="true"></div>
-            </div>
-          </div>
+  if (compileStatus !== "compiling") {
+    showToast("No compilation in progress");
+    return;
+  }
 
-          <!-- Error Window (Console Panel) -->
-          <div class="error-window" id="error-window">
-            <div class="error-window-header">
-              <div class="error-window-header-left">
-                <span class="error-window-icon">${icons.error}</span>
-                <span class="error-window-title">Compilation Error</span>
-              </div>
-              <div class="error-window-header-right">
-                <button class="icon-btn small" id="btn-toggle-error" title="Minimize">
-                  ${icons.chevronDown}
-                </button>
-                <button class="icon-btn small" id="btn-close-error" title="Close">
-                  ${icons.close}
-                </button>
-              </div>
-            </div>
-            <div class="error-window-body">
-              <div class="error-list"></div>
-            </div>
-          </div>
-        </div>
+  console.log("[Main] Cancelling compilation, restarting compiler worker");
+  restartCompilerWorker();
+  setCompileStatus("cancelled");
+  showToast("Compilation stopped");
+  recompileQueuedSource();
+}
 
-        <!-- Resizer -->
-        <div class="resizer" id="preview-resizer"></div>
+// Watchdog: armed when the worker starts compiler.compile(), disarmed when it
+// answers. `handleTimeout(timeoutSeconds)` runs when it doesn't in time
+function armCompileWatchdog(handleTimeout = handleCompileTimeout) {
+  disarmCompileWatchdog();
 
-        <!-- Preview Panel -->
-        <div class="preview-panel" id="preview-panel">
-          <div class="preview-toolbar">
-            <div class="preview-toolbar-left">
-              <!-- Recompile Button -->
-              <div class="recompile-group">
-                <button class="recompile-btn" id="btn-recompile" title="Recompile (Ctrl+Enter)">
-                  ${icons.play}
-                  <span>Recompile</span>
-                </button>
-                <button class="recompile-dropdown-btn" id="btn-recompile-dropdown" title="Compile options">
-                  ${icons.chevronDown}
-                </button>
-                <div class="recompile-dropdown" id="recompile-dropdown">
-                  <label class="dropdown-item">
-                    <input type="checkbox" id="auto-compile-toggle" checked>
-                    <span>Auto Compile</span>
-                  </label>
-                  <div class="dropdown-divider"></div>
-                  <button class="dropdown-item" id="btn-force-recompile">
-                    ${icons.refresh}
-                    <span>Force Recompile</span>
-                  </button>
-                  <button class="dropdown-item" id="btn-stop-compile">
-                    ${icons.close}
-                    <span>Stop Compilation</span>
-                  </button>
-                </div>
-              </div>
-            </div>
-            <div class="preview-toolbar-center">
-              <button class="icon-btn small" id="btn-zoom-out" title="Zoom Out">
-                ${icons.zoomOut}
-              </button>
-              <button class="zoom-level-btn" id="zoom-level" title="Reset Zoom">100%</button>
-              <button class="icon-btn small" id="btn-zoom-in" title="Zoom In">
-                ${icons.zoomIn}
-              </button>
-              <button class="icon-btn small" id="btn-fit-width" title="Fit Width">
-                ${icons.fitWidth}
-              </button>
-            </div>
-            <div class="preview-toolbar-right">
-              <span class="page-info" id="page-info">Page 1 of 1</span>
-            </div>
-          </div>
-          <div class="preview-content" id="preview-content">
-            <div class="pdf-container" id="pdf-pages"></div>
-          </div>
-        </div>
-      </div>
+  const timeoutSeconds = settings.compileTimeout;
+  if (!timeoutSeconds || timeoutSeconds <= 0) return;
 
-      <!-- Status Bar -->
-      <footer class="status-bar">
-        <div class="status-left">
-          <span class="status-item" id="compile-status">
-            <span class="status-indicator ready"></span>
-            <span>Ready</span>
-          </span>
-        </div>
-        <div class="status-center">
-          <span class="status-item" id="cursor-position">Ln 1, Col 1</span>
-        </div>
-        <div class="status-right">
-          <span class="status-item">Typst</span>
-        </div>
-      </footer>
-    </div>
+  compileWatchdog = setTimeout(() => handleTimeout(timeoutSeconds), timeoutSeconds * 1000);
+}
 
-    <!-- Hidden Inputs -->
-    <input type="file" id="file-input" multiple accept="image/*,.ttf,.otf,.woff,.woff2,.typ,.txt,.csv,.json,.bib" style="display:none">
-    <input type="file" id="font-input" multiple accept=".ttf,.otf,.woff,.woff2" style="display:none">
+function disarmCompileWatchdog() {
+  clearTimeout(compileWatchdog);
+  compileWatchdog = null;
+}
 
-    <!-- Modals -->
-    <div class="modal-overlay" id="modal-overlay" style="display: none;">
-      <div class="modal" id="modal">
-        <div class="modal-header">
-          <span class="modal-title"></span>
-          <button class="icon-btn" id="modal-close">${icons.close}</button>
-        </div>
-        <div class="modal-content"></div>
-      </div>
-    </div>
+function handleCompileTimeout(timeoutSeconds) {
+  compileWatchdog = null;
+  console.warn(`[Main] Compilation exceeded ${timeoutSeconds} s, restarting compiler worker`);
+  restartCompilerWorker();
+
+  const message = `Compilation timed out after ${timeoutSeconds} s`;
+  setCompileStatus("error", message, [{
+    severity: "error",
+    message,
+    file: "/" + getMainFilePath(),
+    line: null,
+    column: null,
+    hint: "The document may contain an infinite loop. The compiler was restarted; the timeout can be changed in Settings.",
+  }]);
+  recompileQueuedSource();
+}
 
-    <!-- Toast -->
-    <div class="toast" id="toast"></div>
-  `;
+// The compile for an export ran out of time: only the export fails, and the
+// preview keeps showing the last compile
+function handleExportTimeout(requestId, timeoutSeconds) {
+  compileWatchdog = null;
+  console.warn(`[Main] Export compilation exceeded ${timeoutSeconds} s, restarting compiler worker`);
+
+  const request = pendingExportRequests.get(requestId);
+  pendingExportRequests.delete(requestId);
+  restartCompilerWorker();
+  request?.reject(new Error(`Compiling for the export timed out after ${timeoutSeconds} s. The document may contain an infinite loop; the timeout can be changed in Settings.`));
+  recompileQueuedSource();
+}
 
-  // Add styles
-  addStyles();
+// A compile queued behind the one that was stopped died with the old worker:
+// send it again, unless it is the same source that was stopped
+function recompileQueuedSource() {
+  if (latestCompileId <= lastAppliedCompileId || latestCompileSource === startedCompileSource) return;
+  console.log("[Main] Recompiling the source queued behind the stopped compilation");
+  compile(latestCompileSource);
+}
 
-  // Setup event listeners
-  setupEventListeners();
+function compile(source) {
+  setCompileStatus("compiling");
 
-  // Setup resizers
-  setupResizers();
+  latestCompileId++;
+  latestCompileSource = source;
+  compilerWorker.postMessage({
+    type: "compile",
+    id: latestCompileId,
+    format: settings.previewMode === "vector" ? "svg" : "pdf",
+    mainFile: getMainFilePath(),
+    sources: getProjectSources(source),
+    files: Object.fromEntries(currentFiles),
+    registry: settings.packageRegistry,
+  });
+}
 
-  // Render file tree
-  renderFileTree();
+// Ask the worker for an artifact in a given format ("pdf", "vector", "svg" or "png";
+// options are { pages, dpi } for "png")
+function requestExport(format, options = {}) {
+  return new Promise((resolve, reject) => {
+    const id = ++exportRequestId;
+    pendingExportRequests.set(id, { resolve, reject });
+    compilerWorker.postMessage({
+      type: "export",
+      id,
+      format,
+      options,
+      mainFile: getMainFilePath(),
+      sources: getProjectSources(getCompileSource()),
+      files: Object.fromEntries(currentFiles),
+      registry: settings.packageRegistry,
+    });
+  });
+}
 
-  // Update uploads list
-  updateUploadsList();
+function handleExportMessage(data) {
+  const request = pendingExportRequests.get(data.id);
+  if (!request) return;
+  pendingExportRequests.delete(data.id);
 
-  // Setup drag and drop for uploads
-  setupUploadsDragDrop();
+  if (data.ok) {
+    request.resolve(data);
+  } else {
+    request.reject(new Error(data.error || "Export failed"));
+  }
 }
 
-function setupEventListeners() {
-  // Sidebar toggle
-  document.getElementById("toggle-sidebar").addEventListener("click", toggleSidebar);
+function handleCompilerMessage(event) {
+  const { type, id, ok, pdfBuffer, svg, error, diagnostics, compileTime, wasmLoadFailed } = event.data;
 
-  // Sidebar collapse
-  document.getElementById("sidebar-collapse-btn").addEventListener("click", toggleSidebarCollapse);
-  loadSidebarState();
+  if (type === "compileStarted") {
+    // The worker compiles the newest sources it was sent
+    startedCompileSource = latestCompileSource;
+    armCompileWatchdog();
+    return;
+  }
 
-  // Templates
-  document.getElementById("btn-templates").addEventListener("click", showTemplatesModal);
+  if (type === "exportStarted") {
+    armCompileWatchdog(timeoutSeconds => handleExportTimeout(id, timeoutSeconds));
+    return;
+  }
 
-  // Share
-  document.getElementById("btn-share").addEventListener("click", handleShare);
+  if (type === "exportCompiled") {
+    disarmCompileWatchdog();
+    return;
+  }
 
-  // Export
-  document.getElementById("btn-export").addEventListener("click", exportPDF);
+  if (type === "packageDownload") {
+    showToast(`Downloading ${event.data.spec}...`);
+    packagesChanged = true;
+    return;
+  }
 
-  // Settings
-  document.getElementById("btn-settings").addEventListener("click", showSettingsModal);
+  if (type === "exported") {
+    disarmCompileWatchdog();
+    handleExportMessage(event.data);
+    return;
+  }
 
-  // Help
-  document.getElementById("btn-help").addEventListener("click", showHelpModal);
+  if (type === "compiled") {
+    disarmCompileWatchdog();
 
-  // File upload
-  document.getElementById("btn-upload").addEventListener("click", () => {
-    document.getElementById("file-input").click();
-  });
-  document.getElementById("file-input").addEventListener("change", handleFileUpload);
+    // The worker cached packages it downloaded for this compile
+    if (packagesChanged) {
+      packagesChanged = false;
+      renderPackagesList();
+    }
 
-  // Font upload
-  document.getElementById("btn-upload-font").addEventListener("click", () => {
-    document.getElementById("font-input").click();
-  });
-  document.getElementById("font-input").addEventListener("change", handleFontUpload);
-
-  // Font dropdown in format bar
-  setupFontDropdown();
-
-  // Zoom controls
-  document.getElementById("btn-zoom-in").addEventListener("click", (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    zoomIn();
-  });
-  document.getElementById("btn-zoom-out").addEventListener("click", (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    zoomOut();
-  });
-  document.getElementById("btn-fit-width").addEventListener("click", (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    fitWidth();
-  });
-  document.getElementById("zoom-level").addEventListener("click", (e) => {
-    e.preventDefault();
-    resetZoom();
-  });
-
-  // Error window controls
-  document.getElementById("btn-close-error").addEventListener("click", () => {
-    const errorWindow = document.getElementById("error-window");
-    if (errorWindow) {
-      errorWindow.classList.remove("visible");
+    // Ignore results older than the one already shown
+    if (typeof id === "number") {
+      if (id < lastAppliedCompileId) {
+        console.log(`[Main] Ignoring stale compile result #${id} (showing #${lastAppliedCompileId})`);
+        return;
+      }
+      lastAppliedCompileId = id;
     }
-  });
+    const isLatest = typeof id !== "number" || id === latestCompileId;
 
-  document.getElementById("btn-toggle-error").addEventListener("click", () => {
-    const errorWindow = document.getElementById("error-window");
-    if (errorWindow) {
-      errorWindow.classList.toggle("minimized");
+    if (typeof compileTime === "number") {
+      lastCompileTime = compileTime;
     }
-  });
-
-  // Modal close
-  document.getElementById("modal-close").addEventListener("click", closeModal);
-  document.getElementById("modal-overlay").addEventListener("click", (e) => {
-    if (e.target === e.currentTarget) closeModal();
-  });
-
-  // Formatting buttons
-  setupFormattingButtons();
+    compilerLoadFailed = !!wasmLoadFailed;
 
-  // New file button
-  document.getElementById("btn-new-file").addEventListener("click", showNewFileModal);
+    if (!ok) {
+      // A newer compile is already queued; its result supersedes this error
+      if (!isLatest) return;
+      setCompileStatus("error", error, diagnostics || []);
+      return;
+    }
 
-  // Tab close button
-  document.querySelector(".tab-close")?.addEventListener("click", (e) => {
-    e.stopPropagation();
-    if (confirm("Clear document and start fresh?")) {
-      editor.setValue(`= New Document\n\nStart writing here...\n`);
-      showToast("Document cleared");
+    if (svg) {
+      currentSvg = svg;
+      currentPdfBuffer = null;
+      renderVectorPreview(svg);
+      setCompileStatus(isLatest ? "ready" : "compiling");
+      return;
     }
-  });
 
-  // Editor mode toggle
-  document.getElementById("btn-mode-code").addEventListener("click", () => switchEditorMode('code'));
-  document.getElementById("btn-mode-visual").addEventListener("click", () => switchEditorMode('visual'));
+    if (!pdfBuffer) {
+      setCompileStatus("error", "Compilation produced no output", [{
+        severity: "error",
+        message: "Compilation produced no output",
+        file: "/main.typ",
+        line: null,
+        column: null,
+        hint: null,
+      }]);
+      return;
+    }
 
-  // Visual editor input handling
-  const visualEditor = document.getElementById("visual-editor");
-  visualEditor.addEventListener("input", handleVisualEditorInput);
-  visualEditor.addEventListener("paste", handleVisualEditorPaste);
-  visualEditor.addEventListener("keydown", handleVisualEditorKeydown);
+    // Make a copy for export (pdf.js will detach the buffer it receives)
+    currentPdfBuffer = new Uint8Array(pdfBuffer).slice(0);
+    currentSvg = null;
+    // Pass a separate copy to pdf.js for rendering
+    renderPDF(new Uint8Array(pdfBuffer));
+    setCompileStatus(isLatest ? "ready" : "compiling");
+  }
+}
 
-  // Recompile button and dropdown
-  document.getElementById("btn-recompile").addEventListener("click", manualRecompile);
-  document.getElementById("btn-recompile-dropdown").addEventListener("click", toggleRecompileDropdown);
-  document.getElementById("auto-compile-toggle").addEventListener("change", (e) => {
-    autoCompile = e.target.checked;
-    showToast(autoCompile ? "Auto-compile enabled" : "Auto-compile disabled");
-  });
-  document.getElementById("btn-force-recompile").addEventListener("click", () => {
-    closeAllDropdowns();
-    forceRecompile();
-  });
-  document.getElementById("btn-stop-compile").addEventListener("click", () => {
-    closeAllDropdowns();
-    showToast("Compilation stopped");
-  });
+function setCompileStatus(status, error = "", diagnostics = []) {
+  compileStatus = status;
+  errorMessage = error;
+  updateStatusBar();
 
-  // Close dropdowns when clicking outside
-  document.addEventListener("click", (e) => {
-    if (!e.target.closest(".recompile-group")) {
-      closeAllDropdowns();
+  const errorWindow = document.getElementById("error-window");
+  if (status === "error" && (error || diagnostics.length > 0)) {
+    showErrorWindow(error, diagnostics);
+    highlightErrorLines(diagnostics);
+  } else {
+    if (errorWindow) {
+      errorWindow.classList.remove("visible");
     }
-  });
-
-  // Find and Replace buttons
-  document.getElementById("btn-find").addEventListener("click", openFind);
-  document.getElementById("btn-replace").addEventListener("click", openFindReplace);
+    clearErrorHighlights();
+  }
 }
 
 // =====================
-// SIDEBAR
+// ERROR WINDOW
 // =====================
-let sidebarCollapsed = false;
+function showErrorWindow(summary, diagnostics) {
+  const errorWindow = document.getElementById("error-window");
+  if (!errorWindow) return;
 
-function toggleSidebar() {
-  sidebarVisible = !sidebarVisible;
-  const sidebar = document.getElementById("sidebar");
-  const resizer = document.getElementById("sidebar-resizer");
+  const errorCount = diagnostics.filter(d => d.severity === "error").length;
+  const warningCount = diagnostics.filter(d => d.severity === "warning").length;
 
-  sidebar.style.display = sidebarVisible ? "flex" : "none";
-  resizer.style.display = sidebarVisible ? "block" : "none";
-}
+  // Update header with counts
+  const headerText = errorWindow.querySelector(".error-window-title");
+  if (headerText) {
+    const parts = [];
+    if (errorCount > 0) parts.push(`${errorCount} Error${errorCount > 1 ? 's' : ''}`);
+    if (warningCount > 0) parts.push(`${warningCount} Warning${warningCount > 1 ? 's' : ''}`);
+    headerText.textContent = parts.length > 0 ? parts.join(', ') : 'Compilation Error';
+  }
 
-function toggleSidebarCollapse() {
-  sidebarCollapsed = !sidebarCollapsed;
-  const sidebar = document.getElementById("sidebar");
-  const collapseBtn = document.getElementById("sidebar-collapse-btn");
+  // Render diagnostics list
+  const errorList = errorWindow.querySelector(".error-list");
+  if (errorList) {
+    errorList.innerHTML = diagnostics.map((d, index) => {
+      const severityIcon = d.severity === "warning" ? icons.warning : icons.error;
+      const severityClass = d.severity || "error";
+      const location = formatErrorLocation(d);
+      const hasLocation = d.line !== null;
 
-  if (sidebarCollapsed) {
-    sidebar.classList.add("collapsed");
-    collapseBtn.title = "Expand Sidebar";
-  } else {
-    sidebar.classList.remove("collapsed");
-    collapseBtn.title = "Collapse Sidebar";
-  }
+      // Generate code snippet if we have line info
+      const codeSnippet = generateCodeSnippet(d, getDiagnosticSource(d).split('\n'));
 
-  // Save preference
-  localStorage.setItem("sidebar-collapsed", sidebarCollapsed);
-}
+      return `
+        <div class="error-item ${severityClass} ${hasLocation ? 'clickable' : ''}"
+             data-index="${index}"
+             data-file="${escapeHtml(getDiagnosticPath(d))}"
+             data-line="${d.line || ''}"
+             data-column="${d.column || ''}">
+          <div class="error-item-header">
+            <span class="error-severity-icon ${severityClass}">${severityIcon}</span>
+            <span class="error-message">${escapeHtml(d.message)}</span>
+          </div>
+          ${location ? `<div class="error-location">${escapeHtml(location)}</div>` : ''}
+          ${codeSnippet}
+          ${d.hint ? `<div class="error-hint"><span class="hint-label">Hint:</span> ${escapeHtml(d.hint)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
 
-// Load sidebar collapse state on init
-function loadSidebarState() {
-  const collapsed = localStorage.getItem("sidebar-collapsed") === "true";
-  if (collapsed) {
-    sidebarCollapsed = true;
-    const sidebar = document.getElementById("sidebar");
-    const collapseBtn = document.getElementById("sidebar-collapse-btn");
-    if (sidebar) sidebar.classList.add("collapsed");
-    if (collapseBtn) collapseBtn.title = "Expand Sidebar";
+    // Add click handlers for navigating to error locations
+    errorList.querySelectorAll('.error-item.clickable').forEach(item => {
+      item.addEventListener('click', async () => {
+        const line = parseInt(item.dataset.line);
+        const column = parseInt(item.dataset.column) || 1;
+
+        // Errors in another project file open that file first
+        const target = getCurrentProjectDocs().find(doc => doc.name === item.dataset.file);
+        if (target && target.id !== currentDocumentId) {
+          await switchDocument(target.id);
+        }
+
+        if (!isNaN(line) && editor) {
+          editor.revealLineInCenter(line);
+          editor.setPosition({ lineNumber: line, column: column });
+          editor.focus();
+        }
+      });
+    });
   }
+
+  errorWindow.classList.add("visible");
 }
 
-// =====================
-// RESIZERS
-// =====================
-function setupResizers() {
-  setupResizer("sidebar-resizer", "sidebar", "left");
-  setupResizer("preview-resizer", "preview-panel", "right");
+// Project-relative path of the file a diagnostic points at ("/chapters/a.typ" -> "chapters/a.typ")
+function getDiagnosticPath(diagnostic) {
+  return (diagnostic.file || "/" + getMainFilePath()).replace(/^\/+/, "");
 }
 
-function setupResizer(resizerId, panelId, direction) {
-  const resizer = document.getElementById(resizerId);
-  const panel = document.getElementById(panelId);
+function isOpenFileDiagnostic(diagnostic) {
+  return getDiagnosticPath(diagnostic) === currentFileName;
+}
 
-  let startX, startWidth;
+// The text the diagnostic's line numbers refer to: for the open file that is
+// what was compiled, which previewing the original leaves without suggestions
+function getDiagnosticSource(diagnostic) {
+  if (isOpenFileDiagnostic(diagnostic)) {
+    return editor ? getCompileSource() : '';
+  }
+  const doc = getCurrentProjectDocs().find(d => d.name === getDiagnosticPath(diagnostic));
+  return doc?.content || '';
+}
 
-  resizer.addEventListener("mousedown", (e) => {
-    startX = e.clientX;
-    startWidth = panel.offsetWidth;
+// Generate a code snippet for an error diagnostic
+function generateCodeSnippet(diagnostic, sourceLines) {
+  if (diagnostic.line === null || diagnostic.line === undefined) return '';
 
-    document.addEventListener("mousemove", resize);
-    document.addEventListener("mouseup", stopResize);
-    document.body.style.cursor = "col-resize";
-    document.body.style.userSelect = "none";
-  });
+  const errorLine = diagnostic.line;
+  const startCol = diagnostic.column || 1;
+  const endCol = diagnostic.endColumn || (startCol + 1);
+  const endLine = diagnostic.endLine || errorLine;
 
-  function resize(e) {
-    const diff = direction === "left" ? e.clientX - startX : startX - e.clientX;
-    const newWidth = Math.max(200, Math.min(600, startWidth + diff));
-    panel.style.width = `${newWidth}px`;
-    panel.style.flex = "none";
-  }
+  // Show context: 1 line before, error lines, 1 line after
+  const contextBefore = 1;
+  const contextAfter = 1;
+  const startLineIdx = Math.max(0, errorLine - 1 - contextBefore);
+  const endLineIdx = Math.min(sourceLines.length - 1, endLine - 1 + contextAfter);
 
-  function stopResize() {
-    document.removeEventListener("mousemove", resize);
-    document.removeEventListener("mouseup", stopResize);
-    document.body.style.cursor = "";
-    document.body.style.userSelect = "";
-  }
-}
+  let snippetHtml = '<div class="error-code-snippet">';
 
-// =====================
-// STATUS BAR
-// =====================
-function updateStatusBar() {
-  const statusEl = document.getElementById("compile-status");
-  const indicator = statusEl.querySelector(".status-indicator");
-  const text = statusEl.querySelector("span:last-child");
+  for (let i = startLineIdx; i <= endLineIdx; i++) {
+    const lineNum = i + 1;
+    const lineContent = sourceLines[i] || '';
+    const isErrorLine = lineNum >= errorLine && lineNum <= endLine;
+    const lineClass = isErrorLine ? 'error-line' : '';
 
-  indicator.className = `status-indicator ${compileStatus}`;
+    // Escape HTML in line content
+    let displayContent = escapeHtml(lineContent) || ' '; // Use space for empty lines
 
-  switch (compileStatus) {
-    case "compiling":
-      text.textContent = "Compiling...";
-      break;
-    case "error":
-      text.textContent = "Error";
-      break;
-    default:
-      text.textContent = "Ready";
+    // Highlight the error portion on error lines
+    if (isErrorLine && lineNum === errorLine && startCol > 0) {
+      const before = escapeHtml(lineContent.substring(0, startCol - 1));
+      const errorEnd = lineNum === endLine ? endCol : lineContent.length + 1;
+      const errorPart = escapeHtml(lineContent.substring(startCol - 1, errorEnd - 1)) || ' ';
+      const after = escapeHtml(lineContent.substring(errorEnd - 1));
+      displayContent = `${before}<span class="error-highlight">${errorPart}</span>${after}`;
+    }
+
+    snippetHtml += `
+      <div class="snippet-line ${lineClass}">
+        <span class="snippet-line-num">${lineNum}</span>
+        <span class="snippet-line-content">${displayContent}</span>
+      </div>
+    `;
+  }
+
+  // Add error indicator arrow
+  if (startCol > 0) {
+    const padding = ' '.repeat(startCol - 1);
+    const underline = '^'.repeat(Math.max(1, endCol - startCol));
+    snippetHtml += `
+      <div class="snippet-indicator">
+        <span class="snippet-line-num"></span>
+        <span class="snippet-indicator-arrow">${padding}${underline}</span>
+      </div>
+    `;
   }
+
+  snippetHtml += '</div>';
+  return snippetHtml;
 }
 
-function updateCursorPosition(position) {
-  const el = document.getElementById("cursor-position");
-  if (el) {
-    el.textContent = `Ln ${position.lineNumber}, Col ${position.column}`;
+function formatErrorLocation(diagnostic) {
+  if (diagnostic.line === null) return null;
+
+  let location = diagnostic.file || "/main.typ";
+  location += `:${diagnostic.line}`;
+  if (diagnostic.column !== null) {
+    location += `:${diagnostic.column}`;
+  }
+  return location;
+}
+
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function toggleErrorWindow() {
+  const errorWindow = document.getElementById("error-window");
+  if (errorWindow) {
+    errorWindow.classList.toggle("visible");
   }
 }
 
 // =====================
-// TEMPLATES
+// ERROR LINE HIGHLIGHTING
 // =====================
-function showTemplatesModal() {
-  const templateList = getTemplateList();
+function highlightErrorLines(diagnostics) {
+  console.log("[Main] highlightErrorLines called with:", JSON.stringify(diagnostics, null, 2));
 
-  const content = `
-    <div class="templates-grid">
-      ${templateList.map(t => `
-        <div class="template-card" data-id="${t.id}">
-          <div class="template-icon">${t.icon}</div>
-          <div class="template-info">
-            <div class="template-name">${t.name}</div>
-            <div class="template-desc">${t.description}</div>
-          </div>
-        </div>
-      `).join("")}
-    </div>
-  `;
+  if (!editor) return;
 
-  showModal("Templates", content);
+  const model = editor.getModel();
+  if (!model) return;
 
-  // Add click handlers
-  document.querySelectorAll(".template-card").forEach(card => {
-    card.addEventListener("click", () => {
-      const template = getTemplate(card.dataset.id);
-      if (template && editor) {
-        editor.setValue(template.content);
-        closeModal();
-        showToast(`Loaded "${template.name}" template`);
-      }
+  // Clear previous decorations
+  clearErrorHighlights();
+
+  // Only diagnostics in the open file can be shown in the editor, and only when
+  // the editor holds the text that was compiled (not so while previewing the
+  // original of a document with suggestions; the panel still lists them)
+  diagnostics = getCompileSource() === editor.getValue() ? diagnostics.filter(isOpenFileDiagnostic) : [];
+
+  // Create Monaco markers (squiggly underlines)
+  const markers = diagnostics
+    .filter(d => d.line !== null && d.line !== undefined)
+    .map(d => {
+      const startLine = d.line;
+      const startCol = d.column || 1;
+      // If we have end position, use it; otherwise mark to end of line
+      const endLine = d.endLine || startLine;
+      const endCol = d.endColumn || model.getLineMaxColumn(endLine);
+
+      const marker = {
+        severity: d.severity === "warning"
+          ? monaco.MarkerSeverity.Warning
+          : monaco.MarkerSeverity.Error,
+        startLineNumber: startLine,
+        startColumn: startCol,
+        endLineNumber: endLine,
+        endColumn: endCol,
+        message: d.message || "Error",
+        source: "typst"
+      };
+
+      console.log("[Main] Created marker:", marker);
+      return marker;
     });
-  });
+
+  console.log("[Main] Setting Monaco markers:", markers.length, "markers");
+
+  // Set markers (shows squiggly underlines)
+  monaco.editor.setModelMarkers(model, "typst", markers);
+
+  // Also add line decorations for background highlighting
+  const newDecorations = diagnostics
+    .filter(d => d.line !== null && d.line !== undefined)
+    .map(d => {
+      const isWarning = d.severity === "warning";
+      return {
+        range: new monaco.Range(d.line, 1, d.line, 1),
+        options: {
+          isWholeLine: true,
+          className: isWarning ? 'editor-line-warning' : 'editor-line-error',
+          glyphMarginClassName: isWarning ? 'editor-glyph-warning' : 'editor-glyph-error',
+          overviewRuler: {
+            color: isWarning ? '#f59e0b' : '#ef4444',
+            position: monaco.editor.OverviewRulerLane.Right
+          }
+        }
+      };
+    });
+
+  // Apply line decorations
+  errorDecorations = editor.deltaDecorations([], newDecorations);
+}
+
+function clearErrorHighlights() {
+  if (!editor) return;
+
+  // Clear Monaco markers
+  const model = editor.getModel();
+  if (model) {
+    monaco.editor.setModelMarkers(model, "typst", []);
+  }
+
+  // Clear line decorations
+  errorDecorations = editor.deltaDecorations(errorDecorations, []);
 }
 
 // =====================
-// NEW FILE
+// PDF RENDERING
 // =====================
-function showNewFileModal() {
-  const content = `
-    <div class="new-file-form">
-      <div class="settings-group">
-        <label for="new-file-name">File Name</label>
-        <input type="text" id="new-file-name" value="document.typ" placeholder="Enter file name (e.g., document.typ)">
-      </div>
-      <p>Create a new Typst document:</p>
-      <div class="new-file-options">
-        <button class="btn primary" id="new-blank">Create New Document</button>
-        <button class="btn" id="new-from-template">From Template</button>
-      </div>
-      <div class="new-file-info">
-        <small>Your current document will be saved automatically.</small>
-      </div>
-    </div>
-  `;
+async function renderPDF(buffer) {
+  const generation = ++renderGeneration;
 
-  showModal("New Document", content);
+  try {
+    const pdf = await pdfjsLib.getDocument({ data: buffer }).promise;
+    if (generation !== renderGeneration) {
+      pdf.destroy();
+      return;
+    }
+    await layoutPdfPages(pdf, generation);
+  } catch (e) {
+    if (generation !== renderGeneration) return;
+    console.error("PDF render error:", e);
+    setCompileStatus("error", "Failed to render PDF: " + e.message);
+  }
+}
 
-  const fileNameInput = document.getElementById("new-file-name");
-  fileNameInput.focus();
-  fileNameInput.select();
+// Lay out correctly sized placeholders for every page; the pages themselves are
+// rendered lazily by renderPdfPage() as they come near the viewport
+async function layoutPdfPages(pdf, generation) {
+  const container = document.getElementById("pdf-pages");
 
-  const handleCreate = () => {
-    let fileName = fileNameInput.value.trim() || "document.typ";
-    // Ensure .typ extension
-    if (!fileName.toLowerCase().endsWith(".typ")) {
-      fileName += ".typ";
+  // Measuring pages is cheap compared to rendering them
+  const sizes = [];
+  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+    const page = await pdf.getPage(pageNum);
+    if (generation !== renderGeneration) {
+      if (pdf !== pdfDocument) pdf.destroy();
+      return;
     }
+    sizes.push(page.getViewport({ scale: 1 }));
+  }
 
-    // Create new document (saves current one automatically)
-    // Returns actual filename used (may be modified if duplicate)
-    const actualFileName = createNewDocument(fileName);
+  // Taken before the old canvases are moved out of the pages on screen
+  const anchor = captureScrollAnchor();
 
-    closeModal();
-    showToast(`Created "${actualFileName}"`);
-  };
+  const previousDocument = pdfDocument;
+  pdfDocument = pdf;
+  totalPages = pdf.numPages;
 
-  document.getElementById("new-blank").addEventListener("click", handleCreate);
+  // Previously rendered pages stay on screen (marked stale) until their
+  // replacements are ready, so a recompile never flashes blank pages
+  const previousCanvases = new Map();
+  container.querySelectorAll(".pdf-page-wrapper").forEach((wrapper) => {
+    const canvas = wrapper.querySelector("canvas.pdf-page");
+    if (canvas) previousCanvases.set(wrapper.dataset.page, canvas);
+  });
 
-  fileNameInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
-      e.preventDefault();
-      handleCreate();
+  const fragment = document.createDocumentFragment();
+  sizes.forEach((size, index) => {
+    const pageWrapper = document.createElement("div");
+    pageWrapper.className = "pdf-page-wrapper";
+    pageWrapper.dataset.page = index + 1;
+    pageWrapper.dataset.widthPt = size.width;
+    pageWrapper.dataset.heightPt = size.height;
+
+    const width = Math.floor(size.width * currentZoom * PREVIEW_SCALE);
+    const height = Math.floor(size.height * currentZoom * PREVIEW_SCALE);
+    const previousCanvas = previousCanvases.get(pageWrapper.dataset.page);
+
+    if (previousCanvas) {
+      previousCanvas.style.width = `${width}px`;
+      previousCanvas.style.height = `${height}px`;
+      pageWrapper.dataset.state = "stale";
+      pageWrapper.appendChild(previousCanvas);
+    } else {
+      const placeholder = document.createElement("div");
+      placeholder.className = "pdf-page-placeholder";
+      placeholder.style.width = `${width}px`;
+      placeholder.style.height = `${height}px`;
+      pageWrapper.dataset.state = "pending";
+      pageWrapper.appendChild(placeholder);
     }
+
+    fragment.appendChild(pageWrapper);
   });
 
-  document.getElementById("new-from-template").addEventListener("click", () => {
-    closeModal();
-    showTemplatesModal();
+  // Swap all pages in at once and keep the reader where they were
+  container.replaceChildren(fragment);
+  restoreScrollAnchor(anchor);
+
+  if (previousDocument && previousDocument !== pdf) {
+    previousDocument.destroy();
+  }
+
+  updatePageInfo();
+
+  // Setup intersection observers for page tracking and lazy rendering
+  setupPageTracking();
+}
+
+async function renderPdfPage(pageWrapper) {
+  const state = pageWrapper.dataset.state;
+  if ((state !== "pending" && state !== "stale") || !pdfDocument) return;
+  pageWrapper.dataset.state = "rendering";
+  const previousCanvas = state === "stale" ? pageWrapper.querySelector("canvas.pdf-page") : null;
+
+  const generation = renderGeneration;
+  const pdf = pdfDocument;
+  const pageNum = parseInt(pageWrapper.dataset.page);
+
+  try {
+    const page = await pdf.getPage(pageNum);
+    const viewport = page.getViewport({ scale: currentZoom * PREVIEW_SCALE });
+    const fingerprint = await pageFingerprint(page);
+    if (generation !== renderGeneration) return;
+
+    // An unchanged page at the same zoom keeps its canvas and isn't rendered again
+    if (
+      previousCanvas &&
+      fingerprint &&
+      previousCanvas.dataset.fingerprint === fingerprint &&
+      previousCanvas.width === Math.floor(viewport.width) &&
+      previousCanvas.height === Math.floor(viewport.height)
+    ) {
+      previousCanvas.style.width = "";
+      previousCanvas.style.height = "";
+      pageWrapper.dataset.state = "rendered";
+      return;
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.className = "pdf-page";
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    if (fingerprint) canvas.dataset.fingerprint = fingerprint;
+
+    const ctx = canvas.getContext("2d");
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    // A newer render has taken over the container
+    if (generation !== renderGeneration) return;
+
+    pageWrapper.replaceChildren(canvas);
+    pageWrapper.dataset.state = "rendered";
+  } catch (e) {
+    if (generation !== renderGeneration) return;
+    console.error(`PDF page ${pageNum} render error:`, e);
+    pageWrapper.dataset.state = state;
+  }
+}
+
+// Image operators name their image by its order on the page, not its content
+const IMAGE_OPS = new Set([
+  pdfjsLib.OPS.paintImageXObject,
+  pdfjsLib.OPS.paintImageXObjectRepeat,
+  pdfjsLib.OPS.paintImageMaskXObject,
+  pdfjsLib.OPS.paintImageMaskXObjectGroup,
+  pdfjsLib.OPS.paintImageMaskXObjectRepeat,
+]);
+
+// A hash of the page's drawing operations that is the same for the same page
+// in the next compile, or null for a page with images, whose content the
+// operations don't show. pdf.js names fonts per document (g_d3_f1), so fonts go
+// by their PDF name instead; typst's subset tag in it changes with the glyphs
+async function pageFingerprint(page) {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  if (fnArray.some(fn => IMAGE_OPS.has(fn))) return null;
+
+  const operations = JSON.stringify([fnArray, argsArray], (key, value) => {
+    if (ArrayBuffer.isView(value)) return Array.from(value);
+    if (typeof value === "string" && /^g_d\d+_/.test(value)) {
+      return page.commonObjs.has(value) ? page.commonObjs.get(value).name : value.replace(/^g_d\d+_/, "");
+    }
+    return value;
   });
+  return hashString(operations);
 }
 
-// =====================
-// SETTINGS
-// =====================
-function showSettingsModal() {
-  const content = `
-    <div class="settings-form">
-      <div class="settings-group">
-        <label>Theme</label>
-        <select id="setting-theme">
-          <option value="system" ${settings.theme === "system" ? "selected" : ""}>System</option>
-          <option value="dark" ${settings.theme === "dark" ? "selected" : ""}>Dark</option>
-          <option value="light" ${settings.theme === "light" ? "selected" : ""}>Light</option>
-        </select>
-      </div>
-      <div class="settings-group">
-        <label>Font Size</label>
-        <input type="number" id="setting-font-size" value="${settings.fontSize}" min="10" max="24">
-      </div>
-      <div class="settings-group">
-        <label>Word Wrap</label>
-        <select id="setting-word-wrap">
-          <option value="on" ${settings.wordWrap === "on" ? "selected" : ""}>On</option>
-          <option value="off" ${settings.wordWrap === "off" ? "selected" : ""}>Off</option>
-        </select>
-      </div>
-      <div class="settings-group">
-        <label>Line Numbers</label>
-        <select id="setting-line-numbers">
-          <option value="on" ${settings.lineNumbers === "on" ? "selected" : ""}>On</option>
-          <option value="off" ${settings.lineNumbers === "off" ? "selected" : ""}>Off</option>
-          <option value="relative" ${settings.lineNumbers === "relative" ? "selected" : ""}>Relative</option>
-        </select>
-      </div>
-      <div class="settings-group">
-        <label>
-          <input type="checkbox" id="setting-minimap" ${settings.minimap ? "checked" : ""}>
-          Show Minimap
-        </label>
-      </div>
-      <div class="settings-actions">
-        <button class="btn primary" id="save-settings">Save Settings</button>
-      </div>
-    </div>
-  `;
-
-  showModal("Settings", content);
+// 53-bit string hash (cyrb53); fingerprints only need to tell pages apart
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 2654435761);
+    h2 = Math.imul(h2 ^ c, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
 
-  document.getElementById("save-settings").addEventListener("click", () => {
-    settings.theme = document.getElementById("setting-theme").value;
-    settings.fontSize = parseInt(document.getElementById("setting-font-size").value);
-    settings.wordWrap = document.getElementById("setting-word-wrap").value;
-    settings.lineNumbers = document.getElementById("setting-line-numbers").value;
-    settings.minimap = document.getElementById("setting-minimap").checked;
+// Remember which page sits at the top of the preview and how far into it the reader is
+function captureScrollAnchor() {
+  const preview = document.getElementById("preview-content");
+  const previewTop = preview.getBoundingClientRect().top;
 
-    applySettings();
-    applyTheme();
-    saveSettings();
-    closeModal();
-    showToast("Settings saved");
-  });
+  for (const wrapper of document.querySelectorAll("#pdf-pages .pdf-page-wrapper")) {
+    const rect = wrapper.getBoundingClientRect();
+    if (rect.bottom > previewTop && rect.height > 0) {
+      return {
+        page: parseInt(wrapper.dataset.page),
+        offset: (previewTop - rect.top) / rect.height
+      };
+    }
+  }
+  return null;
 }
 
-function applySettings() {
-  if (editor) {
-    editor.updateOptions({
-      fontSize: settings.fontSize,
-      wordWrap: settings.wordWrap,
-      lineNumbers: settings.lineNumbers,
-      minimap: { enabled: settings.minimap },
-    });
-  }
+// Scroll back to the same relative position on the same page (or the last page if it's gone)
+function restoreScrollAnchor(anchor) {
+  if (!anchor || totalPages === 0) return;
+
+  const preview = document.getElementById("preview-content");
+  const page = Math.min(anchor.page, totalPages);
+  const wrapper = document.querySelector(`#pdf-pages .pdf-page-wrapper[data-page="${page}"]`);
+  if (!wrapper) return;
+
+  const rect = wrapper.getBoundingClientRect();
+  const previewTop = preview.getBoundingClientRect().top;
+  preview.scrollTop += rect.top - previewTop + anchor.offset * rect.height;
+  currentPage = Math.min(currentPage, totalPages);
 }
 
-function saveSettings() {
+// Render the typst.ts SVG output directly; each page lives in its own shadow root
+// so the SVG's global styles cannot leak into the app
+function renderVectorPreview(svg) {
+  ++renderGeneration;
+  const container = document.getElementById("pdf-pages");
+
   try {
-    localStorage.setItem("typst-editor-settings", JSON.stringify(settings));
+    // Taken before unchanged pages are moved out of the preview
+    const anchor = captureScrollAnchor();
+    const svgPages = getSvgPages(svg);
+    totalPages = svgPages.length;
+
+    // The canvas preview's document is no longer needed
+    if (pdfDocument) {
+      pdfDocument.destroy();
+      pdfDocument = null;
+    }
+
+    // typst.ts tags every page with a content hash; pages whose hash is
+    // unchanged are moved over as-is, and only the others are built
+    const previousPages = new Map();
+    container.querySelectorAll(".pdf-page-wrapper").forEach((wrapper) => {
+      if (wrapper.dataset.tid) previousPages.set(wrapper.dataset.page, wrapper);
+    });
+
+    const fragment = document.createDocumentFragment();
+    svgPages.forEach(({ tid, toSvg }, index) => {
+      const previousWrapper = previousPages.get(String(index + 1));
+      if (tid && previousWrapper?.dataset.tid === tid) {
+        fragment.appendChild(previousWrapper);
+        return;
+      }
+
+      const pageWrapper = document.createElement("div");
+      pageWrapper.className = "pdf-page-wrapper";
+      pageWrapper.dataset.page = index + 1;
+      if (tid) pageWrapper.dataset.tid = tid;
+
+      const page = document.createElement("div");
+      page.className = "vector-page";
+      pageWrapper.dataset.state = "rendered";
+      const shadow = page.attachShadow({ mode: "open" });
+      shadow.innerHTML = `<style>svg { display: block; transform-origin: 0 0; }</style>${toSvg()}`;
+
+      const svgEl = shadow.querySelector("svg");
+      const widthPt = parseFloat(svgEl.getAttribute("width")) || 0;
+      const heightPt = parseFloat(svgEl.getAttribute("height")) || 0;
+      page.dataset.widthPt = widthPt;
+      page.dataset.heightPt = heightPt;
+      pageWrapper.dataset.widthPt = widthPt;
+      pageWrapper.dataset.heightPt = heightPt;
+      svgEl.setAttribute("width", widthPt * PREVIEW_SCALE);
+      svgEl.setAttribute("height", heightPt * PREVIEW_SCALE);
+
+      pageWrapper.appendChild(page);
+      fragment.appendChild(pageWrapper);
+    });
+
+    container.replaceChildren(fragment);
+    applyVectorZoom();
+    restoreScrollAnchor(anchor);
+    updatePageInfo();
+    setupPageTracking();
   } catch (e) {
-    console.warn("Failed to save settings:", e);
+    console.error("SVG render error:", e);
+    setCompileStatus("error", "Failed to render SVG preview: " + e.message);
   }
 }
 
-function loadSettings() {
-  try {
-    const saved = localStorage.getItem("typst-editor-settings");
-    if (saved) {
-      settings = { ...settings, ...JSON.parse(saved) };
+// Vector zoom is a CSS transform; the SVG is never re-rendered
+function applyVectorZoom() {
+  document.querySelectorAll("#pdf-pages .vector-page").forEach((page) => {
+    const width = parseFloat(page.dataset.widthPt) * PREVIEW_SCALE;
+    const height = parseFloat(page.dataset.heightPt) * PREVIEW_SCALE;
+    page.style.width = `${width * currentZoom}px`;
+    page.style.height = `${height * currentZoom}px`;
+
+    const svgEl = page.shadowRoot?.querySelector("svg");
+    if (svgEl) {
+      svgEl.style.transform = `scale(${currentZoom})`;
     }
-  } catch (e) {
-    console.warn("Failed to load settings:", e);
+  });
+}
+
+function setupPageTracking() {
+  pageObserver?.disconnect();
+  lazyRenderObserver?.disconnect();
+
+  pageObserver = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          currentPage = parseInt(entry.target.dataset.page);
+          updatePageInfo();
+        }
+      });
+    },
+    { threshold: 0.5 }
+  );
+
+  // Start rendering pages about one screen before they scroll into view
+  lazyRenderObserver = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        const state = entry.target.dataset.state;
+        if (entry.isIntersecting && (state === "pending" || state === "stale")) {
+          renderPdfPage(entry.target);
+        }
+      });
+    },
+    { root: document.getElementById("preview-content"), rootMargin: "100% 0px" }
+  );
+
+  document.querySelectorAll(".pdf-page-wrapper").forEach((el) => {
+    pageObserver.observe(el);
+    lazyRenderObserver.observe(el);
+  });
+}
+
+function updatePageInfo() {
+  const pageInfo = document.getElementById("page-info");
+  if (pageInfo) {
+    pageInfo.textContent = `Page ${currentPage} of ${totalPages}`;
   }
 }
 
 // =====================
-// THEME
+// SOURCE SYNC
 // =====================
-function getSystemTheme() {
-  return window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
-}
+// Text runs of the current preview in document order. Vector runs carry their
+// SVG element; canvas runs carry a box in PDF points relative to their page
+async function getPreviewTextRuns() {
+  if (currentSvg) {
+    const runs = [];
+    document.querySelectorAll("#pdf-pages .pdf-page-wrapper").forEach((wrapper) => {
+      const page = parseInt(wrapper.dataset.page);
+      const shadow = wrapper.querySelector(".vector-page")?.shadowRoot;
+      shadow?.querySelectorAll(".typst-text").forEach((element) => {
+        const text = element.querySelector(".tsel")?.textContent;
+        if (text && text.trim()) runs.push({ page, text, element });
+      });
+    });
+    return runs;
+  }
 
-function applyTheme() {
-  let theme = settings.theme;
+  if (!pdfDocument) return [];
 
-  // If system, detect the actual theme
-  if (theme === "system") {
-    theme = getSystemTheme();
+  if (pdfTextCache?.pdf !== pdfDocument) {
+    const pdf = pdfDocument;
+    const runs = [];
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+
+      for (const item of content.items) {
+        if (!item.str || !item.str.trim()) continue;
+        const [x, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+        runs.push({
+          page: pageNum,
+          text: item.str,
+          box: { x, y: y - item.height, width: item.width, height: item.height }
+        });
+      }
+    }
+    pdfTextCache = { pdf, runs };
   }
+  return pdfTextCache.runs;
+}
 
-  // Apply theme to document
-  document.documentElement.setAttribute("data-theme", theme);
-
-  // Update Monaco editor theme
-  if (editor) {
-    const monacoTheme = theme === "dark" ? "typst-dark" : "typst-light";
-    monaco.editor.setTheme(monacoTheme);
+// The preview's text as one string (runs on separate lines), with where each run starts
+function joinPreviewRuns(runs) {
+  const starts = [];
+  let text = "";
+  for (const run of runs) {
+    starts.push(text.length);
+    text += run.text + "\n";
   }
+  return { text, starts };
 }
 
-function setupSystemThemeListener() {
-  const mediaQuery = window.matchMedia("(prefers-color-scheme: dark)");
-  mediaQuery.addEventListener("change", () => {
-    if (settings.theme === "system") {
-      applyTheme();
-    }
-  });
+// The project's Typst sources as the preview is built from them, main file
+// first, with the open file's text as the editor has it
+function getSyncSources() {
+  const sources = Object.entries(getProjectSources(editor.getValue()))
+    .filter(([path]) => isTypstFile(path))
+    .map(([path, text]) => ({ path, text: maskComments(text) }));
+  const mainFile = getMainFilePath();
+  return [
+    ...sources.filter(source => source.path === mainFile),
+    ...sources.filter(source => source.path !== mainFile),
+  ];
 }
 
-// =====================
-// HELP
-// =====================
-function showHelpModal() {
-  const content = `
-    <div class="help-content">
-      <div class="help-tabs">
-        <button class="help-tab active" data-tab="quickstart">Quick Start</button>
-        <button class="help-tab" data-tab="syntax">Syntax</button>
-        <button class="help-tab" data-tab="shortcuts">Shortcuts</button>
-        <button class="help-tab" data-tab="resources">Resources</button>
-      </div>
+// Where a text run currently sits on screen
+function getRunRect(run) {
+  if (run.element) return run.element.getBoundingClientRect();
+
+  const wrapper = document.querySelector(`#pdf-pages .pdf-page-wrapper[data-page="${run.page}"]`);
+  const pageRect = wrapper.firstElementChild.getBoundingClientRect();
+  const scale = pageRect.width / parseFloat(wrapper.dataset.widthPt);
+  return new DOMRect(
+    pageRect.left + run.box.x * scale,
+    pageRect.top + run.box.y * scale,
+    run.box.width * scale,
+    run.box.height * scale
+  );
+}
 
-      <div class="help-tab-content active" id="tab-quickstart">
-        <h3>🚀 Getting Started</h3>
-        <p>Welcome to Typst Playground! Here's how to get started:</p>
+// Ctrl/Cmd+click in the preview: select the matching word in the editor
+async function jumpToSource(event) {
+  const wrapper = event.target.closest(".pdf-page-wrapper");
+  if (!wrapper || !editor) return;
+  const pageNum = parseInt(wrapper.dataset.page);
 
-        <div class="help-section">
-          <h4>1. Write Your Document</h4>
-          <p>Type in the editor on the left. Your document compiles automatically!</p>
-          <pre class="help-code">= Hello World
+  let runs;
+  try {
+    runs = await getPreviewTextRuns();
+  } catch (e) {
+    console.error("[Main] Failed to read preview text:", e);
+    return;
+  }
 
-This is my first document in *Typst*!
+  // The run under the pointer, or the closest one on the page (favouring the same line)
+  let target = -1;
+  let bestDistance = Infinity;
+  runs.forEach((run, index) => {
+    if (run.page !== pageNum) return;
+    const rect = getRunRect(run);
+    const dx = Math.max(rect.left - event.clientX, 0, event.clientX - rect.right);
+    const dy = Math.max(rect.top - event.clientY, 0, event.clientY - rect.bottom);
+    const distance = dx + dy * 4;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      target = index;
+    }
+  });
 
-== Features
-- Easy to learn
-- Beautiful output
-- Fast compilation</pre>
-        </div>
+  if (target < 0) {
+    showToast("No text on this page");
+    return;
+  }
 
-        <div class="help-section">
-          <h4>2. Use Templates</h4>
-          <p>Click <strong>Templates</strong> in the toolbar to start with a pre-made template.</p>
-        </div>
+  const run = runs[target];
+  const rect = getRunRect(run);
+  const ratio = rect.width > 0 ? (event.clientX - rect.left) / rect.width : 0;
+  const hit = wordAt(run.text, Math.round(Math.min(Math.max(ratio, 0), 1) * run.text.length));
+  if (!hit) return;
+
+  const joined = joinPreviewRuns(runs);
+  const hitStart = joined.starts[target] + hit.start;
+  const sources = getSyncSources();
+  const match = locateWord(
+    sources.map(source => source.text),
+    hit.word,
+    contextAt(joined.text, hitStart),
+    countOccurrences(joined.text, hit.word, hitStart)
+  );
+  if (!match) {
+    showToast(`"${hit.word}" is not in the source`);
+    return;
+  }
+  if (!match.unique) {
+    showToast(`No unique match for "${hit.word}" in the source: it appears in several places that look alike`);
+    return;
+  }
 
-        <div class="help-section">
-          <h4>3. Add Images</h4>
-          <p>Drag images to the <strong>Uploads</strong> section, then use:</p>
-          <pre class="help-code">#image("photo.png", width: 80%)</pre>
-        </div>
+  const path = sources[match.index].path;
+  if (path !== currentFileName) {
+    const doc = getCurrentProjectDocs().find(d => d.name === path);
+    if (!doc) return;
+    await switchDocument(doc.id);
+  }
+  if (editorMode === "visual") {
+    switchEditorMode("code");
+  }
 
-        <div class="help-section">
-          <h4>4. Export PDF</h4>
-          <p>Click the <strong>Download</strong> button to save your PDF.</p>
-        </div>
-      </div>
+  const model = editor.getModel();
+  const start = model.getPositionAt(match.offset);
+  const end = model.getPositionAt(match.offset + hit.word.length);
+  const range = new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column);
+  editor.setSelection(range);
+  editor.revealRangeInCenter(range);
+  editor.focus();
+}
 
-      <div class="help-tab-content" id="tab-syntax">
-        <h3>📝 Basic Syntax</h3>
+// Editor action: scroll the preview to the word under the cursor and flash it
+async function revealInPreview() {
+  const model = editor.getModel();
+  const position = editor.getPosition();
+  if (!model || !position) return;
 
-        <div class="help-section">
-          <h4>Headings</h4>
-          <pre class="help-code">= Level 1 Heading
-== Level 2 Heading
-=== Level 3 Heading</pre>
-        </div>
+  const hit = wordAt(model.getLineContent(position.lineNumber), position.column - 1);
+  if (!hit) {
+    showToast("Nothing to reveal on this line");
+    return;
+  }
 
-        <div class="help-section">
-          <h4>Text Formatting</h4>
-          <pre class="help-code">*Bold text*
-_Italic text_
-*_Bold and italic_*
-\`inline code\`
-#strike[strikethrough]
-#underline[underlined]</pre>
-        </div>
+  const hitStart = model.getOffsetAt({ lineNumber: position.lineNumber, column: 1 }) + hit.start;
+  const sources = getSyncSources();
+  const source = sources.find(s => s.path === currentFileName) || { path: currentFileName, text: maskComments(model.getValue()) };
 
-        <div class="help-section">
-          <h4>Lists</h4>
-          <pre class="help-code">- Bullet item 1
-- Bullet item 2
+  // Occurrences in the files before this one count towards its place in the preview
+  let occurrence = countOccurrences(source.text, hit.word, hitStart);
+  for (const other of sources) {
+    if (other === source) break;
+    occurrence += countOccurrences(other.text, hit.word);
+  }
 
-+ Numbered item 1
-+ Numbered item 2</pre>
-        </div>
+  let runs;
+  try {
+    runs = await getPreviewTextRuns();
+  } catch (e) {
+    console.error("[Main] Failed to read preview text:", e);
+    return;
+  }
 
-        <div class="help-section">
-          <h4>Math</h4>
-          <pre class="help-code">Inline: $E = m c^2$
+  const joined = joinPreviewRuns(runs);
+  const match = locateWord([joined.text], hit.word, contextAt(source.text, hitStart), occurrence);
+  if (!match) {
+    showToast(`"${hit.word}" is not in the preview`);
+    return;
+  }
+  if (!match.unique) {
+    showToast(`No unique match for "${hit.word}" in the preview: it appears in several places that look alike`);
+    return;
+  }
 
-Display:
-$ integral_0^infinity e^(-x^2) dif x $</pre>
-        </div>
+  // The run the match is in, and where in it
+  let runIndex = joined.starts.length - 1;
+  while (joined.starts[runIndex] > match.offset) runIndex--;
+  const run = runs[runIndex];
+  const offset = match.offset - joined.starts[runIndex];
+  const wrapper = document.querySelector(`#pdf-pages .pdf-page-wrapper[data-page="${run.page}"]`);
+  const preview = document.getElementById("preview-content");
 
-        <div class="help-section">
-          <h4>Tables</h4>
-          <pre class="help-code">#table(
+  // Narrow the run's box down to the word itself
+  const rect = getRunRect(run);
+  const charWidth = rect.width / run.text.length;
+  const wrapperRect = wrapper.getBoundingClientRect();
+  const highlight = document.createElement("div");
+  highlight.className = "sync-highlight";
+  highlight.style.left = `${rect.left - wrapperRect.left + charWidth * offset}px`;
+  highlight.style.top = `${rect.top - wrapperRect.top}px`;
+  highlight.style.width = `${charWidth * hit.word.length}px`;
+  highlight.style.height = `${rect.height}px`;
+  highlight.addEventListener("animationend", () => highlight.remove());
+  wrapper.appendChild(highlight);
+
+  const previewRect = preview.getBoundingClientRect();
+  preview.scrollTo({
+    top: preview.scrollTop + rect.top - previewRect.top - previewRect.height / 2,
+    behavior: "smooth"
+  });
+}
+
+// =====================
+// ZOOM CONTROLS
+// =====================
+function zoomIn() {
+  console.log("Zoom in called, current:", currentZoom);
+  if (currentZoom < MAX_ZOOM) {
+    currentZoom = Math.min(currentZoom + ZOOM_STEP, MAX_ZOOM);
+    updateZoom();
+  }
+}
+
+function zoomOut() {
+  console.log("Zoom out called, current:", currentZoom);
+  if (currentZoom > MIN_ZOOM) {
+    currentZoom = Math.max(currentZoom - ZOOM_STEP, MIN_ZOOM);
+    updateZoom();
+  }
+}
+
+function resetZoom() {
+  currentZoom = DEFAULT_ZOOM;
+  updateZoom();
+}
+
+function fitWidth() {
+  const preview = document.getElementById("preview-content");
+  const container = document.getElementById("pdf-pages");
+  const firstPage = container.querySelector(".pdf-page-wrapper");
+
+  if (firstPage && preview) {
+    const availableWidth = preview.clientWidth - 48;
+    // Page width in points
+    const pageWidth = parseFloat(firstPage.dataset.widthPt);
+    currentZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, availableWidth / pageWidth / PREVIEW_SCALE));
+    updateZoom();
+  }
+}
+
+function updateZoom() {
+  console.log("Updating zoom to:", currentZoom);
+  const zoomDisplay = document.getElementById("zoom-level");
+  if (zoomDisplay) {
+    zoomDisplay.textContent = `${Math.round(currentZoom * 100)}%`;
+  }
+
+  if (currentSvg) {
+    applyVectorZoom();
+  } else if (pdfDocument) {
+    // Re-layout at the new size; visible pages re-render lazily
+    layoutPdfPages(pdfDocument, ++renderGeneration);
+  } else if (currentPdfBuffer) {
+    // Pass a copy since pdf.js detaches the buffer
+    renderPDF(new Uint8Array(currentPdfBuffer));
+  }
+}
+
+// =====================
+// FORMATTING
+// =====================
+function insertFormatting(before, after = "") {
+  if (!editor) return;
+
+  const selection = editor.getSelection();
+  const selectedText = editor.getModel().getValueInRange(selection);
+  const newText = before + selectedText + after;
+
+  editor.executeEdits("", [{
+    range: selection,
+    text: newText,
+    forceMoveMarkers: true
+  }]);
+
+  editor.focus();
+}
+
+function setupFormattingButtons() {
+  // Text formatting
+  document.getElementById("fmt-bold").addEventListener("click", () => {
+    insertFormatting("*", "*");
+  });
+
+  document.getElementById("fmt-italic").addEventListener("click", () => {
+    insertFormatting("_", "_");
+  });
+
+  document.getElementById("fmt-underline").addEventListener("click", () => {
+    insertFormatting("#underline[", "]");
+  });
+
+  document.getElementById("fmt-strike").addEventListener("click", () => {
+    insertFormatting("#strike[", "]");
+  });
+
+  // Script formatting
+  document.getElementById("fmt-subscript").addEventListener("click", () => {
+    insertFormatting("#sub[", "]");
+  });
+
+  document.getElementById("fmt-superscript").addEventListener("click", () => {
+    insertFormatting("#super[", "]");
+  });
+
+  // Structure formatting
+  document.getElementById("fmt-heading").addEventListener("click", () => {
+    const position = editor.getPosition();
+    const lineContent = editor.getModel().getLineContent(position.lineNumber);
+    if (lineContent.startsWith("=")) {
+      insertFormatting("=");
+    } else {
+      editor.executeEdits("", [{
+        range: { startLineNumber: position.lineNumber, startColumn: 1, endLineNumber: position.lineNumber, endColumn: 1 },
+        text: "= ",
+        forceMoveMarkers: true
+      }]);
+    }
+    editor.focus();
+  });
+
+  document.getElementById("fmt-heading2").addEventListener("click", () => {
+    const position = editor.getPosition();
+    editor.executeEdits("", [{
+      range: { startLineNumber: position.lineNumber, startColumn: 1, endLineNumber: position.lineNumber, endColumn: 1 },
+      text: "== ",
+      forceMoveMarkers: true
+    }]);
+    editor.focus();
+  });
+
+  document.getElementById("fmt-list").addEventListener("click", () => {
+    const position = editor.getPosition();
+    editor.executeEdits("", [{
+      range: { startLineNumber: position.lineNumber, startColumn: 1, endLineNumber: position.lineNumber, endColumn: 1 },
+      text: "- ",
+      forceMoveMarkers: true
+    }]);
+    editor.focus();
+  });
+
+  document.getElementById("fmt-quote").addEventListener("click", () => {
+    insertFormatting("#quote[", "]");
+  });
+
+  // Alignment
+  document.getElementById("fmt-align-left").addEventListener("click", () => {
+    insertFormatting("#align(left)[", "]");
+  });
+
+  document.getElementById("fmt-align-center").addEventListener("click", () => {
+    insertFormatting("#align(center)[", "]");
+  });
+
+  document.getElementById("fmt-align-right").addEventListener("click", () => {
+    insertFormatting("#align(right)[", "]");
+  });
+
+  // Insert formatting
+  document.getElementById("fmt-link").addEventListener("click", () => {
+    const selection = editor.getSelection();
+    const selectedText = editor.getModel().getValueInRange(selection);
+    if (selectedText) {
+      insertFormatting('#link("', '")[' + selectedText + ']');
+    } else {
+      insertFormatting('#link("url")[', "text]");
+    }
+  });
+
+  document.getElementById("fmt-image").addEventListener("click", () => {
+    insertFormatting('#image("', '", width: 80%)');
+  });
+
+  document.getElementById("fmt-table").addEventListener("click", () => {
+    insertFormatting('#table(\n  columns: (1fr, 1fr),\n  [Header 1], [Header 2],\n  [Cell 1], [Cell 2],\n)', '');
+  });
+
+  document.getElementById("fmt-code").addEventListener("click", () => {
+    insertFormatting("`", "`");
+  });
+
+  document.getElementById("fmt-codeblock").addEventListener("click", () => {
+    insertFormatting('```\n', '\n```');
+  });
+
+  document.getElementById("fmt-math").addEventListener("click", () => {
+    insertFormatting("$", "$");
+  });
+}
+
+// =====================
+// VISUAL EDITOR
+// =====================
+function switchEditorMode(mode) {
+  if (mode === editorMode) return;
+
+  if (mode === 'visual' && !isTypstFile(currentFileName)) {
+    showToast("Rich text editing is only available for Typst files");
+    return;
+  }
+
+  if (mode === 'visual' && hasSuggestionState()) {
+    showToast("Rich text editing isn't available while suggesting or with pending suggestions");
+    return;
+  }
+
+  editorMode = mode;
+
+  const codeEditor = document.getElementById("monaco-editor");
+  const visualContainer = document.getElementById("visual-editor-container");
+  const btnCode = document.getElementById("btn-mode-code");
+  const btnVisual = document.getElementById("btn-mode-visual");
+  const modeToggle = document.querySelector(".editor-mode-toggle");
+
+  if (mode === 'visual') {
+    // Switch to visual mode
+    codeEditor.style.display = "none";
+    visualContainer.style.display = "flex";
+    btnCode.classList.remove("active");
+    btnVisual.classList.add("active");
+    modeToggle.classList.add("visual-active");
+
+    // Convert current code to visual HTML
+    const typstCode = editor.getValue();
+    updateVisualEditor(typstCode);
+
+    showToast("Rich Text Editor");
+  } else {
+    // Switch to code mode
+    codeEditor.style.display = "block";
+    visualContainer.style.display = "none";
+    btnCode.classList.add("active");
+    btnVisual.classList.remove("active");
+    modeToggle.classList.remove("visual-active");
+
+    // Convert visual HTML back to Typst code
+    const visualEditor = document.getElementById("visual-editor");
+    const newTypstCode = htmlToTypst(visualEditor);
+
+    if (newTypstCode !== editor.getValue()) {
+      isVisualEditorSyncing = true;
+      editor.setValue(newTypstCode);
+      isVisualEditorSyncing = false;
+    }
+
+    editor.focus();
+    showToast("Source Editor");
+  }
+}
+
+function updateVisualEditor(typstCode) {
+  const visualEditor = document.getElementById("visual-editor");
+  visualEditor.innerHTML = typstToHtml(typstCode);
+  updateVisualLineNumbers();
+}
+
+function updateVisualLineNumbers() {
+  const visualEditor = document.getElementById("visual-editor");
+  const lineNumbersContainer = document.getElementById("visual-line-numbers");
+
+  if (!visualEditor || !lineNumbersContainer) return;
+
+  // Count the number of child elements (each represents a line)
+  const children = visualEditor.children;
+  const lineCount = Math.max(children.length, 1);
+
+  // Generate line numbers HTML
+  let lineNumbersHtml = '';
+  for (let i = 1; i <= lineCount; i++) {
+    lineNumbersHtml += `<div class="visual-line-number">${i}</div>`;
+  }
+
+  lineNumbersContainer.innerHTML = lineNumbersHtml;
+
+  // Sync scroll position
+  visualEditor.addEventListener('scroll', syncLineNumbersScroll);
+}
+
+function syncLineNumbersScroll() {
+  const visualEditor = document.getElementById("visual-editor");
+  const lineNumbersContainer = document.getElementById("visual-line-numbers");
+
+  if (lineNumbersContainer && visualEditor) {
+    lineNumbersContainer.scrollTop = visualEditor.scrollTop;
+  }
+}
+
+// Convert Typst markup to HTML for visual editor
+function typstToHtml(typst) {
+  let html = typst;
+
+  // Process line by line for block elements
+  const lines = html.split('\n');
+  const processedLines = [];
+  let inCodeBlock = false;
+  let codeBlockContent = [];
+  let codeBlockLang = '';
+  let inMathBlock = false;
+  let mathBlockContent = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i];
+
+    // Handle code blocks
+    if (line.trim().startsWith('```')) {
+      if (!inCodeBlock) {
+        inCodeBlock = true;
+        codeBlockLang = line.trim().slice(3);
+        codeBlockContent = [];
+        continue;
+      } else {
+        inCodeBlock = false;
+        processedLines.push(`<pre class="visual-code-block" data-lang="${escapeHtml(codeBlockLang)}"><code>${escapeHtml(codeBlockContent.join('\n'))}</code></pre>`);
+        continue;
+      }
+    }
+
+    if (inCodeBlock) {
+      codeBlockContent.push(line);
+      continue;
+    }
+
+    // Handle math blocks ($$...$$)
+    if (line.trim().startsWith('$ ') && line.trim().endsWith(' $') && line.trim().length > 4) {
+      // Display math block
+      const mathContent = line.trim().slice(2, -2).trim();
+      processedLines.push(`<div class="visual-math-block" data-math="${escapeHtml(mathContent)}">$ ${escapeHtml(mathContent)} $</div>`);
+      continue;
+    }
+
+    // Headings
+    if (line.startsWith('= ')) {
+      processedLines.push(`<h1 class="visual-h1" data-level="1">${processInlineTypst(line.slice(2))}</h1>`);
+      continue;
+    }
+    if (line.startsWith('== ')) {
+      processedLines.push(`<h2 class="visual-h2" data-level="2">${processInlineTypst(line.slice(3))}</h2>`);
+      continue;
+    }
+    if (line.startsWith('=== ')) {
+      processedLines.push(`<h3 class="visual-h3" data-level="3">${processInlineTypst(line.slice(4))}</h3>`);
+      continue;
+    }
+    if (line.startsWith('==== ')) {
+      processedLines.push(`<h4 class="visual-h4" data-level="4">${processInlineTypst(line.slice(5))}</h4>`);
+      continue;
+    }
+
+    // List items
+    if (line.match(/^- /)) {
+      processedLines.push(`<div class="visual-list-item" data-type="bullet"><span class="visual-bullet">•</span>${processInlineTypst(line.slice(2))}</div>`);
+      continue;
+    }
+    if (line.match(/^\+ /)) {
+      processedLines.push(`<div class="visual-list-item" data-type="enum"><span class="visual-enum"></span>${processInlineTypst(line.slice(2))}</div>`);
+      continue;
+    }
+    if (line.match(/^\d+\. /)) {
+      const match = line.match(/^(\d+)\. /);
+      processedLines.push(`<div class="visual-list-item" data-type="numbered" data-num="${match[1]}"><span class="visual-num">${match[1]}.</span>${processInlineTypst(line.slice(match[0].length))}</div>`);
+      continue;
+    }
+
+    // Block directives (simplified handling)
+    if (line.trim().startsWith('#set ') || line.trim().startsWith('#show ') || line.trim().startsWith('#let ')) {
+      processedLines.push(`<div class="visual-directive">${escapeHtml(line)}</div>`);
+      continue;
+    }
+
+    // Figure blocks
+    if (line.trim().startsWith('#figure(')) {
+      processedLines.push(`<div class="visual-figure">${escapeHtml(line)}</div>`);
+      continue;
+    }
+
+    // Table blocks
+    if (line.trim().startsWith('#table(')) {
+      processedLines.push(`<div class="visual-table">${escapeHtml(line)}</div>`);
+      continue;
+    }
+
+    // Comments
+    if (line.trim().startsWith('//')) {
+      processedLines.push(`<div class="visual-comment">${escapeHtml(line)}</div>`);
+      continue;
+    }
+
+    // Empty lines become paragraph breaks
+    if (line.trim() === '') {
+      processedLines.push('<div class="visual-paragraph-break"></div>');
+      continue;
+    }
+
+    // Regular paragraphs
+    processedLines.push(`<p class="visual-paragraph">${processInlineTypst(line)}</p>`);
+  }
+
+  // Join without extra newlines - the HTML structure provides the spacing
+  return processedLines.join('');
+}
+
+// Process inline Typst formatting
+function processInlineTypst(text) {
+  let result = escapeHtml(text);
+
+  // Bold *text*
+  result = result.replace(/\*([^*]+)\*/g, '<strong class="visual-bold">$1</strong>');
+
+  // Italic _text_
+  result = result.replace(/_([^_]+)_/g, '<em class="visual-italic">$1</em>');
+
+  // Inline code `text`
+  result = result.replace(/`([^`]+)`/g, '<code class="visual-inline-code">$1</code>');
+
+  // Inline math $text$
+  result = result.replace(/\$([^$]+)\$/g, '<span class="visual-inline-math">$$$1$$</span>');
+
+  // Links #link("url")[text]
+  result = result.replace(/#link\(&quot;([^&]+)&quot;\)\[([^\]]+)\]/g, '<a class="visual-link" href="$1">$2</a>');
+
+  // Simple function calls like #lorem(50)
+  result = result.replace(/#(\w+)\(([^)]*)\)/g, '<span class="visual-function">#$1($2)</span>');
+
+  // Subscript #sub[text]
+  result = result.replace(/#sub\[([^\]]+)\]/g, '<sub class="visual-sub">$1</sub>');
+
+  // Superscript #super[text]
+  result = result.replace(/#super\[([^\]]+)\]/g, '<sup class="visual-super">$1</sup>');
+
+  // Underline #underline[text]
+  result = result.replace(/#underline\[([^\]]+)\]/g, '<u class="visual-underline">$1</u>');
+
+  // Strike #strike[text]
+  result = result.replace(/#strike\[([^\]]+)\]/g, '<s class="visual-strike">$1</s>');
+
+  // Labels <label>
+  result = result.replace(/&lt;(\w+)&gt;/g, '<span class="visual-label">&lt;$1&gt;</span>');
+
+  // References @label
+  result = result.replace(/@(\w+)/g, '<span class="visual-ref">@$1</span>');
+
+  return result;
+}
+
+// Convert HTML from visual editor back to Typst
+function htmlToTypst(visualEditor) {
+  const lines = [];
+
+  function processNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent;
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    const className = node.className || '';
+
+    // Handle different element types
+    if (className.includes('visual-h1')) {
+      return '= ' + processChildren(node);
+    }
+    if (className.includes('visual-h2')) {
+      return '== ' + processChildren(node);
+    }
+    if (className.includes('visual-h3')) {
+      return '=== ' + processChildren(node);
+    }
+    if (className.includes('visual-h4')) {
+      return '==== ' + processChildren(node);
+    }
+
+    if (className.includes('visual-list-item')) {
+      const type = node.dataset.type;
+      const content = processChildrenSkipMarker(node);
+      if (type === 'bullet') return '- ' + content;
+      if (type === 'enum') return '+ ' + content;
+      if (type === 'numbered') return node.dataset.num + '. ' + content;
+      return '- ' + content;
+    }
+
+    if (className.includes('visual-code-block')) {
+      const lang = node.dataset.lang || '';
+      const code = node.querySelector('code');
+      return '```' + lang + '\n' + (code ? code.textContent : '') + '\n```';
+    }
+
+    if (className.includes('visual-math-block')) {
+      return '$ ' + (node.dataset.math || node.textContent.replace(/^\$\s*/, '').replace(/\s*\$$/, '')) + ' $';
+    }
+
+    if (className.includes('visual-directive') || className.includes('visual-figure') ||
+        className.includes('visual-table') || className.includes('visual-comment')) {
+      return node.textContent;
+    }
+
+    if (className.includes('visual-paragraph-break')) {
+      return '';
+    }
+
+    if (className.includes('visual-paragraph') || tag === 'p') {
+      return processChildren(node);
+    }
+
+    // Inline elements
+    if (className.includes('visual-bold') || tag === 'strong' || tag === 'b') {
+      return '*' + processChildren(node) + '*';
+    }
+    if (className.includes('visual-italic') || tag === 'em' || tag === 'i') {
+      return '_' + processChildren(node) + '_';
+    }
+    if (className.includes('visual-inline-code') || tag === 'code') {
+      return '`' + processChildren(node) + '`';
+    }
+    if (className.includes('visual-inline-math')) {
+      const content = node.textContent.replace(/^\$+/, '').replace(/\$+$/, '');
+      return '$' + content + '$';
+    }
+    if (className.includes('visual-link') || tag === 'a') {
+      const href = node.getAttribute('href') || '';
+      return `#link("${href}")[${processChildren(node)}]`;
+    }
+    if (className.includes('visual-sub') || tag === 'sub') {
+      return '#sub[' + processChildren(node) + ']';
+    }
+    if (className.includes('visual-super') || tag === 'sup') {
+      return '#super[' + processChildren(node) + ']';
+    }
+    if (className.includes('visual-underline') || tag === 'u') {
+      return '#underline[' + processChildren(node) + ']';
+    }
+    if (className.includes('visual-strike') || tag === 's') {
+      return '#strike[' + processChildren(node) + ']';
+    }
+    if (className.includes('visual-function')) {
+      return node.textContent;
+    }
+    if (className.includes('visual-label')) {
+      return node.textContent;
+    }
+    if (className.includes('visual-ref')) {
+      return node.textContent;
+    }
+
+    // Line breaks
+    if (tag === 'br') {
+      return '\n';
+    }
+
+    // Divs and spans - just process children
+    if (tag === 'div' || tag === 'span') {
+      return processChildren(node);
+    }
+
+    // Default: process children
+    return processChildren(node);
+  }
+
+  function processChildren(node) {
+    let result = '';
+    for (const child of node.childNodes) {
+      result += processNode(child);
+    }
+    return result;
+  }
+
+  function processChildrenSkipMarker(node) {
+    let result = '';
+    for (const child of node.childNodes) {
+      // Skip bullet/enum markers
+      if (child.className && (child.className.includes('visual-bullet') ||
+          child.className.includes('visual-enum') || child.className.includes('visual-num'))) {
+        continue;
+      }
+      result += processNode(child);
+    }
+    return result;
+  }
+
+  // Process each top-level child
+  for (const child of visualEditor.childNodes) {
+    // Skip whitespace-only text nodes between elements
+    if (child.nodeType === Node.TEXT_NODE && !child.textContent.trim()) {
+      continue;
+    }
+    const line = processNode(child);
+    // Only add non-null lines (paragraph breaks return empty string for blank lines)
+    if (line !== null) {
+      lines.push(line);
+    }
+  }
+
+  // Clean up multiple consecutive empty lines
+  const cleanedLines = [];
+  let lastWasEmpty = false;
+  for (const line of lines) {
+    const isEmpty = line.trim() === '';
+    if (isEmpty && lastWasEmpty) {
+      continue; // Skip consecutive empty lines
+    }
+    cleanedLines.push(line);
+    lastWasEmpty = isEmpty;
+  }
+
+  return cleanedLines.join('\n');
+}
+
+// Handle input in visual editor
+function handleVisualEditorInput(e) {
+  if (isVisualEditorSyncing) return;
+
+  // Update line numbers immediately
+  updateVisualLineNumbers();
+
+  // Debounce sync to code editor
+  clearTimeout(compileTimer);
+  compileTimer = setTimeout(() => {
+    const visualEditor = document.getElementById("visual-editor");
+    const typstCode = htmlToTypst(visualEditor);
+
+    isVisualEditorSyncing = true;
+    editor.setValue(typstCode);
+    isVisualEditorSyncing = false;
+
+    if (autoCompile) {
+      compile(typstCode);
+    }
+  }, COMPILE_DELAY);
+
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => autoSave(), AUTO_SAVE_DELAY);
+}
+
+// Handle paste in visual editor - convert to plain text
+function handleVisualEditorPaste(e) {
+  e.preventDefault();
+  const text = e.clipboardData.getData('text/plain');
+  document.execCommand('insertText', false, text);
+}
+
+// Handle special keystrokes in visual editor
+function handleVisualEditorKeydown(e) {
+  // Enter key - insert new paragraph
+  if (e.key === 'Enter' && !e.shiftKey) {
+    e.preventDefault();
+    document.execCommand('insertParagraph', false);
+  }
+
+  // Tab key - indent
+  if (e.key === 'Tab') {
+    e.preventDefault();
+    document.execCommand('insertText', false, '  ');
+  }
+
+  // Ctrl/Cmd + B - Bold
+  if ((e.ctrlKey || e.metaKey) && e.key === 'b') {
+    e.preventDefault();
+    applyVisualFormatting('bold');
+  }
+
+  // Ctrl/Cmd + I - Italic
+  if ((e.ctrlKey || e.metaKey) && e.key === 'i') {
+    e.preventDefault();
+    applyVisualFormatting('italic');
+  }
+
+  // Ctrl/Cmd + U - Underline
+  if ((e.ctrlKey || e.metaKey) && e.key === 'u') {
+    e.preventDefault();
+    applyVisualFormatting('underline');
+  }
+}
+
+// Apply formatting in visual editor
+function applyVisualFormatting(format) {
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return;
+
+  const range = selection.getRangeAt(0);
+  const selectedText = range.toString();
+
+  if (!selectedText) return;
+
+  let wrapper;
+  switch (format) {
+    case 'bold':
+      wrapper = document.createElement('strong');
+      wrapper.className = 'visual-bold';
+      break;
+    case 'italic':
+      wrapper = document.createElement('em');
+      wrapper.className = 'visual-italic';
+      break;
+    case 'underline':
+      wrapper = document.createElement('u');
+      wrapper.className = 'visual-underline';
+      break;
+    default:
+      return;
+  }
+
+  range.surroundContents(wrapper);
+
+  // Trigger sync
+  handleVisualEditorInput();
+}
+
+// =====================
+// RECOMPILE FUNCTIONS
+// =====================
+function manualRecompile() {
+  const source = editorMode === 'visual'
+    ? htmlToTypst(document.getElementById("visual-editor"))
+    : getCompileSource();
+  compile(source);
+  showToast("Recompiling...");
+}
+
+function forceRecompile() {
+  // Clear any cached state and recompile
+  currentPdfBuffer = null;
+  currentSvg = null;
+  manualRecompile();
+  showToast("Force recompiling...");
+}
+
+function toggleRecompileDropdown(e) {
+  e.stopPropagation();
+  const dropdown = document.getElementById("recompile-dropdown");
+  dropdown.classList.toggle("show");
+}
+
+function closeAllDropdowns() {
+  document.getElementById("recompile-dropdown")?.classList.remove("show");
+}
+
+// =====================
+// FIND AND REPLACE
+// =====================
+function openFind() {
+  if (editorMode === 'code' && editor) {
+    // Use Monaco's built-in find widget
+    editor.trigger('keyboard', 'actions.find');
+    editor.focus();
+  } else if (editorMode === 'visual') {
+    // For visual editor, use browser's native find or custom implementation
+    showCustomFindDialog();
+  }
+}
+
+function openFindReplace() {
+  if (editorMode === 'code' && editor) {
+    // Use Monaco's built-in find and replace widget
+    editor.trigger('keyboard', 'editor.action.startFindReplaceAction');
+    editor.focus();
+  } else if (editorMode === 'visual') {
+    // For visual editor, show custom find/replace dialog
+    showCustomFindReplaceDialog();
+  }
+}
+
+// Custom find dialog for visual editor
+function showCustomFindDialog() {
+  const content = `
+    <div class="find-dialog">
+      <div class="find-input-group">
+        <label>Find:</label>
+        <input type="text" id="find-input" placeholder="Search text..." autofocus>
+      </div>
+      <div class="find-options">
+        <label><input type="checkbox" id="find-case-sensitive"> Case sensitive</label>
+        <label><input type="checkbox" id="find-whole-word"> Whole word</label>
+      </div>
+      <div class="find-results" id="find-results"></div>
+      <div class="find-actions">
+        <button class="btn" id="find-prev">Previous</button>
+        <button class="btn" id="find-next">Next</button>
+        <button class="btn primary" id="find-all">Find All</button>
+      </div>
+    </div>
+  `;
+
+  showModal("Find", content);
+
+  const findInput = document.getElementById("find-input");
+  const resultsDiv = document.getElementById("find-results");
+
+  let currentIndex = -1;
+  let matches = [];
+
+  function performFind() {
+    const searchText = findInput.value;
+    if (!searchText) {
+      resultsDiv.textContent = "";
+      matches = [];
+      return;
+    }
+
+    const visualEditor = document.getElementById("visual-editor");
+    const text = visualEditor.innerText;
+    const caseSensitive = document.getElementById("find-case-sensitive").checked;
+    const wholeWord = document.getElementById("find-whole-word").checked;
+
+    // Find all matches
+    matches = [];
+    let searchStr = caseSensitive ? searchText : searchText.toLowerCase();
+    let textToSearch = caseSensitive ? text : text.toLowerCase();
+
+    let pos = 0;
+    while ((pos = textToSearch.indexOf(searchStr, pos)) !== -1) {
+      if (wholeWord) {
+        const before = pos > 0 ? textToSearch[pos - 1] : ' ';
+        const after = pos + searchStr.length < textToSearch.length ? textToSearch[pos + searchStr.length] : ' ';
+        if (/\w/.test(before) || /\w/.test(after)) {
+          pos++;
+          continue;
+        }
+      }
+      matches.push(pos);
+      pos++;
+    }
+
+    resultsDiv.textContent = matches.length > 0
+      ? "Found " + matches.length + " match" + (matches.length > 1 ? "es" : "")
+      : "No matches found";
+
+    currentIndex = matches.length > 0 ? 0 : -1;
+    highlightMatch();
+  }
+
+  function highlightMatch() {
+    // Clear previous highlights
+    const visualEditor = document.getElementById("visual-editor");
+    visualEditor.querySelectorAll('.search-highlight').forEach(el => {
+      el.outerHTML = el.innerHTML;
+    });
+
+    if (currentIndex >= 0 && matches.length > 0) {
+      // Highlight current match (simplified - would need more complex implementation for proper highlighting)
+      resultsDiv.textContent = "Match " + (currentIndex + 1) + " of " + matches.length;
+    }
+  }
+
+  findInput.addEventListener("input", performFind);
+  findInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      if (e.shiftKey) {
+        currentIndex = (currentIndex - 1 + matches.length) % matches.length;
+      } else {
+        currentIndex = (currentIndex + 1) % matches.length;
+      }
+      highlightMatch();
+    }
+    if (e.key === "Escape") {
+      closeModal();
+    }
+  });
+
+  document.getElementById("find-prev").addEventListener("click", () => {
+    if (matches.length > 0) {
+      currentIndex = (currentIndex - 1 + matches.length) % matches.length;
+      highlightMatch();
+    }
+  });
+
+  document.getElementById("find-next").addEventListener("click", () => {
+    if (matches.length > 0) {
+      currentIndex = (currentIndex + 1) % matches.length;
+      highlightMatch();
+    }
+  });
+
+  document.getElementById("find-all").addEventListener("click", performFind);
+}
+
+// Custom find and replace dialog for visual editor
+function showCustomFindReplaceDialog() {
+  const content = `
+    <div class="find-replace-dialog">
+      <div class="find-input-group">
+        <label>Find:</label>
+        <input type="text" id="find-input" placeholder="Search text..." autofocus>
+      </div>
+      <div class="find-input-group">
+        <label>Replace:</label>
+        <input type="text" id="replace-input" placeholder="Replace with...">
+      </div>
+      <div class="find-options">
+        <label><input type="checkbox" id="find-case-sensitive"> Case sensitive</label>
+        <label><input type="checkbox" id="find-whole-word"> Whole word</label>
+      </div>
+      <div class="find-results" id="find-results"></div>
+      <div class="find-actions">
+        <button class="btn" id="find-prev">Previous</button>
+        <button class="btn" id="find-next">Next</button>
+        <button class="btn" id="replace-one">Replace</button>
+        <button class="btn primary" id="replace-all">Replace All</button>
+      </div>
+    </div>
+  `;
+
+  showModal("Find & Replace", content);
+
+  const findInput = document.getElementById("find-input");
+  const replaceInput = document.getElementById("replace-input");
+  const resultsDiv = document.getElementById("find-results");
+
+  let matchCount = 0;
+
+  function countMatches() {
+    const searchText = findInput.value;
+    if (!searchText) {
+      resultsDiv.textContent = "";
+      matchCount = 0;
+      return;
+    }
+
+    const visualEditor = document.getElementById("visual-editor");
+    const text = visualEditor.innerText;
+    const caseSensitive = document.getElementById("find-case-sensitive").checked;
+
+    let searchStr = caseSensitive ? searchText : searchText.toLowerCase();
+    let textToSearch = caseSensitive ? text : text.toLowerCase();
+
+    matchCount = 0;
+    let pos = 0;
+    while ((pos = textToSearch.indexOf(searchStr, pos)) !== -1) {
+      matchCount++;
+      pos++;
+    }
+
+    resultsDiv.textContent = matchCount > 0
+      ? "Found " + matchCount + " match" + (matchCount > 1 ? "es" : "")
+      : "No matches found";
+  }
+
+  function replaceAll() {
+    const searchText = findInput.value;
+    const replaceText = replaceInput.value;
+    if (!searchText) return;
+
+    // For visual editor, we need to sync back to code editor and do replace there
+    if (editorMode === 'visual') {
+      const visualEditor = document.getElementById("visual-editor");
+      const typstCode = htmlToTypst(visualEditor);
+
+      const caseSensitive = document.getElementById("find-case-sensitive").checked;
+      let newCode;
+
+      if (caseSensitive) {
+        newCode = typstCode.split(searchText).join(replaceText);
+      } else {
+        newCode = typstCode.replace(new RegExp(escapeRegex(searchText), 'gi'), replaceText);
+      }
+
+      editor.setValue(newCode);
+      updateVisualEditor(newCode);
+      compile(newCode);
+
+      countMatches();
+      showToast("Replaced " + matchCount + " occurrence" + (matchCount > 1 ? "s" : ""));
+    }
+  }
+
+  findInput.addEventListener("input", countMatches);
+
+  document.getElementById("replace-all").addEventListener("click", replaceAll);
+
+  document.getElementById("find-next").addEventListener("click", countMatches);
+  document.getElementById("find-prev").addEventListener("click", countMatches);
+  document.getElementById("replace-one").addEventListener("click", () => {
+    showToast("Use Replace All for visual editor");
+  });
+}
+
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// =====================
+// UI SETUP
+// =====================
+function setupUI() {
+  const app = document.getElementById("app");
+  app.innerHTML = `
+    <div class="app-container">
+      <!-- Header -->
+      <header class="header">
+        <div class="header-left">
+          <button class="icon-btn sidebar-toggle" id="toggle-sidebar" title="Toggle Sidebar (Ctrl+B)">
+            ${icons.sidebar}
+          </button>
+          <div class="logo">
+            <div class="logo-icon-wrapper">
+              <span class="logo-icon">${icons.fileTypst}</span>
+            </div>
+            <span class="logo-text">Typst<span class="logo-suffix">Playground</span></span>
+          </div>
+        </div>
+        <div class="header-center">
+          <div class="document-title-wrapper" id="doc-name">
+            <span class="document-icon">${icons.fileTypst}</span>
+            <span class="document-name-text">${currentFileName}</span>
+            <span class="document-status" id="doc-status" title="All changes saved">
+              ${icons.check}
+            </span>
+            <span class="document-shared" id="doc-shared" title="Also open in another tab" style="display: none;">
+              ${icons.tabs}
+            </span>
+          </div>
+        </div>
+        <div class="header-right">
+          <button class="header-action-btn" id="btn-templates" title="Browse Templates">
+            ${icons.template}
+            <span>Templates</span>
+          </button>
+          <div class="header-divider"></div>
+          <div class="header-btn-group">
+            <button class="icon-btn" id="btn-collab" title="Collaborate Live">
+              ${icons.users}
+            </button>
+            <button class="icon-btn" id="btn-history" title="Version History">
+              ${icons.history}
+            </button>
+            <button class="icon-btn" id="btn-share" title="Share Document">
+              ${icons.share}
+            </button>
+            <button class="icon-btn primary" id="btn-export" title="Download PDF">
+              ${icons.download}
+            </button>
+          </div>
+          <div class="header-divider"></div>
+          <button class="icon-btn" id="btn-settings" title="Settings">
+            ${icons.settings}
+          </button>
+          <button class="icon-btn" id="btn-help" title="Help & Keyboard Shortcuts (F1)">
+            ${icons.help}
+          </button>
+        </div>
+      </header>
+
+
+      <!-- Main Content -->
+      <div class="main-content">
+        <!-- Sidebar -->
+        <aside class="sidebar" id="sidebar">
+          <div class="sidebar-content">
+            <!-- Files Section -->
+            <div class="sidebar-section">
+              <div class="sidebar-section-header" data-tooltip="Files">
+                <div class="section-title">
+                  <span class="section-icon">${icons.folder}</span>
+                  <span class="section-label">Files</span>
+                </div>
+                <div class="sidebar-actions">
+                  <button class="icon-btn tiny" id="btn-new-file" title="New Document">
+                    ${icons.filePlus}
+                  </button>
+                  <button class="icon-btn tiny" id="btn-new-folder" title="New Folder">
+                    ${icons.folderPlus}
+                  </button>
+                  <button class="icon-btn tiny" id="btn-upload" title="Upload Image or File">
+                    ${icons.upload}
+                  </button>
+                </div>
+              </div>
+              <div class="project-bar">
+                <select id="project-select" title="Switch Project"></select>
+                <button class="icon-btn tiny" id="btn-new-project" title="New Project">
+                  ${icons.folder}
+                </button>
+                <button class="icon-btn tiny" id="btn-export-project" title="Download Project as ZIP">
+                  ${icons.download}
+                </button>
+                <button class="icon-btn tiny" id="btn-import-project" title="Open Project from ZIP">
+                  ${icons.upload}
+                </button>
+                <button class="icon-btn tiny" id="btn-open-folder" title="Open Local Folder">
+                  ${icons.folderOpen}
+                </button>
+                <button class="icon-btn tiny folder-sync-btn" id="btn-folder-sync" style="display:none">
+                  ${icons.refresh}
+                </button>
+                <button class="icon-btn tiny" id="btn-delete-project" title="Delete Project">
+                  ${icons.trash}
+                </button>
+              </div>
+              <div class="file-tree" id="file-tree">
+                <!-- Rendered dynamically by renderFileTree() -->
+              </div>
+            </div>
+
+            <!-- Fonts Section -->
+            <div class="sidebar-section">
+              <div class="sidebar-section-header collapsible" id="fonts-header" data-tooltip="Fonts">
+                <div class="section-title">
+                  <span class="section-chevron">${icons.chevronDown}</span>
+                  <span class="section-icon">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                      <path d="M4 7V4h16v3M9 20h6M12 4v16"/>
+                    </svg>
+                  </span>
+                  <span class="section-label">Fonts</span>
+                </div>
+                <div class="sidebar-actions">
+                  <button class="icon-btn tiny" id="btn-upload-font" title="Upload Custom Font">
+                    ${icons.upload}
+                  </button>
+                </div>
+              </div>
+              <div class="fonts-list" id="fonts-list">
+                <div class="empty-state" id="fonts-empty">
+                  <span>Upload .ttf or .otf fonts</span>
+                </div>
+              </div>
+            </div>
+
+            <!-- Packages Section -->
+            <div class="sidebar-section">
+              <div class="sidebar-section-header" data-tooltip="Packages">
+                <div class="section-title">
+                  <span class="section-icon">${icons.package}</span>
+                  <span class="section-label">Packages</span>
+                </div>
+                <div class="sidebar-actions">
+                  <button class="icon-btn tiny" id="btn-download-package" title="Download Package for Offline Use">
+                    ${icons.download}
+                  </button>
+                  <button class="icon-btn tiny" id="btn-evict-packages" title="Remove Unused Packages">
+                    ${icons.trash}
+                  </button>
+                </div>
+              </div>
+              <div class="packages-list" id="packages-list">
+                <!-- Rendered dynamically by renderPackagesList() -->
+              </div>
+            </div>
+          </div>
+
+          <!-- Sidebar Footer -->
+          <div class="sidebar-footer">
+            <button class="sidebar-collapse-btn" id="sidebar-collapse-btn" title="Collapse Sidebar">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="collapse-icon">
+                <polyline points="11 17 6 12 11 7"></polyline>
+                <polyline points="18 17 13 12 18 7"></polyline>
+              </svg>
+              <span class="collapse-text">Collapse</span>
+            </button>
+          </div>
+        </aside>
+
+        <!-- Resizer -->
+        <div class="resizer" id="sidebar-resizer"></div>
+
+        <!-- Editor Panel -->
+        <div class="editor-panel" id="editor-panel">
+          <!-- Editor Tabs with Mode Toggle -->
+          <div class="editor-tabs">
+            <div class="editor-tabs-left">
+              <div class="tab active" data-file="${currentFileName}">
+                <span class="tab-icon">${icons.fileTypst}</span>
+                <span class="tab-name">${currentFileName}</span>
+                <button class="tab-close" title="Close">${icons.close}</button>
+              </div>
+            </div>
+            <div class="editor-tabs-right">
+              <button class="icon-btn comments-toggle" id="btn-comments" title="Comments">
+                ${icons.comment}
+                <span class="comments-count"></span>
+              </button>
+              <button class="icon-btn suggest-toggle" id="btn-suggest" title="Suggest Edits (Ctrl+Alt+Shift+S)">
+                ${icons.edit}
+              </button>
+              <div class="editor-mode-toggle">
+                <div class="mode-toggle-bg" id="mode-toggle-bg"></div>
+                <button class="mode-toggle-btn active" id="btn-mode-code" title="Source Code (Code Editor)">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="16 18 22 12 16 6"></polyline>
+                    <polyline points="8 6 2 12 8 18"></polyline>
+                  </svg>
+                  <span>Source</span>
+                </button>
+                <button class="mode-toggle-btn" id="btn-mode-visual" title="Rich Text (Visual Editor)">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
+                    <polyline points="14 2 14 8 20 8"></polyline>
+                    <line x1="16" y1="13" x2="8" y2="13"></line>
+                    <line x1="16" y1="17" x2="8" y2="17"></line>
+                  </svg>
+                  <span>Rich Text</span>
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <!-- Compact Formatting Toolbar -->
+          <div class="format-bar" id="format-bar">
+            <div class="fmt-dropdown" id="font-dropdown">
+              <button class="fmt-dropdown-btn" id="btn-font-select" title="Font">
+                <span class="font-icon">A</span>
+                <span class="font-name" id="current-font">Default</span>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="12" height="12">
+                  <polyline points="6 9 12 15 18 9"></polyline>
+                </svg>
+              </button>
+              <div class="fmt-dropdown-menu" id="font-menu">
+                <div class="font-option" data-font="">Default</div>
+                <div class="font-option" data-font="New Computer Modern">New Computer Modern</div>
+                <div class="font-option" data-font="Linux Libertine">Linux Libertine</div>
+                <div class="font-option" data-font="Source Sans Pro">Source Sans Pro</div>
+                <div class="font-option" data-font="Fira Sans">Fira Sans</div>
+                <div class="font-divider"></div>
+                <div class="font-section-label">Custom Fonts</div>
+                <div id="custom-font-options"></div>
+                <div class="font-divider"></div>
+                <button class="font-upload-btn" id="btn-font-upload-inline">+ Upload Font</button>
+              </div>
+            </div>
+            <span class="fmt-sep"></span>
+            <button class="fmt-btn" id="fmt-bold" title="Bold (Ctrl+B)"><b>B</b></button>
+            <button class="fmt-btn" id="fmt-italic" title="Italic (Ctrl+I)"><i>I</i></button>
+            <button class="fmt-btn" id="fmt-underline" title="Underline"><u>U</u></button>
+            <button class="fmt-btn" id="fmt-strike" title="Strikethrough"><s>S</s></button>
+            <span class="fmt-sep"></span>
+            <button class="fmt-btn" id="fmt-heading" title="Heading 1">H1</button>
+            <button class="fmt-btn" id="fmt-heading2" title="Heading 2">H2</button>
+            <button class="fmt-btn" id="fmt-list" title="Bullet List">☰</button>
+            <span class="fmt-sep"></span>
+            <button class="fmt-btn" id="fmt-subscript" title="Subscript">x₂</button>
+            <button class="fmt-btn" id="fmt-superscript" title="Superscript">x²</button>
+            <span class="fmt-sep"></span>
+            <button class="fmt-btn" id="fmt-link" title="Link">🔗</button>
+            <button class="fmt-btn" id="fmt-image" title="Image">🖼️</button>
+            <button class="fmt-btn" id="fmt-table" title="Table">⊞</button>
+            <button class="fmt-btn" id="fmt-math" title="Math">∑</button>
+            <button class="fmt-btn" id="fmt-code" title="Code">&lt;/&gt;</button>
+            <button class="fmt-btn" id="fmt-codeblock" title="Code Block">{ }</button>
+            <span class="fmt-sep"></span>
+            <button class="fmt-btn" id="fmt-quote" title="Quote">❝</button>
+            <button class="fmt-btn" id="fmt-align-left" title="Align Left">⫷</button>
+            <button class="fmt-btn" id="fmt-align-center" title="Align Center">☰</button>
+            <button class="fmt-btn" id="fmt-align-right" title="Align Right">⫸</button>
+            <span class="fmt-sep"></span>
+            <button class="fmt-btn search-btn" id="btn-find" title="Find (Ctrl+F)">${icons.search}</button>
+            <button class="fmt-btn search-btn" id="btn-replace" title="Find & Replace (Ctrl+H)">⇄</button>
+          </div>
+
+          <!-- Suggestions -->
+          <div class="suggestions-bar" id="suggestions-bar" style="display: none;">
+            <span class="suggestions-summary" id="suggestions-summary"></span>
+            <button class="icon-btn small" id="btn-prev-suggestion" title="Previous Suggestion">${icons.chevronLeft}</button>
+            <button class="icon-btn small" id="btn-next-suggestion" title="Next Suggestion">${icons.chevronRight}</button>
+            <span class="fmt-sep"></span>
+            <button class="btn primary" id="btn-accept-suggestion" title="Accept the Suggestion at the Cursor">Accept</button>
+            <button class="btn" id="btn-reject-suggestion" title="Reject the Suggestion at the Cursor">Reject</button>
+            <button class="btn" id="btn-accept-all-suggestions">Accept All</button>
+            <button class="btn" id="btn-reject-all-suggestions">Reject All</button>
+            <label class="suggestions-preview" title="What the preview shows">
+              Preview
+              <select id="suggestions-preview">
+                <option value="suggested">With suggestions</option>
+                <option value="original">Original</option>
+              </select>
+            </label>
+          </div>
+
+          <div class="editor-body">
+            <div class="editor-content" id="monaco-editor"></div>
+            <div class="visual-editor-container" id="visual-editor-container" style="display: none;">
+              <div class="visual-editor-wrapper">
+                <div class="visual-line-numbers" id="visual-line-numbers"></div>
+                <div class="visual-editor" id="visual-editor" contenteditable="true"></div>
+              </div>
+            </div>
+
+            <!-- Review Comments -->
+            <aside class="comments-panel" id="comments-panel" style="display: none;">
+              <div class="comments-header">
+                <span class="comments-title">Comments</span>
+                <button class="icon-btn small" id="btn-add-comment" title="Comment on Selection (Ctrl+Alt+M)">${icons.comment}</button>
+                <button class="icon-btn small" id="btn-close-comments" title="Close">${icons.close}</button>
+              </div>
+              <label class="comments-filter">
+                <input type="checkbox" id="comments-show-resolved">
+                Show resolved
+              </label>
+              <div class="comments-list" id="comments-list"></div>
+            </aside>
+          </div>
+
+          <!-- Error Window (Console Panel) -->
+          <div class="error-window" id="error-window">
+            <div class="error-window-header">
+              <div class="error-window-header-left">
+                <span class="error-window-icon">${icons.error}</span>
+                <span class="error-window-title">Compilation Error</span>
+              </div>
+              <div class="error-window-header-right">
+                <button class="icon-btn small" id="btn-toggle-error" title="Minimize">
+                  ${icons.chevronDown}
+                </button>
+                <button class="icon-btn small" id="btn-close-error" title="Close">
+                  ${icons.close}
+                </button>
+              </div>
+            </div>
+            <div class="error-window-body">
+              <div class="error-list"></div>
+            </div>
+          </div>
+        </div>
+
+        <!-- Resizer -->
+        <div class="resizer" id="preview-resizer"></div>
+
+        <!-- Preview Panel -->
+        <div class="preview-panel" id="preview-panel">
+          <div class="preview-toolbar">
+            <div class="preview-toolbar-left">
+              <!-- Recompile Button -->
+              <div class="recompile-group">
+                <button class="recompile-btn" id="btn-recompile" title="Recompile (Ctrl+Enter)">
+                  ${icons.play}
+                  <span>Recompile</span>
+                </button>
+                <button class="recompile-dropdown-btn" id="btn-recompile-dropdown" title="Compile options">
+                  ${icons.chevronDown}
+                </button>
+                <div class="recompile-dropdown" id="recompile-dropdown">
+                  <label class="dropdown-item">
+                    <input type="checkbox" id="auto-compile-toggle" checked>
+                    <span>Auto Compile</span>
+                  </label>
+                  <div class="dropdown-divider"></div>
+                  <button class="dropdown-item" id="btn-force-recompile">
+                    ${icons.refresh}
+                    <span>Force Recompile</span>
+                  </button>
+                  <button class="dropdown-item" id="btn-stop-compile">
+                    ${icons.close}
+                    <span>Stop Compilation</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+            <div class="preview-toolbar-center">
+              <button class="icon-btn small" id="btn-zoom-out" title="Zoom Out">
+                ${icons.zoomOut}
+              </button>
+              <button class="zoom-level-btn" id="zoom-level" title="Reset Zoom">100%</button>
+              <button class="icon-btn small" id="btn-zoom-in" title="Zoom In">
+                ${icons.zoomIn}
+              </button>
+              <button class="icon-btn small" id="btn-fit-width" title="Fit Width">
+                ${icons.fitWidth}
+              </button>
+            </div>
+            <div class="preview-toolbar-right">
+              <span class="page-info" id="page-info">Page 1 of 1</span>
+            </div>
+          </div>
+          <div class="preview-content" id="preview-content">
+            <div class="pdf-container" id="pdf-pages"></div>
+          </div>
+        </div>
+      </div>
+
+      <!-- Status Bar -->
+      <footer class="status-bar">
+        <div class="status-left">
+          <span class="status-item" id="compile-status">
+            <span class="status-indicator ready"></span>
+            <span>Ready</span>
+          </span>
+          <span class="status-item" id="compile-time"></span>
+        </div>
+        <div class="status-center">
+          <span class="status-item" id="cursor-position">Ln 1, Col 1</span>
+        </div>
+        <div class="status-right">
+          <span class="status-item clickable" id="collab-status" style="display:none">
+            <span class="status-indicator"></span>
+            <span class="collab-status-text"></span>
+          </span>
+          <span class="status-item clickable" id="server-status" style="display:none">
+            <span class="status-indicator"></span>
+            <span class="server-status-text"></span>
+          </span>
+          <span class="status-item">Typst</span>
+        </div>
+      </footer>
+    </div>
+
+    <!-- Hidden Inputs -->
+    <input type="file" id="file-input" multiple accept="image/*,.ttf,.otf,.woff,.woff2,.typ,.txt,.csv,.json,.bib" style="display:none">
+    <input type="file" id="font-input" multiple accept=".ttf,.otf,.woff,.woff2" style="display:none">
+    <input type="file" id="project-zip-input" accept=".zip,application/zip" style="display:none">
+
+    <!-- Modals -->
+    <div class="modal-overlay" id="modal-overlay" style="display: none;">
+      <div class="modal" id="modal">
+        <div class="modal-header">
+          <span class="modal-title"></span>
+          <button class="icon-btn" id="modal-close">${icons.close}</button>
+        </div>
+        <div class="modal-content"></div>
+      </div>
+    </div>
+
+    <!-- Toast -->
+    <div class="toast" id="toast"></div>
+  `;
+
+  // Add styles
+  addStyles();
+
+  // Setup event listeners
+  setupEventListeners();
+
+  // Setup resizers
+  setupResizers();
+
+  // Render file tree
+  renderFileTree();
+
+  // Setup drag and drop for moving and uploading files
+  setupFileTreeDragDrop();
+}
+
+function setupEventListeners() {
+  // Sidebar toggle
+  document.getElementById("toggle-sidebar").addEventListener("click", toggleSidebar);
+
+  // Sidebar collapse
+  document.getElementById("sidebar-collapse-btn").addEventListener("click", toggleSidebarCollapse);
+  loadSidebarState();
+
+  // Templates
+  document.getElementById("btn-templates").addEventListener("click", showTemplatesModal);
+
+  // Live collaboration
+  document.getElementById("btn-collab").addEventListener("click", showCollabModal);
+  document.getElementById("collab-status").addEventListener("click", showCollabModal);
+
+  // Version history
+  document.getElementById("btn-history").addEventListener("click", showHistoryModal);
+
+  // Share
+  document.getElementById("btn-share").addEventListener("click", handleShare);
+
+  // Export
+  document.getElementById("btn-export").addEventListener("click", exportPDF);
+
+  // Settings
+  document.getElementById("btn-settings").addEventListener("click", showSettingsModal);
+
+  // Help
+  document.getElementById("btn-help").addEventListener("click", showHelpModal);
+
+  // File upload
+  document.getElementById("btn-upload").addEventListener("click", () => {
+    document.getElementById("file-input").click();
+  });
+  document.getElementById("file-input").addEventListener("change", handleFileUpload);
+
+  // Font upload
+  document.getElementById("btn-upload-font").addEventListener("click", () => {
+    document.getElementById("font-input").click();
+  });
+  document.getElementById("font-input").addEventListener("change", handleFontUpload);
+
+  // Package cache
+  document.getElementById("btn-download-package").addEventListener("click", showDownloadPackageModal);
+  document.getElementById("btn-evict-packages").addEventListener("click", evictUnusedPackages);
+
+  // Font dropdown in format bar
+  setupFontDropdown();
+
+  // Zoom controls
+  document.getElementById("btn-zoom-in").addEventListener("click", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    zoomIn();
+  });
+  document.getElementById("btn-zoom-out").addEventListener("click", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    zoomOut();
+  });
+  document.getElementById("btn-fit-width").addEventListener("click", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    fitWidth();
+  });
+  document.getElementById("zoom-level").addEventListener("click", (e) => {
+    e.preventDefault();
+    resetZoom();
+  });
+
+  // Ctrl/Cmd+click a word in the preview to jump to it in the source
+  document.getElementById("pdf-pages").addEventListener("click", (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    e.preventDefault();
+    jumpToSource(e);
+  });
+
+  // Error window controls
+  document.getElementById("btn-close-error").addEventListener("click", () => {
+    const errorWindow = document.getElementById("error-window");
+    if (errorWindow) {
+      errorWindow.classList.remove("visible");
+    }
+  });
+
+  document.getElementById("btn-toggle-error").addEventListener("click", () => {
+    const errorWindow = document.getElementById("error-window");
+    if (errorWindow) {
+      errorWindow.classList.toggle("minimized");
+    }
+  });
+
+  // Modal close
+  document.getElementById("modal-close").addEventListener("click", closeModal);
+  document.getElementById("modal-overlay").addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeModal();
+  });
+
+  // Formatting buttons
+  setupFormattingButtons();
+
+  // New file button
+  document.getElementById("btn-new-file").addEventListener("click", () => showNewFileModal());
+  document.getElementById("btn-new-folder").addEventListener("click", showNewFolderModal);
+
+  // Projects
+  document.getElementById("project-select").addEventListener("change", (e) => switchProject(e.target.value));
+  document.getElementById("btn-new-project").addEventListener("click", showNewProjectModal);
+  document.getElementById("btn-delete-project").addEventListener("click", deleteProjectHandler);
+  document.getElementById("btn-export-project").addEventListener("click", downloadProjectZip);
+  document.getElementById("btn-import-project").addEventListener("click", () => {
+    document.getElementById("project-zip-input").click();
+  });
+  document.getElementById("project-zip-input").addEventListener("change", (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) {
+      importProjectZip(file);
+    }
+  });
+  document.getElementById("btn-open-folder").addEventListener("click", openLocalFolder);
+  document.getElementById("btn-folder-sync").addEventListener("click", handleFolderButton);
+  document.getElementById("server-status").addEventListener("click", () => syncRemoteNow());
+
+  // Tab close button
+  document.querySelector(".tab-close")?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (confirm("Clear document and start fresh?")) {
+      editor.setValue(`= New Document\n\nStart writing here...\n`);
+      showToast("Document cleared");
+    }
+  });
+
+  // Editor mode toggle
+  document.getElementById("btn-mode-code").addEventListener("click", () => switchEditorMode('code'));
+  document.getElementById("btn-mode-visual").addEventListener("click", () => switchEditorMode('visual'));
+
+  // Visual editor input handling
+  const visualEditor = document.getElementById("visual-editor");
+  visualEditor.addEventListener("input", handleVisualEditorInput);
+  visualEditor.addEventListener("paste", handleVisualEditorPaste);
+  visualEditor.addEventListener("keydown", handleVisualEditorKeydown);
+
+  // Recompile button and dropdown
+  document.getElementById("btn-recompile").addEventListener("click", manualRecompile);
+  document.getElementById("btn-recompile-dropdown").addEventListener("click", toggleRecompileDropdown);
+  document.getElementById("auto-compile-toggle").addEventListener("change", (e) => {
+    autoCompile = e.target.checked;
+    showToast(autoCompile ? "Auto-compile enabled" : "Auto-compile disabled");
+  });
+  document.getElementById("btn-force-recompile").addEventListener("click", () => {
+    closeAllDropdowns();
+    forceRecompile();
+  });
+  document.getElementById("btn-stop-compile").addEventListener("click", () => {
+    closeAllDropdowns();
+    cancelCompile();
+  });
+
+  // Close dropdowns when clicking outside
+  document.addEventListener("click", (e) => {
+    if (!e.target.closest(".recompile-group")) {
+      closeAllDropdowns();
+    }
+  });
+
+  // Find and Replace buttons
+  document.getElementById("btn-find").addEventListener("click", openFind);
+  document.getElementById("btn-replace").addEventListener("click", openFindReplace);
+
+  // Look for changes to the open folder as soon as the user comes back
+  document.addEventListener("visibilitychange", handleFolderVisibility);
+}
+
+// =====================
+// SIDEBAR
+// =====================
+let sidebarCollapsed = false;
+
+function toggleSidebar() {
+  sidebarVisible = !sidebarVisible;
+  const sidebar = document.getElementById("sidebar");
+  const resizer = document.getElementById("sidebar-resizer");
+
+  sidebar.style.display = sidebarVisible ? "flex" : "none";
+  resizer.style.display = sidebarVisible ? "block" : "none";
+}
+
+function toggleSidebarCollapse() {
+  sidebarCollapsed = !sidebarCollapsed;
+  const sidebar = document.getElementById("sidebar");
+  const collapseBtn = document.getElementById("sidebar-collapse-btn");
+
+  if (sidebarCollapsed) {
+    sidebar.classList.add("collapsed");
+    collapseBtn.title = "Expand Sidebar";
+  } else {
+    sidebar.classList.remove("collapsed");
+    collapseBtn.title = "Collapse Sidebar";
+  }
+
+  // Save preference
+  localStorage.setItem("sidebar-collapsed", sidebarCollapsed);
+}
+
+// Load sidebar collapse state on init
+function loadSidebarState() {
+  const collapsed = localStorage.getItem("sidebar-collapsed") === "true";
+  if (collapsed) {
+    sidebarCollapsed = true;
+    const sidebar = document.getElementById("sidebar");
+    const collapseBtn = document.getElementById("sidebar-collapse-btn");
+    if (sidebar) sidebar.classList.add("collapsed");
+    if (collapseBtn) collapseBtn.title = "Expand Sidebar";
+  }
+}
+
+// =====================
+// RESIZERS
+// =====================
+function setupResizers() {
+  setupResizer("sidebar-resizer", "sidebar", "left");
+  setupResizer("preview-resizer", "preview-panel", "right");
+}
+
+function setupResizer(resizerId, panelId, direction) {
+  const resizer = document.getElementById(resizerId);
+  const panel = document.getElementById(panelId);
+
+  let startX, startWidth;
+
+  resizer.addEventListener("mousedown", (e) => {
+    startX = e.clientX;
+    startWidth = panel.offsetWidth;
+
+    document.addEventListener("mousemove", resize);
+    document.addEventListener("mouseup", stopResize);
+    document.body.style.cursor = "col-resize";
+    document.body.style.userSelect = "none";
+  });
+
+  function resize(e) {
+    const diff = direction === "left" ? e.clientX - startX : startX - e.clientX;
+    const newWidth = Math.max(200, Math.min(600, startWidth + diff));
+    panel.style.width = `${newWidth}px`;
+    panel.style.flex = "none";
+  }
+
+  function stopResize() {
+    document.removeEventListener("mousemove", resize);
+    document.removeEventListener("mouseup", stopResize);
+    document.body.style.cursor = "";
+    document.body.style.userSelect = "";
+  }
+}
+
+// =====================
+// STATUS BAR
+// =====================
+function updateStatusBar() {
+  const statusEl = document.getElementById("compile-status");
+  const indicator = statusEl.querySelector(".status-indicator");
+  const text = statusEl.querySelector("span:last-child");
+
+  indicator.className = `status-indicator ${compileStatus}`;
+
+  switch (compileStatus) {
+    case "compiling":
+      text.textContent = "Compiling...";
+      break;
+    case "error":
+      text.textContent = compilerLoadFailed ? "Compiler failed to load" : "Error";
+      break;
+    case "cancelled":
+      text.textContent = "Cancelled";
+      break;
+    default:
+      text.textContent = "Ready";
+  }
+  statusEl.title = compileStatus === "error" ? errorMessage : "";
+
+  const timeEl = document.getElementById("compile-time");
+  if (timeEl) {
+    timeEl.textContent = lastCompileTime !== null ? `${lastCompileTime} ms` : "";
+    timeEl.title = lastCompileTime !== null ? `Last compile took ${lastCompileTime} ms` : "";
+  }
+}
+
+function updateCursorPosition(position) {
+  const el = document.getElementById("cursor-position");
+  if (el) {
+    el.textContent = `Ln ${position.lineNumber}, Col ${position.column}`;
+  }
+}
+
+// =====================
+// TEMPLATES
+// =====================
+function showTemplatesModal() {
+  const templateList = getTemplateList();
+
+  const content = `
+    <div class="templates-grid">
+      ${templateList.map(t => `
+        <div class="template-card" data-id="${t.id}">
+          <div class="template-icon">${t.icon}</div>
+          <div class="template-info">
+            <div class="template-name">${t.name}</div>
+            <div class="template-desc">${t.description}</div>
+          </div>
+        </div>
+      `).join("")}
+    </div>
+  `;
+
+  showModal("Templates", content);
+
+  // Add click handlers
+  document.querySelectorAll(".template-card").forEach(card => {
+    card.addEventListener("click", async () => {
+      const template = getTemplate(card.dataset.id);
+      if (template && editor) {
+        editor.setValue(template.content);
+
+        // Companion files such as a bibliography, unless the project already has them
+        const companions = Object.entries(template.files || {}).filter(([path]) => !isPathTaken(path));
+        for (const [path, content] of companions) {
+          await addProjectDocument(path, content);
+        }
+        if (companions.length > 0) {
+          renderFileTree();
+          compile(getCompileSource());
+        }
+
+        closeModal();
+        showToast(`Loaded "${template.name}" template`);
+      }
+    });
+  });
+}
+
+// =====================
+// NEW FILE
+// =====================
+// `folder` preselects where the file goes; a path like "chapters/intro.typ" also works
+function showNewFileModal(folder = "") {
+  const defaultPath = joinPath(folder, "document.typ");
+  const content = `
+    <div class="new-file-form">
+      <div class="settings-group">
+        <label for="new-file-name">File Name</label>
+        <input type="text" id="new-file-name" value="${escapeHtml(defaultPath)}" placeholder="Enter file name (e.g., chapters/intro.typ)">
+      </div>
+      <p>Create a new Typst document, or a <code>.bib</code>/<code>.yml</code> bibliography:</p>
+      <div class="new-file-options">
+        <button class="btn primary" id="new-blank">Create New Document</button>
+        <button class="btn" id="new-from-template">From Template</button>
+      </div>
+      <div class="new-file-info">
+        <small>Your current document will be saved automatically.</small>
+      </div>
+    </div>
+  `;
+
+  showModal("New Document", content);
+
+  const fileNameInput = document.getElementById("new-file-name");
+  fileNameInput.focus();
+  // Select just the name so typing keeps the folder
+  fileNameInput.setSelectionRange(defaultPath.length - "document.typ".length, defaultPath.length);
+
+  const handleCreate = () => {
+    let fileName = normalizePath(fileNameInput.value || "document.typ");
+    if (!fileName) {
+      showToast("Invalid file name");
+      return;
+    }
+    // Ensure .typ extension (bibliography files keep theirs)
+    if (!isTypstFile(fileName) && !isBibliographyFile(fileName)) {
+      fileName += ".typ";
+    }
+
+    // Create new document (saves current one automatically)
+    // Returns actual filename used (may be modified if duplicate)
+    const actualFileName = createNewDocument(fileName);
+
+    closeModal();
+    showToast(`Created "${actualFileName}"`);
+  };
+
+  document.getElementById("new-blank").addEventListener("click", handleCreate);
+
+  fileNameInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      handleCreate();
+    }
+  });
+
+  document.getElementById("new-from-template").addEventListener("click", () => {
+    closeModal();
+    showTemplatesModal();
+  });
+}
+
+// =====================
+// SETTINGS
+// =====================
+function showSettingsModal() {
+  const content = `
+    <div class="settings-form">
+      <div class="settings-group">
+        <label>Theme</label>
+        <select id="setting-theme">
+          <option value="system" ${settings.theme === "system" ? "selected" : ""}>System</option>
+          <option value="dark" ${settings.theme === "dark" ? "selected" : ""}>Dark</option>
+          <option value="light" ${settings.theme === "light" ? "selected" : ""}>Light</option>
+        </select>
+      </div>
+      <div class="settings-group">
+        <label>Font Size</label>
+        <input type="number" id="setting-font-size" value="${settings.fontSize}" min="10" max="24">
+      </div>
+      <div class="settings-group">
+        <label>Word Wrap</label>
+        <select id="setting-word-wrap">
+          <option value="on" ${settings.wordWrap === "on" ? "selected" : ""}>On</option>
+          <option value="off" ${settings.wordWrap === "off" ? "selected" : ""}>Off</option>
+        </select>
+      </div>
+      <div class="settings-group">
+        <label>Line Numbers</label>
+        <select id="setting-line-numbers">
+          <option value="on" ${settings.lineNumbers === "on" ? "selected" : ""}>On</option>
+          <option value="off" ${settings.lineNumbers === "off" ? "selected" : ""}>Off</option>
+          <option value="relative" ${settings.lineNumbers === "relative" ? "selected" : ""}>Relative</option>
+        </select>
+      </div>
+      <div class="settings-group">
+        <label>
+          <input type="checkbox" id="setting-minimap" ${settings.minimap ? "checked" : ""}>
+          Show Minimap
+        </label>
+      </div>
+      <div class="settings-group">
+        <label for="setting-preview-mode">Preview Renderer</label>
+        <select id="setting-preview-mode">
+          <option value="canvas" ${settings.previewMode === "canvas" ? "selected" : ""}>Canvas (pdf.js)</option>
+          <option value="vector" ${settings.previewMode === "vector" ? "selected" : ""}>Vector (SVG)</option>
+        </select>
+      </div>
+      <div class="settings-group">
+        <label for="setting-compile-timeout" title="Restart the compiler if a compile takes longer than this (0 disables)">Compile Timeout (s)</label>
+        <input type="number" id="setting-compile-timeout" value="${settings.compileTimeout}" min="0" max="600">
+      </div>
+      <div class="settings-group">
+        <label for="setting-package-registry" title="Packages are fetched from <registry>/<namespace>/<name>-<version>.tar.gz; a local mirror path such as /packages works too">Package Registry</label>
+        <input type="text" id="setting-package-registry" value="${escapeHtml(settings.packageRegistry)}" placeholder="${DEFAULT_REGISTRY}">
+      </div>
+      <div class="settings-group">
+        <label for="setting-user-name" title="Signs your review comments and suggestions and is shown to others in a live session">Your Name</label>
+        <input type="text" id="setting-user-name" value="${escapeHtml(settings.userName)}" placeholder="Anonymous">
+      </div>
+      <div class="settings-group">
+        <label for="setting-storage-server" title="Mirror projects, history and preferences to a server implementing docs/storage-api.md; leave empty to keep everything in this browser">Storage Server</label>
+        <input type="text" id="setting-storage-server" value="${escapeHtml(settings.storageServer)}" placeholder="https://example.com/typst-storage">
+      </div>
+      <div class="settings-group">
+        <label for="setting-storage-token">Storage Server Token</label>
+        <input type="password" id="setting-storage-token" value="${escapeHtml(settings.storageToken)}" placeholder="Optional">
+      </div>
+      <div class="settings-actions">
+        <button class="btn primary" id="save-settings">Save Settings</button>
+      </div>
+    </div>
+  `;
+
+  showModal("Settings", content);
+
+  document.getElementById("save-settings").addEventListener("click", () => {
+    settings.theme = document.getElementById("setting-theme").value;
+    settings.fontSize = parseInt(document.getElementById("setting-font-size").value);
+    settings.wordWrap = document.getElementById("setting-word-wrap").value;
+    settings.lineNumbers = document.getElementById("setting-line-numbers").value;
+    settings.minimap = document.getElementById("setting-minimap").checked;
+    const previousPreviewMode = settings.previewMode;
+    settings.previewMode = document.getElementById("setting-preview-mode").value;
+    const compileTimeout = parseInt(document.getElementById("setting-compile-timeout").value);
+    settings.compileTimeout = isNaN(compileTimeout) ? DEFAULT_COMPILE_TIMEOUT : Math.max(0, compileTimeout);
+    const previousRegistry = settings.packageRegistry;
+    settings.packageRegistry = document.getElementById("setting-package-registry").value.trim() || DEFAULT_REGISTRY;
+    settings.userName = document.getElementById("setting-user-name").value.trim();
+    const previousServer = `${settings.storageServer}\n${settings.storageToken}`;
+    settings.storageServer = document.getElementById("setting-storage-server").value.trim();
+    settings.storageToken = document.getElementById("setting-storage-token").value.trim();
+
+    applySettings();
+    applyTheme();
+    saveSettings();
+    closeModal();
+    showToast("Settings saved");
+
+    // Switching renderers needs a fresh artifact in the other format, and
+    // packages that failed to load may be on the new registry
+    if ((settings.previewMode !== previousPreviewMode || settings.packageRegistry !== previousRegistry) && editor) {
+      compile(getCompileSource());
+    }
+    if (`${settings.storageServer}\n${settings.storageToken}` !== previousServer) {
+      startServerSync();
+    }
+  });
+}
+
+function applySettings() {
+  if (editor) {
+    editor.updateOptions({
+      fontSize: settings.fontSize,
+      wordWrap: settings.wordWrap,
+      lineNumbers: settings.lineNumbers,
+      minimap: { enabled: settings.minimap },
+    });
+  }
+}
+
+function saveSettings() {
+  try {
+    localStorage.setItem("typst-editor-settings", JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Failed to save settings:", e);
+  }
+}
+
+function loadSettings() {
+  try {
+    const saved = localStorage.getItem("typst-editor-settings");
+    if (saved) {
+      const { collabName, ...stored } = JSON.parse(saved);
+      settings = { ...settings, ...stored };
+      // The name was only used for live sessions, as `collabName`, before comments signed with it too
+      if (!settings.userName && collabName) {
+        settings.userName = collabName;
+      }
+    }
+  } catch (e) {
+    console.warn("Failed to load settings:", e);
+  }
+}
+
+// =====================
+// THEME
+// =====================
+function getSystemTheme() {
+  return window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+}
+
+function applyTheme() {
+  let theme = settings.theme;
+
+  // If system, detect the actual theme
+  if (theme === "system") {
+    theme = getSystemTheme();
+  }
+
+  // Apply theme to document
+  document.documentElement.setAttribute("data-theme", theme);
+
+  // Update Monaco editor theme
+  if (editor) {
+    const monacoTheme = theme === "dark" ? "typst-dark" : "typst-light";
+    monaco.editor.setTheme(monacoTheme);
+  }
+}
+
+function setupSystemThemeListener() {
+  const mediaQuery = window.matchMedia("(prefers-color-scheme: dark)");
+  mediaQuery.addEventListener("change", () => {
+    if (settings.theme === "system") {
+      applyTheme();
+    }
+  });
+}
+
+// =====================
+// HELP
+// =====================
+function showHelpModal() {
+  const content = `
+    <div class="help-content">
+      <div class="help-tabs">
+        <button class="help-tab active" data-tab="quickstart">Quick Start</button>
+        <button class="help-tab" data-tab="syntax">Syntax</button>
+        <button class="help-tab" data-tab="shortcuts">Shortcuts</button>
+        <button class="help-tab" data-tab="resources">Resources</button>
+      </div>
+
+      <div class="help-tab-content active" id="tab-quickstart">
+        <h3>🚀 Getting Started</h3>
+        <p>Welcome to Typst Playground! Here's how to get started:</p>
+
+        <div class="help-section">
+          <h4>1. Write Your Document</h4>
+          <p>Type in the editor on the left. Your document compiles automatically!</p>
+          <pre class="help-code">= Hello World
+
+This is my first document in *Typst*!
+
+== Features
+- Easy to learn
+- Beautiful output
+- Fast compilation</pre>
+        </div>
+
+        <div class="help-section">
+          <h4>2. Use Templates</h4>
+          <p>Click <strong>Templates</strong> in the toolbar to start with a pre-made template.</p>
+        </div>
+
+        <div class="help-section">
+          <h4>3. Add Images</h4>
+          <p>Drag images to the <strong>Uploads</strong> section, then use:</p>
+          <pre class="help-code">#image("photo.png", width: 80%)</pre>
+        </div>
+
+        <div class="help-section">
+          <h4>4. Export PDF</h4>
+          <p>Click the <strong>Download</strong> button to save your PDF.</p>
+        </div>
+      </div>
+
+      <div class="help-tab-content" id="tab-syntax">
+        <h3>📝 Basic Syntax</h3>
+
+        <div class="help-section">
+          <h4>Headings</h4>
+          <pre class="help-code">= Level 1 Heading
+== Level 2 Heading
+=== Level 3 Heading</pre>
+        </div>
+
+        <div class="help-section">
+          <h4>Text Formatting</h4>
+          <pre class="help-code">*Bold text*
+_Italic text_
+*_Bold and italic_*
+\`inline code\`
+#strike[strikethrough]
+#underline[underlined]</pre>
+        </div>
+
+        <div class="help-section">
+          <h4>Lists</h4>
+          <pre class="help-code">- Bullet item 1
+- Bullet item 2
+
++ Numbered item 1
++ Numbered item 2</pre>
+        </div>
+
+        <div class="help-section">
+          <h4>Math</h4>
+          <pre class="help-code">Inline: $E = m c^2$
+
+Display:
+$ integral_0^infinity e^(-x^2) dif x $</pre>
+        </div>
+
+        <div class="help-section">
+          <h4>Tables</h4>
+          <pre class="help-code">#table(
   columns: 3,
   [A], [B], [C],
   [1], [2], [3],
 )</pre>
         </div>
 
-        <div class="help-section">
-          <h4>Images & Figures</h4>
-          <pre class="help-code">#figure(
-  image("photo.png", width: 80%),
-  caption: [My caption]
-)</pre>
+        <div class="help-section">
+          <h4>Images & Figures</h4>
+          <pre class="help-code">#figure(
+  image("photo.png", width: 80%),
+  caption: [My caption]
+)</pre>
+        </div>
+
+        <div class="help-section">
+          <h4>Page Setup</h4>
+          <pre class="help-code">#set page(paper: "a4", margin: 2cm)
+#set text(font: "New Computer Modern", size: 11pt)
+#set par(justify: true)</pre>
+        </div>
+      </div>
+
+      <div class="help-tab-content" id="tab-shortcuts">
+        <h3>⌨️ Keyboard Shortcuts</h3>
+        <div class="shortcuts-grid">
+          <div class="shortcut-group">
+            <h4>Document</h4>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>S</kbd> <span>Save</span></div>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>E</kbd> <span>Export PDF</span></div>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>Enter</kbd> <span>Recompile</span></div>
+          </div>
+
+          <div class="shortcut-group">
+            <h4>Editor</h4>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>F</kbd> <span>Find</span></div>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>H</kbd> <span>Replace</span></div>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>/</kbd> <span>Comment</span></div>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>Space</kbd> <span>Autocomplete</span></div>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>Alt</kbd>+<kbd>J</kbd> <span>Reveal in preview</span></div>
+          </div>
+
+          <div class="shortcut-group">
+            <h4>View</h4>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>B</kbd> <span>Toggle sidebar</span></div>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>+</kbd> <span>Zoom in</span></div>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>-</kbd> <span>Zoom out</span></div>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>0</kbd> <span>Reset zoom</span></div>
+            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>Click</kbd> <span>Jump to source</span></div>
+          </div>
+
+          <div class="shortcut-group">
+            <h4>Other</h4>
+            <div class="shortcut"><kbd>F1</kbd> <span>Help</span></div>
+            <div class="shortcut"><kbd>Esc</kbd> <span>Close modal</span></div>
+          </div>
+        </div>
+      </div>
+
+      <div class="help-tab-content" id="tab-resources">
+        <h3>📚 Resources</h3>
+        <div class="help-links">
+          <a href="/tutorial.html" class="tutorial-link">
+            📖 Full Tutorial Guide
+          </a>
+          <a href="https://typst.app/docs" target="_blank" rel="noopener">
+            ${icons.externalLink} Typst Documentation
+          </a>
+          <a href="https://typst.app/docs/tutorial" target="_blank" rel="noopener">
+            ${icons.externalLink} Official Tutorial
+          </a>
+          <a href="https://typst.app/docs/reference" target="_blank" rel="noopener">
+            ${icons.externalLink} Function Reference
+          </a>
+          <a href="https://typst.app/universe" target="_blank" rel="noopener">
+            ${icons.externalLink} Package Universe
+          </a>
+          <a href="https://github.com/typst/typst" target="_blank" rel="noopener">
+            ${icons.externalLink} Typst GitHub
+          </a>
+          <a href="https://discord.gg/typst" target="_blank" rel="noopener">
+            ${icons.externalLink} Discord Community
+          </a>
+        </div>
+
+        <h3 style="margin-top: 1.5em;">💡 Tips</h3>
+        <ul class="help-tips">
+          <li>Press <kbd>Ctrl</kbd>+<kbd>Space</kbd> to see autocomplete suggestions</li>
+          <li>Drag files directly onto the Uploads section</li>
+          <li>Use the Share button to create a link to your document</li>
+          <li>The app works offline after the first load!</li>
+        </ul>
+
+        <div class="restart-tutorial-section">
+          <button class="btn restart-tutorial-btn" id="restart-tutorial-btn">
+            🎓 Restart Welcome Tour
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  showModal("Help & Tutorial", content, "large");
+
+  // Setup tab switching
+  setTimeout(() => {
+    document.querySelectorAll('.help-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        // Remove active from all tabs and contents
+        document.querySelectorAll('.help-tab').forEach(t => t.classList.remove('active'));
+        document.querySelectorAll('.help-tab-content').forEach(c => c.classList.remove('active'));
+
+        // Add active to clicked tab and corresponding content
+        tab.classList.add('active');
+        document.getElementById('tab-' + tab.dataset.tab).classList.add('active');
+      });
+    });
+
+    // Restart tutorial button
+    const restartBtn = document.getElementById('restart-tutorial-btn');
+    if (restartBtn) {
+      restartBtn.addEventListener('click', () => {
+        closeModal();
+        setTimeout(() => restartTutorial(), 300);
+      });
+    }
+  }, 0);
+}
+
+// =====================
+// ONBOARDING TUTORIAL
+// =====================
+const tutorialSteps = [
+  {
+    title: "Welcome to Typst Playground! 👋",
+    content: "Let's take a quick tour of the editor. This will only take a minute!",
+    target: null, // No highlight for welcome
+    position: "center"
+  },
+  {
+    title: "Code Editor",
+    content: "Write your Typst code here. The editor features syntax highlighting, autocomplete, and line numbers.",
+    target: "#monaco-editor",
+    position: "right"
+  },
+  {
+    title: "Live Preview",
+    content: "Your document compiles automatically as you type! See the PDF preview update in real-time.",
+    target: "#pdf-container",
+    position: "left"
+  },
+  {
+    title: "Sidebar",
+    content: "Manage your files, uploaded images, and custom fonts here. Toggle it with Ctrl+B.",
+    target: ".sidebar",
+    position: "right"
+  },
+  {
+    title: "Templates",
+    content: "Start quickly with pre-made templates for articles, letters, resumes, and more!",
+    target: "#btn-templates",
+    position: "bottom"
+  },
+  {
+    title: "Upload Files",
+    content: "Upload images and assets by clicking here or dragging files onto a folder in the file tree.",
+    target: "#btn-upload",
+    position: "bottom"
+  },
+  {
+    title: "Custom Fonts",
+    content: "Upload your own fonts (TTF, OTF, WOFF) to use in your documents.",
+    target: "#btn-upload-font",
+    position: "bottom"
+  },
+  {
+    title: "Export PDF",
+    content: "When you're ready, download your document as a PDF file.",
+    target: "#btn-export",
+    position: "bottom"
+  },
+  {
+    title: "Share Your Work",
+    content: "Generate a shareable link so others can view or remix your document.",
+    target: "#btn-share",
+    position: "bottom"
+  },
+  {
+    title: "Zoom Controls",
+    content: "Zoom in/out of the preview using these controls or Ctrl+/Ctrl-",
+    target: ".zoom-controls",
+    position: "top"
+  },
+  {
+    title: "Autocomplete",
+    content: "Press Ctrl+Space to see suggestions for functions, fonts, colors, and more!",
+    target: null,
+    position: "center"
+  },
+  {
+    title: "You're All Set! 🎉",
+    content: "Start writing your document! Click Help (?) anytime for more guidance. Happy writing!",
+    target: null,
+    position: "center"
+  }
+];
+
+let currentTutorialStep = 0;
+let tutorialOverlay = null;
+
+function startOnboardingTutorial() {
+  currentTutorialStep = 0;
+  createTutorialOverlay();
+  showTutorialStep(0);
+}
+
+function createTutorialOverlay() {
+  // Remove existing overlay if any
+  if (tutorialOverlay) {
+    tutorialOverlay.remove();
+  }
+
+  tutorialOverlay = document.createElement('div');
+  tutorialOverlay.className = 'tutorial-overlay';
+  tutorialOverlay.innerHTML = `
+    <div class="tutorial-backdrop"></div>
+    <div class="tutorial-highlight"></div>
+    <div class="tutorial-tooltip">
+      <div class="tutorial-progress">
+        <span class="tutorial-step-indicator"></span>
+      </div>
+      <h3 class="tutorial-title"></h3>
+      <p class="tutorial-content"></p>
+      <div class="tutorial-actions">
+        <button class="tutorial-btn tutorial-skip">Skip Tour</button>
+        <div class="tutorial-nav">
+          <button class="tutorial-btn tutorial-prev">← Back</button>
+          <button class="tutorial-btn tutorial-next primary">Next →</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(tutorialOverlay);
+
+  // Event listeners
+  tutorialOverlay.querySelector('.tutorial-skip').addEventListener('click', endTutorial);
+  tutorialOverlay.querySelector('.tutorial-prev').addEventListener('click', () => navigateTutorial(-1));
+  tutorialOverlay.querySelector('.tutorial-next').addEventListener('click', () => navigateTutorial(1));
+
+  // Close on backdrop click
+  tutorialOverlay.querySelector('.tutorial-backdrop').addEventListener('click', endTutorial);
+
+  // Keyboard navigation
+  document.addEventListener('keydown', handleTutorialKeydown);
+}
+
+function handleTutorialKeydown(e) {
+  if (!tutorialOverlay) return;
+
+  if (e.key === 'Escape') {
+    endTutorial();
+  } else if (e.key === 'ArrowRight' || e.key === 'Enter') {
+    navigateTutorial(1);
+  } else if (e.key === 'ArrowLeft') {
+    navigateTutorial(-1);
+  }
+}
+
+function showTutorialStep(stepIndex) {
+  if (!tutorialOverlay || stepIndex < 0 || stepIndex >= tutorialSteps.length) return;
+
+  const step = tutorialSteps[stepIndex];
+  const tooltip = tutorialOverlay.querySelector('.tutorial-tooltip');
+  const highlight = tutorialOverlay.querySelector('.tutorial-highlight');
+  const title = tutorialOverlay.querySelector('.tutorial-title');
+  const content = tutorialOverlay.querySelector('.tutorial-content');
+  const prevBtn = tutorialOverlay.querySelector('.tutorial-prev');
+  const nextBtn = tutorialOverlay.querySelector('.tutorial-next');
+  const stepIndicator = tutorialOverlay.querySelector('.tutorial-step-indicator');
+
+  // Update content
+  title.textContent = step.title;
+  content.textContent = step.content;
+
+  // Update progress indicator
+  stepIndicator.textContent = `${stepIndex + 1} of ${tutorialSteps.length}`;
+
+  // Update navigation buttons
+  prevBtn.style.visibility = stepIndex === 0 ? 'hidden' : 'visible';
+  nextBtn.textContent = stepIndex === tutorialSteps.length - 1 ? "Let's Go! 🚀" : 'Next →';
+
+  // Position tooltip and highlight
+  if (step.target) {
+    const targetEl = document.querySelector(step.target);
+    if (targetEl) {
+      const rect = targetEl.getBoundingClientRect();
+
+      // Show and position highlight
+      highlight.style.display = 'block';
+      highlight.style.top = `${rect.top - 4}px`;
+      highlight.style.left = `${rect.left - 4}px`;
+      highlight.style.width = `${rect.width + 8}px`;
+      highlight.style.height = `${rect.height + 8}px`;
+
+      // Position tooltip based on position preference
+      tooltip.className = 'tutorial-tooltip';
+      tooltip.classList.add(`position-${step.position}`);
+
+      positionTooltip(tooltip, rect, step.position);
+    } else {
+      // Target not found, center the tooltip
+      highlight.style.display = 'none';
+      tooltip.className = 'tutorial-tooltip position-center';
+      centerTooltip(tooltip);
+    }
+  } else {
+    // No target, center everything
+    highlight.style.display = 'none';
+    tooltip.className = 'tutorial-tooltip position-center';
+    centerTooltip(tooltip);
+  }
+
+  // Add entrance animation
+  tooltip.classList.add('animate');
+  setTimeout(() => tooltip.classList.remove('animate'), 300);
+}
+
+function positionTooltip(tooltip, targetRect, position) {
+  const tooltipRect = tooltip.getBoundingClientRect();
+  const padding = 16;
+  const arrowOffset = 12;
+
+  let top, left;
+
+  switch (position) {
+    case 'top':
+      top = targetRect.top - tooltipRect.height - padding - arrowOffset;
+      left = targetRect.left + (targetRect.width - tooltipRect.width) / 2;
+      break;
+    case 'bottom':
+      top = targetRect.bottom + padding + arrowOffset;
+      left = targetRect.left + (targetRect.width - tooltipRect.width) / 2;
+      break;
+    case 'left':
+      top = targetRect.top + (targetRect.height - tooltipRect.height) / 2;
+      left = targetRect.left - tooltipRect.width - padding - arrowOffset;
+      break;
+    case 'right':
+      top = targetRect.top + (targetRect.height - tooltipRect.height) / 2;
+      left = targetRect.right + padding + arrowOffset;
+      break;
+    default:
+      centerTooltip(tooltip);
+      return;
+  }
+
+  // Keep tooltip within viewport
+  const viewportPadding = 20;
+  top = Math.max(viewportPadding, Math.min(top, window.innerHeight - tooltipRect.height - viewportPadding));
+  left = Math.max(viewportPadding, Math.min(left, window.innerWidth - tooltipRect.width - viewportPadding));
+
+  tooltip.style.top = `${top}px`;
+  tooltip.style.left = `${left}px`;
+  tooltip.style.transform = 'none';
+}
+
+function centerTooltip(tooltip) {
+  tooltip.style.top = '50%';
+  tooltip.style.left = '50%';
+  tooltip.style.transform = 'translate(-50%, -50%)';
+}
+
+function navigateTutorial(direction) {
+  const newStep = currentTutorialStep + direction;
+
+  if (newStep >= tutorialSteps.length) {
+    endTutorial();
+    return;
+  }
+
+  if (newStep >= 0 && newStep < tutorialSteps.length) {
+    currentTutorialStep = newStep;
+    showTutorialStep(currentTutorialStep);
+  }
+}
+
+function endTutorial() {
+  if (tutorialOverlay) {
+    tutorialOverlay.classList.add('fade-out');
+    setTimeout(() => {
+      tutorialOverlay.remove();
+      tutorialOverlay = null;
+    }, 300);
+  }
+
+  document.removeEventListener('keydown', handleTutorialKeydown);
+  localStorage.setItem('tutorialCompleted', 'true');
+
+  showToast("Tutorial completed! Click Help (?) anytime for more info.");
+}
+
+// Function to restart tutorial (can be called from settings or help)
+function restartTutorial() {
+  localStorage.removeItem('tutorialCompleted');
+  startOnboardingTutorial();
+}
+
+// =====================
+// KEYBOARD SHORTCUTS
+// =====================
+function setupKeyboardShortcuts() {
+  document.addEventListener("keydown", (e) => {
+    // Ctrl/Cmd + S: Save
+    if ((e.ctrlKey || e.metaKey) && e.key === "s") {
+      e.preventDefault();
+      autoSave();
+      showToast("Document saved");
+    }
+
+    // Ctrl/Cmd + B: Toggle sidebar
+    if ((e.ctrlKey || e.metaKey) && e.key === "b") {
+      e.preventDefault();
+      toggleSidebar();
+    }
+
+    // Ctrl/Cmd + E: Export
+    if ((e.ctrlKey || e.metaKey) && e.key === "e") {
+      e.preventDefault();
+      exportPDF();
+    }
+
+    // Ctrl/Cmd + +: Zoom in
+    if ((e.ctrlKey || e.metaKey) && (e.key === "+" || e.key === "=")) {
+      e.preventDefault();
+      zoomIn();
+    }
+
+    // Ctrl/Cmd + -: Zoom out
+    if ((e.ctrlKey || e.metaKey) && e.key === "-") {
+      e.preventDefault();
+      zoomOut();
+    }
+
+    // Ctrl/Cmd + 0: Reset zoom
+    if ((e.ctrlKey || e.metaKey) && e.key === "0") {
+      e.preventDefault();
+      resetZoom();
+    }
+
+    // F1: Help
+    if (e.key === "F1") {
+      e.preventDefault();
+      showHelpModal();
+    }
+
+    // Escape: Close modal
+    if (e.key === "Escape") {
+      closeModal();
+      closeAllDropdowns();
+    }
+
+    // Ctrl/Cmd + Enter: Recompile
+    if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
+      e.preventDefault();
+      manualRecompile();
+    }
+
+    // Ctrl/Cmd + F: Find (only intercept in visual mode, Monaco handles code mode)
+    if ((e.ctrlKey || e.metaKey) && e.key === "f" && editorMode === 'visual') {
+      e.preventDefault();
+      openFind();
+    }
+
+    // Ctrl/Cmd + H: Find and Replace
+    if ((e.ctrlKey || e.metaKey) && e.key === "h") {
+      e.preventDefault();
+      openFindReplace();
+    }
+  });
+}
+
+// =====================
+// FILE UPLOADS
+// =====================
+// Upload files as project assets, into `folder` when one is given
+async function handleFileUpload(event, folder = "") {
+  const files = event.target?.files || (event.dataTransfer && event.dataTransfer.files);
+  if (!files || !files.length) {
+    console.log("[Upload] No files selected");
+    return;
+  }
+
+  console.log(`[Upload] Processing ${files.length} file(s)`);
+
+  for (const file of files) {
+    console.log(`[Upload] Processing: ${file.name} (${file.type}, ${file.size} bytes)`);
+    try {
+      const buffer = await fileToArrayBuffer(file);
+      const path = joinPath(folder, file.name);
+
+      const fileType = getFileType(file.name);
+      console.log(`[Upload] File type detected: ${fileType}`);
+
+      // Bibliographies become editable project files rather than binary assets
+      if (fileType === "bibliography") {
+        if (currentFiles.has(path)) {
+          await deleteAssetHandler(path, false);
+        }
+        await addProjectDocument(path, new TextDecoder().decode(buffer));
+        showToast(`Uploaded: ${file.name}`);
+        continue;
+      }
+
+      await saveFile(path, buffer, fileType, currentProjectId);
+
+      currentFiles.set(path, new Uint8Array(buffer));
+      console.log(`[Upload] Added to VFS: ${path}`);
+
+      showToast(`Uploaded: ${file.name}`);
+    } catch (e) {
+      console.error("[Upload] Failed:", e);
+      showToast(`Failed to upload: ${file.name}`);
+    }
+  }
+
+  renderFileTree();
+  compile(getCompileSource());
+  if (event.target && event.target.value !== undefined) {
+    event.target.value = "";
+  }
+}
+
+function isTypstFile(filename) {
+  return filename.toLowerCase().endsWith(".typ");
+}
+
+function getEditorLanguage(filename) {
+  return isBibliographyFile(filename) ? getBibliographyLanguage(filename) : "typst";
+}
+
+// Replace the VFS assets with the current project's stored files
+async function loadFilesIntoVFS() {
+  currentFiles.clear();
+  try {
+    const files = await getAllFiles(currentProjectId);
+    for (const file of files) {
+      if (file.data instanceof ArrayBuffer) {
+        currentFiles.set(file.path, new Uint8Array(file.data));
+      } else if (file.data instanceof Uint8Array) {
+        currentFiles.set(file.path, file.data);
+      }
+    }
+    console.log(`Loaded ${currentFiles.size} files into VFS`);
+    renderFileTree();
+  } catch (e) {
+    console.warn("Failed to load files:", e);
+  }
+}
+
+// Uploaded files belong to a project; the sample images are shared by all of them
+async function loadProjectAssets() {
+  await loadFilesIntoVFS();
+  await preloadSampleAssets();
+}
+
+// Preload sample assets from public folder into VFS
+async function preloadSampleAssets() {
+  const sampleAssets = [
+    { path: "elsevier_logo_wide.png", url: "/assets/elsevier_logo_wide.png" },
+    { path: "0.png", url: "/assets/0.png" },
+    { path: "1.png", url: "/assets/1.png" },
+    { path: "2.jpg", url: "/assets/2.jpg" },
+    { path: "3.jpg", url: "/assets/3.jpg" },
+  ];
+
+  console.log(`[Preload] Loading ${sampleAssets.length} sample assets...`);
+
+  for (const asset of sampleAssets) {
+    // Skip if already loaded
+    if (currentFiles.has(asset.path)) {
+      console.log(`[Preload] Skipping ${asset.path} (already loaded)`);
+      continue;
+    }
+
+    try {
+      console.log(`[Preload] Fetching ${asset.url}...`);
+      const response = await fetch(asset.url);
+      if (response.ok) {
+        const buffer = await response.arrayBuffer();
+        currentFiles.set(asset.path, new Uint8Array(buffer));
+        console.log(`[Preload] Loaded: ${asset.path} (${buffer.byteLength} bytes)`);
+      } else {
+        console.warn(`[Preload] Failed to load ${asset.path}: ${response.status}`);
+      }
+    } catch (e) {
+      console.warn(`[Preload] Error loading ${asset.path}:`, e);
+    }
+  }
+
+  // Show preloaded assets in the file tree
+  renderFileTree();
+}
+
+async function deleteAssetHandler(path, refresh = true) {
+  try {
+    await deleteFile(path, currentProjectId);
+    currentFiles.delete(path);
+    if (refresh) {
+      renderFileTree();
+      compile(getCompileSource());
+      showToast(`Deleted: ${path}`);
+    }
+  } catch (err) {
+    showToast(`Failed to delete: ${path}`);
+  }
+}
+
+// =====================
+// PACKAGE MANAGER
+// =====================
+// Projects that import each cached package, directly or through another package
+function getPackageUsage(packages) {
+  const dependencies = new Map(packages.map(pkg => [pkg.key, getPackageDependencies(pkg.files).map(getPackageKey)]));
+  const usage = new Map(packages.map(pkg => [pkg.key, new Set()]));
+
+  for (const doc of documents.values()) {
+    const content = doc.id === currentDocumentId && editor ? editor.getValue() : doc.content || "";
+    const queue = findPackageImports(content).map(getPackageKey);
+    const seen = new Set();
+    while (queue.length > 0) {
+      const key = queue.shift();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      usage.get(key)?.add(doc.projectId);
+      queue.push(...(dependencies.get(key) || []));
+    }
+  }
+
+  return usage;
+}
+
+function compareVersions(a, b) {
+  const partsA = a.split(".").map(Number);
+  const partsB = b.split(".").map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i];
+  }
+  return 0;
+}
+
+async function renderPackagesList() {
+  const list = document.getElementById("packages-list");
+  if (!list) return;
+
+  let packages = [];
+  try {
+    packages = await getAllPackages();
+  } catch (e) {
+    console.warn("Failed to load cached packages:", e);
+  }
+
+  if (packages.length === 0) {
+    list.innerHTML = '<div class="empty-message">No cached packages</div>';
+    return;
+  }
+
+  const usage = getPackageUsage(packages);
+  packages.sort((a, b) => a.name.localeCompare(b.name) || compareVersions(b.version, a.version));
+
+  list.innerHTML = packages.map(pkg => {
+    const projectNames = Array.from(usage.get(pkg.key)).map(id => projects.get(id)?.name).filter(Boolean);
+    return `
+      <div class="package-item ${pkg.pinned ? 'pinned' : ''}" data-key="${pkg.key}" title="${formatPackageSpec(pkg)}">
+        <span class="package-icon">${icons.package}</span>
+        <div class="package-info">
+          <div class="package-name">${escapeHtml(pkg.name)} <span class="font-badge">${escapeHtml(pkg.version)}</span></div>
+          <div class="package-meta">${formatBytes(pkg.size || 0)} · ${projectNames.length > 0 ? escapeHtml(projectNames.join(", ")) : "unused"}</div>
+        </div>
+        <button class="icon-btn small package-action pin-package" data-action="pin" title="${pkg.pinned ? "Unpin" : "Pin (keep when removing unused packages)"}">${icons.pin}</button>
+        <button class="icon-btn small package-action" data-action="vendor" title="Copy into Project">${icons.folderPlus}</button>
+        <button class="icon-btn small package-action" data-action="delete" title="Remove from Cache">${icons.trash}</button>
+      </div>
+    `;
+  }).join("");
+
+  list.onclick = (e) => {
+    const button = e.target.closest(".package-action");
+    if (!button) return;
+    const key = button.closest(".package-item").dataset.key;
+    handlePackageAction(button.dataset.action, packages.find(pkg => pkg.key === key));
+  };
+}
+
+async function handlePackageAction(action, pkg) {
+  if (!pkg) return;
+
+  if (action === "pin") {
+    pkg.pinned = !pkg.pinned;
+    await savePackage(pkg);
+    renderPackagesList();
+    showToast(pkg.pinned ? `Pinned ${formatPackageSpec(pkg)}` : `Unpinned ${formatPackageSpec(pkg)}`);
+  } else if (action === "vendor") {
+    await vendorPackage(pkg);
+  } else if (action === "delete") {
+    showConfirmModal(
+      "Remove Package",
+      `Remove ${formatPackageSpec(pkg)} from the package cache?<br><small>Projects that import it will download it again.</small>`,
+      "Remove",
+      async () => {
+        await evictPackages([pkg.key]);
+        showToast(`Removed ${formatPackageSpec(pkg)}`);
+      }
+    );
+  }
+}
+
+async function evictPackages(keys) {
+  try {
+    for (const key of keys) {
+      await deletePackage(key);
+    }
+  } catch (e) {
+    console.error("Failed to remove packages:", e);
+    showToast("Failed to remove packages");
+  }
+
+  compilerWorker.postMessage({ type: "evictPackages", keys });
+  renderPackagesList();
+}
+
+// Remove every cached package that isn't pinned and no project imports
+async function evictUnusedPackages() {
+  let packages = [];
+  try {
+    packages = await getAllPackages();
+  } catch (e) {
+    console.warn("Failed to load cached packages:", e);
+  }
+
+  const usage = getPackageUsage(packages);
+  const unused = packages.filter(pkg => !pkg.pinned && usage.get(pkg.key).size === 0);
+  if (unused.length === 0) {
+    showToast("No unused packages");
+    return;
+  }
+
+  const size = unused.reduce((sum, pkg) => sum + (pkg.size || 0), 0);
+  showConfirmModal(
+    "Remove Unused Packages",
+    `Remove ${unused.length} unused package${unused.length === 1 ? "" : "s"} (${formatBytes(size)})?<br><small>${unused.map(formatPackageSpec).join(", ")}</small>`,
+    "Remove",
+    async () => {
+      await evictPackages(unused.map(pkg => pkg.key));
+      showToast(`Removed ${unused.length} package${unused.length === 1 ? "" : "s"}`);
+    }
+  );
+}
+
+// Fetch a package and everything it imports into the cache ahead of time
+function showDownloadPackageModal() {
+  showPromptModal("Download Package", "Package (e.g. @preview/cetz:0.2.2)", "@preview/", "Download", async (text) => {
+    const spec = parsePackageSpec(text.startsWith("@") ? text : `@preview/${text}`);
+    if (!spec) {
+      showToast("Enter a package as @namespace/name:version");
+      return;
+    }
+
+    showToast(`Downloading ${formatPackageSpec(spec)}...`);
+    const queue = [spec];
+    const seen = new Set();
+    try {
+      while (queue.length > 0) {
+        const next = queue.shift();
+        const key = getPackageKey(next);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const pkg = await loadPackage(settings.packageRegistry, next);
+        queue.push(...getPackageDependencies(pkg.files));
+      }
+      showToast(`${formatPackageSpec(spec)} is available offline`);
+    } catch (e) {
+      console.error("Package download failed:", e);
+      showToast(e.message);
+    }
+    renderPackagesList();
+  });
+}
+
+// Copy a cached package into the current project (vendor/<name>-<version>/) so it
+// can be edited and imported by path
+async function vendorPackage(pkg) {
+  const folder = `vendor/${pkg.name}-${pkg.version}`;
+  if (isPathTaken(folder)) {
+    showToast(`"${folder}" already exists in this project`);
+    return;
+  }
+
+  const decoder = new TextDecoder();
+  for (const file of pkg.files) {
+    const path = joinPath(folder, file.path);
+    if (isTypstFile(path) || isBibliographyFile(path)) {
+      await addProjectDocument(path, decoder.decode(file.data));
+      continue;
+    }
+
+    currentFiles.set(path, file.data);
+    try {
+      await saveFile(path, file.data, getFileType(path), currentProjectId);
+    } catch (e) {
+      console.warn(`[Packages] Failed to store vendored file ${path}:`, e);
+    }
+  }
+
+  rememberFolder(folder);
+  await saveProject(projects.get(currentProjectId));
+  renderFileTree();
+  compile(getCompileSource());
+
+  const manifest = pkg.files.find(file => file.path === "typst.toml");
+  const entrypoint = manifest && decoder.decode(manifest.data).match(/entrypoint\s*=\s*"([^"]+)"/)?.[1];
+  showToast(entrypoint
+    ? `Copied into ${folder} — import "/${joinPath(folder, entrypoint)}"`
+    : `Copied into ${folder}`);
+}
+
+// =====================
+// FONT MANAGEMENT
+// =====================
+async function handleFontUpload(event) {
+  const files = event.target.files;
+  if (!files.length) return;
+
+  for (const file of files) {
+    const ext = file.name.split('.').pop().toLowerCase();
+    if (!['ttf', 'otf', 'woff', 'woff2'].includes(ext)) {
+      showToast(`Invalid font format: ${file.name}. Use TTF, OTF, WOFF, or WOFF2.`);
+      continue;
+    }
+
+    try {
+      const buffer = await fileToArrayBuffer(file);
+      const path = `fonts/${file.name}`;
+
+      await saveFile(path, buffer, 'font', GLOBAL_FILES);
+
+      // Add to loaded fonts
+      loadedFonts.push({
+        name: file.name,
+        path: path,
+        data: new Uint8Array(buffer)
+      });
+
+      showToast(`Font loaded: ${file.name}`);
+    } catch (e) {
+      console.error("Font upload failed:", e);
+      showToast(`Failed to load font: ${file.name}`);
+    }
+  }
+
+  updateFontsList();
+
+  // Notify compiler worker about new fonts
+  sendFontsToWorker();
+
+  // Recompile to use new fonts
+  compile(getCompileSource());
+
+  event.target.value = "";
+}
+
+async function loadSavedFonts() {
+  try {
+    const files = await getAllFiles(GLOBAL_FILES);
+    loadedFonts = files
+      .filter(f => f.type === 'font')
+      .map(f => ({
+        name: f.path.replace('fonts/', ''),
+        path: f.path,
+        data: new Uint8Array(f.data)
+      }));
+
+    updateFontsList();
+
+    if (loadedFonts.length > 0) {
+      sendFontsToWorker();
+    }
+  } catch (e) {
+    console.error("Failed to load saved fonts:", e);
+  }
+}
+
+function sendFontsToWorker() {
+  if (!compilerWorker) return;
+
+  console.log(`[Main] Sending ${loadedFonts.length} fonts to worker`);
+
+  // Update autocomplete with custom font names
+  updateCustomFonts(loadedFonts.map(f => f.name));
+
+  // Create copies of font data to ensure proper transfer
+  const fontData = loadedFonts.map(f => {
+    // Create a copy of the Uint8Array
+    const dataCopy = new Uint8Array(f.data);
+    console.log(`[Main] Font: ${f.name}, size: ${dataCopy.length} bytes`);
+    return {
+      name: f.name,
+      data: dataCopy
+    };
+  });
+
+  compilerWorker.postMessage({
+    type: 'loadFonts',
+    fonts: fontData
+  });
+}
+
+function updateFontsList() {
+  const list = document.getElementById("fonts-list");
+  if (!list) return;
+
+  if (loadedFonts.length === 0) {
+    list.innerHTML = '<div class="empty-message">No custom fonts loaded</div>';
+    return;
+  }
+
+  list.innerHTML = loadedFonts.map(font => {
+    const ext = font.name.split('.').pop().toUpperCase();
+    return `
+      <div class="font-item" data-path="${font.path}">
+        <span class="font-icon">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+            <path d="M4 7V4h16v3"/>
+            <path d="M9 20h6"/>
+            <path d="M12 4v16"/>
+          </svg>
+        </span>
+        <span class="font-name">${font.name}</span>
+        <span class="font-badge">${ext}</span>
+        <button class="icon-btn small delete-font" data-path="${font.path}" title="Remove Font">
+          ${icons.trash}
+        </button>
+      </div>
+    `;
+  }).join("");
+
+  // Add delete handlers
+  list.querySelectorAll(".delete-font").forEach(btn => {
+    btn.addEventListener("click", async (e) => {
+      e.stopPropagation();
+      const path = btn.dataset.path;
+      try {
+        await deleteFile(path, GLOBAL_FILES);
+        loadedFonts = loadedFonts.filter(f => f.path !== path);
+        updateFontsList();
+        sendFontsToWorker();
+        showToast(`Font removed: ${path.replace('fonts/', '')}`);
+      } catch (err) {
+        showToast(`Failed to remove font`);
+      }
+    });
+  });
+}
+
+function showFontManager() {
+  const content = `
+    <div class="font-manager">
+      <div class="font-manager-header">
+        <p>Upload custom fonts to use in your Typst documents.</p>
+        <p class="text-muted">Supported formats: TTF, OTF, WOFF, WOFF2</p>
+      </div>
+
+      <div class="font-upload-zone" id="font-upload-zone">
+        <input type="file" id="font-file-input" accept=".ttf,.otf,.woff,.woff2" multiple hidden>
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="48" height="48">
+          <path d="M4 7V4h16v3"/>
+          <path d="M9 20h6"/>
+          <path d="M12 4v16"/>
+        </svg>
+        <p>Drop font files here or click to browse</p>
+      </div>
+
+      <div class="loaded-fonts-section">
+        <h4>Loaded Fonts (${loadedFonts.length})</h4>
+        <div class="loaded-fonts-list" id="modal-fonts-list">
+          ${loadedFonts.length === 0
+            ? '<div class="empty-message">No custom fonts loaded</div>'
+            : loadedFonts.map(font => `
+                <div class="font-list-item" data-path="${font.path}">
+                  <span class="font-preview" style="font-family: '${font.name.replace(/\.[^/.]+$/, '')}', sans-serif;">Aa</span>
+                  <span class="font-info">
+                    <span class="font-name">${font.name}</span>
+                    <span class="font-size">${formatBytes(font.data.length)}</span>
+                  </span>
+                  <button class="btn-remove-font" data-path="${font.path}">Remove</button>
+                </div>
+              `).join('')
+          }
         </div>
+      </div>
 
-        <div class="help-section">
-          <h4>Page Setup</h4>
-          <pre class="help-code">#set page(paper: "a4", margin: 2cm)
-#set text(font: "New Computer Modern", size: 11pt)
-#set par(justify: true)</pre>
-        </div>
+      <div class="font-usage-info">
+        <h4>Usage in Typst</h4>
+        <pre><code>#set text(font: "Font Name")</code></pre>
       </div>
+    </div>
+  `;
 
-      <div class="help-tab-content" id="tab-shortcuts">
-        <h3>⌨️ Keyboard Shortcuts</h3>
-        <div class="shortcuts-grid">
-          <div class="shortcut-group">
-            <h4>Document</h4>
-            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>S</kbd> <span>Save</span></div>
-            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>E</kbd> <span>Export PDF</span></div>
-            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>Enter</kbd> <span>Recompile</span></div>
-          </div>
+  showModal("Font Manager", content);
 
-          <div class="shortcut-group">
-            <h4>Editor</h4>
-            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>F</kbd> <span>Find</span></div>
-            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>H</kbd> <span>Replace</span></div>
-            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>/</kbd> <span>Comment</span></div>
-            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>Space</kbd> <span>Autocomplete</span></div>
-          </div>
+  const uploadZone = document.getElementById("font-upload-zone");
+  const fileInput = document.getElementById("font-file-input");
 
-          <div class="shortcut-group">
-            <h4>View</h4>
-            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>B</kbd> <span>Toggle sidebar</span></div>
-            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>+</kbd> <span>Zoom in</span></div>
-            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>-</kbd> <span>Zoom out</span></div>
-            <div class="shortcut"><kbd>Ctrl</kbd>+<kbd>0</kbd> <span>Reset zoom</span></div>
-          </div>
+  uploadZone.addEventListener("click", () => fileInput.click());
 
-          <div class="shortcut-group">
-            <h4>Other</h4>
-            <div class="shortcut"><kbd>F1</kbd> <span>Help</span></div>
-            <div class="shortcut"><kbd>Esc</kbd> <span>Close modal</span></div>
-          </div>
-        </div>
-      </div>
+  uploadZone.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    uploadZone.classList.add("drag-over");
+  });
 
-      <div class="help-tab-content" id="tab-resources">
-        <h3>📚 Resources</h3>
-        <div class="help-links">
-          <a href="/tutorial.html" class="tutorial-link">
-            📖 Full Tutorial Guide
-          </a>
-          <a href="https://typst.app/docs" target="_blank" rel="noopener">
-            ${icons.externalLink} Typst Documentation
-          </a>
-          <a href="https://typst.app/docs/tutorial" target="_blank" rel="noopener">
-            ${icons.externalLink} Official Tutorial
-          </a>
-          <a href="https://typst.app/docs/reference" target="_blank" rel="noopener">
-            ${icons.externalLink} Function Reference
-          </a>
-          <a href="https://typst.app/universe" target="_blank" rel="noopener">
-            ${icons.externalLink} Package Universe
-          </a>
-          <a href="https://github.com/typst/typst" target="_blank" rel="noopener">
-            ${icons.externalLink} Typst GitHub
-          </a>
-          <a href="https://discord.gg/typst" target="_blank" rel="noopener">
-            ${icons.externalLink} Discord Community
-          </a>
-        </div>
+  uploadZone.addEventListener("dragleave", () => {
+    uploadZone.classList.remove("drag-over");
+  });
 
-        <h3 style="margin-top: 1.5em;">💡 Tips</h3>
-        <ul class="help-tips">
-          <li>Press <kbd>Ctrl</kbd>+<kbd>Space</kbd> to see autocomplete suggestions</li>
-          <li>Drag files directly onto the Uploads section</li>
-          <li>Use the Share button to create a link to your document</li>
-          <li>The app works offline after the first load!</li>
-        </ul>
+  uploadZone.addEventListener("drop", (e) => {
+    e.preventDefault();
+    uploadZone.classList.remove("drag-over");
+    const files = e.dataTransfer.files;
+    handleFontUploadFromModal(files);
+  });
 
-        <div class="restart-tutorial-section">
-          <button class="btn restart-tutorial-btn" id="restart-tutorial-btn">
-            🎓 Restart Welcome Tour
-          </button>
-        </div>
-      </div>
-    </div>
-  `;
+  fileInput.addEventListener("change", (e) => {
+    handleFontUploadFromModal(e.target.files);
+  });
 
-  showModal("Help & Tutorial", content, "large");
+  // Add remove handlers in modal
+  document.querySelectorAll(".btn-remove-font").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const path = btn.dataset.path;
+      await deleteFile(path, GLOBAL_FILES);
+      loadedFonts = loadedFonts.filter(f => f.path !== path);
+      updateFontsList();
+      sendFontsToWorker();
+      showFontManager(); // Refresh modal
+      showToast(`Font removed`);
+    });
+  });
+}
 
-  // Setup tab switching
-  setTimeout(() => {
-    document.querySelectorAll('.help-tab').forEach(tab => {
-      tab.addEventListener('click', () => {
-        // Remove active from all tabs and contents
-        document.querySelectorAll('.help-tab').forEach(t => t.classList.remove('active'));
-        document.querySelectorAll('.help-tab-content').forEach(c => c.classList.remove('active'));
+async function handleFontUploadFromModal(files) {
+  for (const file of files) {
+    const ext = file.name.split('.').pop().toLowerCase();
+    if (!['ttf', 'otf', 'woff', 'woff2'].includes(ext)) {
+      showToast(`Invalid format: ${file.name}`);
+      continue;
+    }
 
-        // Add active to clicked tab and corresponding content
-        tab.classList.add('active');
-        document.getElementById('tab-' + tab.dataset.tab).classList.add('active');
+    try {
+      const buffer = await fileToArrayBuffer(file);
+      const path = `fonts/${file.name}`;
+
+      await saveFile(path, buffer, 'font', GLOBAL_FILES);
+
+      loadedFonts.push({
+        name: file.name,
+        path: path,
+        data: new Uint8Array(buffer)
       });
+
+      showToast(`Font loaded: ${file.name}`);
+    } catch (e) {
+      showToast(`Failed to load: ${file.name}`);
+    }
+  }
+
+  updateFontsList();
+  sendFontsToWorker();
+  compile(getCompileSource());
+  showFontManager(); // Refresh modal
+}
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+// =====================
+// FONT DROPDOWN
+// =====================
+let currentSelectedFont = "";
+
+function setupFontDropdown() {
+  const dropdown = document.getElementById("font-dropdown");
+  const btn = document.getElementById("btn-font-select");
+  const menu = document.getElementById("font-menu");
+
+  if (!dropdown || !btn || !menu) return;
+
+  // Toggle dropdown
+  btn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    dropdown.classList.toggle("open");
+    updateCustomFontOptions();
+  });
+
+  // Close dropdown when clicking outside
+  document.addEventListener("click", (e) => {
+    if (!dropdown.contains(e.target)) {
+      dropdown.classList.remove("open");
+    }
+  });
+
+  // Font option click handlers
+  menu.addEventListener("click", (e) => {
+    const option = e.target.closest(".font-option");
+    if (option) {
+      const fontName = option.dataset.font;
+      selectFont(fontName);
+      dropdown.classList.remove("open");
+    }
+  });
+
+  // Inline upload button
+  const uploadBtn = document.getElementById("btn-font-upload-inline");
+  if (uploadBtn) {
+    uploadBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      dropdown.classList.remove("open");
+      document.getElementById("font-input").click();
     });
+  }
+}
+
+function updateCustomFontOptions() {
+  const container = document.getElementById("custom-font-options");
+  if (!container) return;
+
+  if (loadedFonts.length === 0) {
+    container.innerHTML = '<div class="font-option" style="color: var(--text-muted); font-style: italic;">No custom fonts</div>';
+    return;
+  }
+
+  container.innerHTML = loadedFonts.map(font => {
+    const fontName = font.name.replace(/\.[^/.]+$/, ''); // Remove extension
+    const isSelected = currentSelectedFont === fontName;
+    return `<div class="font-option ${isSelected ? 'selected' : ''}" data-font="${fontName}">${fontName}</div>`;
+  }).join('');
+}
+
+function selectFont(fontName) {
+  currentSelectedFont = fontName;
+
+  // Update display
+  const fontNameDisplay = document.getElementById("current-font");
+  if (fontNameDisplay) {
+    fontNameDisplay.textContent = fontName || "Default";
+  }
+
+  // Insert or update font setting in the document
+  applyFontToDocument(fontName);
+
+  showToast(fontName ? `Font: ${fontName}` : "Font: Default");
+}
+
+function applyFontToDocument(fontName) {
+  if (!editor) return;
+
+  const content = editor.getValue();
+  const fontDirective = fontName ? `#set text(font: "${fontName}")` : '';
+
+  // Check if there's already a font directive at the start
+  const fontRegex = /^#set text\(font: "[^"]*"\)\n?/;
+
+  if (fontRegex.test(content)) {
+    // Replace existing font directive
+    const newContent = fontName
+      ? content.replace(fontRegex, fontDirective + '\n')
+      : content.replace(fontRegex, '');
+    editor.setValue(newContent);
+  } else if (fontName) {
+    // Add font directive at the beginning
+    editor.setValue(fontDirective + '\n' + content);
+  }
 
-    // Restart tutorial button
-    const restartBtn = document.getElementById('restart-tutorial-btn');
-    if (restartBtn) {
-      restartBtn.addEventListener('click', () => {
-        closeModal();
-        setTimeout(() => restartTutorial(), 300);
-      });
-    }
-  }, 0);
+  // Trigger recompile
+  if (autoCompile) {
+    clearTimeout(compileTimer);
+    compileTimer = setTimeout(() => compile(getCompileSource()), COMPILE_DELAY);
+  }
 }
 
 // =====================
-// ONBOARDING TUTORIAL
+// SHARE
 // =====================
-const tutorialSteps = [
-  {
-    title: "Welcome to Typst Playground! 👋",
-    content: "Let's take a quick tour of the editor. This will only take a minute!",
-    target: null, // No highlight for welcome
-    position: "center"
-  },
-  {
-    title: "Code Editor",
-    content: "Write your Typst code here. The editor features syntax highlighting, autocomplete, and line numbers.",
-    target: "#monaco-editor",
-    position: "right"
-  },
-  {
-    title: "Live Preview",
-    content: "Your document compiles automatically as you type! See the PDF preview update in real-time.",
-    target: "#pdf-container",
-    position: "left"
-  },
-  {
-    title: "Sidebar",
-    content: "Manage your files, uploaded images, and custom fonts here. Toggle it with Ctrl+B.",
-    target: ".sidebar",
-    position: "right"
-  },
-  {
-    title: "Templates",
-    content: "Start quickly with pre-made templates for articles, letters, resumes, and more!",
-    target: "#btn-templates",
-    position: "bottom"
-  },
-  {
-    title: "Upload Files",
-    content: "Upload images and assets by clicking here or dragging files to the Uploads section.",
-    target: "#btn-upload",
-    position: "bottom"
-  },
-  {
-    title: "Custom Fonts",
-    content: "Upload your own fonts (TTF, OTF, WOFF) to use in your documents.",
-    target: "#btn-upload-font",
-    position: "bottom"
-  },
-  {
-    title: "Export PDF",
-    content: "When you're ready, download your document as a PDF file.",
-    target: "#btn-export",
-    position: "bottom"
-  },
-  {
-    title: "Share Your Work",
-    content: "Generate a shareable link so others can view or remix your document.",
-    target: "#btn-share",
-    position: "bottom"
-  },
-  {
-    title: "Zoom Controls",
-    content: "Zoom in/out of the preview using these controls or Ctrl+/Ctrl-",
-    target: ".zoom-controls",
-    position: "top"
-  },
-  {
-    title: "Autocomplete",
-    content: "Press Ctrl+Space to see suggestions for functions, fonts, colors, and more!",
-    target: null,
-    position: "center"
-  },
-  {
-    title: "You're All Set! 🎉",
-    content: "Start writing your document! Click Help (?) anytime for more guidance. Happy writing!",
-    target: null,
-    position: "center"
+async function handleShare() {
+  const content = getDocumentContent();
+  const info = getShareLinkInfo(content);
+
+  if (info.isTooLong) {
+    showToast("Document too large to share via URL");
+    return;
   }
-];
 
-let currentTutorialStep = 0;
-let tutorialOverlay = null;
+  const result = await copyShareLink(content);
+  if (result.success) {
+    showToast("Share link copied to clipboard!");
+  } else {
+    prompt("Share link (copy manually):", result.url);
+  }
+}
 
-function startOnboardingTutorial() {
-  currentTutorialStep = 0;
-  createTutorialOverlay();
-  showTutorialStep(0);
+// =====================
+// EXPORT
+// =====================
+// The vector preview has no PDF at hand, so compile one on demand
+async function getPdfBytesForExport() {
+  if (currentPdfBuffer) return currentPdfBuffer;
+  const { data } = await requestExport("pdf");
+  return data;
 }
 
-function createTutorialOverlay() {
-  // Remove existing overlay if any
-  if (tutorialOverlay) {
-    tutorialOverlay.remove();
+function exportPDF() {
+  if (!currentPdfBuffer && !currentSvg) {
+    showToast("No PDF to export. Please wait for compilation.");
+    return;
   }
 
-  tutorialOverlay = document.createElement('div');
-  tutorialOverlay.className = 'tutorial-overlay';
-  tutorialOverlay.innerHTML = `
-    <div class="tutorial-backdrop"></div>
-    <div class="tutorial-highlight"></div>
-    <div class="tutorial-tooltip">
-      <div class="tutorial-progress">
-        <span class="tutorial-step-indicator"></span>
+  const content = `
+    <div class="export-form settings-form">
+      <div class="settings-group">
+        <label for="export-filename">Filename</label>
+        <input type="text" id="export-filename" value="document" placeholder="Enter filename">
       </div>
-      <h3 class="tutorial-title"></h3>
-      <p class="tutorial-content"></p>
-      <div class="tutorial-actions">
-        <button class="tutorial-btn tutorial-skip">Skip Tour</button>
-        <div class="tutorial-nav">
-          <button class="tutorial-btn tutorial-prev">← Back</button>
-          <button class="tutorial-btn tutorial-next primary">Next →</button>
+      <div class="settings-group">
+        <label for="export-format">Format</label>
+        <select id="export-format">
+          <option value="pdf">PDF</option>
+          <option value="svg">SVG (per page)</option>
+          <option value="png">PNG (per page)</option>
+        </select>
+      </div>
+      <div class="export-page-options" id="export-page-options" style="display: none;">
+        <div class="settings-group">
+          <label for="export-pages">Pages</label>
+          <input type="text" id="export-pages" value="" placeholder="All (e.g. 1-3, 5)">
         </div>
+        <div class="settings-group" id="export-dpi-group">
+          <label for="export-dpi">Resolution (DPI)</label>
+          <input type="number" id="export-dpi" value="144" min="36" max="600" step="1">
+        </div>
+        <div class="settings-group">
+          <label for="export-packaging">Output</label>
+          <select id="export-packaging">
+            <option value="files">One file per page</option>
+            <option value="zip">ZIP archive</option>
+          </select>
+        </div>
+      </div>
+      <div class="settings-actions">
+        <button class="btn primary" id="confirm-export">Export PDF</button>
       </div>
     </div>
   `;
 
-  document.body.appendChild(tutorialOverlay);
-
-  // Event listeners
-  tutorialOverlay.querySelector('.tutorial-skip').addEventListener('click', endTutorial);
-  tutorialOverlay.querySelector('.tutorial-prev').addEventListener('click', () => navigateTutorial(-1));
-  tutorialOverlay.querySelector('.tutorial-next').addEventListener('click', () => navigateTutorial(1));
+  showModal("Export", content);
 
-  // Close on backdrop click
-  tutorialOverlay.querySelector('.tutorial-backdrop').addEventListener('click', endTutorial);
+  const filenameInput = document.getElementById("export-filename");
+  const formatSelect = document.getElementById("export-format");
+  const confirmBtn = document.getElementById("confirm-export");
+  filenameInput.focus();
+  filenameInput.select();
 
-  // Keyboard navigation
-  document.addEventListener('keydown', handleTutorialKeydown);
-}
+  const updateFormatOptions = () => {
+    const format = formatSelect.value;
+    document.getElementById("export-page-options").style.display = format === "pdf" ? "none" : "block";
+    document.getElementById("export-dpi-group").style.display = format === "png" ? "flex" : "none";
+    confirmBtn.textContent = `Export ${format.toUpperCase()}`;
+  };
+  formatSelect.addEventListener("change", updateFormatOptions);
 
-function handleTutorialKeydown(e) {
-  if (!tutorialOverlay) return;
+  const doExport = async () => {
+    const format = formatSelect.value;
+    const baseName = (filenameInput.value.trim() || "document").replace(/\.(pdf|svg|png|zip)$/i, "");
+    const pagesText = document.getElementById("export-pages").value;
+    const dpi = parseInt(document.getElementById("export-dpi").value) || 144;
+    const asZip = document.getElementById("export-packaging").value === "zip";
 
-  if (e.key === 'Escape') {
-    endTutorial();
-  } else if (e.key === 'ArrowRight' || e.key === 'Enter') {
-    navigateTutorial(1);
-  } else if (e.key === 'ArrowLeft') {
-    navigateTutorial(-1);
-  }
-}
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = "Exporting...";
 
-function showTutorialStep(stepIndex) {
-  if (!tutorialOverlay || stepIndex < 0 || stepIndex >= tutorialSteps.length) return;
+    try {
+      if (format === "pdf") {
+        const pdfBytes = await getPdfBytesForExport();
+        downloadBlob(new Blob([pdfBytes], { type: "application/pdf" }), `${baseName}.pdf`);
+        closeModal();
+        showToast(`PDF exported as "${baseName}.pdf"!`);
+        return;
+      }
 
-  const step = tutorialSteps[stepIndex];
-  const tooltip = tutorialOverlay.querySelector('.tutorial-tooltip');
-  const highlight = tutorialOverlay.querySelector('.tutorial-highlight');
-  const title = tutorialOverlay.querySelector('.tutorial-title');
-  const content = tutorialOverlay.querySelector('.tutorial-content');
-  const prevBtn = tutorialOverlay.querySelector('.tutorial-prev');
-  const nextBtn = tutorialOverlay.querySelector('.tutorial-next');
-  const stepIndicator = tutorialOverlay.querySelector('.tutorial-step-indicator');
+      let files;
+      if (format === "svg") {
+        const { svg } = await requestExport("svg");
+        const pageSvgs = splitSvgPages(svg);
+        const pageNumbers = parsePageRange(pagesText, pageSvgs.length);
+        files = pageNumbers.map(pageNum => ({
+          name: `${baseName}-${pageNum}.svg`,
+          data: pageSvgs[pageNum - 1],
+          mimeType: "image/svg+xml",
+        }));
+      } else {
+        const { images } = await requestExport("png", { pages: pagesText, dpi });
+        files = images.map(image => ({
+          name: `${baseName}-${image.page}.png`,
+          data: image.data,
+          mimeType: "image/png",
+        }));
+      }
 
-  // Update content
-  title.textContent = step.title;
-  content.textContent = step.content;
+      await downloadPages(files, baseName, asZip);
+      closeModal();
+      showToast(asZip
+        ? `Exported ${files.length} ${format.toUpperCase()} page${files.length > 1 ? "s" : ""} as "${baseName}.zip"`
+        : `Exported ${files.length} ${format.toUpperCase()} file${files.length > 1 ? "s" : ""}`);
+    } catch (err) {
+      console.error("Export error:", err);
+      showToast(`Failed to export ${format.toUpperCase()}: ` + err.message);
+      confirmBtn.disabled = false;
+      updateFormatOptions();
+    }
+  };
 
-  // Update progress indicator
-  stepIndicator.textContent = `${stepIndex + 1} of ${tutorialSteps.length}`;
+  confirmBtn.addEventListener("click", doExport);
+  filenameInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      doExport();
+    }
+  });
+}
 
-  // Update navigation buttons
-  prevBtn.style.visibility = stepIndex === 0 ? 'hidden' : 'visible';
-  nextBtn.textContent = stepIndex === tutorialSteps.length - 1 ? "Let's Go! 🚀" : 'Next →';
+// =====================
+// VERSION HISTORY
+// =====================
+// Timeline of the current document's snapshots; picking one compares it side
+// by side with the editor content
+function showHistoryModal() {
+  if (!currentDocumentId) return;
 
-  // Position tooltip and highlight
-  if (step.target) {
-    const targetEl = document.querySelector(step.target);
-    if (targetEl) {
-      const rect = targetEl.getBoundingClientRect();
+  const content = `
+    <div class="history-panel">
+      <div class="history-sidebar">
+        <form class="history-save" id="history-save">
+          <input type="text" id="history-name" placeholder="Name the current version">
+          <button type="submit" class="btn primary">Save</button>
+        </form>
+        <div class="history-list" id="history-list"></div>
+      </div>
+      <div class="history-main">
+        <div class="history-toolbar">
+          <span class="history-label" id="history-label"></span>
+          <button class="btn primary" id="history-restore">Restore</button>
+        </div>
+        <div class="history-diff" id="history-diff"></div>
+      </div>
+    </div>
+  `;
 
-      // Show and position highlight
-      highlight.style.display = 'block';
-      highlight.style.top = `${rect.top - 4}px`;
-      highlight.style.left = `${rect.left - 4}px`;
-      highlight.style.width = `${rect.width + 8}px`;
-      highlight.style.height = `${rect.height + 8}px`;
+  showModal(`Version History: ${currentFileName}`, content, "wide");
 
-      // Position tooltip based on position preference
-      tooltip.className = 'tutorial-tooltip';
-      tooltip.classList.add(`position-${step.position}`);
+  const documentId = currentDocumentId;
+  document.getElementById("history-save").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const nameInput = document.getElementById("history-name");
+    const name = nameInput.value.trim();
+    if (!name) {
+      showToast("Enter a name for this version");
+      return;
+    }
 
-      positionTooltip(tooltip, rect, step.position);
-    } else {
-      // Target not found, center the tooltip
-      highlight.style.display = 'none';
-      tooltip.className = 'tutorial-tooltip position-center';
-      centerTooltip(tooltip);
+    try {
+      const snapshot = await takeSnapshot(documentId, getDocumentContent(), { name });
+      nameInput.value = "";
+      renderHistoryList(documentId, snapshot.id);
+      showToast(`Saved version "${name}"`);
+    } catch (err) {
+      console.error("[History] Failed to save version:", err);
+      showToast("Failed to save version");
     }
-  } else {
-    // No target, center everything
-    highlight.style.display = 'none';
-    tooltip.className = 'tutorial-tooltip position-center';
-    centerTooltip(tooltip);
-  }
+  });
 
-  // Add entrance animation
-  tooltip.classList.add('animate');
-  setTimeout(() => tooltip.classList.remove('animate'), 300);
+  renderHistoryList(documentId);
 }
 
-function positionTooltip(tooltip, targetRect, position) {
-  const tooltipRect = tooltip.getBoundingClientRect();
-  const padding = 16;
-  const arrowOffset = 12;
+async function renderHistoryList(documentId, selectedId = null) {
+  const list = document.getElementById("history-list");
+  if (!list) return;
 
-  let top, left;
+  let snapshots = [];
+  try {
+    snapshots = await getSnapshots(documentId);
+  } catch (e) {
+    console.warn("[History] Failed to load versions:", e);
+  }
 
-  switch (position) {
-    case 'top':
-      top = targetRect.top - tooltipRect.height - padding - arrowOffset;
-      left = targetRect.left + (targetRect.width - tooltipRect.width) / 2;
-      break;
-    case 'bottom':
-      top = targetRect.bottom + padding + arrowOffset;
-      left = targetRect.left + (targetRect.width - tooltipRect.width) / 2;
-      break;
-    case 'left':
-      top = targetRect.top + (targetRect.height - tooltipRect.height) / 2;
-      left = targetRect.left - tooltipRect.width - padding - arrowOffset;
-      break;
-    case 'right':
-      top = targetRect.top + (targetRect.height - tooltipRect.height) / 2;
-      left = targetRect.right + padding + arrowOffset;
-      break;
-    default:
-      centerTooltip(tooltip);
-      return;
+  const selected = snapshots.find(snapshot => snapshot.id === selectedId) || snapshots[0] || null;
+  showHistoryDiff(selected);
+
+  if (snapshots.length === 0) {
+    list.innerHTML = '<div class="empty-message">No earlier versions yet. One is kept every few minutes while you edit.</div>';
+    return;
   }
 
-  // Keep tooltip within viewport
-  const viewportPadding = 20;
-  top = Math.max(viewportPadding, Math.min(top, window.innerHeight - tooltipRect.height - viewportPadding));
-  left = Math.max(viewportPadding, Math.min(left, window.innerWidth - tooltipRect.width - viewportPadding));
+  let day = null;
+  list.innerHTML = snapshots.map(snapshot => {
+    const snapshotDay = formatHistoryDay(snapshot.createdAt);
+    const header = snapshotDay !== day ? `<div class="history-day">${snapshotDay}</div>` : "";
+    day = snapshotDay;
+    return `${header}
+      <div class="history-item ${snapshot === selected ? "active" : ""} ${snapshot.name ? "named" : ""}" data-id="${snapshot.id}">
+        <div class="history-info">
+          <div class="history-name">${escapeHtml(getSnapshotLabel(snapshot))}</div>
+          <div class="history-meta">${formatHistoryTime(snapshot.createdAt)} · ${snapshot.content.split("\n").length} lines</div>
+        </div>
+        <button class="icon-btn small history-action" title="Delete Version">${icons.trash}</button>
+      </div>
+    `;
+  }).join("");
 
-  tooltip.style.top = `${top}px`;
-  tooltip.style.left = `${left}px`;
-  tooltip.style.transform = 'none';
-}
+  list.onclick = async (e) => {
+    const item = e.target.closest(".history-item");
+    if (!item) return;
+    const snapshot = snapshots.find(s => s.id === Number(item.dataset.id));
 
-function centerTooltip(tooltip) {
-  tooltip.style.top = '50%';
-  tooltip.style.left = '50%';
-  tooltip.style.transform = 'translate(-50%, -50%)';
+    if (e.target.closest(".history-action")) {
+      try {
+        await removeSnapshot(snapshot);
+      } catch (err) {
+        console.error("[History] Failed to delete version:", err);
+        showToast("Failed to delete version");
+      }
+      renderHistoryList(documentId, snapshot === selected ? null : selected.id);
+      return;
+    }
+
+    list.querySelectorAll(".history-item").forEach(el => el.classList.toggle("active", el === item));
+    showHistoryDiff(snapshot);
+  };
 }
 
-function navigateTutorial(direction) {
-  const newStep = currentTutorialStep + direction;
+function showHistoryDiff(snapshot) {
+  disposeModalDiff();
 
-  if (newStep >= tutorialSteps.length) {
-    endTutorial();
+  const label = document.getElementById("history-label");
+  const restoreBtn = document.getElementById("history-restore");
+  restoreBtn.disabled = !snapshot;
+  if (!snapshot) {
+    label.textContent = "Nothing to compare yet";
     return;
   }
 
-  if (newStep >= 0 && newStep < tutorialSteps.length) {
-    currentTutorialStep = newStep;
-    showTutorialStep(currentTutorialStep);
-  }
+  label.textContent = `${getSnapshotLabel(snapshot)}, ${formatHistoryDay(snapshot.createdAt)} ${formatHistoryTime(snapshot.createdAt)} → Current`;
+  restoreBtn.onclick = () => restoreSnapshot(snapshot);
+  showModalDiff(document.getElementById("history-diff"), snapshot.content, getDocumentContent());
 }
 
-function endTutorial() {
-  if (tutorialOverlay) {
-    tutorialOverlay.classList.add('fade-out');
-    setTimeout(() => {
-      tutorialOverlay.remove();
-      tutorialOverlay = null;
-    }, 300);
+// Replace the editor content as one undoable edit; the content it replaces is
+// kept as a version of its own
+async function restoreSnapshot(snapshot) {
+  if (snapshot.documentId !== currentDocumentId) return;
+
+  try {
+    await takeSnapshot(currentDocumentId, getDocumentContent(), { reason: "restore" });
+  } catch (e) {
+    console.warn("[History] Failed to keep the current version:", e);
   }
 
-  document.removeEventListener('keydown', handleTutorialKeydown);
-  localStorage.setItem('tutorialCompleted', 'true');
+  const model = editor.getModel();
+  editor.pushUndoStop();
+  editor.executeEdits("history", [{ range: model.getFullModelRange(), text: snapshot.content }]);
+  editor.pushUndoStop();
+  if (editorMode === 'visual') {
+    updateVisualEditor(snapshot.content);
+  }
 
-  showToast("Tutorial completed! Click Help (?) anytime for more info.");
+  closeModal();
+  await autoSave();
+  showToast(`Restored version from ${formatHistoryDay(snapshot.createdAt)} ${formatHistoryTime(snapshot.createdAt)}`);
 }
 
-// Function to restart tutorial (can be called from settings or help)
-function restartTutorial() {
-  localStorage.removeItem('tutorialCompleted');
-  startOnboardingTutorial();
+function getSnapshotLabel(snapshot) {
+  if (snapshot.name) return snapshot.name;
+  if (snapshot.reason === "restore") return "Before restore";
+  if (snapshot.reason === "conflict") return "Conflicting version";
+  return "Auto-saved";
+}
+
+function formatHistoryDay(timestamp) {
+  const date = new Date(timestamp);
+  const today = new Date();
+  if (date.toDateString() === today.toDateString()) return "Today";
+  today.setDate(today.getDate() - 1);
+  if (date.toDateString() === today.toDateString()) return "Yesterday";
+  return date.toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" });
+}
+
+function formatHistoryTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
 }
 
 // =====================
-// KEYBOARD SHORTCUTS
+// STORAGE RECOVERY
 // =====================
-function setupKeyboardShortcuts() {
-  document.addEventListener("keydown", (e) => {
-    // Ctrl/Cmd + S: Save
-    if ((e.ctrlKey || e.metaKey) && e.key === "s") {
-      e.preventDefault();
-      autoSave();
-      showToast("Document saved");
-    }
+// A failed schema upgrade leaves the saved data untouched at its old version;
+// offer to download it before starting over with an empty database
+function showStorageRecoveryModal(error) {
+  const content = `
+    <div class="confirm-modal">
+      <p class="confirm-message">Your saved projects could not be upgraded for this version of the editor, so nothing will be saved this session. Your data was not changed.<br><small>${escapeHtml(error.message)}</small></p>
+      <div class="confirm-actions">
+        <button class="btn" id="recovery-continue">Continue Without Saving</button>
+        <button class="btn" id="recovery-backup">Download Backup</button>
+        <button class="btn danger" id="recovery-reset">Reset Storage</button>
+      </div>
+    </div>
+  `;
 
-    // Ctrl/Cmd + B: Toggle sidebar
-    if ((e.ctrlKey || e.metaKey) && e.key === "b") {
-      e.preventDefault();
-      toggleSidebar();
-    }
+  showModal("Storage Upgrade Failed", content);
+
+  document.getElementById("recovery-continue").addEventListener("click", closeModal);
+  document.getElementById("recovery-backup").addEventListener("click", downloadStorageBackup);
+  document.getElementById("recovery-reset").addEventListener("click", () => {
+    showConfirmModal(
+      "Reset Storage",
+      "Delete every project, file and setting saved in this browser?<br><small>Download a backup first. This action cannot be undone.</small>",
+      "Reset",
+      async () => {
+        try {
+          await deleteDatabase();
+          location.reload();
+        } catch (e) {
+          console.error("Failed to reset storage:", e);
+          showToast("Failed to reset storage");
+        }
+      }
+    );
+  });
+}
 
-    // Ctrl/Cmd + E: Export
-    if ((e.ctrlKey || e.metaKey) && e.key === "e") {
-      e.preventDefault();
-      exportPDF();
-    }
+// Saved documents and files as a ZIP with a folder per project, plus the
+// project, document and preference records in backup.json
+async function downloadStorageBackup() {
+  try {
+    const backup = await readDatabaseBackup();
+    const { projects: savedProjects = [], documents: savedDocs = [], files = [], preferences = [] } = backup.stores;
+    const projectNames = new Map(savedProjects.map(project => [project.id, project.name]));
+    const entries = [];
 
-    // Ctrl/Cmd + +: Zoom in
-    if ((e.ctrlKey || e.metaKey) && (e.key === "+" || e.key === "=")) {
-      e.preventDefault();
-      zoomIn();
+    for (const doc of savedDocs) {
+      const folder = projectNames.get(doc.projectId) || doc.projectId || "documents";
+      entries.push({ name: `${folder}/${doc.name || `${doc.id}.typ`}`, data: doc.content || "" });
     }
 
-    // Ctrl/Cmd + -: Zoom out
-    if ((e.ctrlKey || e.metaKey) && e.key === "-") {
-      e.preventDefault();
-      zoomOut();
+    for (const file of files) {
+      if (!(file.data instanceof ArrayBuffer || ArrayBuffer.isView(file.data))) continue;
+      const owner = file.projectId || file.documentId || "shared";
+      entries.push({ name: `${projectNames.get(owner) || owner}/${file.path}`, data: file.data });
     }
 
-    // Ctrl/Cmd + 0: Reset zoom
-    if ((e.ctrlKey || e.metaKey) && e.key === "0") {
-      e.preventDefault();
-      resetZoom();
-    }
+    const records = { version: backup.version, projects: savedProjects, documents: savedDocs, preferences };
+    entries.push({ name: "backup.json", data: JSON.stringify(records, null, 2) });
 
-    // F1: Help
-    if (e.key === "F1") {
-      e.preventDefault();
-      showHelpModal();
-    }
+    downloadBlob(createZip(entries), `typst-editor-backup-v${backup.version}.zip`);
+  } catch (e) {
+    console.error("Failed to back up storage:", e);
+    showToast("Failed to read saved data");
+  }
+}
 
-    // Escape: Close modal
-    if (e.key === "Escape") {
-      closeModal();
-      closeAllDropdowns();
-    }
+// =====================
+// MODAL
+// =====================
+function showModal(title, content, size = "default") {
+  const overlay = document.getElementById("modal-overlay");
+  const modal = document.getElementById("modal");
 
-    // Ctrl/Cmd + Enter: Recompile
-    if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
-      e.preventDefault();
-      manualRecompile();
-    }
+  modal.querySelector(".modal-title").textContent = title;
+  modal.querySelector(".modal-content").innerHTML = content;
 
-    // Ctrl/Cmd + F: Find (only intercept in visual mode, Monaco handles code mode)
-    if ((e.ctrlKey || e.metaKey) && e.key === "f" && editorMode === 'visual') {
-      e.preventDefault();
-      openFind();
-    }
+  // Set modal size
+  modal.classList.remove("modal-large", "modal-small", "modal-wide");
+  if (size === "large") {
+    modal.classList.add("modal-large");
+  } else if (size === "small") {
+    modal.classList.add("modal-small");
+  } else if (size === "wide") {
+    modal.classList.add("modal-wide");
+  }
 
-    // Ctrl/Cmd + H: Find and Replace
-    if ((e.ctrlKey || e.metaKey) && e.key === "h") {
-      e.preventDefault();
-      openFindReplace();
-    }
-  });
+  overlay.style.display = "flex";
 }
 
-// =====================
-// FILE UPLOADS
-// =====================
-async function handleFileUpload(event) {
-  const files = event.target.files || (event.dataTransfer && event.dataTransfer.files);
-  if (!files || !files.length) {
-    console.log("[Upload] No files selected");
-    return;
-  }
+function closeModal() {
+  document.getElementById("modal-overlay").style.display = "none";
+  // Reset modal size
+  document.getElementById("modal").classList.remove("modal-large", "modal-small", "modal-wide");
+  disposeModalDiff();
+}
 
-  console.log(`[Upload] Processing ${files.length} file(s)`);
+// Side-by-side Monaco diff inside the modal, disposed when the modal closes.
+// Only the right (modified) side can be made editable
+let modalDiffEditor = null;
 
-  for (const file of files) {
-    console.log(`[Upload] Processing: ${file.name} (${file.type}, ${file.size} bytes)`);
-    try {
-      const buffer = await fileToArrayBuffer(file);
-      const path = file.name;
+function showModalDiff(container, original, modified, editable = false) {
+  disposeModalDiff();
 
-      const fileType = getFileType(file.name);
-      console.log(`[Upload] File type detected: ${fileType}`);
+  const language = getEditorLanguage(currentFileName);
+  modalDiffEditor = monaco.editor.createDiffEditor(container, {
+    readOnly: !editable,
+    originalEditable: false,
+    renderSideBySide: true,
+    automaticLayout: true,
+    minimap: { enabled: false },
+    scrollBeyondLastLine: false,
+    fontSize: settings.fontSize,
+  });
+  modalDiffEditor.setModel({
+    original: monaco.editor.createModel(original, language),
+    modified: monaco.editor.createModel(modified, language),
+  });
+  return modalDiffEditor;
+}
 
-      await saveFile(path, buffer, fileType, DOCUMENT_ID);
+function disposeModalDiff() {
+  if (!modalDiffEditor) return;
+  const model = modalDiffEditor.getModel();
+  modalDiffEditor.dispose();
+  model?.original.dispose();
+  model?.modified.dispose();
+  modalDiffEditor = null;
+}
 
-      currentFiles.set(path, new Uint8Array(buffer));
-      console.log(`[Upload] Added to VFS: ${path}`);
+// =====================
+// TOAST
+// =====================
+function showToast(message, duration = 3000) {
+  const toast = document.getElementById("toast");
+  toast.textContent = message;
+  toast.classList.add("show");
 
-      showToast(`Uploaded: ${file.name}`);
-    } catch (e) {
-      console.error("[Upload] Failed:", e);
-      showToast(`Failed to upload: ${file.name}`);
+  setTimeout(() => {
+    toast.classList.remove("show");
+  }, duration);
+}
+
+// =====================
+// STYLES
+// =====================
+function addStyles() {
+  const style = document.createElement("style");
+  style.textContent = `
+    /* CSS Variables - Dark Theme (Default) */
+    :root, [data-theme="dark"] {
+      --bg-primary: #1a1a2e;
+      --bg-secondary: #16213e;
+      --bg-tertiary: #0f0f1a;
+      --bg-hover: #252545;
+      --bg-active: #2d2d5a;
+      --border-color: #2a2a4a;
+      --text-primary: #e4e4e7;
+      --text-secondary: #a1a1aa;
+      --text-muted: #71717a;
+      --accent: #22d3ee;
+      --accent-hover: #06b6d4;
+      --accent-muted: rgba(34, 211, 238, 0.1);
+      --success: #4ade80;
+      --warning: #fbbf24;
+      --error: #f87171;
+      --header-height: 48px;
+      --status-height: 24px;
+      --sidebar-width: 240px;
+    }
+
+    /* Light Theme */
+    [data-theme="light"] {
+      --bg-primary: #ffffff;
+      --bg-secondary: #f8fafc;
+      --bg-tertiary: #f1f5f9;
+      --bg-hover: #e2e8f0;
+      --bg-active: #cbd5e1;
+      --border-color: #e2e8f0;
+      --text-primary: #1e293b;
+      --text-secondary: #475569;
+      --text-muted: #94a3b8;
+      --accent: #0891b2;
+      --accent-hover: #0e7490;
+      --accent-muted: rgba(8, 145, 178, 0.1);
+      --success: #22c55e;
+      --warning: #f59e0b;
+      --error: #ef4444;
     }
-  }
-
-  updateUploadsList();
-  compile(editor.getValue());
-  if (event.target && event.target.value !== undefined) {
-    event.target.value = "";
-  }
-}
-
-// Setup drag and drop for uploads section
-function setupUploadsDragDrop() {
-  const uploadsList = document.getElementById("uploads-list");
-  if (!uploadsList) return;
-
-  // Prevent default drag behaviors
-  ["dragenter", "dragover", "dragleave", "drop"].forEach(eventName => {
-    uploadsList.addEventListener(eventName, (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-    }, false);
-  });
 
-  // Highlight drop zone
-  ["dragenter", "dragover"].forEach(eventName => {
-    uploadsList.addEventListener(eventName, () => {
-      uploadsList.classList.add("drag-over");
-    }, false);
-  });
+    /* Light theme error highlighting */
+    [data-theme="light"] .editor-line-error {
+      background: rgba(220, 38, 38, 0.12) !important;
+    }
 
-  ["dragleave", "drop"].forEach(eventName => {
-    uploadsList.addEventListener(eventName, () => {
-      uploadsList.classList.remove("drag-over");
-    }, false);
-  });
+    [data-theme="light"] .editor-line-warning {
+      background: rgba(217, 119, 6, 0.12) !important;
+    }
 
-  // Handle dropped files
-  uploadsList.addEventListener("drop", (e) => {
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-      handleFileUpload({ dataTransfer: e.dataTransfer });
+    /* Reset */
+    * {
+      box-sizing: border-box;
+      margin: 0;
+      padding: 0;
     }
-  }, false);
-}
 
-function getFileType(filename) {
-  const ext = filename.split(".").pop().toLowerCase();
-  if (["png", "jpg", "jpeg", "gif", "svg", "webp"].includes(ext)) return "image";
-  if (["ttf", "otf", "woff", "woff2"].includes(ext)) return "font";
-  return "other";
-}
+    body, html {
+      height: 100%;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', sans-serif;
+      font-size: 13px;
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      overflow: hidden;
+    }
 
-async function loadFilesIntoVFS() {
-  try {
-    const files = await getAllFiles(DOCUMENT_ID);
-    for (const file of files) {
-      if (file.data instanceof ArrayBuffer) {
-        currentFiles.set(file.path, new Uint8Array(file.data));
-      } else if (file.data instanceof Uint8Array) {
-        currentFiles.set(file.path, file.data);
-      }
+    #app {
+      height: 100%;
     }
-    console.log(`Loaded ${currentFiles.size} files into VFS`);
-    updateUploadsList();
-  } catch (e) {
-    console.warn("Failed to load files:", e);
-  }
-}
 
-// Preload sample assets from public folder into VFS
-async function preloadSampleAssets() {
-  const sampleAssets = [
-    { path: "elsevier_logo_wide.png", url: "/assets/elsevier_logo_wide.png" },
-    { path: "0.png", url: "/assets/0.png" },
-    { path: "1.png", url: "/assets/1.png" },
-    { path: "2.jpg", url: "/assets/2.jpg" },
-    { path: "3.jpg", url: "/assets/3.jpg" },
-  ];
+    /* App Container */
+    .app-container {
+      height: 100%;
+      display: flex;
+      flex-direction: column;
+    }
 
-  console.log(`[Preload] Loading ${sampleAssets.length} sample assets...`);
+    /* Header */
+    .header {
+      height: var(--header-height);
+      background: linear-gradient(180deg, var(--bg-secondary) 0%, var(--bg-primary) 100%);
+      border-bottom: 1px solid var(--border-color);
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 0 16px;
+      flex-shrink: 0;
+      gap: 16px;
+    }
 
-  for (const asset of sampleAssets) {
-    // Skip if already loaded
-    if (currentFiles.has(asset.path)) {
-      console.log(`[Preload] Skipping ${asset.path} (already loaded)`);
-      continue;
+    .header-left, .header-center, .header-right {
+      display: flex;
+      align-items: center;
+      gap: 12px;
     }
 
-    try {
-      console.log(`[Preload] Fetching ${asset.url}...`);
-      const response = await fetch(asset.url);
-      if (response.ok) {
-        const buffer = await response.arrayBuffer();
-        currentFiles.set(asset.path, new Uint8Array(buffer));
-        console.log(`[Preload] Loaded: ${asset.path} (${buffer.byteLength} bytes)`);
-      } else {
-        console.warn(`[Preload] Failed to load ${asset.path}: ${response.status}`);
-      }
-    } catch (e) {
-      console.warn(`[Preload] Error loading ${asset.path}:`, e);
+    .header-left {
+      flex: 0 0 auto;
     }
-  }
 
-  // Update the uploads list to show preloaded assets
-  updateUploadsList();
-}
+    .header-center {
+      flex: 1;
+      justify-content: center;
+    }
 
-function updateUploadsList() {
-  const list = document.getElementById("uploads-list");
-  if (!list) return;
+    .header-right {
+      flex: 0 0 auto;
+      justify-content: flex-end;
+    }
 
-  if (currentFiles.size === 0) {
-    list.innerHTML = '<div class="empty-message">No uploaded files</div>';
-    return;
-  }
+    .header-btn-group {
+      display: flex;
+      align-items: center;
+      gap: 2px;
+      background: var(--bg-tertiary);
+      border-radius: 10px;
+      padding: 4px;
+      border: 1px solid var(--border-color);
+    }
 
-  list.innerHTML = Array.from(currentFiles.keys())
-    .map(path => {
-      const fileType = getFileType(path);
-      const icon = fileType === "image" ? icons.image : icons.file;
-      return `
-        <div class="file-item" data-path="${path}">
-          <span class="file-icon">${icon}</span>
-          <span class="file-name">${path}</span>
-          <button class="icon-btn small delete-file" data-path="${path}" title="Delete">
-            ${icons.trash}
-          </button>
-        </div>
-      `;
-    })
-    .join("");
+    .header-btn-group .icon-btn {
+      border-radius: 8px;
+    }
 
-  // Add delete handlers
-  list.querySelectorAll(".delete-file").forEach(btn => {
-    btn.addEventListener("click", async (e) => {
-      e.stopPropagation();
-      const path = btn.dataset.path;
-      try {
-        await deleteFile(path, DOCUMENT_ID);
-        currentFiles.delete(path);
-        updateUploadsList();
-        compile(editor.getValue());
-        showToast(`Deleted: ${path}`);
-      } catch (err) {
-        showToast(`Failed to delete: ${path}`);
-      }
-    });
-  });
-}
+    .header-btn-group .icon-btn.primary {
+      background: var(--accent);
+      color: var(--bg-primary);
+    }
 
-// =====================
-// FONT MANAGEMENT
-// =====================
-async function handleFontUpload(event) {
-  const files = event.target.files;
-  if (!files.length) return;
+    .header-btn-group .icon-btn.primary:hover {
+      background: var(--accent-hover);
+    }
 
-  for (const file of files) {
-    const ext = file.name.split('.').pop().toLowerCase();
-    if (!['ttf', 'otf', 'woff', 'woff2'].includes(ext)) {
-      showToast(`Invalid font format: ${file.name}. Use TTF, OTF, WOFF, or WOFF2.`);
-      continue;
+    .header-divider {
+      width: 1px;
+      height: 24px;
+      background: var(--border-color);
+      margin: 0 4px;
     }
 
-    try {
-      const buffer = await fileToArrayBuffer(file);
-      const path = `fonts/${file.name}`;
+    .logo {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      color: var(--text-primary);
+      font-weight: 700;
+      font-size: 15px;
+    }
 
-      await saveFile(path, buffer, 'font', 'global');
+    .logo-icon-wrapper {
+      width: 28px;
+      height: 28px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: linear-gradient(135deg, var(--accent) 0%, #6366f1 100%);
+      border-radius: 8px;
+      padding: 5px;
+    }
 
-      // Add to loaded fonts
-      loadedFonts.push({
-        name: file.name,
-        path: path,
-        data: new Uint8Array(buffer)
-      });
+    .logo-icon {
+      width: 100%;
+      height: 100%;
+      display: flex;
+      color: white;
+    }
 
-      showToast(`Font loaded: ${file.name}`);
-    } catch (e) {
-      console.error("Font upload failed:", e);
-      showToast(`Failed to load font: ${file.name}`);
+    .logo-icon svg {
+      width: 100%;
+      height: 100%;
     }
-  }
 
-  updateFontsList();
+    .logo-text {
+      display: flex;
+      align-items: baseline;
+      gap: 2px;
+    }
 
-  // Notify compiler worker about new fonts
-  sendFontsToWorker();
+    .logo-suffix {
+      color: var(--text-muted);
+      font-weight: 400;
+      font-size: 13px;
+    }
 
-  // Recompile to use new fonts
-  compile(editor.getValue());
+    .sidebar-toggle {
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+    }
 
-  event.target.value = "";
-}
+    /* Document Title */
+    .document-title-wrapper {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 14px;
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 10px;
+      max-width: 300px;
+      cursor: default;
+    }
 
-async function loadSavedFonts() {
-  try {
-    const files = await getAllFiles();
-    loadedFonts = files
-      .filter(f => f.type === 'font')
-      .map(f => ({
-        name: f.path.replace('fonts/', ''),
-        path: f.path,
-        data: new Uint8Array(f.data)
-      }));
+    .document-icon {
+      width: 16px;
+      height: 16px;
+      color: var(--accent);
+      flex-shrink: 0;
+    }
 
-    updateFontsList();
+    .document-icon svg {
+      width: 100%;
+      height: 100%;
+    }
 
-    if (loadedFonts.length > 0) {
-      sendFontsToWorker();
+    .document-name-text {
+      color: var(--text-primary);
+      font-size: 13px;
+      font-weight: 500;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
     }
-  } catch (e) {
-    console.error("Failed to load saved fonts:", e);
-  }
-}
 
-function sendFontsToWorker() {
-  if (!compilerWorker) return;
+    .document-status {
+      width: 16px;
+      height: 16px;
+      color: var(--success);
+      flex-shrink: 0;
+    }
 
-  console.log(`[Main] Sending ${loadedFonts.length} fonts to worker`);
+    .document-status svg {
+      width: 100%;
+      height: 100%;
+    }
 
-  // Update autocomplete with custom font names
-  updateCustomFonts(loadedFonts.map(f => f.name));
+    .document-shared {
+      width: 16px;
+      height: 16px;
+      color: var(--accent);
+      flex-shrink: 0;
+    }
 
-  // Create copies of font data to ensure proper transfer
-  const fontData = loadedFonts.map(f => {
-    // Create a copy of the Uint8Array
-    const dataCopy = new Uint8Array(f.data);
-    console.log(`[Main] Font: ${f.name}, size: ${dataCopy.length} bytes`);
-    return {
-      name: f.name,
-      data: dataCopy
-    };
-  });
+    .document-shared svg,
+    .open-elsewhere-badge svg {
+      width: 100%;
+      height: 100%;
+    }
 
-  compilerWorker.postMessage({
-    type: 'loadFonts',
-    fonts: fontData
-  });
-}
+    .open-elsewhere-badge {
+      width: 14px;
+      height: 14px;
+      display: flex;
+      flex-shrink: 0;
+      color: var(--accent);
+    }
 
-function updateFontsList() {
-  const list = document.getElementById("fonts-list");
-  if (!list) return;
+    /* Header Action Button */
+    .header-action-btn {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 14px;
+      border: 1px solid var(--border-color);
+      background: var(--bg-tertiary);
+      color: var(--text-secondary);
+      border-radius: 10px;
+      cursor: pointer;
+      font-size: 13px;
+      font-weight: 500;
+      transition: all 0.15s;
+    }
 
-  if (loadedFonts.length === 0) {
-    list.innerHTML = '<div class="empty-message">No custom fonts loaded</div>';
-    return;
-  }
+    .header-action-btn:hover {
+      background: var(--bg-hover);
+      color: var(--text-primary);
+      border-color: var(--accent);
+    }
 
-  list.innerHTML = loadedFonts.map(font => {
-    const ext = font.name.split('.').pop().toUpperCase();
-    return `
-      <div class="font-item" data-path="${font.path}">
-        <span class="font-icon">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
-            <path d="M4 7V4h16v3"/>
-            <path d="M9 20h6"/>
-            <path d="M12 4v16"/>
-          </svg>
-        </span>
-        <span class="font-name">${font.name}</span>
-        <span class="font-badge">${ext}</span>
-        <button class="icon-btn small delete-font" data-path="${font.path}" title="Remove Font">
-          ${icons.trash}
-        </button>
-      </div>
-    `;
-  }).join("");
+    .header-action-btn svg {
+      width: 16px;
+      height: 16px;
+    }
 
-  // Add delete handlers
-  list.querySelectorAll(".delete-font").forEach(btn => {
-    btn.addEventListener("click", async (e) => {
-      e.stopPropagation();
-      const path = btn.dataset.path;
-      try {
-        await deleteFile(path);
-        loadedFonts = loadedFonts.filter(f => f.path !== path);
-        updateFontsList();
-        sendFontsToWorker();
-        showToast(`Font removed: ${path.replace('fonts/', '')}`);
-      } catch (err) {
-        showToast(`Failed to remove font`);
-      }
-    });
-  });
-}
+    /* Buttons */
+    .icon-btn {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 32px;
+      height: 32px;
+      border: none;
+      background: transparent;
+      color: var(--text-secondary);
+      border-radius: 6px;
+      cursor: pointer;
+      transition: all 0.15s;
+    }
 
-function showFontManager() {
-  const content = `
-    <div class="font-manager">
-      <div class="font-manager-header">
-        <p>Upload custom fonts to use in your Typst documents.</p>
-        <p class="text-muted">Supported formats: TTF, OTF, WOFF, WOFF2</p>
-      </div>
+    .icon-btn:hover {
+      background: var(--bg-hover);
+      color: var(--text-primary);
+    }
 
-      <div class="font-upload-zone" id="font-upload-zone">
-        <input type="file" id="font-file-input" accept=".ttf,.otf,.woff,.woff2" multiple hidden>
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="48" height="48">
-          <path d="M4 7V4h16v3"/>
-          <path d="M9 20h6"/>
-          <path d="M12 4v16"/>
-        </svg>
-        <p>Drop font files here or click to browse</p>
-      </div>
+    .icon-btn.small {
+      width: 24px;
+      height: 24px;
+    }
 
-      <div class="loaded-fonts-section">
-        <h4>Loaded Fonts (${loadedFonts.length})</h4>
-        <div class="loaded-fonts-list" id="modal-fonts-list">
-          ${loadedFonts.length === 0
-            ? '<div class="empty-message">No custom fonts loaded</div>'
-            : loadedFonts.map(font => `
-                <div class="font-list-item" data-path="${font.path}">
-                  <span class="font-preview" style="font-family: '${font.name.replace(/\.[^/.]+$/, '')}', sans-serif;">Aa</span>
-                  <span class="font-info">
-                    <span class="font-name">${font.name}</span>
-                    <span class="font-size">${formatBytes(font.data.length)}</span>
-                  </span>
-                  <button class="btn-remove-font" data-path="${font.path}">Remove</button>
-                </div>
-              `).join('')
-          }
-        </div>
-      </div>
+    .icon-btn svg {
+      width: 18px;
+      height: 18px;
+    }
 
-      <div class="font-usage-info">
-        <h4>Usage in Typst</h4>
-        <pre><code>#set text(font: "Font Name")</code></pre>
-      </div>
-    </div>
-  `;
+    .icon-btn.small svg {
+      width: 14px;
+      height: 14px;
+    }
 
-  showModal("Font Manager", content);
+    .header-btn {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 6px 12px;
+      border: none;
+      background: transparent;
+      color: var(--text-secondary);
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 13px;
+      transition: all 0.15s;
+    }
 
-  const uploadZone = document.getElementById("font-upload-zone");
-  const fileInput = document.getElementById("font-file-input");
+    .header-btn:hover {
+      background: var(--bg-hover);
+      color: var(--text-primary);
+    }
 
-  uploadZone.addEventListener("click", () => fileInput.click());
+    .header-btn svg {
+      width: 16px;
+      height: 16px;
+    }
 
-  uploadZone.addEventListener("dragover", (e) => {
-    e.preventDefault();
-    uploadZone.classList.add("drag-over");
-  });
+    .header-btn.primary {
+      background: var(--accent);
+      color: var(--bg-primary);
+    }
 
-  uploadZone.addEventListener("dragleave", () => {
-    uploadZone.classList.remove("drag-over");
-  });
+    .header-btn.primary:hover {
+      background: var(--accent-hover);
+    }
 
-  uploadZone.addEventListener("drop", (e) => {
-    e.preventDefault();
-    uploadZone.classList.remove("drag-over");
-    const files = e.dataTransfer.files;
-    handleFontUploadFromModal(files);
-  });
+    .btn {
+      padding: 8px 16px;
+      border: none;
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 13px;
+      transition: all 0.15s;
+    }
 
-  fileInput.addEventListener("change", (e) => {
-    handleFontUploadFromModal(e.target.files);
-  });
+    .btn.primary {
+      background: var(--accent);
+      color: var(--bg-primary);
+    }
 
-  // Add remove handlers in modal
-  document.querySelectorAll(".btn-remove-font").forEach(btn => {
-    btn.addEventListener("click", async () => {
-      const path = btn.dataset.path;
-      await deleteFile(path);
-      loadedFonts = loadedFonts.filter(f => f.path !== path);
-      updateFontsList();
-      sendFontsToWorker();
-      showFontManager(); // Refresh modal
-      showToast(`Font removed`);
-    });
-  });
-}
+    .btn.primary:hover {
+      background: var(--accent-hover);
+    }
 
-async function handleFontUploadFromModal(files) {
-  for (const file of files) {
-    const ext = file.name.split('.').pop().toLowerCase();
-    if (!['ttf', 'otf', 'woff', 'woff2'].includes(ext)) {
-      showToast(`Invalid format: ${file.name}`);
-      continue;
+    .btn.danger {
+      background: var(--error);
+      color: white;
     }
 
-    try {
-      const buffer = await fileToArrayBuffer(file);
-      const path = `fonts/${file.name}`;
+    .btn.danger:hover {
+      background: #ef4444;
+    }
 
-      await saveFile(path, buffer, 'font', 'global');
+    .btn:disabled {
+      opacity: 0.5;
+      cursor: default;
+      pointer-events: none;
+    }
 
-      loadedFonts.push({
-        name: file.name,
-        path: path,
-        data: new Uint8Array(buffer)
-      });
+    /* Confirm Modal */
+    .confirm-modal {
+      text-align: center;
+    }
 
-      showToast(`Font loaded: ${file.name}`);
-    } catch (e) {
-      showToast(`Failed to load: ${file.name}`);
+    .confirm-message {
+      margin-bottom: 20px;
+      color: var(--text-primary);
+      line-height: 1.5;
     }
-  }
 
-  updateFontsList();
-  sendFontsToWorker();
-  compile(editor.getValue());
-  showFontManager(); // Refresh modal
-}
+    .confirm-message small {
+      color: var(--text-muted);
+    }
 
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
-}
+    .confirm-actions {
+      display: flex;
+      gap: 12px;
+      justify-content: center;
+    }
 
-// =====================
-// FONT DROPDOWN
-// =====================
-let currentSelectedFont = "";
+    .confirm-actions .btn {
+      min-width: 100px;
+    }
 
-function setupFontDropdown() {
-  const dropdown = document.getElementById("font-dropdown");
-  const btn = document.getElementById("btn-font-select");
-  const menu = document.getElementById("font-menu");
+    /* Main Content */
+    .main-content {
+      flex: 1;
+      display: flex;
+      overflow: hidden;
+    }
 
-  if (!dropdown || !btn || !menu) return;
+    /* Sidebar */
+    .sidebar {
+      width: var(--sidebar-width);
+      background: var(--bg-secondary);
+      border-right: 1px solid var(--border-color);
+      display: flex;
+      flex-direction: column;
+      flex-shrink: 0;
+    }
 
-  // Toggle dropdown
-  btn.addEventListener("click", (e) => {
-    e.stopPropagation();
-    dropdown.classList.toggle("open");
-    updateCustomFontOptions();
-  });
+    .sidebar-content {
+      flex: 1;
+      overflow-y: auto;
+      padding: 8px 0;
+    }
 
-  // Close dropdown when clicking outside
-  document.addEventListener("click", (e) => {
-    if (!dropdown.contains(e.target)) {
-      dropdown.classList.remove("open");
+    .sidebar-section {
+      margin-bottom: 4px;
     }
-  });
 
-  // Font option click handlers
-  menu.addEventListener("click", (e) => {
-    const option = e.target.closest(".font-option");
-    if (option) {
-      const fontName = option.dataset.font;
-      selectFont(fontName);
-      dropdown.classList.remove("open");
+    .sidebar-section-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 8px 12px;
+      margin: 0 8px;
+      border-radius: 8px;
+      transition: background 0.15s;
     }
-  });
 
-  // Inline upload button
-  const uploadBtn = document.getElementById("btn-font-upload-inline");
-  if (uploadBtn) {
-    uploadBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      dropdown.classList.remove("open");
-      document.getElementById("font-input").click();
-    });
-  }
-}
+    .sidebar-section-header:hover {
+      background: var(--bg-hover);
+    }
 
-function updateCustomFontOptions() {
-  const container = document.getElementById("custom-font-options");
-  if (!container) return;
+    .sidebar-section-header.collapsible {
+      cursor: pointer;
+    }
 
-  if (loadedFonts.length === 0) {
-    container.innerHTML = '<div class="font-option" style="color: var(--text-muted); font-style: italic;">No custom fonts</div>';
-    return;
-  }
+    .section-title {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 12px;
+      font-weight: 600;
+      color: var(--text-secondary);
+    }
 
-  container.innerHTML = loadedFonts.map(font => {
-    const fontName = font.name.replace(/\.[^/.]+$/, ''); // Remove extension
-    const isSelected = currentSelectedFont === fontName;
-    return `<div class="font-option ${isSelected ? 'selected' : ''}" data-font="${fontName}">${fontName}</div>`;
-  }).join('');
-}
+    .section-icon {
+      width: 16px;
+      height: 16px;
+      color: var(--text-muted);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
 
-function selectFont(fontName) {
-  currentSelectedFont = fontName;
+    .section-icon svg {
+      width: 100%;
+      height: 100%;
+    }
 
-  // Update display
-  const fontNameDisplay = document.getElementById("current-font");
-  if (fontNameDisplay) {
-    fontNameDisplay.textContent = fontName || "Default";
-  }
+    .section-chevron {
+      width: 14px;
+      height: 14px;
+      color: var(--text-muted);
+      transition: transform 0.2s;
+    }
 
-  // Insert or update font setting in the document
-  applyFontToDocument(fontName);
+    .section-chevron svg {
+      width: 100%;
+      height: 100%;
+    }
 
-  showToast(fontName ? `Font: ${fontName}` : "Font: Default");
-}
+    .sidebar-section-header.collapsed .section-chevron {
+      transform: rotate(-90deg);
+    }
 
-function applyFontToDocument(fontName) {
-  if (!editor) return;
+    .sidebar-actions {
+      display: flex;
+      gap: 4px;
+      opacity: 0;
+      transition: opacity 0.15s;
+    }
 
-  const content = editor.getValue();
-  const fontDirective = fontName ? `#set text(font: "${fontName}")` : '';
+    .sidebar-section-header:hover .sidebar-actions {
+      opacity: 1;
+    }
 
-  // Check if there's already a font directive at the start
-  const fontRegex = /^#set text\(font: "[^"]*"\)\n?/;
+    .icon-btn.tiny {
+      width: 22px;
+      height: 22px;
+      border-radius: 6px;
+    }
 
-  if (fontRegex.test(content)) {
-    // Replace existing font directive
-    const newContent = fontName
-      ? content.replace(fontRegex, fontDirective + '\n')
-      : content.replace(fontRegex, '');
-    editor.setValue(newContent);
-  } else if (fontName) {
-    // Add font directive at the beginning
-    editor.setValue(fontDirective + '\n' + content);
-  }
+    .icon-btn.tiny svg {
+      width: 12px;
+      height: 12px;
+    }
 
-  // Trigger recompile
-  if (autoCompile) {
-    clearTimeout(compileTimer);
-    compileTimer = setTimeout(() => compile(editor.getValue()), COMPILE_DELAY);
-  }
-}
+    .file-tree, .fonts-list, .packages-list {
+      padding: 4px 12px;
+    }
 
-// =====================
-// SHARE
-// =====================
-async function handleShare() {
-  const content = editor.getValue();
-  const info = getShareLinkInfo(content);
+    .file-tree {
+      min-height: 40px;
+      border: 2px dashed transparent;
+      border-radius: 6px;
+    }
 
-  if (info.isTooLong) {
-    showToast("Document too large to share via URL");
-    return;
-  }
+    .file-tree.drag-over {
+      background: var(--accent-muted);
+      border-color: var(--accent);
+    }
 
-  const result = await copyShareLink(content);
-  if (result.success) {
-    showToast("Share link copied to clipboard!");
-  } else {
-    prompt("Share link (copy manually):", result.url);
-  }
-}
+    .fonts-list {
+      min-height: 40px;
+      transition: all 0.2s;
+    }
 
-// =====================
-// EXPORT
-// =====================
-function exportPDF() {
-  if (!currentPdfBuffer) {
-    showToast("No PDF to export. Please wait for compilation.");
-    return;
-  }
+    .empty-state {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 16px 8px;
+      color: var(--text-muted);
+      font-size: 11px;
+      text-align: center;
+      border: 1px dashed var(--border-color);
+      border-radius: 8px;
+      margin: 4px 0;
+    }
 
-  const content = `
-    <div class="export-form">
-      <div class="settings-group">
-        <label for="export-filename">Filename</label>
-        <input type="text" id="export-filename" value="document" placeholder="Enter filename">
-      </div>
-      <div class="settings-actions">
-        <button class="btn primary" id="confirm-export">Export PDF</button>
-      </div>
-    </div>
-  `;
+    /* Sidebar Footer */
+    .sidebar-footer {
+      padding: 12px;
+      border-top: 1px solid var(--border-color);
+      background: var(--bg-tertiary);
+    }
 
-  showModal("Export PDF", content);
+    .sidebar-footer-info {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
 
-  const filenameInput = document.getElementById("export-filename");
-  filenameInput.focus();
-  filenameInput.select();
+    .storage-indicator {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      font-size: 11px;
+      color: var(--text-muted);
+    }
 
-  const doExport = () => {
-    let filename = filenameInput.value.trim() || "document";
-    if (!filename.toLowerCase().endsWith(".pdf")) {
-      filename += ".pdf";
+    .storage-dot {
+      width: 6px;
+      height: 6px;
+      background: var(--success);
+      border-radius: 50%;
     }
 
-    try {
-      // currentPdfBuffer is already a clean Uint8Array copy
-      const blob = new Blob([currentPdfBuffer], { type: "application/pdf" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = filename;
-      a.style.display = "none";
-      document.body.appendChild(a);
-      a.click();
-
-      // Cleanup after a short delay
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-      }, 100);
+    /* Sidebar Collapse Button */
+    .sidebar-collapse-btn {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: 8px;
+      width: 100%;
+      padding: 8px 12px;
+      background: transparent;
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      color: var(--text-secondary);
+      font-size: 12px;
+      cursor: pointer;
+      transition: all 0.15s;
+    }
 
-      closeModal();
-      showToast(`PDF exported as "${filename}"!`);
-    } catch (err) {
-      console.error("Export error:", err);
-      showToast("Failed to export PDF: " + err.message);
+    .sidebar-collapse-btn:hover {
+      background: var(--bg-hover);
+      color: var(--text-primary);
     }
-  };
 
-  document.getElementById("confirm-export").addEventListener("click", doExport);
-  filenameInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
-      e.preventDefault();
-      doExport();
+    .sidebar-collapse-btn .collapse-icon {
+      width: 14px;
+      height: 14px;
+      transition: transform 0.2s;
     }
-  });
-}
 
-// =====================
-// MODAL
-// =====================
-function showModal(title, content, size = "default") {
-  const overlay = document.getElementById("modal-overlay");
-  const modal = document.getElementById("modal");
+    /* Collapsed Sidebar State */
+    .sidebar.collapsed {
+      width: 48px !important;
+      min-width: 48px;
+    }
 
-  modal.querySelector(".modal-title").textContent = title;
-  modal.querySelector(".modal-content").innerHTML = content;
+    .sidebar.collapsed .sidebar-content {
+      padding: 8px 4px;
+    }
 
-  // Set modal size
-  modal.classList.remove("modal-large", "modal-small");
-  if (size === "large") {
-    modal.classList.add("modal-large");
-  } else if (size === "small") {
-    modal.classList.add("modal-small");
-  }
+    .sidebar.collapsed .sidebar-section-header {
+      justify-content: center;
+      padding: 8px;
+    }
 
-  overlay.style.display = "flex";
-}
+    .sidebar.collapsed .section-title {
+      justify-content: center;
+    }
 
-function closeModal() {
-  document.getElementById("modal-overlay").style.display = "none";
-  // Reset modal size
-  document.getElementById("modal").classList.remove("modal-large", "modal-small");
-}
+    .sidebar.collapsed .section-label {
+      display: none;
+    }
 
-// =====================
-// TOAST
-// =====================
-function showToast(message, duration = 3000) {
-  const toast = document.getElementById("toast");
-  toast.textContent = message;
-  toast.classList.add("show");
+    .sidebar.collapsed .section-chevron {
+      display: none;
+    }
 
-  setTimeout(() => {
-    toast.classList.remove("show");
-  }, duration);
-}
+    .sidebar.collapsed .sidebar-actions {
+      display: none;
+    }
 
-// =====================
-// STYLES
-// =====================
-function addStyles() {
-  const style = document.createElement("style");
-  style.textContent = `
-    /* CSS Variables - Dark Theme (Default) */
-    :root, [data-theme="dark"] {
-      --bg-primary: #1a1a2e;
-      --bg-secondary: #16213e;
-      --bg-tertiary: #0f0f1a;
-      --bg-hover: #252545;
-      --bg-active: #2d2d5a;
-      --border-color: #2a2a4a;
-      --text-primary: #e4e4e7;
-      --text-secondary: #a1a1aa;
-      --text-muted: #71717a;
-      --accent: #22d3ee;
-      --accent-hover: #06b6d4;
-      --accent-muted: rgba(34, 211, 238, 0.1);
-      --success: #4ade80;
-      --warning: #fbbf24;
-      --error: #f87171;
-      --header-height: 48px;
-      --status-height: 24px;
-      --sidebar-width: 240px;
+    .sidebar.collapsed .project-bar,
+    .sidebar.collapsed .file-tree,
+    .sidebar.collapsed .fonts-list,
+    .sidebar.collapsed .packages-list {
+      display: none;
     }
 
-    /* Light Theme */
-    [data-theme="light"] {
-      --bg-primary: #ffffff;
-      --bg-secondary: #f8fafc;
-      --bg-tertiary: #f1f5f9;
-      --bg-hover: #e2e8f0;
-      --bg-active: #cbd5e1;
-      --border-color: #e2e8f0;
-      --text-primary: #1e293b;
-      --text-secondary: #475569;
-      --text-muted: #94a3b8;
-      --accent: #0891b2;
-      --accent-hover: #0e7490;
-      --accent-muted: rgba(8, 145, 178, 0.1);
-      --success: #22c55e;
-      --warning: #f59e0b;
-      --error: #ef4444;
+    .sidebar.collapsed .sidebar-footer {
+      padding: 8px;
     }
 
-    /* Light theme error highlighting */
-    [data-theme="light"] .editor-line-error {
-      background: rgba(220, 38, 38, 0.12) !important;
+    .sidebar.collapsed .sidebar-collapse-btn {
+      padding: 8px;
+      border: none;
     }
 
-    [data-theme="light"] .editor-line-warning {
-      background: rgba(217, 119, 6, 0.12) !important;
+    .sidebar.collapsed .sidebar-collapse-btn .collapse-text {
+      display: none;
     }
 
-    /* Reset */
-    * {
-      box-sizing: border-box;
+    .sidebar.collapsed .sidebar-collapse-btn .collapse-icon {
+      transform: rotate(180deg);
+    }
+
+    .sidebar.collapsed .section-icon {
       margin: 0;
-      padding: 0;
     }
 
-    body, html {
-      height: 100%;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', sans-serif;
-      font-size: 13px;
-      background: var(--bg-primary);
-      color: var(--text-primary);
-      overflow: hidden;
+    .sidebar.collapsed .section-icon svg {
+      width: 18px;
+      height: 18px;
     }
 
-    #app {
-      height: 100%;
+    /* Tooltip for collapsed icons */
+    .sidebar.collapsed .sidebar-section-header {
+      position: relative;
+    }
+
+    .sidebar.collapsed .sidebar-section-header::after {
+      content: attr(data-tooltip);
+      position: absolute;
+      left: 100%;
+      top: 50%;
+      transform: translateY(-50%);
+      margin-left: 8px;
+      padding: 6px 10px;
+      background: var(--bg-primary);
+      border: 1px solid var(--border-color);
+      border-radius: 4px;
+      font-size: 12px;
+      color: var(--text-primary);
+      white-space: nowrap;
+      opacity: 0;
+      visibility: hidden;
+      transition: opacity 0.15s, visibility 0.15s;
+      z-index: 1000;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.15);
     }
 
-    /* App Container */
-    .app-container {
-      height: 100%;
-      display: flex;
-      flex-direction: column;
+    .sidebar.collapsed .sidebar-section-header:hover::after {
+      opacity: 1;
+      visibility: visible;
     }
 
-    /* Header */
-    .header {
-      height: var(--header-height);
-      background: linear-gradient(180deg, var(--bg-secondary) 0%, var(--bg-primary) 100%);
-      border-bottom: 1px solid var(--border-color);
+    /* Legacy support */
+    .sidebar-header {
       display: flex;
       align-items: center;
       justify-content: space-between;
-      padding: 0 16px;
-      flex-shrink: 0;
-      gap: 16px;
-    }
-
-    .header-left, .header-center, .header-right {
-      display: flex;
-      align-items: center;
-      gap: 12px;
+      padding: 12px;
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      color: var(--text-muted);
+      letter-spacing: 0.5px;
     }
 
-    .header-left {
-      flex: 0 0 auto;
+    .sidebar-header.collapsible {
+      cursor: pointer;
     }
 
-    .header-center {
-      flex: 1;
-      justify-content: center;
+    .sidebar-header.collapsible:hover {
+      color: var(--text-secondary);
     }
 
-    .header-right {
-      flex: 0 0 auto;
-      justify-content: flex-end;
+    .sidebar-header svg {
+      width: 12px;
+      height: 12px;
+      margin-right: 4px;
     }
 
-    .header-btn-group {
+    .file-item, .font-item {
       display: flex;
       align-items: center;
-      gap: 2px;
-      background: var(--bg-tertiary);
-      border-radius: 10px;
-      padding: 4px;
-      border: 1px solid var(--border-color);
+      gap: 10px;
+      padding: 8px 10px;
+      border-radius: 8px;
+      cursor: pointer;
+      color: var(--text-secondary);
+      transition: all 0.15s;
+      margin-bottom: 2px;
     }
 
-    .header-btn-group .icon-btn {
-      border-radius: 8px;
+    .file-item:hover {
+      background: var(--bg-hover);
+      color: var(--text-primary);
     }
 
-    .header-btn-group .icon-btn.primary {
-      background: var(--accent);
-      color: var(--bg-primary);
+    .file-item.active {
+      background: var(--accent-muted);
+      color: var(--accent);
+      border-left: 3px solid var(--accent);
     }
 
-    .header-btn-group .icon-btn.primary:hover {
-      background: var(--accent-hover);
+    .file-icon {
+      width: 16px;
+      height: 16px;
+      display: flex;
+      flex-shrink: 0;
+      color: inherit;
     }
 
-    .header-divider {
-      width: 1px;
-      height: 24px;
-      background: var(--border-color);
-      margin: 0 4px;
+    .file-icon svg {
+      width: 100%;
+      height: 100%;
     }
 
-    .logo {
-      display: flex;
-      align-items: center;
-      gap: 10px;
-      color: var(--text-primary);
-      font-weight: 700;
-      font-size: 15px;
+    .file-name {
+      flex: 1;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      font-size: 13px;
+      font-weight: 500;
     }
 
-    .logo-icon-wrapper {
-      width: 28px;
-      height: 28px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      background: linear-gradient(135deg, var(--accent) 0%, #6366f1 100%);
-      border-radius: 8px;
-      padding: 5px;
+    .file-item .tree-action {
+      opacity: 0;
+      transition: opacity 0.15s;
     }
 
-    .logo-icon {
-      width: 100%;
-      height: 100%;
+    .file-item:hover .tree-action {
+      opacity: 1;
+    }
+
+    /* Folders */
+    .folder-chevron {
+      width: 12px;
+      height: 12px;
       display: flex;
-      color: white;
+      flex-shrink: 0;
+      margin-right: -6px;
+      color: var(--text-muted);
+      transition: transform 0.15s;
     }
 
-    .logo-icon svg {
+    .folder-chevron svg {
       width: 100%;
       height: 100%;
     }
 
-    .logo-text {
-      display: flex;
-      align-items: baseline;
-      gap: 2px;
-    }
-
-    .logo-suffix {
-      color: var(--text-muted);
-      font-weight: 400;
-      font-size: 13px;
+    .tree-folder.collapsed > .folder-item .folder-chevron {
+      transform: rotate(-90deg);
     }
 
-    .sidebar-toggle {
-      background: var(--bg-tertiary);
-      border: 1px solid var(--border-color);
+    .tree-folder.collapsed > .tree-children {
+      display: none;
     }
 
-    /* Document Title */
-    .document-title-wrapper {
-      display: flex;
-      align-items: center;
-      gap: 8px;
-      padding: 6px 14px;
-      background: var(--bg-tertiary);
-      border: 1px solid var(--border-color);
-      border-radius: 10px;
-      max-width: 300px;
-      cursor: default;
+    .folder-item.drop-target {
+      background: var(--accent-muted);
+      outline: 1px dashed var(--accent);
     }
 
-    .document-icon {
-      width: 16px;
-      height: 16px;
+    .main-file-badge {
+      padding: 0 6px;
+      border-radius: 8px;
+      background: var(--accent-muted);
       color: var(--accent);
-      flex-shrink: 0;
+      font-size: 10px;
+      font-weight: 600;
+      text-transform: uppercase;
     }
 
-    .document-icon svg {
-      width: 100%;
-      height: 100%;
+    /* Project switcher */
+    .project-bar {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      padding: 4px 8px;
     }
 
-    .document-name-text {
+    .project-bar select {
+      flex: 1;
+      min-width: 0;
+      padding: 4px 8px;
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 4px;
       color: var(--text-primary);
-      font-size: 13px;
-      font-weight: 500;
-      white-space: nowrap;
-      overflow: hidden;
-      text-overflow: ellipsis;
+      font-size: 12px;
     }
 
-    .document-status {
-      width: 16px;
-      height: 16px;
+    .folder-sync-btn {
       color: var(--success);
-      flex-shrink: 0;
     }
 
-    .document-status svg {
-      width: 100%;
-      height: 100%;
+    .folder-sync-btn.disconnected {
+      color: var(--warning);
     }
 
-    /* Header Action Button */
-    .header-action-btn {
+    .empty-message {
+      padding: 12px;
+      color: var(--text-muted);
+      font-size: 12px;
+      text-align: center;
+    }
+
+    /* Font Items */
+    .font-item {
       display: flex;
       align-items: center;
       gap: 8px;
-      padding: 8px 14px;
-      border: 1px solid var(--border-color);
-      background: var(--bg-tertiary);
+      padding: 6px 8px;
+      border-radius: 4px;
       color: var(--text-secondary);
-      border-radius: 10px;
-      cursor: pointer;
-      font-size: 13px;
-      font-weight: 500;
       transition: all 0.15s;
     }
 
-    .header-action-btn:hover {
+    .font-item:hover {
       background: var(--bg-hover);
       color: var(--text-primary);
-      border-color: var(--accent);
     }
 
-    .header-action-btn svg {
-      width: 16px;
-      height: 16px;
+    .font-icon {
+      width: 14px;
+      height: 14px;
+      display: flex;
+      flex-shrink: 0;
+      color: var(--accent);
     }
 
-    /* Buttons */
-    .icon-btn {
+    .font-name {
+      flex: 1;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      font-size: 12px;
+    }
+
+    .font-badge {
+      font-size: 9px;
+      padding: 2px 4px;
+      background: var(--bg-tertiary);
+      color: var(--text-muted);
+      border-radius: 3px;
+      font-weight: 600;
+    }
+
+    .font-item .delete-font {
+      opacity: 0;
+      transition: opacity 0.15s;
+    }
+
+    .font-item:hover .delete-font {
+      opacity: 1;
+    }
+
+    .package-item {
       display: flex;
       align-items: center;
-      justify-content: center;
-      width: 32px;
-      height: 32px;
-      border: none;
-      background: transparent;
+      gap: 8px;
+      padding: 6px 8px;
+      border-radius: 4px;
       color: var(--text-secondary);
-      border-radius: 6px;
-      cursor: pointer;
       transition: all 0.15s;
     }
 
-    .icon-btn:hover {
+    .package-item:hover {
       background: var(--bg-hover);
       color: var(--text-primary);
     }
 
-    .icon-btn.small {
-      width: 24px;
-      height: 24px;
+    .package-icon {
+      width: 14px;
+      height: 14px;
+      display: flex;
+      flex-shrink: 0;
+      color: var(--accent);
     }
 
-    .icon-btn svg {
-      width: 18px;
-      height: 18px;
+    .package-info {
+      flex: 1;
+      min-width: 0;
     }
 
-    .icon-btn.small svg {
-      width: 14px;
-      height: 14px;
+    .package-name,
+    .package-meta {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
     }
 
-    .header-btn {
-      display: flex;
-      align-items: center;
-      gap: 6px;
-      padding: 6px 12px;
-      border: none;
-      background: transparent;
-      color: var(--text-secondary);
-      border-radius: 6px;
-      cursor: pointer;
-      font-size: 13px;
-      transition: all 0.15s;
+    .package-name {
+      font-size: 12px;
     }
 
-    .header-btn:hover {
-      background: var(--bg-hover);
-      color: var(--text-primary);
+    .package-meta {
+      font-size: 10px;
+      color: var(--text-muted);
     }
 
-    .header-btn svg {
-      width: 16px;
-      height: 16px;
+    .package-item .package-action {
+      opacity: 0;
+      transition: opacity 0.15s;
     }
 
-    .header-btn.primary {
-      background: var(--accent);
-      color: var(--bg-primary);
+    .package-item:hover .package-action,
+    .package-item.pinned .pin-package {
+      opacity: 1;
     }
 
-    .header-btn.primary:hover {
-      background: var(--accent-hover);
+    .package-item.pinned .pin-package {
+      color: var(--accent);
     }
 
-    .btn {
-      padding: 8px 16px;
-      border: none;
-      border-radius: 6px;
-      cursor: pointer;
-      font-size: 13px;
-      transition: all 0.15s;
+    /* Font Manager Modal */
+    .font-manager {
+      display: flex;
+      flex-direction: column;
+      gap: 20px;
     }
 
-    .btn.primary {
-      background: var(--accent);
-      color: var(--bg-primary);
+    .font-manager-header p {
+      margin: 0 0 8px 0;
+      color: var(--text-secondary);
     }
 
-    .btn.primary:hover {
-      background: var(--accent-hover);
+    .font-manager-header .text-muted {
+      color: var(--text-muted);
+      font-size: 12px;
     }
 
-    .btn.danger {
-      background: var(--error);
-      color: white;
+    .font-upload-zone {
+      border: 2px dashed var(--border-color);
+      border-radius: 12px;
+      padding: 32px;
+      text-align: center;
+      cursor: pointer;
+      transition: all 0.2s;
+      background: var(--bg-tertiary);
     }
 
-    .btn.danger:hover {
-      background: #ef4444;
+    .font-upload-zone:hover,
+    .font-upload-zone.drag-over {
+      border-color: var(--accent);
+      background: var(--accent-muted);
     }
 
-    /* Confirm Modal */
-    .confirm-modal {
-      text-align: center;
+    .font-upload-zone svg {
+      color: var(--text-muted);
+      margin-bottom: 12px;
     }
 
-    .confirm-message {
-      margin-bottom: 20px;
+    .font-upload-zone p {
+      margin: 0;
+      color: var(--text-muted);
+      font-size: 14px;
+    }
+
+    .loaded-fonts-section h4 {
+      margin: 0 0 12px 0;
       color: var(--text-primary);
-      line-height: 1.5;
+      font-size: 14px;
     }
 
-    .confirm-message small {
-      color: var(--text-muted);
+    .loaded-fonts-list {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      max-height: 200px;
+      overflow-y: auto;
     }
 
-    .confirm-actions {
+    .font-list-item {
       display: flex;
+      align-items: center;
       gap: 12px;
-      justify-content: center;
+      padding: 12px;
+      background: var(--bg-tertiary);
+      border-radius: 8px;
     }
 
-    .confirm-actions .btn {
-      min-width: 100px;
+    .font-preview {
+      width: 40px;
+      height: 40px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: var(--bg-secondary);
+      border-radius: 6px;
+      font-size: 18px;
+      font-weight: 500;
+      color: var(--text-primary);
     }
 
-    /* Main Content */
-    .main-content {
+    .font-info {
       flex: 1;
       display: flex;
-      overflow: hidden;
+      flex-direction: column;
+      gap: 2px;
     }
 
-    /* Sidebar */
-    .sidebar {
-      width: var(--sidebar-width);
-      background: var(--bg-secondary);
-      border-right: 1px solid var(--border-color);
-      display: flex;
-      flex-direction: column;
-      flex-shrink: 0;
+    .font-info .font-name {
+      font-size: 14px;
+      font-weight: 500;
+      color: var(--text-primary);
     }
 
-    .sidebar-content {
-      flex: 1;
-      overflow-y: auto;
-      padding: 8px 0;
+    .font-info .font-size {
+      font-size: 12px;
+      color: var(--text-muted);
     }
 
-    .sidebar-section {
-      margin-bottom: 4px;
+    .btn-remove-font {
+      padding: 6px 12px;
+      background: transparent;
+      border: 1px solid var(--border-color);
+      border-radius: 4px;
+      color: var(--text-muted);
+      cursor: pointer;
+      font-size: 12px;
+      transition: all 0.15s;
     }
 
-    .sidebar-section-header {
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      padding: 8px 12px;
-      margin: 0 8px;
+    .btn-remove-font:hover {
+      background: var(--error);
+      border-color: var(--error);
+      color: white;
+    }
+
+    .font-usage-info {
+      background: var(--bg-tertiary);
+      padding: 16px;
       border-radius: 8px;
+    }
+
+    .font-usage-info h4 {
+      margin: 0 0 8px 0;
+      color: var(--text-primary);
+      font-size: 13px;
+    }
+
+    .font-usage-info pre {
+      margin: 0;
+      padding: 12px;
+      background: var(--bg-secondary);
+      border-radius: 6px;
+      overflow-x: auto;
+    }
+
+    .font-usage-info code {
+      font-family: 'JetBrains Mono', monospace;
+      font-size: 13px;
+      color: var(--accent);
+    }
+
+    /* Resizer */
+    .resizer {
+      width: 4px;
+      background: transparent;
+      cursor: col-resize;
+      flex-shrink: 0;
       transition: background 0.15s;
     }
 
-    .sidebar-section-header:hover {
-      background: var(--bg-hover);
+    .resizer:hover {
+      background: var(--accent);
     }
 
-    .sidebar-section-header.collapsible {
-      cursor: pointer;
+    /* Editor Panel */
+    .editor-panel {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      min-width: 300px;
+      background: var(--bg-tertiary);
     }
 
-    .section-title {
+    /* Compact Format Bar */
+    .format-bar {
       display: flex;
       align-items: center;
-      gap: 8px;
-      font-size: 12px;
-      font-weight: 600;
-      color: var(--text-secondary);
+      gap: 2px;
+      padding: 4px 8px;
+      background: var(--bg-secondary);
+      border-bottom: 1px solid var(--border-color);
+      flex-shrink: 0;
+      flex-wrap: wrap;
     }
 
-    .section-icon {
-      width: 16px;
-      height: 16px;
-      color: var(--text-muted);
+    .fmt-btn {
       display: flex;
       align-items: center;
       justify-content: center;
+      min-width: 28px;
+      height: 26px;
+      padding: 0 6px;
+      border: none;
+      background: transparent;
+      color: var(--text-secondary);
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 12px;
+      font-weight: 500;
+      transition: all 0.12s ease;
     }
 
-    .section-icon svg {
-      width: 100%;
-      height: 100%;
+    .fmt-btn:hover {
+      background: var(--bg-hover);
+      color: var(--text-primary);
     }
 
-    .section-chevron {
-      width: 14px;
-      height: 14px;
-      color: var(--text-muted);
-      transition: transform 0.2s;
+    .fmt-btn:active {
+      background: var(--bg-active);
     }
 
-    .section-chevron svg {
-      width: 100%;
-      height: 100%;
+    .fmt-btn b {
+      font-weight: 700;
     }
 
-    .sidebar-section-header.collapsed .section-chevron {
-      transform: rotate(-90deg);
+    .fmt-btn i {
+      font-style: italic;
     }
 
-    .sidebar-actions {
-      display: flex;
-      gap: 4px;
-      opacity: 0;
-      transition: opacity 0.15s;
+    .fmt-btn u {
+      text-decoration: underline;
     }
 
-    .sidebar-section-header:hover .sidebar-actions {
-      opacity: 1;
+    .fmt-btn s {
+      text-decoration: line-through;
     }
 
-    .icon-btn.tiny {
-      width: 22px;
-      height: 22px;
-      border-radius: 6px;
+    .fmt-sep {
+      width: 1px;
+      height: 18px;
+      background: var(--border-color);
+      margin: 0 4px;
     }
 
-    .icon-btn.tiny svg {
-      width: 12px;
-      height: 12px;
+    .fmt-btn.search-btn {
+      color: var(--accent);
     }
 
-    .file-tree, .uploads-list, .fonts-list {
-      padding: 4px 12px;
+    .fmt-btn.search-btn svg {
+      width: 14px;
+      height: 14px;
     }
 
-    .uploads-list, .fonts-list {
-      min-height: 40px;
-      transition: all 0.2s;
+    /* Font Dropdown in Format Bar */
+    .fmt-dropdown {
+      position: relative;
     }
 
-    .empty-state {
+    .fmt-dropdown-btn {
       display: flex;
       align-items: center;
-      justify-content: center;
-      padding: 16px 8px;
-      color: var(--text-muted);
-      font-size: 11px;
-      text-align: center;
-      border: 1px dashed var(--border-color);
-      border-radius: 8px;
-      margin: 4px 0;
-    }
-
-    /* Sidebar Footer */
-    .sidebar-footer {
-      padding: 12px;
-      border-top: 1px solid var(--border-color);
+      gap: 6px;
+      padding: 4px 10px;
       background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 4px;
+      color: var(--text-secondary);
+      cursor: pointer;
+      font-size: 12px;
+      transition: all 0.15s;
     }
 
-    .sidebar-footer-info {
-      display: flex;
-      align-items: center;
-      justify-content: center;
+    .fmt-dropdown-btn:hover {
+      background: var(--bg-hover);
+      border-color: var(--text-muted);
+      color: var(--text-primary);
     }
 
-    .storage-indicator {
-      display: flex;
-      align-items: center;
-      gap: 6px;
-      font-size: 11px;
-      color: var(--text-muted);
+    .fmt-dropdown-btn .font-icon {
+      font-weight: 700;
+      font-size: 14px;
     }
 
-    .storage-dot {
-      width: 6px;
-      height: 6px;
-      background: var(--success);
-      border-radius: 50%;
+    .fmt-dropdown-btn .font-name {
+      max-width: 100px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
     }
 
-    /* Sidebar Collapse Button */
-    .sidebar-collapse-btn {
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      gap: 8px;
-      width: 100%;
-      padding: 8px 12px;
-      background: transparent;
+    .fmt-dropdown-menu {
+      position: absolute;
+      top: 100%;
+      left: 0;
+      margin-top: 4px;
+      min-width: 200px;
+      max-height: 300px;
+      overflow-y: auto;
+      background: var(--bg-secondary);
       border: 1px solid var(--border-color);
-      border-radius: 6px;
-      color: var(--text-secondary);
-      font-size: 12px;
+      border-radius: 8px;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.4);
+      z-index: 1000;
+      display: none;
+    }
+
+    .fmt-dropdown.open .fmt-dropdown-menu {
+      display: block;
+    }
+
+    .font-option {
+      padding: 10px 14px;
       cursor: pointer;
-      transition: all 0.15s;
+      font-size: 13px;
+      color: var(--text-secondary);
+      transition: all 0.1s;
     }
 
-    .sidebar-collapse-btn:hover {
+    .font-option:hover {
       background: var(--bg-hover);
       color: var(--text-primary);
     }
 
-    .sidebar-collapse-btn .collapse-icon {
-      width: 14px;
-      height: 14px;
-      transition: transform 0.2s;
+    .font-option.selected {
+      background: var(--accent-muted);
+      color: var(--accent);
     }
 
-    /* Collapsed Sidebar State */
-    .sidebar.collapsed {
-      width: 48px !important;
-      min-width: 48px;
+    .font-divider {
+      height: 1px;
+      background: var(--border-color);
+      margin: 4px 0;
     }
 
-    .sidebar.collapsed .sidebar-content {
-      padding: 8px 4px;
+    .font-section-label {
+      padding: 8px 14px 4px;
+      font-size: 10px;
+      font-weight: 600;
+      text-transform: uppercase;
+      color: var(--text-muted);
+      letter-spacing: 0.5px;
     }
 
-    .sidebar.collapsed .sidebar-section-header {
-      justify-content: center;
-      padding: 8px;
+    .font-upload-btn {
+      display: block;
+      width: calc(100% - 16px);
+      margin: 8px;
+      padding: 10px;
+      background: var(--bg-tertiary);
+      border: 1px dashed var(--border-color);
+      border-radius: 6px;
+      color: var(--text-muted);
+      cursor: pointer;
+      font-size: 12px;
+      text-align: center;
+      transition: all 0.15s;
     }
 
-    .sidebar.collapsed .section-title {
-      justify-content: center;
+    .font-upload-btn:hover {
+      background: var(--accent-muted);
+      border-color: var(--accent);
+      color: var(--accent);
     }
 
-    .sidebar.collapsed .section-label {
-      display: none;
+    .fmt-btn.search-btn:hover {
+      background: var(--accent-muted);
+      color: var(--accent);
     }
 
-    .sidebar.collapsed .section-chevron {
-      display: none;
+    /* Find/Replace Dialog */
+    .find-dialog,
+    .find-replace-dialog {
+      display: flex;
+      flex-direction: column;
+      gap: 16px;
     }
 
-    .sidebar.collapsed .sidebar-actions {
-      display: none;
+    .find-input-group {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
     }
 
-    .sidebar.collapsed .file-tree,
-    .sidebar.collapsed .uploads-list,
-    .sidebar.collapsed .fonts-list {
-      display: none;
+    .find-input-group label {
+      font-size: 12px;
+      font-weight: 500;
+      color: var(--text-secondary);
     }
 
-    .sidebar.collapsed .sidebar-footer {
-      padding: 8px;
+    .find-input-group input[type="text"] {
+      padding: 10px 12px;
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      color: var(--text-primary);
+      font-size: 14px;
+      width: 100%;
+      transition: all 0.15s ease;
     }
 
-    .sidebar.collapsed .sidebar-collapse-btn {
-      padding: 8px;
-      border: none;
+    .find-input-group input[type="text"]:focus {
+      outline: none;
+      border-color: var(--accent);
+      box-shadow: 0 0 0 3px var(--accent-muted);
     }
 
-    .sidebar.collapsed .sidebar-collapse-btn .collapse-text {
-      display: none;
+    .find-input-group input[type="text"]::placeholder {
+      color: var(--text-muted);
+    }
+
+    .find-options {
+      display: flex;
+      gap: 16px;
+      flex-wrap: wrap;
     }
 
-    .sidebar.collapsed .sidebar-collapse-btn .collapse-icon {
-      transform: rotate(180deg);
+    .find-options label {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      font-size: 13px;
+      color: var(--text-secondary);
+      cursor: pointer;
     }
 
-    .sidebar.collapsed .section-icon {
-      margin: 0;
+    .find-options input[type="checkbox"] {
+      width: 16px;
+      height: 16px;
+      accent-color: var(--accent);
     }
 
-    .sidebar.collapsed .section-icon svg {
-      width: 18px;
-      height: 18px;
+    .find-results {
+      font-size: 13px;
+      color: var(--text-muted);
+      min-height: 20px;
     }
 
-    /* Tooltip for collapsed icons */
-    .sidebar.collapsed .sidebar-section-header {
-      position: relative;
+    .find-actions {
+      display: flex;
+      gap: 8px;
+      flex-wrap: wrap;
     }
 
-    .sidebar.collapsed .sidebar-section-header::after {
-      content: attr(data-tooltip);
-      position: absolute;
-      left: 100%;
-      top: 50%;
-      transform: translateY(-50%);
-      margin-left: 8px;
-      padding: 6px 10px;
-      background: var(--bg-primary);
+    .find-actions .btn {
+      padding: 8px 16px;
+      background: var(--bg-hover);
       border: 1px solid var(--border-color);
-      border-radius: 4px;
-      font-size: 12px;
       color: var(--text-primary);
-      white-space: nowrap;
-      opacity: 0;
-      visibility: hidden;
-      transition: opacity 0.15s, visibility 0.15s;
-      z-index: 1000;
-      box-shadow: 0 2px 8px rgba(0,0,0,0.15);
-    }
-
-    .sidebar.collapsed .sidebar-section-header:hover::after {
-      opacity: 1;
-      visibility: visible;
     }
 
-    /* Legacy support */
-    .sidebar-header {
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      padding: 12px;
-      font-size: 11px;
-      font-weight: 600;
-      text-transform: uppercase;
-      color: var(--text-muted);
-      letter-spacing: 0.5px;
+    .find-actions .btn:hover {
+      background: var(--bg-active);
     }
 
-    .sidebar-header.collapsible {
-      cursor: pointer;
+    .find-actions .btn.primary {
+      background: var(--accent);
+      border-color: var(--accent);
+      color: var(--bg-primary);
     }
 
-    .sidebar-header.collapsible:hover {
-      color: var(--text-secondary);
+    .find-actions .btn.primary:hover {
+      background: var(--accent-hover);
     }
 
-    .sidebar-header svg {
-      width: 12px;
-      height: 12px;
-      margin-right: 4px;
+    /* Search highlight */
+    .search-highlight {
+      background: #ffeb3b;
+      color: #000;
+      border-radius: 2px;
     }
 
-    .uploads-list {
-      min-height: 50px;
-      transition: all 0.2s;
+    .search-highlight.current {
+      background: #ff9800;
     }
 
-    .uploads-list.drag-over {
-      background: var(--accent-muted);
-      border: 2px dashed var(--accent);
-      border-radius: 6px;
+    /* Recompile Button Group (Preview Panel) */
+    .recompile-group {
+      display: flex;
+      align-items: center;
+      position: relative;
     }
 
-    .file-item, .font-item {
+    .recompile-btn {
       display: flex;
       align-items: center;
-      gap: 10px;
-      padding: 8px 10px;
-      border-radius: 8px;
+      gap: 8px;
+      padding: 8px 14px;
+      background: linear-gradient(135deg, #22c55e 0%, #16a34a 100%);
+      color: white;
+      border: none;
+      border-radius: 8px 0 0 8px;
       cursor: pointer;
-      color: var(--text-secondary);
-      transition: all 0.15s;
-      margin-bottom: 2px;
+      font-size: 12px;
+      font-weight: 600;
+      transition: all 0.15s ease;
+      box-shadow: 0 2px 8px rgba(34, 197, 94, 0.25);
     }
 
-    .file-item:hover {
-      background: var(--bg-hover);
-      color: var(--text-primary);
+    .recompile-btn:hover {
+      background: linear-gradient(135deg, #16a34a 0%, #15803d 100%);
+      box-shadow: 0 4px 12px rgba(34, 197, 94, 0.35);
+      transform: translateY(-1px);
     }
 
-    .file-item.active {
-      background: var(--accent-muted);
-      color: var(--accent);
-      border-left: 3px solid var(--accent);
+    .recompile-btn svg {
+      width: 14px;
+      height: 14px;
     }
 
-    .file-icon {
-      width: 16px;
-      height: 16px;
+    .recompile-dropdown-btn {
       display: flex;
-      flex-shrink: 0;
-      color: inherit;
-    }
-
-    .file-icon svg {
-      width: 100%;
-      height: 100%;
+      align-items: center;
+      justify-content: center;
+      padding: 8px 8px;
+      background: linear-gradient(135deg, #16a34a 0%, #15803d 100%);
+      color: white;
+      border: none;
+      border-left: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 0 8px 8px 0;
+      cursor: pointer;
+      transition: all 0.15s ease;
     }
 
-    .file-name {
-      flex: 1;
-      overflow: hidden;
-      text-overflow: ellipsis;
-      white-space: nowrap;
-      font-size: 13px;
-      font-weight: 500;
+    .recompile-dropdown-btn:hover {
+      background: linear-gradient(135deg, #15803d 0%, #166534 100%);
     }
 
-    .file-item .delete-doc-btn {
-      opacity: 0;
-      transition: opacity 0.15s;
+    .recompile-dropdown-btn svg {
+      width: 12px;
+      height: 12px;
     }
 
-    .file-item:hover .delete-doc-btn {
-      opacity: 1;
+    .recompile-dropdown {
+      position: absolute;
+      top: calc(100% + 4px);
+      left: 0;
+      min-width: 180px;
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
+      z-index: 1000;
+      display: none;
+      overflow: hidden;
     }
 
-    .empty-message {
-      padding: 12px;
-      color: var(--text-muted);
-      font-size: 12px;
-      text-align: center;
+    .recompile-dropdown.show {
+      display: block;
     }
 
-    /* Font Items */
-    .font-item {
+    .dropdown-item {
       display: flex;
       align-items: center;
       gap: 8px;
-      padding: 6px 8px;
-      border-radius: 4px;
+      width: 100%;
+      padding: 8px 12px;
+      background: transparent;
+      border: none;
       color: var(--text-secondary);
-      transition: all 0.15s;
+      font-size: 12px;
+      cursor: pointer;
+      transition: all 0.15s ease;
+      text-align: left;
     }
 
-    .font-item:hover {
+    .dropdown-item:hover {
       background: var(--bg-hover);
       color: var(--text-primary);
     }
 
-    .font-icon {
+    .dropdown-item svg {
       width: 14px;
       height: 14px;
-      display: flex;
-      flex-shrink: 0;
-      color: var(--accent);
-    }
-
-    .font-name {
-      flex: 1;
-      overflow: hidden;
-      text-overflow: ellipsis;
-      white-space: nowrap;
-      font-size: 12px;
     }
 
-    .font-badge {
-      font-size: 9px;
-      padding: 2px 4px;
-      background: var(--bg-tertiary);
-      color: var(--text-muted);
-      border-radius: 3px;
-      font-weight: 600;
+    .dropdown-item input[type="checkbox"] {
+      width: 14px;
+      height: 14px;
+      accent-color: var(--accent);
     }
 
-    .font-item .delete-font {
-      opacity: 0;
-      transition: opacity 0.15s;
+    .dropdown-divider {
+      height: 1px;
+      background: var(--border-color);
+      margin: 4px 0;
     }
 
-    .font-item:hover .delete-font {
-      opacity: 1;
+    /* Mode Toggle - Overleaf Style */
+    .editor-mode-toggle {
+      display: flex;
+      align-items: center;
+      position: relative;
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 10px;
+      padding: 3px;
+      gap: 0;
     }
 
-    /* Font Manager Modal */
-    .font-manager {
-      display: flex;
-      flex-direction: column;
-      gap: 20px;
+    .mode-toggle-bg {
+      position: absolute;
+      top: 3px;
+      left: 3px;
+      width: calc(50% - 3px);
+      height: calc(100% - 6px);
+      background: linear-gradient(135deg, var(--accent) 0%, #6366f1 100%);
+      border-radius: 8px;
+      transition: transform 0.25s cubic-bezier(0.4, 0, 0.2, 1);
+      box-shadow: 0 2px 8px rgba(34, 211, 238, 0.25);
+      z-index: 0;
     }
 
-    .font-manager-header p {
-      margin: 0 0 8px 0;
-      color: var(--text-secondary);
+    .editor-mode-toggle.visual-active .mode-toggle-bg {
+      transform: translateX(100%);
     }
 
-    .font-manager-header .text-muted {
+    .mode-toggle-btn {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: 6px;
+      padding: 8px 16px;
+      border: none;
+      background: transparent;
       color: var(--text-muted);
+      border-radius: 8px;
+      cursor: pointer;
       font-size: 12px;
+      font-weight: 500;
+      transition: color 0.2s ease;
+      position: relative;
+      z-index: 1;
+      flex: 1;
+      white-space: nowrap;
     }
 
-    .font-upload-zone {
-      border: 2px dashed var(--border-color);
-      border-radius: 12px;
-      padding: 32px;
-      text-align: center;
-      cursor: pointer;
-      transition: all 0.2s;
-      background: var(--bg-tertiary);
+    .mode-toggle-btn svg {
+      width: 14px;
+      height: 14px;
+      flex-shrink: 0;
     }
 
-    .font-upload-zone:hover,
-    .font-upload-zone.drag-over {
-      border-color: var(--accent);
-      background: var(--accent-muted);
+    .mode-toggle-btn:hover {
+      color: var(--text-secondary);
     }
 
-    .font-upload-zone svg {
-      color: var(--text-muted);
-      margin-bottom: 12px;
+    .mode-toggle-btn.active {
+      color: white;
+      text-shadow: 0 1px 2px rgba(0, 0, 0, 0.2);
     }
 
-    .font-upload-zone p {
-      margin: 0;
-      color: var(--text-muted);
-      font-size: 14px;
+    .mode-toggle-btn.active svg {
+      filter: drop-shadow(0 1px 2px rgba(0, 0, 0, 0.2));
     }
 
-    .loaded-fonts-section h4 {
-      margin: 0 0 12px 0;
-      color: var(--text-primary);
-      font-size: 14px;
+    /* Editor Tabs */
+    .editor-tabs {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      background: var(--bg-secondary);
+      border-bottom: 1px solid var(--border-color);
+      padding: 4px 12px;
+      height: 42px;
+      flex-shrink: 0;
+      gap: 12px;
     }
 
-    .loaded-fonts-list {
+    .editor-tabs-left {
       display: flex;
-      flex-direction: column;
-      gap: 8px;
-      max-height: 200px;
-      overflow-y: auto;
+      align-items: center;
+      gap: 4px;
+      flex: 1;
     }
 
-    .font-list-item {
+    .editor-tabs-right {
       display: flex;
       align-items: center;
-      gap: 12px;
-      padding: 12px;
-      background: var(--bg-tertiary);
-      border-radius: 8px;
+      gap: 8px;
     }
 
-    .font-preview {
-      width: 40px;
-      height: 40px;
+    .tab {
       display: flex;
       align-items: center;
-      justify-content: center;
-      background: var(--bg-secondary);
-      border-radius: 6px;
-      font-size: 18px;
+      gap: 8px;
+      padding: 8px 14px;
+      background: var(--bg-tertiary);
+      color: var(--text-secondary);
+      border-radius: 8px;
+      cursor: pointer;
+      font-size: 12px;
       font-weight: 500;
+      border: 1px solid var(--border-color);
+      transition: all 0.15s;
+    }
+
+    .tab:hover {
+      background: var(--bg-hover);
       color: var(--text-primary);
     }
 
-    .font-info {
-      flex: 1;
-      display: flex;
-      flex-direction: column;
-      gap: 2px;
+    .tab.active {
+      background: var(--accent-muted);
+      color: var(--accent);
+      border-color: var(--accent);
     }
 
-    .font-info .font-name {
-      font-size: 14px;
-      font-weight: 500;
-      color: var(--text-primary);
+    .tab-icon {
+      width: 14px;
+      height: 14px;
+      display: flex;
+      color: inherit;
     }
 
-    .font-info .font-size {
-      font-size: 12px;
-      color: var(--text-muted);
+    .tab-icon svg {
+      width: 100%;
+      height: 100%;
     }
 
-    .btn-remove-font {
-      padding: 6px 12px;
+    .tab-close {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 16px;
+      height: 16px;
+      border: none;
       background: transparent;
-      border: 1px solid var(--border-color);
-      border-radius: 4px;
       color: var(--text-muted);
+      border-radius: 4px;
       cursor: pointer;
-      font-size: 12px;
+      opacity: 0;
       transition: all 0.15s;
     }
 
-    .btn-remove-font:hover {
-      background: var(--error);
-      border-color: var(--error);
-      color: white;
-    }
-
-    .font-usage-info {
-      background: var(--bg-tertiary);
-      padding: 16px;
-      border-radius: 8px;
+    .tab:hover .tab-close {
+      opacity: 1;
     }
 
-    .font-usage-info h4 {
-      margin: 0 0 8px 0;
+    .tab-close:hover {
+      background: var(--bg-hover);
       color: var(--text-primary);
-      font-size: 13px;
-    }
-
-    .font-usage-info pre {
-      margin: 0;
-      padding: 12px;
-      background: var(--bg-secondary);
-      border-radius: 6px;
-      overflow-x: auto;
     }
 
-    .font-usage-info code {
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 13px;
-      color: var(--accent);
+    .tab-close svg {
+      width: 12px;
+      height: 12px;
     }
 
-    /* Resizer */
-    .resizer {
-      width: 4px;
-      background: transparent;
-      cursor: col-resize;
-      flex-shrink: 0;
-      transition: background 0.15s;
+    .editor-body {
+      flex: 1;
+      display: flex;
+      min-height: 0;
     }
 
-    .resizer:hover {
-      background: var(--accent);
+    .editor-content {
+      flex: 1;
+      min-width: 0;
+      overflow: hidden;
     }
 
-    /* Editor Panel */
-    .editor-panel {
+    /* Visual Editor - Overleaf Style */
+    .visual-editor-container {
       flex: 1;
+      min-width: 0;
+      overflow: hidden;
       display: flex;
       flex-direction: column;
-      min-width: 300px;
-      background: var(--bg-tertiary);
-    }
-
-    /* Compact Format Bar */
-    .format-bar {
-      display: flex;
-      align-items: center;
-      gap: 2px;
-      padding: 4px 8px;
-      background: var(--bg-secondary);
-      border-bottom: 1px solid var(--border-color);
-      flex-shrink: 0;
-      flex-wrap: wrap;
+      background: #fdfdfd;
     }
 
-    .fmt-btn {
+    .visual-editor-wrapper {
+      flex: 1;
       display: flex;
-      align-items: center;
-      justify-content: center;
-      min-width: 28px;
-      height: 26px;
-      padding: 0 6px;
-      border: none;
-      background: transparent;
-      color: var(--text-secondary);
-      border-radius: 4px;
-      cursor: pointer;
-      font-size: 12px;
-      font-weight: 500;
-      transition: all 0.12s ease;
-    }
-
-    .fmt-btn:hover {
-      background: var(--bg-hover);
-      color: var(--text-primary);
-    }
-
-    .fmt-btn:active {
-      background: var(--bg-active);
-    }
-
-    .fmt-btn b {
-      font-weight: 700;
+      overflow: hidden;
     }
 
-    .fmt-btn i {
-      font-style: italic;
+    .visual-line-numbers {
+      width: 50px;
+      background: #f7f7f7;
+      border-right: 1px solid #e0e0e0;
+      padding: 16px 0;
+      overflow-y: auto;
+      flex-shrink: 0;
+      user-select: none;
+      scrollbar-width: none;
     }
 
-    .fmt-btn u {
-      text-decoration: underline;
+    .visual-line-numbers::-webkit-scrollbar {
+      display: none;
     }
 
-    .fmt-btn s {
-      text-decoration: line-through;
+    .visual-line-number {
+      height: 28px;
+      display: flex;
+      align-items: center;
+      justify-content: flex-end;
+      padding-right: 12px;
+      font-family: 'JetBrains Mono', 'Fira Code', monospace;
+      font-size: 12px;
+      color: #9ca3af;
+      line-height: 28px;
     }
 
-    .fmt-sep {
-      width: 1px;
-      height: 18px;
-      background: var(--border-color);
-      margin: 0 4px;
+    .visual-line-number:hover {
+      color: #6b7280;
     }
 
-    .fmt-btn.search-btn {
-      color: var(--accent);
+    .visual-line-number.active {
+      color: #138a07;
+      background: rgba(19, 138, 7, 0.08);
     }
 
-    .fmt-btn.search-btn svg {
-      width: 14px;
-      height: 14px;
+    .visual-editor {
+      flex: 1;
+      padding: 16px 24px;
+      overflow-y: auto;
+      outline: none;
+      font-family: 'Source Serif Pro', 'Georgia', 'Times New Roman', serif;
+      font-size: 15px;
+      line-height: 28px;
+      color: #333333;
+      background: #fdfdfd;
     }
 
-    /* Font Dropdown in Format Bar */
-    .fmt-dropdown {
-      position: relative;
+    .visual-editor:focus {
+      outline: none;
     }
 
-    .fmt-dropdown-btn {
-      display: flex;
-      align-items: center;
-      gap: 6px;
-      padding: 4px 10px;
-      background: var(--bg-tertiary);
-      border: 1px solid var(--border-color);
-      border-radius: 4px;
-      color: var(--text-secondary);
-      cursor: pointer;
-      font-size: 12px;
-      transition: all 0.15s;
+    /* Visual Editor Typography */
+    .visual-h1 {
+      font-size: 24px;
+      font-weight: 700;
+      color: #1a1a1a;
+      line-height: 32px;
+      margin: 0;
+      border-bottom: 2px solid #138a07;
+      padding-bottom: 4px;
     }
 
-    .fmt-dropdown-btn:hover {
-      background: var(--bg-hover);
-      border-color: var(--text-muted);
-      color: var(--text-primary);
+    .visual-h2 {
+      font-size: 20px;
+      font-weight: 600;
+      color: #2c3e50;
+      line-height: 28px;
+      margin: 0;
     }
 
-    .fmt-dropdown-btn .font-icon {
-      font-weight: 700;
-      font-size: 14px;
+    .visual-h3 {
+      font-size: 17px;
+      font-weight: 600;
+      color: #34495e;
+      line-height: 28px;
+      margin: 0;
     }
 
-    .fmt-dropdown-btn .font-name {
-      max-width: 100px;
-      overflow: hidden;
-      text-overflow: ellipsis;
-      white-space: nowrap;
+    .visual-h4 {
+      font-size: 15px;
+      font-weight: 600;
+      color: #4a5568;
+      line-height: 28px;
+      margin: 0;
     }
 
-    .fmt-dropdown-menu {
-      position: absolute;
-      top: 100%;
-      left: 0;
-      margin-top: 4px;
-      min-width: 200px;
-      max-height: 300px;
-      overflow-y: auto;
-      background: var(--bg-secondary);
-      border: 1px solid var(--border-color);
-      border-radius: 8px;
-      box-shadow: 0 8px 24px rgba(0,0,0,0.4);
-      z-index: 1000;
-      display: none;
+    .visual-paragraph {
+      margin: 0;
+      line-height: 28px;
     }
 
-    .fmt-dropdown.open .fmt-dropdown-menu {
-      display: block;
+    .visual-paragraph-break {
+      height: 28px;
     }
 
-    .font-option {
-      padding: 10px 14px;
-      cursor: pointer;
-      font-size: 13px;
-      color: var(--text-secondary);
-      transition: all 0.1s;
+    /* List Items */
+    .visual-list-item {
+      display: flex;
+      gap: 8px;
+      line-height: 28px;
+      margin: 0;
     }
 
-    .font-option:hover {
-      background: var(--bg-hover);
-      color: var(--text-primary);
+    .visual-bullet, .visual-enum, .visual-num {
+      flex-shrink: 0;
+      color: #138a07;
+      font-weight: 600;
+      min-width: 1.5em;
     }
 
-    .font-option.selected {
-      background: var(--accent-muted);
-      color: var(--accent);
+    /* Code Blocks */
+    .visual-code-block {
+      background: #f4f4f4;
+      color: #333;
+      padding: 0 12px;
+      border-radius: 4px;
+      border-left: 3px solid #138a07;
+      font-family: 'JetBrains Mono', 'Fira Code', monospace;
+      font-size: 13px;
+      line-height: 28px;
+      overflow-x: auto;
+      margin: 0;
+      white-space: pre;
     }
 
-    .font-divider {
-      height: 1px;
-      background: var(--border-color);
-      margin: 4px 0;
+    .visual-code-block code {
+      background: none;
+      padding: 0;
+      font-size: inherit;
     }
 
-    .font-section-label {
-      padding: 8px 14px 4px;
-      font-size: 10px;
-      font-weight: 600;
-      text-transform: uppercase;
-      color: var(--text-muted);
-      letter-spacing: 0.5px;
+    /* Inline Elements */
+    .visual-bold {
+      font-weight: 700;
+      color: #1a1a1a;
     }
 
-    .font-upload-btn {
-      display: block;
-      width: calc(100% - 16px);
-      margin: 8px;
-      padding: 10px;
-      background: var(--bg-tertiary);
-      border: 1px dashed var(--border-color);
-      border-radius: 6px;
-      color: var(--text-muted);
-      cursor: pointer;
-      font-size: 12px;
-      text-align: center;
-      transition: all 0.15s;
+    .visual-italic {
+      font-style: italic;
     }
 
-    .font-upload-btn:hover {
-      background: var(--accent-muted);
-      border-color: var(--accent);
-      color: var(--accent);
+    .visual-underline {
+      text-decoration: underline;
     }
 
-    .fmt-btn.search-btn:hover {
-      background: var(--accent-muted);
-      color: var(--accent);
+    .visual-strike {
+      text-decoration: line-through;
+      color: #9ca3af;
     }
 
-    /* Find/Replace Dialog */
-    .find-dialog,
-    .find-replace-dialog {
-      display: flex;
-      flex-direction: column;
-      gap: 16px;
+    .visual-inline-code {
+      background: #f0f0f0;
+      color: #c7254e;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-family: 'JetBrains Mono', monospace;
+      font-size: 0.9em;
     }
 
-    .find-input-group {
-      display: flex;
-      flex-direction: column;
-      gap: 6px;
+    .visual-inline-math {
+      background: #fff8e6;
+      color: #8b5a00;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-family: 'JetBrains Mono', monospace;
     }
 
-    .find-input-group label {
-      font-size: 12px;
-      font-weight: 500;
-      color: var(--text-secondary);
+    .visual-math-block {
+      background: #fff8e6;
+      color: #8b5a00;
+      padding: 8px 16px;
+      border-radius: 4px;
+      border-left: 3px solid #f0ad4e;
+      line-height: 28px;
+      margin: 0;
+      font-family: 'JetBrains Mono', monospace;
     }
 
-    .find-input-group input[type="text"] {
-      padding: 10px 12px;
-      background: var(--bg-tertiary);
-      border: 1px solid var(--border-color);
-      border-radius: 6px;
-      color: var(--text-primary);
-      font-size: 14px;
-      width: 100%;
-      transition: all 0.15s ease;
+    .visual-link {
+      color: #138a07;
+      text-decoration: none;
+      border-bottom: 1px solid rgba(19, 138, 7, 0.3);
+      transition: all 0.15s;
     }
 
-    .find-input-group input[type="text"]:focus {
-      outline: none;
-      border-color: var(--accent);
-      box-shadow: 0 0 0 3px var(--accent-muted);
+    .visual-link:hover {
+      color: #0d6b05;
+      border-bottom-color: #138a07;
     }
 
-    .find-input-group input[type="text"]::placeholder {
-      color: var(--text-muted);
+    .visual-sub {
+      font-size: 0.75em;
+      vertical-align: sub;
     }
 
-    .find-options {
-      display: flex;
-      gap: 16px;
-      flex-wrap: wrap;
+    .visual-super {
+      font-size: 0.75em;
+      vertical-align: super;
     }
 
-    .find-options label {
-      display: flex;
-      align-items: center;
-      gap: 6px;
+    /* Special Elements */
+    .visual-directive {
+      color: #a855f7;
+      line-height: 28px;
+      margin: 0;
+      font-family: 'JetBrains Mono', monospace;
       font-size: 13px;
-      color: var(--text-secondary);
-      cursor: pointer;
-    }
-
-    .find-options input[type="checkbox"] {
-      width: 16px;
-      height: 16px;
-      accent-color: var(--accent);
     }
 
-    .find-results {
+    .visual-figure {
+      color: #0284c7;
+      line-height: 28px;
+      margin: 0;
+      font-family: 'JetBrains Mono', monospace;
       font-size: 13px;
-      color: var(--text-muted);
-      min-height: 20px;
     }
 
-    .find-actions {
-      display: flex;
-      gap: 8px;
-      flex-wrap: wrap;
+    .visual-table {
+      color: #138a07;
+      line-height: 28px;
+      margin: 0;
+      font-family: 'JetBrains Mono', monospace;
+      font-size: 13px;
     }
 
-    .find-actions .btn {
-      padding: 8px 16px;
-      background: var(--bg-hover);
-      border: 1px solid var(--border-color);
-      color: var(--text-primary);
+    .visual-comment {
+      color: #9ca3af;
+      font-style: italic;
+      line-height: 28px;
+      padding: 4px 0;
     }
 
-    .find-actions .btn:hover {
-      background: var(--bg-active);
+    .visual-function {
+      color: #7c3aed;
+      font-family: 'JetBrains Mono', monospace;
     }
 
-    .find-actions .btn.primary {
-      background: var(--accent);
-      border-color: var(--accent);
-      color: var(--bg-primary);
+    .visual-label {
+      background: #e0f2fe;
+      color: #0369a1;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-family: 'JetBrains Mono', monospace;
+      font-size: 0.9em;
     }
 
-    .find-actions .btn.primary:hover {
-      background: var(--accent-hover);
+    .visual-ref {
+      background: #fce7f3;
+      color: #be185d;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-family: 'JetBrains Mono', monospace;
+      font-size: 0.9em;
     }
 
-    /* Search highlight */
-    .search-highlight {
-      background: #ffeb3b;
-      color: #000;
-      border-radius: 2px;
+    /* Selection in visual editor */
+    .visual-editor ::selection {
+      background: #b8e6b8;
     }
 
-    .search-highlight.current {
-      background: #ff9800;
+    /* Preview Panel */
+    .preview-panel {
+      width: 50%;
+      display: flex;
+      flex-direction: column;
+      background: var(--bg-primary);
+      border-left: 1px solid var(--border-color);
+      min-width: 300px;
     }
 
-    /* Recompile Button Group (Preview Panel) */
-    .recompile-group {
+    .preview-toolbar {
       display: flex;
       align-items: center;
-      position: relative;
+      justify-content: space-between;
+      padding: 6px 12px;
+      height: 42px;
+      background: var(--bg-secondary);
+      border-bottom: 1px solid var(--border-color);
+      flex-shrink: 0;
     }
 
-    .recompile-btn {
+    .preview-toolbar-left, .preview-toolbar-center, .preview-toolbar-right {
       display: flex;
       align-items: center;
       gap: 8px;
-      padding: 8px 14px;
-      background: linear-gradient(135deg, #22c55e 0%, #16a34a 100%);
-      color: white;
-      border: none;
-      border-radius: 8px 0 0 8px;
-      cursor: pointer;
-      font-size: 12px;
-      font-weight: 600;
-      transition: all 0.15s ease;
-      box-shadow: 0 2px 8px rgba(34, 197, 94, 0.25);
     }
 
-    .recompile-btn:hover {
-      background: linear-gradient(135deg, #16a34a 0%, #15803d 100%);
-      box-shadow: 0 4px 12px rgba(34, 197, 94, 0.35);
-      transform: translateY(-1px);
+    .preview-toolbar-center {
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 10px;
+      padding: 4px;
     }
 
-    .recompile-btn svg {
-      width: 14px;
-      height: 14px;
+    .preview-title {
+      font-size: 12px;
+      color: var(--text-secondary);
+      font-weight: 500;
     }
 
-    .recompile-dropdown-btn {
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      padding: 8px 8px;
-      background: linear-gradient(135deg, #16a34a 0%, #15803d 100%);
-      color: white;
+    .zoom-level, .zoom-level-btn {
+      font-size: 12px;
+      color: var(--text-secondary);
+      min-width: 50px;
+      text-align: center;
+    }
+
+    .zoom-level-btn {
+      background: transparent;
       border: none;
-      border-left: 1px solid rgba(255, 255, 255, 0.2);
-      border-radius: 0 8px 8px 0;
       cursor: pointer;
-      transition: all 0.15s ease;
+      padding: 4px 10px;
+      border-radius: 6px;
+      transition: all 0.15s;
     }
 
-    .recompile-dropdown-btn:hover {
-      background: linear-gradient(135deg, #15803d 0%, #166534 100%);
+    .zoom-level-btn:hover {
+      background: var(--bg-hover);
+      color: var(--text-primary);
     }
 
-    .recompile-dropdown-btn svg {
-      width: 12px;
-      height: 12px;
+    .page-info {
+      font-size: 12px;
+      color: var(--text-muted);
     }
 
-    .recompile-dropdown {
-      position: absolute;
-      top: calc(100% + 4px);
-      left: 0;
-      min-width: 180px;
-      background: var(--bg-secondary);
-      border: 1px solid var(--border-color);
-      border-radius: 6px;
-      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
-      z-index: 1000;
-      display: none;
-      overflow: hidden;
+    .preview-content {
+      flex: 1;
+      overflow: auto;
+      background: #404040;
     }
 
-    .recompile-dropdown.show {
-      display: block;
+    .error-panel {
+      background: rgba(248, 113, 113, 0.1);
+      border-bottom: 1px solid var(--error);
     }
 
-    .dropdown-item {
+    .error-header {
       display: flex;
       align-items: center;
       gap: 8px;
-      width: 100%;
       padding: 8px 12px;
-      background: transparent;
-      border: none;
-      color: var(--text-secondary);
+      color: var(--error);
       font-size: 12px;
-      cursor: pointer;
-      transition: all 0.15s ease;
-      text-align: left;
-    }
-
-    .dropdown-item:hover {
-      background: var(--bg-hover);
-      color: var(--text-primary);
-    }
-
-    .dropdown-item svg {
-      width: 14px;
-      height: 14px;
-    }
-
-    .dropdown-item input[type="checkbox"] {
-      width: 14px;
-      height: 14px;
-      accent-color: var(--accent);
+      font-weight: 500;
     }
 
-    .dropdown-divider {
-      height: 1px;
-      background: var(--border-color);
-      margin: 4px 0;
+    .error-header .icon-btn {
+      margin-left: auto;
+      color: var(--error);
     }
 
-    /* Mode Toggle - Overleaf Style */
-    .editor-mode-toggle {
+    .error-icon {
+      width: 16px;
+      height: 16px;
       display: flex;
-      align-items: center;
-      position: relative;
-      background: var(--bg-tertiary);
-      border: 1px solid var(--border-color);
-      border-radius: 10px;
-      padding: 3px;
-      gap: 0;
     }
 
-    .mode-toggle-bg {
-      position: absolute;
-      top: 3px;
-      left: 3px;
-      width: calc(50% - 3px);
-      height: calc(100% - 6px);
-      background: linear-gradient(135deg, var(--accent) 0%, #6366f1 100%);
-      border-radius: 8px;
-      transition: transform 0.25s cubic-bezier(0.4, 0, 0.2, 1);
-      box-shadow: 0 2px 8px rgba(34, 211, 238, 0.25);
-      z-index: 0;
+    .error-icon svg {
+      width: 100%;
+      height: 100%;
     }
 
-    .editor-mode-toggle.visual-active .mode-toggle-bg {
-      transform: translateX(100%);
+    .error-content {
+      padding: 8px 12px 12px;
+      font-family: 'JetBrains Mono', monospace;
+      font-size: 12px;
+      color: var(--error);
+      white-space: pre-wrap;
+      max-height: 150px;
+      overflow: auto;
     }
 
-    .mode-toggle-btn {
+    .pdf-container {
       display: flex;
+      flex-direction: column;
       align-items: center;
-      justify-content: center;
-      gap: 6px;
-      padding: 8px 16px;
-      border: none;
-      background: transparent;
-      color: var(--text-muted);
-      border-radius: 8px;
-      cursor: pointer;
-      font-size: 12px;
-      font-weight: 500;
-      transition: color 0.2s ease;
+      padding: 24px;
+      gap: 24px;
+    }
+
+    .pdf-page-wrapper {
       position: relative;
-      z-index: 1;
-      flex: 1;
-      white-space: nowrap;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
     }
 
-    .mode-toggle-btn svg {
-      width: 14px;
-      height: 14px;
-      flex-shrink: 0;
+    .sync-highlight {
+      position: absolute;
+      pointer-events: none;
+      background: rgba(250, 204, 21, 0.5);
+      border-radius: 2px;
+      animation: sync-flash 1.5s ease-out forwards;
     }
 
-    .mode-toggle-btn:hover {
-      color: var(--text-secondary);
+    @keyframes sync-flash {
+      0%, 40% { opacity: 1; }
+      100% { opacity: 0; }
     }
 
-    .mode-toggle-btn.active {
-      color: white;
-      text-shadow: 0 1px 2px rgba(0, 0, 0, 0.2);
+    .pdf-page {
+      display: block;
+      background: white;
     }
 
-    .mode-toggle-btn.active svg {
-      filter: drop-shadow(0 1px 2px rgba(0, 0, 0, 0.2));
+    .pdf-page-placeholder {
+      background: white;
     }
 
-    /* Editor Tabs */
-    .editor-tabs {
+    .vector-page {
+      display: block;
+      background: white;
+      overflow: hidden;
+    }
+
+    /* Status Bar */
+    .status-bar {
+      height: var(--status-height);
+      background: linear-gradient(180deg, var(--bg-secondary) 0%, var(--bg-tertiary) 100%);
+      border-top: 1px solid var(--border-color);
       display: flex;
       align-items: center;
       justify-content: space-between;
-      background: var(--bg-secondary);
-      border-bottom: 1px solid var(--border-color);
-      padding: 4px 12px;
-      height: 42px;
+      padding: 0 16px;
       flex-shrink: 0;
-      gap: 12px;
     }
 
-    .editor-tabs-left {
+    .status-left, .status-center, .status-right {
       display: flex;
       align-items: center;
-      gap: 4px;
-      flex: 1;
+      gap: 16px;
     }
 
-    .editor-tabs-right {
+    .status-item {
+      font-size: 11px;
+      color: var(--text-muted);
       display: flex;
       align-items: center;
-      gap: 8px;
+      gap: 6px;
     }
 
-    .tab {
-      display: flex;
-      align-items: center;
-      gap: 8px;
-      padding: 8px 14px;
-      background: var(--bg-tertiary);
-      color: var(--text-secondary);
-      border-radius: 8px;
+    .status-item.clickable {
       cursor: pointer;
-      font-size: 12px;
-      font-weight: 500;
-      border: 1px solid var(--border-color);
-      transition: all 0.15s;
     }
 
-    .tab:hover {
-      background: var(--bg-hover);
-      color: var(--text-primary);
+    .status-item:hover {
+      color: var(--text-secondary);
     }
 
-    .tab.active {
-      background: var(--accent-muted);
-      color: var(--accent);
-      border-color: var(--accent);
+    .status-indicator {
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background: var(--text-muted);
+      animation: pulse 2s ease-in-out infinite;
     }
 
-    .tab-icon {
-      width: 14px;
-      height: 14px;
-      display: flex;
-      color: inherit;
+    @keyframes pulse {
+      0%, 100% { opacity: 1; }
+      50% { opacity: 0.5; }
     }
 
-    .tab-icon svg {
-      width: 100%;
-      height: 100%;
+    .status-indicator.ready {
+      background: var(--success);
     }
 
-    .tab-close {
+    .status-indicator.compiling {
+      background: var(--warning);
+      animation: pulse 1s infinite;
+    }
+
+    .status-indicator.error {
+      background: var(--error);
+    }
+
+    .status-indicator.cancelled {
+      background: var(--text-muted);
+      animation: none;
+    }
+
+    @keyframes pulse {
+      0%, 100% { opacity: 1; }
+      50% { opacity: 0.5; }
+    }
+
+    /* Modal */
+    .modal-overlay {
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.6);
       display: flex;
       align-items: center;
       justify-content: center;
-      width: 16px;
-      height: 16px;
-      border: none;
-      background: transparent;
-      color: var(--text-muted);
-      border-radius: 4px;
-      cursor: pointer;
-      opacity: 0;
-      transition: all 0.15s;
+      z-index: 1000;
     }
 
-    .tab:hover .tab-close {
-      opacity: 1;
+    .modal {
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+      border-radius: 12px;
+      width: 90%;
+      max-width: 600px;
+      max-height: 80vh;
+      display: flex;
+      flex-direction: column;
+      box-shadow: 0 20px 40px rgba(0, 0, 0, 0.4);
     }
 
-    .tab-close:hover {
-      background: var(--bg-hover);
-      color: var(--text-primary);
+    .modal.modal-large {
+      max-width: 800px;
+      max-height: 85vh;
     }
 
-    .tab-close svg {
-      width: 12px;
-      height: 12px;
+    .modal.modal-small {
+      max-width: 400px;
     }
 
-    .editor-content {
-      flex: 1;
-      overflow: hidden;
+    .modal.modal-wide {
+      max-width: 1200px;
+      height: 85vh;
+      max-height: 85vh;
     }
 
-    /* Visual Editor - Overleaf Style */
-    .visual-editor-container {
+    .modal.modal-wide .modal-content {
       flex: 1;
-      overflow: hidden;
+      min-height: 0;
       display: flex;
       flex-direction: column;
-      background: #fdfdfd;
     }
 
-    .visual-editor-wrapper {
-      flex: 1;
+    .modal-header {
       display: flex;
-      overflow: hidden;
+      align-items: center;
+      justify-content: space-between;
+      padding: 16px 20px;
+      border-bottom: 1px solid var(--border-color);
     }
 
-    .visual-line-numbers {
-      width: 50px;
-      background: #f7f7f7;
-      border-right: 1px solid #e0e0e0;
-      padding: 16px 0;
+    .modal-title {
+      font-size: 16px;
+      font-weight: 600;
+    }
+
+    .modal-content {
+      padding: 20px;
       overflow-y: auto;
-      flex-shrink: 0;
-      user-select: none;
-      scrollbar-width: none;
     }
 
-    .visual-line-numbers::-webkit-scrollbar {
-      display: none;
+    /* Version History */
+    .history-panel {
+      flex: 1;
+      min-height: 0;
+      display: flex;
+      gap: 16px;
     }
 
-    .visual-line-number {
-      height: 28px;
+    .history-sidebar {
+      width: 240px;
+      flex-shrink: 0;
       display: flex;
-      align-items: center;
-      justify-content: flex-end;
-      padding-right: 12px;
-      font-family: 'JetBrains Mono', 'Fira Code', monospace;
-      font-size: 12px;
-      color: #9ca3af;
-      line-height: 28px;
+      flex-direction: column;
+      gap: 8px;
+      min-height: 0;
     }
 
-    .visual-line-number:hover {
-      color: #6b7280;
+    .history-save {
+      display: flex;
+      gap: 6px;
+    }
+
+    .history-save input {
+      flex: 1;
+      min-width: 0;
+      padding: 6px 10px;
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 4px;
+      color: var(--text-primary);
+      font-size: 13px;
+    }
+
+    .history-list {
+      flex: 1;
+      overflow-y: auto;
+    }
+
+    .history-day {
+      padding: 8px 8px 4px;
+      font-size: 10px;
+      font-weight: 600;
+      text-transform: uppercase;
+      color: var(--text-muted);
+    }
+
+    .history-item {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 8px;
+      border-radius: 4px;
+      color: var(--text-secondary);
+      cursor: pointer;
+      transition: all 0.15s;
     }
 
-    .visual-line-number.active {
-      color: #138a07;
-      background: rgba(19, 138, 7, 0.08);
+    .history-item:hover {
+      background: var(--bg-hover);
+      color: var(--text-primary);
     }
 
-    .visual-editor {
-      flex: 1;
-      padding: 16px 24px;
-      overflow-y: auto;
-      outline: none;
-      font-family: 'Source Serif Pro', 'Georgia', 'Times New Roman', serif;
-      font-size: 15px;
-      line-height: 28px;
-      color: #333333;
-      background: #fdfdfd;
+    .history-item.active {
+      background: var(--bg-active);
+      color: var(--text-primary);
     }
 
-    .visual-editor:focus {
-      outline: none;
+    .history-item.named .history-name {
+      color: var(--accent);
+      font-weight: 500;
     }
 
-    /* Visual Editor Typography */
-    .visual-h1 {
-      font-size: 24px;
-      font-weight: 700;
-      color: #1a1a1a;
-      line-height: 32px;
-      margin: 0;
-      border-bottom: 2px solid #138a07;
-      padding-bottom: 4px;
+    .history-info {
+      flex: 1;
+      min-width: 0;
     }
 
-    .visual-h2 {
-      font-size: 20px;
-      font-weight: 600;
-      color: #2c3e50;
-      line-height: 28px;
-      margin: 0;
+    .history-name,
+    .history-meta {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
     }
 
-    .visual-h3 {
-      font-size: 17px;
-      font-weight: 600;
-      color: #34495e;
-      line-height: 28px;
-      margin: 0;
+    .history-name {
+      font-size: 12px;
     }
 
-    .visual-h4 {
-      font-size: 15px;
-      font-weight: 600;
-      color: #4a5568;
-      line-height: 28px;
-      margin: 0;
+    .history-meta {
+      font-size: 10px;
+      color: var(--text-muted);
     }
 
-    .visual-paragraph {
-      margin: 0;
-      line-height: 28px;
+    .history-item .history-action {
+      opacity: 0;
+      transition: opacity 0.15s;
     }
 
-    .visual-paragraph-break {
-      height: 28px;
+    .history-item:hover .history-action {
+      opacity: 1;
     }
 
-    /* List Items */
-    .visual-list-item {
+    .history-main {
+      flex: 1;
+      min-width: 0;
       display: flex;
+      flex-direction: column;
       gap: 8px;
-      line-height: 28px;
-      margin: 0;
     }
 
-    .visual-bullet, .visual-enum, .visual-num {
-      flex-shrink: 0;
-      color: #138a07;
-      font-weight: 600;
-      min-width: 1.5em;
+    .history-toolbar {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
     }
 
-    /* Code Blocks */
-    .visual-code-block {
-      background: #f4f4f4;
-      color: #333;
-      padding: 0 12px;
+    .history-label {
+      font-size: 12px;
+      color: var(--text-secondary);
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .history-diff {
+      flex: 1;
+      min-height: 0;
+      border: 1px solid var(--border-color);
       border-radius: 4px;
-      border-left: 3px solid #138a07;
-      font-family: 'JetBrains Mono', 'Fira Code', monospace;
-      font-size: 13px;
-      line-height: 28px;
-      overflow-x: auto;
-      margin: 0;
-      white-space: pre;
+      overflow: hidden;
     }
 
-    .visual-code-block code {
-      background: none;
-      padding: 0;
-      font-size: inherit;
+    /* Cross-tab conflicts */
+    .conflict-panel {
+      flex: 1;
+      min-height: 0;
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
     }
 
-    /* Inline Elements */
-    .visual-bold {
-      font-weight: 700;
-      color: #1a1a1a;
+    .conflict-message {
+      font-size: 13px;
+      color: var(--text-secondary);
+      line-height: 1.5;
     }
 
-    .visual-italic {
-      font-style: italic;
+    /* Live collaboration */
+    ${USER_COLORS.map((color, i) => `.collab-color-${i} { --collab-color: ${color}; }`).join("\n    ")}
+
+    #btn-collab.active {
+      color: var(--accent);
     }
 
-    .visual-underline {
-      text-decoration: underline;
+    .collab-cursor {
+      border-left: 2px solid var(--collab-color);
+      margin-left: -1px;
     }
 
-    .visual-strike {
-      text-decoration: line-through;
-      color: #9ca3af;
+    .collab-selection {
+      background: var(--collab-color);
+      opacity: 0.25;
     }
 
-    .visual-inline-code {
-      background: #f0f0f0;
-      color: #c7254e;
-      padding: 2px 6px;
-      border-radius: 3px;
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 0.9em;
+    .collab-presence {
+      width: 8px;
+      height: 8px;
+      flex-shrink: 0;
+      border-radius: 50%;
+      background: var(--collab-color);
     }
 
-    .visual-inline-math {
-      background: #fff8e6;
-      color: #8b5a00;
-      padding: 2px 6px;
-      border-radius: 3px;
-      font-family: 'JetBrains Mono', monospace;
+    .collab-swatches {
+      display: flex;
+      gap: 8px;
     }
 
-    .visual-math-block {
-      background: #fff8e6;
-      color: #8b5a00;
-      padding: 8px 16px;
-      border-radius: 4px;
-      border-left: 3px solid #f0ad4e;
-      line-height: 28px;
-      margin: 0;
-      font-family: 'JetBrains Mono', monospace;
+    .collab-swatch {
+      width: 22px;
+      height: 22px;
+      border-radius: 50%;
+      background: var(--collab-color);
+      cursor: pointer;
     }
 
-    .visual-link {
-      color: #138a07;
-      text-decoration: none;
-      border-bottom: 1px solid rgba(19, 138, 7, 0.3);
-      transition: all 0.15s;
+    .collab-swatch input {
+      display: none;
     }
 
-    .visual-link:hover {
-      color: #0d6b05;
-      border-bottom-color: #138a07;
+    .collab-swatch:has(input:checked) {
+      box-shadow: 0 0 0 2px var(--bg-primary), 0 0 0 4px var(--collab-color);
     }
 
-    .visual-sub {
-      font-size: 0.75em;
-      vertical-align: sub;
+    .collab-room {
+      font-size: 13px;
+      color: var(--text-secondary);
     }
 
-    .visual-super {
-      font-size: 0.75em;
-      vertical-align: super;
+    .collab-participants {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
     }
 
-    /* Special Elements */
-    .visual-directive {
-      color: #a855f7;
-      line-height: 28px;
-      margin: 0;
-      font-family: 'JetBrains Mono', monospace;
+    .collab-participant {
+      display: flex;
+      align-items: center;
+      gap: 8px;
       font-size: 13px;
     }
 
-    .visual-figure {
-      color: #0284c7;
-      line-height: 28px;
-      margin: 0;
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 13px;
+    .collab-participant-path {
+      margin-left: auto;
+      color: var(--text-muted);
+      font-size: 12px;
     }
 
-    .visual-table {
-      color: #138a07;
-      line-height: 28px;
-      margin: 0;
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 13px;
+    /* Review comments */
+    .comment-range {
+      background: rgba(251, 191, 36, 0.18);
+      border-bottom: 2px solid rgba(251, 191, 36, 0.6);
     }
 
-    .visual-comment {
-      color: #9ca3af;
-      font-style: italic;
-      line-height: 28px;
-      padding: 4px 0;
+    .comment-range.resolved {
+      background: none;
+      border-bottom: 1px dashed var(--text-muted);
     }
 
-    .visual-function {
-      color: #7c3aed;
-      font-family: 'JetBrains Mono', monospace;
+    .comment-range.active {
+      background: rgba(251, 191, 36, 0.35);
     }
 
-    .visual-label {
-      background: #e0f2fe;
-      color: #0369a1;
-      padding: 2px 6px;
-      border-radius: 3px;
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 0.9em;
+    .comment-glyph {
+      cursor: pointer;
     }
 
-    .visual-ref {
-      background: #fce7f3;
-      color: #be185d;
-      padding: 2px 6px;
-      border-radius: 3px;
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 0.9em;
+    .comment-glyph::after {
+      content: "";
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      width: 10px;
+      height: 8px;
+      transform: translate(-50%, -50%);
+      border-radius: 3px 3px 3px 0;
+      background: var(--warning);
     }
 
-    /* Selection in visual editor */
-    .visual-editor ::selection {
-      background: #b8e6b8;
+    .comment-glyph.resolved::after {
+      background: var(--text-muted);
     }
 
-    /* Preview Panel */
-    .preview-panel {
-      width: 50%;
+    .comments-toggle {
+      position: relative;
+    }
+
+    .comments-toggle.active {
+      color: var(--accent);
+    }
+
+    .comments-count {
+      position: absolute;
+      top: 0;
+      right: 0;
+      min-width: 14px;
+      padding: 0 3px;
+      border-radius: 7px;
+      background: var(--warning);
+      color: var(--bg-primary);
+      font-size: 10px;
+      font-weight: 600;
+      line-height: 14px;
+    }
+
+    .comments-count:empty {
+      display: none;
+    }
+
+    .comments-panel {
+      width: 280px;
+      flex-shrink: 0;
       display: flex;
       flex-direction: column;
-      background: var(--bg-primary);
       border-left: 1px solid var(--border-color);
-      min-width: 300px;
+      background: var(--bg-secondary);
     }
 
-    .preview-toolbar {
+    .comments-header {
       display: flex;
       align-items: center;
-      justify-content: space-between;
-      padding: 6px 12px;
-      height: 42px;
-      background: var(--bg-secondary);
+      gap: 4px;
+      padding: 8px 8px 8px 12px;
       border-bottom: 1px solid var(--border-color);
-      flex-shrink: 0;
     }
 
-    .preview-toolbar-left, .preview-toolbar-center, .preview-toolbar-right {
+    .comments-title {
+      flex: 1;
+      font-size: 13px;
+      font-weight: 600;
+    }
+
+    .comments-filter {
       display: flex;
       align-items: center;
-      gap: 8px;
+      gap: 6px;
+      padding: 6px 12px;
+      font-size: 12px;
+      color: var(--text-secondary);
+      cursor: pointer;
     }
 
-    .preview-toolbar-center {
-      background: var(--bg-tertiary);
-      border: 1px solid var(--border-color);
-      border-radius: 10px;
-      padding: 4px;
+    .comments-list {
+      flex: 1;
+      overflow-y: auto;
+      padding: 4px 8px 8px;
     }
 
-    .preview-title {
+    .comments-empty {
+      padding: 16px 4px;
       font-size: 12px;
-      color: var(--text-secondary);
-      font-weight: 500;
+      color: var(--text-muted);
+      line-height: 1.5;
     }
 
-    .zoom-level, .zoom-level-btn {
-      font-size: 12px;
-      color: var(--text-secondary);
-      min-width: 50px;
-      text-align: center;
+    .comment-thread {
+      margin-bottom: 8px;
+      padding: 10px;
+      background: var(--bg-primary);
+      border: 1px solid var(--border-color);
+      border-radius: 8px;
+      cursor: pointer;
     }
 
-    .zoom-level-btn {
-      background: transparent;
-      border: none;
-      cursor: pointer;
-      padding: 4px 10px;
-      border-radius: 6px;
-      transition: all 0.15s;
+    .comment-thread.active {
+      border-color: var(--warning);
     }
 
-    .zoom-level-btn:hover {
-      background: var(--bg-hover);
-      color: var(--text-primary);
+    .comment-thread.resolved {
+      opacity: 0.7;
     }
 
-    .page-info {
-      font-size: 12px;
-      color: var(--text-muted);
+    .comment-quote {
+      margin-bottom: 8px;
+      padding-left: 8px;
+      border-left: 3px solid var(--warning);
+      font-family: 'JetBrains Mono', 'Fira Code', monospace;
+      font-size: 11px;
+      color: var(--text-secondary);
+      white-space: pre-wrap;
+      word-break: break-word;
+      display: -webkit-box;
+      -webkit-line-clamp: 3;
+      -webkit-box-orient: vertical;
+      overflow: hidden;
     }
 
-    .preview-content {
-      flex: 1;
-      overflow: auto;
-      background: #404040;
+    .comment-quote.detached {
+      border-left-color: var(--text-muted);
+      text-decoration: line-through;
     }
 
-    .error-panel {
-      background: rgba(248, 113, 113, 0.1);
-      border-bottom: 1px solid var(--error);
+    .comment + .comment {
+      margin-top: 8px;
     }
 
-    .error-header {
+    .comment-meta {
       display: flex;
-      align-items: center;
-      gap: 8px;
-      padding: 8px 12px;
-      color: var(--error);
+      align-items: baseline;
+      gap: 6px;
       font-size: 12px;
-      font-weight: 500;
     }
 
-    .error-header .icon-btn {
-      margin-left: auto;
-      color: var(--error);
+    .comment-author {
+      font-weight: 600;
     }
 
-    .error-icon {
-      width: 16px;
-      height: 16px;
-      display: flex;
+    .comment-time {
+      color: var(--text-muted);
+      font-size: 11px;
     }
 
-    .error-icon svg {
+    .comment-body {
+      margin-top: 2px;
+      font-size: 13px;
+      line-height: 1.4;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+
+    .comment-input {
       width: 100%;
-      height: 100%;
+      margin-top: 8px;
+      padding: 6px 8px;
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      color: var(--text-primary);
+      font: inherit;
+      font-size: 13px;
+      resize: vertical;
     }
 
-    .error-content {
-      padding: 8px 12px 12px;
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 12px;
-      color: var(--error);
-      white-space: pre-wrap;
-      max-height: 150px;
-      overflow: auto;
+    .comment-input:focus {
+      outline: none;
+      border-color: var(--accent);
     }
 
-    .pdf-container {
+    .comment-actions {
       display: flex;
-      flex-direction: column;
+      justify-content: flex-end;
       align-items: center;
-      padding: 24px;
-      gap: 24px;
+      gap: 6px;
+      margin-top: 8px;
     }
 
-    .pdf-page-wrapper {
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    .comment-actions .icon-btn {
+      margin-right: auto;
     }
 
-    .pdf-page {
-      display: block;
-      background: white;
+    .comment-actions .btn {
+      padding: 4px 10px;
+      font-size: 12px;
     }
 
-    /* Status Bar */
-    .status-bar {
-      height: var(--status-height);
-      background: linear-gradient(180deg, var(--bg-secondary) 0%, var(--bg-tertiary) 100%);
-      border-top: 1px solid var(--border-color);
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      padding: 0 16px;
-      flex-shrink: 0;
+    /* Suggestions */
+    .suggest-toggle.active {
+      color: var(--success);
     }
 
-    .status-left, .status-center, .status-right {
+    .suggestions-bar {
       display: flex;
       align-items: center;
-      gap: 16px;
+      gap: 4px;
+      padding: 4px 8px;
+      background: var(--bg-secondary);
+      border-bottom: 1px solid var(--border-color);
+      flex-shrink: 0;
+      flex-wrap: wrap;
+      font-size: 12px;
     }
 
-    .status-item {
-      font-size: 11px;
-      color: var(--text-muted);
-      display: flex;
-      align-items: center;
-      gap: 6px;
+    .suggestions-bar.suggesting {
+      box-shadow: inset 3px 0 0 var(--success);
     }
 
-    .status-item:hover {
+    .suggestions-summary {
+      margin-right: 4px;
       color: var(--text-secondary);
     }
 
-    .status-indicator {
-      width: 8px;
-      height: 8px;
-      border-radius: 50%;
-      background: var(--text-muted);
-      animation: pulse 2s ease-in-out infinite;
-    }
-
-    @keyframes pulse {
-      0%, 100% { opacity: 1; }
-      50% { opacity: 0.5; }
-    }
-
-    .status-indicator.ready {
-      background: var(--success);
-    }
-
-    .status-indicator.compiling {
-      background: var(--warning);
-      animation: pulse 1s infinite;
+    .suggestions-bar.suggesting .suggestions-summary {
+      color: var(--success);
     }
 
-    .status-indicator.error {
-      background: var(--error);
+    .suggestions-bar .btn {
+      padding: 3px 10px;
+      font-size: 12px;
+      background: var(--bg-tertiary);
+      color: var(--text-primary);
     }
 
-    @keyframes pulse {
-      0%, 100% { opacity: 1; }
-      50% { opacity: 0.5; }
+    .suggestions-bar .btn.primary {
+      background: var(--accent);
+      color: var(--bg-primary);
     }
 
-    /* Modal */
-    .modal-overlay {
-      position: fixed;
-      top: 0;
-      left: 0;
-      right: 0;
-      bottom: 0;
-      background: rgba(0, 0, 0, 0.6);
+    .suggestions-preview {
       display: flex;
       align-items: center;
-      justify-content: center;
-      z-index: 1000;
+      gap: 6px;
+      margin-left: auto;
+      color: var(--text-muted);
     }
 
-    .modal {
-      background: var(--bg-secondary);
+    .suggestions-preview select {
+      padding: 2px 6px;
+      background: var(--bg-tertiary);
       border: 1px solid var(--border-color);
-      border-radius: 12px;
-      width: 90%;
-      max-width: 600px;
-      max-height: 80vh;
-      display: flex;
-      flex-direction: column;
-      box-shadow: 0 20px 40px rgba(0, 0, 0, 0.4);
-    }
-
-    .modal.modal-large {
-      max-width: 800px;
-      max-height: 85vh;
+      border-radius: 4px;
+      color: var(--text-primary);
+      font-size: 12px;
     }
 
-    .modal.modal-small {
-      max-width: 400px;
+    .suggestion-inserted {
+      background: rgba(74, 222, 128, 0.15);
+      border-bottom: 1px solid rgba(74, 222, 128, 0.7);
     }
 
-    .modal-header {
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      padding: 16px 20px;
-      border-bottom: 1px solid var(--border-color);
+    .suggestion-deleted {
+      background: rgba(248, 113, 113, 0.12);
+      color: var(--error) !important;
+      text-decoration: line-through;
     }
 
-    .modal-title {
-      font-size: 16px;
-      font-weight: 600;
+    .suggestion-inserted.active {
+      background: rgba(74, 222, 128, 0.3);
     }
 
-    .modal-content {
-      padding: 20px;
-      overflow-y: auto;
+    .suggestion-deleted.active {
+      background: rgba(248, 113, 113, 0.25);
     }
 
     /* Templates Grid */
@@ -6086,6 +10921,27 @@ function addStyles() {
       justify-content: flex-end;
     }
 
+    .settings-group input[type="text"],
+    .settings-group input[type="password"] {
+      padding: 6px 10px;
+      background: var(--bg-tertiary);
+      border: 1px solid var(--border-color);
+      border-radius: 4px;
+      color: var(--text-primary);
+      font-size: 13px;
+      min-width: 100px;
+    }
+
+    .export-page-options {
+      display: flex;
+      flex-direction: column;
+      gap: 16px;
+    }
+
+    .export-page-options .settings-group + .settings-group {
+      margin-top: 16px;
+    }
+
     /* Help Content */
     .help-content {
       min-height: 400px;
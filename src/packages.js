@@ -0,0 +1,184 @@
+// Package Module for Typst Web Editor
+// Resolves `@namespace/name:version` imports: downloads the package tarball from
+// a registry, unpacks it and caches the files in IndexedDB for offline use.
+//
+// A registry is any base URL laid out like packages.typst.org:
+//   <registry>/<namespace>/<name>-<version>.tar.gz
+// so a local mirror directory served by the dev server (e.g. public/packages
+// with the registry set to "/packages") works the same as the real one.
+
+import { getPackage, savePackage } from "./storage.js";
+
+export const DEFAULT_REGISTRY = "https://packages.typst.org";
+
+// Give up on a download after this long (ms)
+const FETCH_TIMEOUT = 30000;
+
+const textDecoder = new TextDecoder();
+
+// "@preview/cetz:0.2.2" -> { namespace, name, version }
+const PACKAGE_SPEC = /@([a-z0-9_-]+)\/([a-zA-Z0-9_-]+):(\d+\.\d+\.\d+)/;
+
+export function parsePackageSpec(text) {
+  const match = text.match(PACKAGE_SPEC);
+  if (!match) return null;
+  return { namespace: match[1], name: match[2], version: match[3] };
+}
+
+// Cache key and shadow-FS directory name: "preview/cetz/0.2.2"
+export function getPackageKey(spec) {
+  return `${spec.namespace}/${spec.name}/${spec.version}`;
+}
+
+export function formatPackageSpec(spec) {
+  return `@${spec.namespace}/${spec.name}:${spec.version}`;
+}
+
+// Every package spec written as a string literal in Typst source
+export function findPackageImports(text) {
+  const specs = new Map();
+  const pattern = new RegExp(`"${PACKAGE_SPEC.source}"`, "g");
+  for (const match of text.matchAll(pattern)) {
+    const spec = { namespace: match[1], name: match[2], version: match[3] };
+    specs.set(getPackageKey(spec), spec);
+  }
+  return Array.from(specs.values());
+}
+
+// Packages imported by a package's own .typ files
+export function getPackageDependencies(files) {
+  return files
+    .filter(file => file.path.endsWith(".typ"))
+    .flatMap(file => findPackageImports(textDecoder.decode(file.data)));
+}
+
+export function getPackageUrl(registry, spec) {
+  const base = (registry || DEFAULT_REGISTRY).replace(/\/+$/, "");
+  return `${base}/${spec.namespace}/${spec.name}-${spec.version}.tar.gz`;
+}
+
+// Load a package from the cache, or download and cache it. Returns the stored
+// record ({ key, files: [{ path, data }], ... }); throws if it can't be fetched.
+// `onDownload` is called before going to the network
+export async function loadPackage(registry, spec, onDownload = null) {
+  const key = getPackageKey(spec);
+
+  const cached = await getPackage(key).catch(() => null);
+  if (cached) {
+    cached.lastUsed = Date.now();
+    savePackage(cached).catch(() => {});
+    return cached;
+  }
+
+  onDownload?.(spec);
+  const files = await fetchPackage(registry, spec);
+  const pkg = {
+    key,
+    ...spec,
+    files,
+    size: files.reduce((sum, file) => sum + file.data.length, 0),
+    registry: registry || DEFAULT_REGISTRY,
+    fetchedAt: Date.now(),
+    lastUsed: Date.now(),
+  };
+
+  try {
+    await savePackage(pkg);
+  } catch (e) {
+    console.warn(`[Packages] Failed to cache ${formatPackageSpec(spec)}:`, e);
+  }
+  return pkg;
+}
+
+// Download and unpack a package tarball into [{ path, data }]
+export async function fetchPackage(registry, spec) {
+  const url = getPackageUrl(registry, spec);
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+  } catch (e) {
+    throw new Error(`Failed to download ${formatPackageSpec(spec)} from ${url}: ${e.message || e}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(response.status === 404
+      ? `Package ${formatPackageSpec(spec)} not found at ${url}`
+      : `Failed to download ${formatPackageSpec(spec)} from ${url} (HTTP ${response.status})`);
+  }
+
+  const archive = new Uint8Array(await response.arrayBuffer());
+  return untar(await gunzip(archive));
+}
+
+// Decompress gzip data; archives some servers already decoded pass through
+export async function gunzip(bytes) {
+  if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) return bytes;
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// =====================
+// TAR
+// =====================
+// Read the regular files of a ustar/pax/GNU tar archive as [{ path, data }]
+export function untar(bytes) {
+  const files = [];
+  let offset = 0;
+  let longName = null; // from a GNU "L" or pax "x" header, applies to the next entry
+
+  while (offset + 512 <= bytes.length) {
+    const header = bytes.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = parseOctal(header.subarray(124, 136));
+    const type = String.fromCharCode(header[156] || 48);
+    const dataStart = offset + 512;
+    const data = bytes.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === "L") {
+      longName = readString(data);
+      continue;
+    }
+    if (type === "x") {
+      longName = parsePaxPath(data) || longName;
+      continue;
+    }
+    if (type === "g") continue;
+
+    let name = readString(header.subarray(0, 100));
+    const prefix = readString(header.subarray(345, 500));
+    if (readString(header.subarray(257, 263)) === "ustar" && prefix) {
+      name = `${prefix}/${name}`;
+    }
+    if (longName) {
+      name = longName;
+      longName = null;
+    }
+
+    // "0" (or NUL) and "7" are regular files; skip directories, links and devices
+    if (type !== "0" && type !== "7") continue;
+
+    const path = name.replace(/^(\.\/)+/, "");
+    if (!path || path.split("/").includes("..")) continue;
+    files.push({ path, data: data.slice() });
+  }
+
+  return files;
+}
+
+function readString(bytes) {
+  const end = bytes.indexOf(0);
+  return textDecoder.decode(end === -1 ? bytes : bytes.subarray(0, end));
+}
+
+function parseOctal(bytes) {
+  const text = readString(bytes).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+// Pax extended headers are "<length> key=value\n" records
+function parsePaxPath(data) {
+  const match = textDecoder.decode(data).match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,365 @@
+// Remote Storage Module for Typst Web Editor
+// Mirrors projects, documents, files, history and preferences to a storage
+// server the team hosts. The server speaks the REST contract in
+// docs/storage-api.md, and the HTTP adapter here is a storage adapter (see
+// storage.js) over it. IndexedDB stays the working copy: local changes are
+// queued there until the server takes them, so editing carries on offline,
+// and the server's changes are pulled in every so often.
+
+import {
+  STORES,
+  SYNCED_STORES,
+  indexedDBAdapter,
+  onStorageChange,
+  getSyncStates,
+  getSyncState,
+  saveSyncState,
+  deleteSyncState,
+  clearSyncStates,
+  arrayBufferToBase64,
+  base64ToArrayBuffer,
+} from "./storage.js";
+import { takeSnapshot } from "./history.js";
+
+// Look for the server's changes this often (ms)
+const PULL_INTERVAL = 30000;
+
+// Send changes made within this long of each other together (ms)
+const PUSH_DELAY = 1000;
+
+// Give up on a request after this long (ms)
+const REQUEST_TIMEOUT = 30000;
+
+// The server the sync states in IndexedDB refer to
+const SERVER_KEY = "typst-editor-storage-server";
+
+// =====================
+// HTTP Adapter
+// =====================
+
+// Storage adapter over the REST contract. Rejects with an "OfflineError" when
+// the server can't be reached and a "PreconditionFailedError" when an etag is stale
+export function createHttpAdapter(baseUrl, { token = "" } = {}) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const itemPath = (collection, key) => `${collection}/${encodeURIComponent(key)}`;
+
+  async function request(method, path, { body, headers = {}, allowMissing = false } = {}) {
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+
+    let response;
+    try {
+      response = await fetch(`${base}/${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(encodeBinary(body)),
+        cache: "no-store",
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+      });
+    } catch (e) {
+      const error = new Error(`Storage server ${base} is unreachable: ${e.message || e}`);
+      error.name = "OfflineError";
+      throw error;
+    }
+
+    if (response.status === 412) {
+      const error = new Error(`${path} was changed on the storage server`);
+      error.name = "PreconditionFailedError";
+      throw error;
+    }
+    if (!response.ok && !(allowMissing && response.status === 404)) {
+      const error = new Error(`Storage server answered ${method} /${path} with HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  return {
+    kind: "http",
+
+    async list(collection) {
+      const response = await request("GET", collection);
+      const { items } = await response.json();
+      return items;
+    },
+
+    async get(collection, key) {
+      const response = await request("GET", itemPath(collection, key), { allowMissing: true });
+      if (response.status === 404) return null;
+      return { record: decodeBinary(await response.json()), etag: response.headers.get("ETag") };
+    },
+
+    async put(collection, key, record, etag = null) {
+      const response = await request("PUT", itemPath(collection, key), {
+        body: record,
+        headers: etag ? { "If-Match": etag } : { "If-None-Match": "*" },
+      });
+      return response.headers.get("ETag");
+    },
+
+    async delete(collection, key, etag = null) {
+      await request("DELETE", itemPath(collection, key), {
+        headers: etag ? { "If-Match": etag } : {},
+        allowMissing: true,
+      });
+    },
+  };
+}
+
+// JSON has no bytes: ArrayBuffers and typed arrays travel as { "$base64": "..." }
+function encodeBinary(value) {
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return { $base64: arrayBufferToBase64(value) };
+  }
+  if (Array.isArray(value)) return value.map(encodeBinary);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeBinary(item)]));
+  }
+  return value;
+}
+
+function decodeBinary(value) {
+  if (Array.isArray(value)) return value.map(decodeBinary);
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && typeof value.$base64 === "string") {
+      return new Uint8Array(base64ToArrayBuffer(value.$base64));
+    }
+    return Object.fromEntries(keys.map(key => [key, decodeBinary(value[key])]));
+  }
+  return value;
+}
+
+// Fields that only mean something in this browser stay out of the server's copy:
+// a project's folder handle, a snapshot's local id
+function toRemoteRecord(collection, record) {
+  if (collection === STORES.PROJECTS) {
+    const { folder, ...project } = record;
+    return project;
+  }
+  if (collection === STORES.HISTORY) {
+    const { id, ...snapshot } = record;
+    return snapshot;
+  }
+  return record;
+}
+
+function fromRemoteRecord(collection, record, localRecord) {
+  if (collection === STORES.PROJECTS && localRecord?.folder) {
+    return { ...record, folder: localRecord.folder };
+  }
+  return record;
+}
+
+// =====================
+// Sync
+// =====================
+
+let remote = null;
+let handlers = {};
+let pullTimer = null;
+let pushTimer = null;
+let running = null;
+let removeChangeListener = null;
+let status = { state: "idle", pending: 0, error: null };
+
+// Start mirroring to the server at `url` (stops when it is empty).
+// onChange(changes) runs after records from the server were stored locally,
+// with [{ collection, key, record }] (record null when deleted); onStatus(status)
+// when { state: "idle" | "syncing" | "synced" | "offline" | "error", pending, error } changes
+export async function startRemoteSync({ url, token = "", onChange = null, onStatus = null }) {
+  stopRemoteSync();
+  handlers = { onChange, onStatus };
+
+  // Sync states of another server (or of an earlier session with this one,
+  // when changes weren't tracked in between) can't be trusted
+  if (!url) {
+    localStorage.removeItem(SERVER_KEY);
+    return;
+  }
+  if (localStorage.getItem(SERVER_KEY) !== url) {
+    await clearSyncStates();
+    localStorage.setItem(SERVER_KEY, url);
+  }
+
+  remote = createHttpAdapter(url, { token });
+  removeChangeListener = onStorageChange((collection, key) => {
+    markPending(collection, key).catch(e => console.warn("[Remote] Failed to queue change:", e));
+  });
+  pullTimer = setInterval(syncRemoteNow, PULL_INTERVAL);
+  window.addEventListener("online", syncRemoteNow);
+  await syncRemoteNow();
+}
+
+export function stopRemoteSync() {
+  if (!remote) return;
+  remote = null;
+  clearInterval(pullTimer);
+  clearTimeout(pushTimer);
+  removeChangeListener?.();
+  removeChangeListener = null;
+  window.removeEventListener("online", syncRemoteNow);
+  setStatus({ state: "idle", error: null });
+}
+
+export function getRemoteStatus() {
+  return status;
+}
+
+// Send queued changes, then unless `pull` is false bring in the server's. One
+// sync at a time, and across tabs too where the browser has Web Locks
+export function syncRemoteNow({ pull = true } = {}) {
+  const adapter = remote;
+  if (!adapter) return Promise.resolve();
+  if (!running) {
+    running = withLock(() => runSync(adapter, pull)).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+function withLock(callback) {
+  const locks = globalThis.navigator?.locks;
+  return locks ? locks.request("typst-editor-remote-sync", callback) : callback();
+}
+
+function setStatus(update) {
+  status = { ...status, ...update };
+  handlers.onStatus?.(status);
+}
+
+// The queue is the sync state in IndexedDB, so it survives going offline and reloading
+async function markPending(collection, key) {
+  const state = (await getSyncState(collection, key)) || { collection, key, etag: null, revision: 0 };
+  await saveSyncState({ ...state, pending: true, revision: state.revision + 1 });
+
+  clearTimeout(pushTimer);
+  pushTimer = setTimeout(() => syncRemoteNow({ pull: false }), PUSH_DELAY);
+}
+
+async function runSync(adapter, pull) {
+  const changes = [];
+  setStatus({ state: "syncing" });
+  try {
+    await pushChanges(adapter, changes);
+    if (pull) {
+      await pullChanges(adapter, changes);
+    }
+    setStatus({ state: "synced", error: null });
+  } catch (e) {
+    if (e.name !== "OfflineError") {
+      console.warn("[Remote] Sync failed:", e);
+    }
+    setStatus({ state: e.name === "OfflineError" ? "offline" : "error", error: e.message });
+  }
+
+  const pending = (await getSyncStates()).filter(state => state.pending).length;
+  setStatus({ pending });
+
+  if (changes.length > 0 && adapter === remote) {
+    handlers.onChange?.(changes);
+  }
+}
+
+async function pushChanges(adapter, changes) {
+  const queued = (await getSyncStates()).filter(state => state.pending);
+
+  for (const state of queued) {
+    const { collection, key } = state;
+    const local = await indexedDBAdapter.get(collection, key);
+    let etag = null;
+
+    try {
+      if (local) {
+        etag = await adapter.put(collection, key, toRemoteRecord(collection, local.record), state.etag);
+      } else if (state.etag) {
+        await adapter.delete(collection, key, state.etag);
+      }
+    } catch (e) {
+      if (e.name !== "PreconditionFailedError") throw e;
+      await takeRemoteVersion(adapter, state, local?.record, changes);
+      continue;
+    }
+
+    // Changed again while it was being sent: stays queued
+    const latest = await getSyncState(collection, key);
+    const changedSince = latest && latest.revision !== state.revision;
+    if (!local && !changedSince) {
+      await deleteSyncState(collection, key);
+    } else {
+      await saveSyncState({ ...state, ...latest, etag, pending: changedSince });
+    }
+  }
+}
+
+// The server refused a change because its copy moved on; that copy wins, and a
+// document's local text is kept in its history. A record the server deleted in
+// the meantime is sent again as a new one
+async function takeRemoteVersion(adapter, state, localRecord, changes) {
+  const { collection, key } = state;
+  const current = await adapter.get(collection, key);
+  if (current) {
+    await storeRemoteRecord(collection, key, current, localRecord, changes, true);
+  } else if (localRecord) {
+    const etag = await adapter.put(collection, key, toRemoteRecord(collection, localRecord), null);
+    await saveSyncState({ ...state, etag, pending: false });
+  } else {
+    await deleteSyncState(collection, key);
+  }
+}
+
+// Store the server's copy of a record in place of the local one. With
+// `keepLocal` the local text of a document is snapshotted first, for local
+// changes the server never had
+async function storeRemoteRecord(collection, key, remoteEntry, localRecord, changes, keepLocal) {
+  if (keepLocal && collection === STORES.DOCUMENTS && localRecord && localRecord.content !== remoteEntry.record.content) {
+    await takeSnapshot(localRecord.id, localRecord.content, { reason: "conflict" });
+  }
+
+  const record = fromRemoteRecord(collection, remoteEntry.record, localRecord);
+  await indexedDBAdapter.put(collection, key, record);
+
+  const latest = await getSyncState(collection, key);
+  await saveSyncState({ collection, key, etag: remoteEntry.etag, pending: false, revision: latest?.revision || 0 });
+  changes.push({ collection, key, record });
+}
+
+async function pullChanges(adapter, changes) {
+  const states = new Map();
+  for (const state of await getSyncStates()) {
+    states.set(`${state.collection}/${state.key}`, state);
+  }
+
+  for (const collection of SYNCED_STORES) {
+    const items = await adapter.list(collection);
+    const remoteKeys = new Set(items.map(item => item.key));
+
+    for (const { key, etag } of items) {
+      const state = states.get(`${collection}/${key}`);
+      if (state && (state.pending || state.etag === etag)) continue;
+
+      const current = await adapter.get(collection, key);
+      if (!current) continue;
+      const local = await indexedDBAdapter.get(collection, key);
+      // Without a sync state the local record never reached the server
+      await storeRemoteRecord(collection, key, current, local?.record, changes, !state);
+    }
+
+    for (const state of states.values()) {
+      if (state.collection !== collection || state.pending || !state.etag || remoteKeys.has(state.key)) continue;
+      // Deleted on the server
+      await indexedDBAdapter.delete(collection, state.key);
+      await deleteSyncState(collection, state.key);
+      changes.push({ collection, key: state.key, record: null });
+    }
+
+    for (const { key } of await indexedDBAdapter.list(collection)) {
+      if (!remoteKeys.has(key) && !states.has(`${collection}/${key}`)) {
+        // Made before this server was set up
+        await markPending(collection, key);
+      }
+    }
+  }
+}
@@ -1,49 +1,315 @@
 // IndexedDB Storage Module for Typst Web Editor
-// Handles document persistence, file storage, and user preferences
+// Handles document persistence, file storage, package cache, and user preferences
+
+import { isBibliographyFile } from "./bibliography.js";
 
 const DB_NAME = "typst-editor-db";
-const DB_VERSION = 1;
 
 const STORES = {
+  PROJECTS: "projects",
   DOCUMENTS: "documents",
   FILES: "files",
+  PACKAGES: "packages",
+  HISTORY: "history",
   PREFERENCES: "preferences",
+  SYNC_STATE: "syncState",
+  COMMENTS: "comments",
+  SUGGESTIONS: "suggestions",
 };
 
+// Files belong to a project; fonts and other app-wide files use this owner instead
+export const GLOBAL_FILES = "global";
+
+// =====================
+// MIGRATIONS
+// =====================
+// The schema is built by replaying these in order: a new database runs all of
+// them, an existing one only those newer than its version. Each runs inside the
+// upgrade transaction and may await requests on it (only IndexedDB requests, or
+// the transaction commits early). Never change a shipped migration; append one
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Documents, files and preferences",
+    migrate(database) {
+      const docStore = database.createObjectStore(STORES.DOCUMENTS, { keyPath: "id" });
+      docStore.createIndex("updatedAt", "updatedAt", { unique: false });
+      docStore.createIndex("name", "name", { unique: false });
+
+      const fileStore = database.createObjectStore(STORES.FILES, { keyPath: "path" });
+      fileStore.createIndex("type", "type", { unique: false });
+      fileStore.createIndex("documentId", "documentId", { unique: false });
+
+      database.createObjectStore(STORES.PREFERENCES, { keyPath: "key" });
+    },
+  },
+  {
+    version: 2,
+    description: "Projects; every existing document becomes a single-file project",
+    async migrate(database, transaction) {
+      const projectStore = database.createObjectStore(STORES.PROJECTS, { keyPath: "id" });
+      projectStore.createIndex("updatedAt", "updatedAt", { unique: false });
+
+      const docStore = transaction.objectStore(STORES.DOCUMENTS);
+      docStore.createIndex("projectId", "projectId", { unique: false });
+
+      const docs = await promisifyRequest(docStore.getAll());
+      for (const doc of docs) {
+        if (doc.projectId) continue;
+        const name = doc.name || "main.typ";
+        const project = {
+          id: `project-${doc.id}`,
+          name: name.replace(/\.typ$/i, ""),
+          mainFile: name,
+          createdAt: doc.createdAt || Date.now(),
+          updatedAt: doc.updatedAt || Date.now(),
+        };
+        projectStore.put(project);
+        docStore.put({ ...doc, name, projectId: project.id });
+      }
+    },
+  },
+  {
+    version: 3,
+    description: "Package cache, so registry imports keep working offline",
+    migrate(database) {
+      const packageStore = database.createObjectStore(STORES.PACKAGES, { keyPath: "key" });
+      packageStore.createIndex("lastUsed", "lastUsed", { unique: false });
+    },
+  },
+  {
+    // Files used to be keyed by path alone, and uploads landed in a shared "default"
+    // bucket every document saw. Global files (fonts) stay global, a known document's
+    // files move to its project, and shared files are copied into every project so
+    // none loses an asset it relied on (with no projects there is nobody to keep them)
+    version: 4,
+    description: "Files keyed by (projectId, path)",
+    async migrate(database, transaction) {
+      const files = await promisifyRequest(transaction.objectStore(STORES.FILES).getAll());
+      const docs = await promisifyRequest(transaction.objectStore(STORES.DOCUMENTS).getAll());
+      const projects = await promisifyRequest(transaction.objectStore(STORES.PROJECTS).getAll());
+      const projectOfDoc = new Map(docs.map(doc => [doc.id, doc.projectId]));
+
+      database.deleteObjectStore(STORES.FILES);
+      const fileStore = database.createObjectStore(STORES.FILES, { keyPath: ["projectId", "path"] });
+      fileStore.createIndex("type", "type", { unique: false });
+      fileStore.createIndex("projectId", "projectId", { unique: false });
+
+      for (const { documentId, ...file } of files) {
+        let owners;
+        if (documentId === GLOBAL_FILES) {
+          owners = [GLOBAL_FILES];
+        } else if (projectOfDoc.has(documentId)) {
+          owners = [projectOfDoc.get(documentId)];
+        } else {
+          owners = projects.map(project => project.id);
+        }
+
+        for (const projectId of owners) {
+          fileStore.put({ ...file, projectId });
+        }
+      }
+    },
+  },
+  {
+    version: 5,
+    description: "Version history snapshots",
+    migrate(database) {
+      const historyStore = database.createObjectStore(STORES.HISTORY, { keyPath: "id", autoIncrement: true });
+      historyStore.createIndex("documentId", "documentId", { unique: false });
+    },
+  },
+  {
+    version: 6,
+    description: "Sync state for a storage server",
+    migrate(database) {
+      database.createObjectStore(STORES.SYNC_STATE, { keyPath: ["collection", "key"] });
+    },
+  },
+  {
+    version: 7,
+    description: "Review comment threads",
+    migrate(database) {
+      const commentStore = database.createObjectStore(STORES.COMMENTS, { keyPath: "id" });
+      commentStore.createIndex("documentId", "documentId", { unique: false });
+    },
+  },
+  {
+    version: 8,
+    description: "Pending suggestions",
+    migrate(database) {
+      database.createObjectStore(STORES.SUGGESTIONS, { keyPath: "documentId" });
+    },
+  },
+  {
+    // Lets folder sync list a project's files without reading their data
+    version: 9,
+    description: "Files indexed by (projectId, createdAt)",
+    migrate(database, transaction) {
+      transaction.objectStore(STORES.FILES).createIndex("stamp", ["projectId", "createdAt"], { unique: false });
+    },
+  },
+  {
+    // A snapshot's sync key, so the server sync can list snapshots without their text
+    version: 10,
+    description: "History indexed by (documentId, createdAt)",
+    migrate(database, transaction) {
+      transaction.objectStore(STORES.HISTORY).createIndex("key", ["documentId", "createdAt"], { unique: false });
+    },
+  },
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Run the migrations between two versions one after another. A failure aborts
+// the upgrade transaction, which leaves the database untouched at its old version
+async function runMigrations(database, transaction, oldVersion, newVersion) {
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= oldVersion || migration.version > newVersion) continue;
+    try {
+      await migration.migrate(database, transaction);
+    } catch (e) {
+      e.migration = migration;
+      throw e;
+    }
+  }
+}
+
 let db = null;
 
-// Initialize IndexedDB
-export async function initStorage() {
+// Open (creating or upgrading) a database at a schema version. Tests can open a
+// scratch database at an older version, fill it, and reopen it to check a migration.
+// A failed upgrade rejects with a "StorageUpgradeError" carrying `fromVersion`
+export function openDatabase(name = DB_NAME, version = DB_VERSION) {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    const request = indexedDB.open(name, version);
+    let failure = null;
+    let fromVersion = 0;
 
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => {
-      db = request.result;
-      resolve(db);
+    request.onupgradeneeded = (event) => {
+      const transaction = request.transaction;
+      fromVersion = event.oldVersion;
+      runMigrations(request.result, transaction, event.oldVersion, version).catch((e) => {
+        failure = e;
+        try {
+          transaction.abort();
+        } catch {
+          // A failed request already aborted it
+        }
+      });
     };
 
-    request.onupgradeneeded = (event) => {
-      const database = event.target.result;
+    request.onblocked = () => {
+      console.warn("[Storage] Upgrade is waiting for other tabs to close the database");
+    };
 
-      // Documents store - for saving Typst source code
-      if (!database.objectStoreNames.contains(STORES.DOCUMENTS)) {
-        const docStore = database.createObjectStore(STORES.DOCUMENTS, { keyPath: "id" });
-        docStore.createIndex("updatedAt", "updatedAt", { unique: false });
-        docStore.createIndex("name", "name", { unique: false });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      if (!failure && request.error?.name !== "AbortError") {
+        reject(request.error);
+        return;
       }
 
-      // Files store - for uploaded images and fonts
-      if (!database.objectStoreNames.contains(STORES.FILES)) {
-        const fileStore = database.createObjectStore(STORES.FILES, { keyPath: "path" });
-        fileStore.createIndex("type", "type", { unique: false });
-        fileStore.createIndex("documentId", "documentId", { unique: false });
-      }
+      const cause = failure || request.error;
+      const step = cause.migration ? ` (migration ${cause.migration.version}: ${cause.migration.description})` : "";
+      const error = new Error(`Storage upgrade from version ${fromVersion} to ${version} failed${step}: ${cause.message}`);
+      error.name = "StorageUpgradeError";
+      error.fromVersion = fromVersion;
+      error.cause = cause;
+      console.error("[Storage]", error);
+      reject(error);
+    };
+  });
+}
 
-      // Preferences store - for user settings
-      if (!database.objectStoreNames.contains(STORES.PREFERENCES)) {
-        database.createObjectStore(STORES.PREFERENCES, { keyPath: "key" });
-      }
+// Initialize IndexedDB
+export async function initStorage() {
+  db = await openDatabase();
+  // The compiler worker keeps its own connection; let upgrades in other tabs through
+  db.onversionchange = () => db.close();
+  return db;
+}
+
+// Open the database as it is, for a second connection such as the compiler
+// worker's. It never creates or upgrades the database (the page does that, and
+// offers recovery when an upgrade fails), so it resolves to null while there is
+// none or it is older than this code. Another tab's upgrade closes the
+// connection; the next call opens it again
+export async function attachStorage() {
+  if (db) return db;
+
+  const database = await openExistingDatabase(DB_NAME);
+  if (!database) return null;
+  if (database.version < DB_VERSION) {
+    database.close();
+    return null;
+  }
+
+  database.onversionchange = () => {
+    database.close();
+    if (db === database) db = null;
+  };
+  db = database;
+  return db;
+}
+
+// Open a database at whatever version it has, or resolve to null when there is
+// none: the open is aborted before it could create one
+function openExistingDatabase(name) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name);
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onerror = () => (request.error?.name === "AbortError" ? resolve(null) : reject(request.error));
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+// =====================
+// RECOVERY
+// =====================
+// Every record of the database as it is on disk, without upgrading it, so data
+// can still be saved after a failed upgrade: { version, stores: { [name]: records } }
+export async function readDatabaseBackup(name = DB_NAME) {
+  const backup = { version: 0, stores: {} };
+  // No database yet: don't leave an empty one behind
+  const database = await openExistingDatabase(name);
+  if (!database) return backup;
+
+  const storeNames = Array.from(database.objectStoreNames);
+  backup.version = database.version;
+  if (storeNames.length === 0) {
+    database.close();
+    return backup;
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeNames);
+    for (const storeName of storeNames) {
+      transaction.objectStore(storeName).getAll().onsuccess = (event) => {
+        backup.stores[storeName] = event.target.result;
+      };
+    }
+    transaction.oncomplete = () => {
+      database.close();
+      resolve(backup);
+    };
+    transaction.onerror = () => {
+      database.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+// Drop the whole database; the next initStorage() starts from an empty schema
+export function deleteDatabase(name = DB_NAME) {
+  return new Promise((resolve, reject) => {
+    db?.close();
+    db = null;
+    const request = indexedDB.deleteDatabase(name);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => {
+      console.warn("[Storage] Delete is waiting for other tabs to close the database");
     };
   });
 }
@@ -65,21 +331,32 @@ function promisifyRequest(request) {
 // Document Operations
 // =====================
 
-export async function saveDocument(id, content, name = "Untitled") {
-  // Get existing doc first (in separate transaction)
-  const existingDoc = await getDocument(id);
-  const createdAt = existingDoc?.createdAt || Date.now();
-  
-  // Now create new transaction for the write
+// Resolves to the stored record. With `baseUpdatedAt` (the version the caller
+// last loaded or saved) a newer record saved by another tab is not overwritten:
+// the save rejects with a "DocumentConflictError" carrying that record as `stored`
+export async function saveDocument(id, content, name = "Untitled", projectId = null, baseUpdatedAt = null) {
+  // Read and write in one transaction so no other tab's save lands in between
   const store = getStore(STORES.DOCUMENTS, "readwrite");
+  const existingDoc = await promisifyRequest(store.get(id));
+
+  if (baseUpdatedAt && existingDoc?.updatedAt > baseUpdatedAt) {
+    const error = new Error(`"${existingDoc.name}" was changed in another tab`);
+    error.name = "DocumentConflictError";
+    error.stored = existingDoc;
+    throw error;
+  }
+
   const doc = {
     id,
     name,
     content,
-    createdAt,
+    projectId: projectId || existingDoc?.projectId || null,
+    createdAt: existingDoc?.createdAt || Date.now(),
     updatedAt: Date.now(),
   };
-  return promisifyRequest(store.put(doc));
+  await promisifyRequest(store.put(doc));
+  notifyChange(STORES.DOCUMENTS, doc);
+  return doc;
 }
 
 export async function getDocument(id) {
@@ -92,12 +369,14 @@ export async function getAllDocuments() {
   return promisifyRequest(store.getAll());
 }
 
+// Assets belong to the project, so they outlive the document; its history, comments and suggestions don't
 export async function deleteDocument(id) {
-  // Delete associated files first (in separate transactions)
-  await deleteFilesByDocument(id);
-  // Then delete the document in a new transaction
+  await deleteSnapshots(id);
+  await deleteCommentThreads(id);
+  await deleteSuggestions(id);
   const store = getStore(STORES.DOCUMENTS, "readwrite");
-  return promisifyRequest(store.delete(id));
+  await promisifyRequest(store.delete(id));
+  notifyChange(STORES.DOCUMENTS, { id });
 }
 
 // Get the most recent document (for auto-load)
@@ -107,55 +386,126 @@ export async function getMostRecentDocument() {
   return docs.sort((a, b) => b.updatedAt - a.updatedAt)[0];
 }
 
+// =====================
+// Project Operations
+// =====================
+
+export async function saveProject(project) {
+  const store = getStore(STORES.PROJECTS, "readwrite");
+  const key = await promisifyRequest(store.put({
+    ...project,
+    createdAt: project.createdAt || Date.now(),
+    updatedAt: Date.now(),
+  }));
+  notifyChange(STORES.PROJECTS, project);
+  return key;
+}
+
+export async function getProject(id) {
+  const store = getStore(STORES.PROJECTS);
+  return promisifyRequest(store.get(id));
+}
+
+export async function getAllProjects() {
+  const store = getStore(STORES.PROJECTS);
+  return promisifyRequest(store.getAll());
+}
+
+export async function getProjectDocuments(projectId) {
+  const store = getStore(STORES.DOCUMENTS);
+  return promisifyRequest(store.index("projectId").getAll(projectId));
+}
+
+// Delete a project together with all of its documents and files
+export async function deleteProject(id) {
+  const docs = await getProjectDocuments(id);
+  for (const doc of docs) {
+    await deleteDocument(doc.id);
+  }
+  await deleteProjectFiles(id);
+  const store = getStore(STORES.PROJECTS, "readwrite");
+  await promisifyRequest(store.delete(id));
+  notifyChange(STORES.PROJECTS, { id });
+}
+
 // =====================
 // File Operations
 // =====================
 
-export async function saveFile(path, data, type, documentId = "default") {
+// Two projects can each have their own "logo.png": files are keyed by (projectId, path)
+// Resolves to the stored record
+export async function saveFile(path, data, type, projectId) {
   const store = getStore(STORES.FILES, "readwrite");
   const file = {
+    projectId,
     path,
-    data, // ArrayBuffer or base64 string
-    type, // 'image' | 'font' | 'other'
+    data, // ArrayBuffer, Uint8Array or base64 string
+    type, // 'image' | 'font' | 'bibliography' | 'other'
     mimeType: getMimeType(path),
-    documentId,
     createdAt: Date.now(),
   };
-  return promisifyRequest(store.put(file));
+  await promisifyRequest(store.put(file));
+  notifyChange(STORES.FILES, file);
+  return file;
 }
 
-export async function getFile(path) {
+export async function getFile(path, projectId) {
   const store = getStore(STORES.FILES);
-  return promisifyRequest(store.get(path));
+  return promisifyRequest(store.get([projectId, path]));
 }
 
-export async function getAllFiles(documentId = null) {
+// Files of one project (or GLOBAL_FILES), or every file when no project is given
+export async function getAllFiles(projectId = null) {
   const store = getStore(STORES.FILES);
-  const files = await promisifyRequest(store.getAll());
-  if (documentId) {
-    return files.filter((f) => f.documentId === documentId || f.documentId === "default");
+  if (projectId) {
+    return promisifyRequest(store.index("projectId").getAll(projectId));
   }
-  return files;
+  return promisifyRequest(store.getAll());
+}
+
+// Map of path -> createdAt for one project's files, read from the "stamp" index
+// alone: the files' data stays on disk
+export async function getFileStamps(projectId) {
+  const index = getStore(STORES.FILES).index("stamp");
+  const entries = await getIndexKeys(index, IDBKeyRange.bound([projectId], [projectId, []]));
+  return new Map(entries.map(({ key: [, createdAt], primaryKey: [, path] }) => [path, createdAt]));
+}
+
+// [{ key, primaryKey }] of an index's entries, without reading the records
+function getIndexKeys(index, range = null) {
+  const request = index.openKeyCursor(range);
+  const entries = [];
+
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(entries);
+        return;
+      }
+      entries.push({ key: cursor.key, primaryKey: cursor.primaryKey });
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
 }
 
-export async function deleteFile(path) {
+export async function deleteFile(path, projectId) {
   const store = getStore(STORES.FILES, "readwrite");
-  return promisifyRequest(store.delete(path));
+  await promisifyRequest(store.delete([projectId, path]));
+  notifyChange(STORES.FILES, { projectId, path });
 }
 
-async function deleteFilesByDocument(documentId) {
-  const files = await getAllFiles(documentId);
-  for (const file of files) {
-    if (file.documentId === documentId) {
-      const store = getStore(STORES.FILES, "readwrite");
-      await promisifyRequest(store.delete(file.path));
-    }
+async function deleteProjectFiles(projectId) {
+  const keys = await promisifyRequest(getStore(STORES.FILES).index("projectId").getAllKeys(projectId));
+  for (const [, path] of keys) {
+    await deleteFile(path, projectId);
   }
 }
 
 // Get all files as a map for the compiler
-export async function getFilesMap(documentId = null) {
-  const files = await getAllFiles(documentId);
+export async function getFilesMap(projectId = null) {
+  const files = await getAllFiles(projectId);
   const map = {};
   for (const file of files) {
     map[file.path] = file.data;
@@ -163,13 +513,356 @@ export async function getFilesMap(documentId = null) {
   return map;
 }
 
+// =====================
+// Storage Providers
+// =====================
+// A storage provider holds one project's files by path, whatever keeps them.
+// Every project has its working copy in IndexedDB; a project opened from a
+// local folder is also kept in step with that folder (see folder-sync.js).
+// Providers implement:
+//   listFiles()            -> Map of path -> stamp; a stamp changes whenever the file does
+//   readFile(path)         -> Uint8Array
+//   writeFile(path, data, stamp?) -> the file's new stamp; given the stamp the caller
+//                             last listed, a provider that can tell refuses to overwrite
+//                             a newer change
+//   deleteFile(path)
+
+// Typst and bibliography sources are stored as documents, everything else as files
+export function isDocumentPath(path) {
+  return /\.typ$/i.test(path) || isBibliographyFile(path);
+}
+
+export function createIndexedDBProvider(projectId) {
+  const encoder = new TextEncoder();
+  // Keeps a byte order mark, and refuses text that isn't UTF-8 so it is stored as a file instead
+  const decoder = new TextDecoder("utf-8", { fatal: true, ignoreBOM: true });
+
+  async function findDocument(path) {
+    if (!isDocumentPath(path)) return null;
+    const docs = await getProjectDocuments(projectId);
+    return docs.find(doc => doc.name === path) || null;
+  }
+
+  return {
+    kind: "indexeddb",
+
+    async listFiles() {
+      const stamps = new Map();
+      for (const doc of await getProjectDocuments(projectId)) {
+        stamps.set(doc.name, String(doc.updatedAt));
+      }
+      for (const [path, createdAt] of await getFileStamps(projectId)) {
+        stamps.set(path, String(createdAt));
+      }
+      return stamps;
+    },
+
+    async readFile(path) {
+      const doc = await findDocument(path);
+      if (doc) return encoder.encode(doc.content || "");
+
+      const file = await getFile(path, projectId);
+      if (!file) throw new Error(`No file "${path}" in project ${projectId}`);
+      return new Uint8Array(file.data);
+    },
+
+    async writeFile(path, data, stamp = null) {
+      if (isDocumentPath(path)) {
+        let text = null;
+        try {
+          text = decoder.decode(data);
+        } catch {
+          text = null;
+        }
+        if (text !== null) {
+          const existing = await findDocument(path);
+          // A save made since `stamp` rejects with a "DocumentConflictError"
+          const doc = await saveDocument(existing?.id || generateDocumentId(), text, path, projectId, Number(stamp) || null);
+          return String(doc.updatedAt);
+        }
+      }
+      const file = await saveFile(path, data, getFileType(path), projectId);
+      return String(file.createdAt);
+    },
+
+    async deleteFile(path) {
+      const doc = await findDocument(path);
+      if (doc) {
+        await deleteDocument(doc.id);
+      } else {
+        await deleteFile(path, projectId);
+      }
+    },
+  };
+}
+
+// =====================
+// Storage Adapters
+// =====================
+// A storage adapter keeps the records of the synced stores ("collections")
+// under string keys, so they can be mirrored to a server (see remote-storage.js):
+//   list(collection)                    -> [{ key, etag }]
+//   get(collection, key)                -> { record, etag }, or null
+//   put(collection, key, record, etag?) -> the record's new etag
+//   delete(collection, key, etag?)
+// `etag` is the version the caller last saw. An adapter that tracks versions
+// refuses to overwrite a newer one, rejecting with a "PreconditionFailedError";
+// a put with a null etag only creates. This database is the local adapter and
+// doesn't track versions (its etags are null).
+
+export const SYNCED_STORES = [STORES.PROJECTS, STORES.DOCUMENTS, STORES.FILES, STORES.HISTORY, STORES.PREFERENCES, STORES.COMMENTS, STORES.SUGGESTIONS];
+
+// Files are "<projectId>/<path>", snapshots "<documentId>/<createdAt>" (their ids
+// are only unique within one browser), suggestions their document's id,
+// everything else its own key
+export function getRecordKey(storeName, record) {
+  switch (storeName) {
+    case STORES.FILES:
+      return `${record.projectId}/${record.path}`;
+    case STORES.HISTORY:
+      return `${record.documentId}/${record.createdAt}`;
+    case STORES.PREFERENCES:
+      return record.key;
+    case STORES.SUGGESTIONS:
+      return record.documentId;
+    default:
+      return record.id;
+  }
+}
+
+const changeListeners = new Set();
+
+// listener(collection, key) runs after this module's functions write a synced
+// store. Writes through indexedDBAdapter aren't reported: they bring in records
+// that came from elsewhere. Returns a function that removes the listener
+export function onStorageChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+function notifyChange(storeName, record) {
+  const key = getRecordKey(storeName, record);
+  for (const listener of changeListeners) {
+    listener(storeName, key);
+  }
+}
+
+async function getRecord(storeName, key) {
+  if (storeName === STORES.FILES) {
+    const slash = key.indexOf("/");
+    return (await promisifyRequest(getStore(storeName).get([key.slice(0, slash), key.slice(slash + 1)]))) || null;
+  }
+  if (storeName === STORES.HISTORY) {
+    const slash = key.lastIndexOf("/");
+    const createdAt = Number(key.slice(slash + 1));
+    const snapshots = await getSnapshots(key.slice(0, slash));
+    return snapshots.find(snapshot => snapshot.createdAt === createdAt) || null;
+  }
+  return (await promisifyRequest(getStore(storeName).get(key))) || null;
+}
+
+export const indexedDBAdapter = {
+  // Read from keys alone, so no file data or snapshot text is loaded. A record's
+  // primary key holds the fields its sync key is made of, except for snapshots,
+  // whose "key" index has them
+  async list(collection) {
+    const store = getStore(collection);
+    if (collection === STORES.HISTORY) {
+      const entries = await getIndexKeys(store.index("key"));
+      return entries.map(({ key: [documentId, createdAt] }) => ({ key: getRecordKey(collection, { documentId, createdAt }), etag: null }));
+    }
+
+    const { keyPath } = store;
+    const primaryKeys = await promisifyRequest(store.getAllKeys());
+    return primaryKeys.map((primaryKey) => {
+      const fields = Array.isArray(keyPath)
+        ? Object.fromEntries(keyPath.map((name, i) => [name, primaryKey[i]]))
+        : { [keyPath]: primaryKey };
+      return { key: getRecordKey(collection, fields), etag: null };
+    });
+  },
+
+  async get(collection, key) {
+    const record = await getRecord(collection, key);
+    return record ? { record, etag: null } : null;
+  },
+
+  async put(collection, key, record) {
+    if (collection === STORES.HISTORY) {
+      // Keep this browser's id for a snapshot it already has
+      const existing = await getRecord(collection, key);
+      const { id, ...snapshot } = record;
+      record = existing ? { ...snapshot, id: existing.id } : snapshot;
+    }
+    await promisifyRequest(getStore(collection, "readwrite").put(record));
+    return null;
+  },
+
+  async delete(collection, key) {
+    const record = await getRecord(collection, key);
+    if (!record) return;
+
+    const primaryKey = {
+      [STORES.FILES]: [record.projectId, record.path],
+      [STORES.PREFERENCES]: record.key,
+      [STORES.SUGGESTIONS]: record.documentId,
+    }[collection] ?? record.id;
+    await promisifyRequest(getStore(collection, "readwrite").delete(primaryKey));
+  },
+};
+
+// Where each synced record stands with the server:
+// { collection, key, etag, pending, revision }, `pending` while a local change
+// waits to be sent and `revision` counting local changes
+export async function getSyncStates() {
+  return promisifyRequest(getStore(STORES.SYNC_STATE).getAll());
+}
+
+export async function getSyncState(collection, key) {
+  return (await promisifyRequest(getStore(STORES.SYNC_STATE).get([collection, key]))) || null;
+}
+
+export async function saveSyncState(state) {
+  const store = getStore(STORES.SYNC_STATE, "readwrite");
+  return promisifyRequest(store.put(state));
+}
+
+export async function deleteSyncState(collection, key) {
+  const store = getStore(STORES.SYNC_STATE, "readwrite");
+  return promisifyRequest(store.delete([collection, key]));
+}
+
+// Forget everything about the server, e.g. when switching to another one
+export async function clearSyncStates() {
+  const store = getStore(STORES.SYNC_STATE, "readwrite");
+  return promisifyRequest(store.clear());
+}
+
+// =====================
+// Package Operations
+// =====================
+
+// pkg: { key: "preview/cetz/0.2.2", namespace, name, version, files: [{ path, data }], size, registry, fetchedAt, lastUsed }
+export async function savePackage(pkg) {
+  const store = getStore(STORES.PACKAGES, "readwrite");
+  return promisifyRequest(store.put(pkg));
+}
+
+export async function getPackage(key) {
+  const store = getStore(STORES.PACKAGES);
+  return promisifyRequest(store.get(key));
+}
+
+export async function getAllPackages() {
+  const store = getStore(STORES.PACKAGES);
+  return promisifyRequest(store.getAll());
+}
+
+export async function deletePackage(key) {
+  const store = getStore(STORES.PACKAGES, "readwrite");
+  return promisifyRequest(store.delete(key));
+}
+
+// =====================
+// History Operations
+// =====================
+
+// snapshot: { id, documentId, content, name, reason: "auto" | "restore", createdAt }
+// Saving one without an id adds it and resolves to the new id
+export async function saveSnapshot(snapshot) {
+  const store = getStore(STORES.HISTORY, "readwrite");
+  const id = await promisifyRequest(store.put(snapshot));
+  notifyChange(STORES.HISTORY, snapshot);
+  return id;
+}
+
+// A document's snapshots, newest first
+export async function getSnapshots(documentId) {
+  const store = getStore(STORES.HISTORY);
+  const snapshots = await promisifyRequest(store.index("documentId").getAll(documentId));
+  return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function deleteSnapshot(id) {
+  const store = getStore(STORES.HISTORY, "readwrite");
+  const snapshot = await promisifyRequest(store.get(id));
+  if (!snapshot) return;
+  await promisifyRequest(store.delete(id));
+  notifyChange(STORES.HISTORY, snapshot);
+}
+
+async function deleteSnapshots(documentId) {
+  const keys = await promisifyRequest(getStore(STORES.HISTORY).index("documentId").getAllKeys(documentId));
+  for (const key of keys) {
+    await deleteSnapshot(key);
+  }
+}
+
+// =====================
+// Comment Operations
+// =====================
+
+// thread: { id, documentId, start, end, quote, resolved, comments: [{ id, author, body, createdAt }],
+// createdAt, updatedAt }; start and end are offsets into the document's text
+export async function saveCommentThread(thread) {
+  const store = getStore(STORES.COMMENTS, "readwrite");
+  await promisifyRequest(store.put(thread));
+  notifyChange(STORES.COMMENTS, thread);
+}
+
+// A document's threads, oldest first
+export async function getCommentThreads(documentId) {
+  const store = getStore(STORES.COMMENTS);
+  const threads = await promisifyRequest(store.index("documentId").getAll(documentId));
+  return threads.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function deleteCommentThread(id) {
+  const store = getStore(STORES.COMMENTS, "readwrite");
+  await promisifyRequest(store.delete(id));
+  notifyChange(STORES.COMMENTS, { id });
+}
+
+async function deleteCommentThreads(documentId) {
+  const keys = await promisifyRequest(getStore(STORES.COMMENTS).index("documentId").getAllKeys(documentId));
+  for (const key of keys) {
+    await deleteCommentThread(key);
+  }
+}
+
+// =====================
+// Suggestion Operations
+// =====================
+
+// record: { documentId, base, suggestions, updatedAt }; the suggestions (see
+// suggestions.js) are pending edits to `base`, the document's text when they were saved
+export async function saveSuggestions(record) {
+  const stored = { ...record, updatedAt: Date.now() };
+  const store = getStore(STORES.SUGGESTIONS, "readwrite");
+  await promisifyRequest(store.put(stored));
+  notifyChange(STORES.SUGGESTIONS, stored);
+}
+
+export async function getSuggestions(documentId) {
+  const store = getStore(STORES.SUGGESTIONS);
+  return (await promisifyRequest(store.get(documentId))) || null;
+}
+
+export async function deleteSuggestions(documentId) {
+  const store = getStore(STORES.SUGGESTIONS, "readwrite");
+  if (!(await promisifyRequest(store.getKey(documentId)))) return;
+  await promisifyRequest(store.delete(documentId));
+  notifyChange(STORES.SUGGESTIONS, { documentId });
+}
+
 // =====================
 // Preferences Operations
 // =====================
 
 export async function setPreference(key, value) {
   const store = getStore(STORES.PREFERENCES, "readwrite");
-  return promisifyRequest(store.put({ key, value }));
+  await promisifyRequest(store.put({ key, value }));
+  notifyChange(STORES.PREFERENCES, { key });
 }
 
 export async function getPreference(key, defaultValue = null) {
@@ -188,6 +881,23 @@ export async function getAllPreferences() {
 // Utility Functions
 // =====================
 
+export function generateDocumentId() {
+  return 'doc-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+export function generateProjectId() {
+  return 'project-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+// The `type` stored with a file
+export function getFileType(filename) {
+  const ext = filename.split(".").pop().toLowerCase();
+  if (["png", "jpg", "jpeg", "gif", "svg", "webp"].includes(ext)) return "image";
+  if (["ttf", "otf", "woff", "woff2"].includes(ext)) return "font";
+  if (["bib", "yml", "yaml"].includes(ext)) return "bibliography";
+  return "other";
+}
+
 function getMimeType(filename) {
   const ext = filename.split(".").pop().toLowerCase();
   const mimeTypes = {
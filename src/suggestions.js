@@ -0,0 +1,203 @@
+// Suggestions Module for Typst Web Editor
+// Edits proposed rather than made. A document with suggestions keeps its
+// original text (what is saved) plus a list of suggestions, each replacing a
+// range of the original: { id, start, end, text, author, createdAt }. An empty
+// range is an insertion and an empty text a deletion. Suggestions are kept in
+// order and never overlap.
+//
+// The editor shows the suggested text: the original with every suggestion
+// applied. Edits come in as changes to that text ({ index, deleteCount, text },
+// see crdt.js) and are either recorded as suggestions or made to the original.
+// A state is { original, suggestions }; functions return a new one.
+
+import { diffText } from "./crdt.js";
+
+function generateId() {
+  return `suggestion-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+}
+
+export function applySuggestions({ original, suggestions }) {
+  let text = "";
+  let position = 0;
+  for (const suggestion of suggestions) {
+    text += original.slice(position, suggestion.start) + suggestion.text;
+    position = suggestion.end;
+  }
+  return text + original.slice(position);
+}
+
+// Suggestions with where their text is in the suggested text: [from, to)
+export function locateSuggestions(suggestions) {
+  let shift = 0;
+  return suggestions.map(suggestion => {
+    const from = suggestion.start + shift;
+    shift += suggestion.text.length - (suggestion.end - suggestion.start);
+    return { ...suggestion, from, to: from + suggestion.text.length };
+  });
+}
+
+// Offset in the original of a position in the suggested text that isn't inside a suggestion
+function toOriginal(located, position) {
+  let shift = 0;
+  for (const suggestion of located) {
+    if (suggestion.to > position) break;
+    shift = suggestion.to - suggestion.end;
+  }
+  return position - shift;
+}
+
+// Drop what a suggestion leaves as it was; null when that is all of it
+function trimSuggestion(suggestion, original) {
+  const removed = original.slice(suggestion.start, suggestion.end);
+  const { text } = suggestion;
+  let prefix = 0;
+  while (prefix < removed.length && prefix < text.length && removed[prefix] === text[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < removed.length - prefix && suffix < text.length - prefix &&
+    removed[removed.length - 1 - suffix] === text[text.length - 1 - suffix]
+  ) suffix++;
+
+  if (prefix === removed.length && prefix === text.length) return null;
+  return {
+    ...suggestion,
+    start: suggestion.start + prefix,
+    end: suggestion.end - suffix,
+    text: text.slice(prefix, text.length - suffix),
+  };
+}
+
+function withoutLocation({ from, to, ...suggestion }) {
+  return suggestion;
+}
+
+// Record an edit of the suggested text as a suggestion. Suggestions it touches
+// merge with it, so typing on after a suggestion extends it and undoing an
+// edit takes its suggestion away again
+export function suggestEdit(state, change, author) {
+  const { original } = state;
+  const located = locateSuggestions(state.suggestions);
+  const editStart = change.index;
+  const editEnd = change.index + change.deleteCount;
+
+  const touched = located.filter(s => s.from <= editEnd && s.to >= editStart);
+  const first = touched[0];
+  const last = touched[touched.length - 1];
+  const from = first ? Math.min(editStart, first.from) : editStart;
+  const start = first && first.from <= editStart ? first.start : toOriginal(located, editStart);
+  const end = last && last.to >= editEnd ? last.end : toOriginal(located, editEnd);
+
+  // The suggested text of original[start, end), then the edit made to it
+  let region = "";
+  let position = start;
+  for (const suggestion of touched) {
+    region += original.slice(position, suggestion.start) + suggestion.text;
+    position = suggestion.end;
+  }
+  region += original.slice(position, end);
+  const text = region.slice(0, editStart - from) + change.text + region.slice(editEnd - from);
+
+  const merged = trimSuggestion({
+    id: first?.id || generateId(),
+    start,
+    end,
+    text,
+    author,
+    createdAt: first?.createdAt || Date.now(),
+  }, original);
+
+  // The others are all before the edit or all after it
+  const before = located.filter(s => s.to < editStart).map(withoutLocation);
+  const after = located.filter(s => s.from > editEnd).map(withoutLocation);
+  return { original, suggestions: merged ? [...before, merged, ...after] : [...before, ...after] };
+}
+
+// Make an edit of the suggested text to the original. Inside a suggested
+// insertion it edits the suggestion; across suggestions it takes them first
+export function editDirectly(state, change) {
+  const editStart = change.index;
+  const editEnd = change.index + change.deleteCount;
+  const touched = locateSuggestions(state.suggestions).filter(s => s.from < editEnd && s.to > editStart);
+
+  if (touched.length === 1 && touched[0].from <= editStart && editEnd <= touched[0].to) {
+    const suggestion = touched[0];
+    const text = suggestion.text.slice(0, editStart - suggestion.from) + change.text + suggestion.text.slice(editEnd - suggestion.from);
+    const edited = trimSuggestion({ ...withoutLocation(suggestion), text }, state.original);
+    return {
+      original: state.original,
+      suggestions: state.suggestions.flatMap(s => s.id !== suggestion.id ? [s] : edited ? [edited] : []),
+    };
+  }
+
+  let accepted = state;
+  for (const suggestion of touched) {
+    accepted = acceptSuggestion(accepted, suggestion.id);
+  }
+
+  // No suggestion is left inside the edited range (a deletion at its end comes after it)
+  const located = locateSuggestions(accepted.suggestions);
+  const start = toOriginal(located, editStart);
+  const end = start + change.deleteCount;
+  const shift = change.text.length - change.deleteCount;
+  return {
+    original: accepted.original.slice(0, start) + change.text + accepted.original.slice(end),
+    suggestions: located.map(s => {
+      const suggestion = withoutLocation(s);
+      return s.to <= editStart ? suggestion : { ...suggestion, start: s.start + shift, end: s.end + shift };
+    }),
+  };
+}
+
+// Make a suggestion part of the original. The suggested text stays the same
+export function acceptSuggestion(state, id) {
+  const index = state.suggestions.findIndex(s => s.id === id);
+  if (index === -1) return state;
+  const suggestion = state.suggestions[index];
+  const shift = suggestion.text.length - (suggestion.end - suggestion.start);
+  return {
+    original: state.original.slice(0, suggestion.start) + suggestion.text + state.original.slice(suggestion.end),
+    suggestions: state.suggestions.flatMap((s, i) => {
+      if (i < index) return [s];
+      if (i === index) return [];
+      return [{ ...s, start: s.start + shift, end: s.end + shift }];
+    }),
+  };
+}
+
+export function acceptAllSuggestions(state) {
+  return { original: applySuggestions(state), suggestions: [] };
+}
+
+// Drop a suggestion. Returns the new state and the change that puts the
+// original text back in the suggested text (null when there was nothing to drop)
+export function rejectSuggestion(state, id) {
+  const suggestion = locateSuggestions(state.suggestions).find(s => s.id === id);
+  if (!suggestion) return { state, change: null };
+  return {
+    state: { original: state.original, suggestions: state.suggestions.filter(s => s.id !== id) },
+    change: {
+      index: suggestion.from,
+      deleteCount: suggestion.text.length,
+      text: state.original.slice(suggestion.start, suggestion.end),
+    },
+  };
+}
+
+// Carry suggestions over to a changed original (a save from elsewhere).
+// Suggestions on text that changed are dropped; `dropped` counts them
+export function rebaseSuggestions(state, original) {
+  const change = diffText(state.original, original);
+  if (!change) return { state: { original, suggestions: state.suggestions }, dropped: 0 };
+
+  const changeEnd = change.index + change.deleteCount;
+  const shift = change.text.length - change.deleteCount;
+  const suggestions = [];
+  for (const suggestion of state.suggestions) {
+    if (suggestion.end <= change.index) {
+      suggestions.push(suggestion);
+    } else if (suggestion.start >= changeEnd) {
+      suggestions.push({ ...suggestion, start: suggestion.start + shift, end: suggestion.end + shift });
+    }
+  }
+  return { state: { original, suggestions }, dropped: state.suggestions.length - suggestions.length };
+}
@@ -0,0 +1,118 @@
+// Source Sync Module for Typst Web Editor
+// Maps positions between the Typst source and the rendered preview by matching words.
+//
+// typst.ts does have a span API (RenderSession.getSourceLoc, which wraps the
+// renderer's source_span), but it can't be used
+// here. It returns typst's span ids, which are numbers in a file's syntax tree
+// rather than offsets. Turning one into a file and range needs the compiler's
+// parsed sources, and typst-ts-web-compiler has no call for that. The ids are
+// also only in vector artifacts compiled with debug info through its
+// incremental server, and never in the PDF the canvas preview shows.
+//
+// So a word is found by the words around it, across all of the project's
+// sources. Where that leaves several places alike (table cells, a heading
+// repeated in every chapter, text a loop writes out) the match is reported as
+// not unique, and callers say so rather than guess.
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const CONTEXT_WORDS = 4; // Neighbours compared on each side of a word
+
+function wordsOf(text) {
+  return Array.from(text.matchAll(WORD_PATTERN), match => ({ word: match[0], start: match.index }));
+}
+
+function sameWord(a, b) {
+  return a.toLocaleLowerCase() === b.toLocaleLowerCase();
+}
+
+// The word at (or nearest to) a character offset, as { word, start }
+export function wordAt(text, offset) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (offset >= start && offset <= end) {
+      return { word: match[0], start };
+    }
+
+    const distance = offset < start ? start - offset : offset - end;
+    if (distance < nearestDistance) {
+      nearest = { word: match[0], start };
+      nearestDistance = distance;
+    }
+  }
+
+  return nearest;
+}
+
+// Count whole-word occurrences of a word that start before `end`
+export function countOccurrences(text, word, end = text.length) {
+  let count = 0;
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (match.index >= end) break;
+    if (sameWord(match[0], word)) count++;
+  }
+  return count;
+}
+
+// The words before (nearest first) and after the word starting at `start`
+export function contextAt(text, start, radius = CONTEXT_WORDS) {
+  const words = wordsOf(text);
+  const index = words.findIndex(w => w.start === start);
+  if (index === -1) return { before: [], after: [] };
+  return {
+    before: words.slice(Math.max(0, index - radius), index).reverse().map(w => w.word),
+    after: words.slice(index + 1, index + 1 + radius).map(w => w.word),
+  };
+}
+
+// Find a word across a list of texts, as { index, offset, unique }, or null
+// when it isn't there. The occurrence whose neighbours best match `context`
+// (see contextAt) wins; among equally good ones, the one nearest to being the
+// nth (0-based). `unique` is false when that tiebreak was needed, or when none
+// of the neighbours matched anywhere and the word occurs more than once
+export function locateWord(texts, word, context, n = 0) {
+  let best = null;
+  let tied = 0;
+  let seen = 0;
+
+  texts.forEach((text, index) => {
+    const words = wordsOf(text);
+    words.forEach((candidate, i) => {
+      if (!sameWord(candidate.word, word)) return;
+
+      let score = 0;
+      context.before.forEach((w, k) => {
+        if (i - 1 - k >= 0 && sameWord(words[i - 1 - k].word, w)) score++;
+      });
+      context.after.forEach((w, k) => {
+        if (i + 1 + k < words.length && sameWord(words[i + 1 + k].word, w)) score++;
+      });
+      const distance = Math.abs(seen++ - n);
+
+      if (!best || score > best.score) {
+        tied = 0;
+      } else if (score === best.score) {
+        tied++;
+      }
+      if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+        best = { index, offset: candidate.start, score, distance };
+      }
+    });
+  });
+
+  if (!best) return null;
+  const unique = tied === 0 && (best.score > 0 || seen === 1);
+  return { index: best.index, offset: best.offset, unique };
+}
+
+// Blank out line and block comments (keeping offsets intact) so words that
+// never reach the preview don't skew occurrence counts. A "//" only starts a
+// comment at the beginning of a line or after whitespace, which keeps URLs intact
+export function maskComments(source) {
+  return source
+    .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, " "))
+    .replace(/(^|\s)\/\/[^\n]*/g, comment => comment.replace(/\S/g, " "));
+}
@@ -0,0 +1,111 @@
+// Tab Coordination Module for Typst Web Editor
+// Every tab of the editor shares one IndexedDB database. Tabs tell each other
+// over a BroadcastChannel which document they have open and when they save
+// one, so a tab can follow another's edits instead of silently overwriting them.
+//
+// Messages: { type: "hello" | "open" | "saved" | "bye", tabId, documentId?, doc? }
+
+const CHANNEL_NAME = "typst-editor-tabs";
+
+// Tabs re-announce themselves this often, and are forgotten after missing a few (ms)
+const HEARTBEAT_INTERVAL = 10000;
+const PEER_TIMEOUT = 35000;
+
+export const tabId = `tab-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
+
+let channel = null;
+let openDocumentId = null;
+let handlers = {};
+
+// tabId -> { documentId, seenAt }
+const peers = new Map();
+
+// onPeersChange() runs when another tab opens, switches or closes a document;
+// onRemoteSave(doc) when another tab saved a document record
+export function initTabSync({ onPeersChange = null, onRemoteSave = null } = {}) {
+  if (channel || typeof BroadcastChannel === "undefined") return false;
+
+  handlers = { onPeersChange, onRemoteSave };
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = (event) => handleMessage(event.data);
+
+  post({ type: "hello" });
+  announce();
+  setInterval(() => {
+    announce();
+    expirePeers();
+  }, HEARTBEAT_INTERVAL);
+  window.addEventListener("pagehide", () => post({ type: "bye" }));
+  return true;
+}
+
+// Tell the other tabs which document this one shows
+export function setOpenDocument(documentId) {
+  if (documentId === openDocumentId) return;
+  openDocumentId = documentId;
+  announce();
+}
+
+// doc: the stored record ({ id, name, content, projectId, updatedAt, ... })
+export function announceSave(doc) {
+  post({ type: "saved", doc });
+}
+
+// Number of other tabs showing a document
+export function countTabsWith(documentId) {
+  let count = 0;
+  for (const peer of peers.values()) {
+    if (peer.documentId === documentId) count++;
+  }
+  return count;
+}
+
+function post(message) {
+  channel?.postMessage({ ...message, tabId });
+}
+
+function announce() {
+  post({ type: "open", documentId: openDocumentId });
+}
+
+function handleMessage(message) {
+  if (!message || message.tabId === tabId) return;
+
+  switch (message.type) {
+    case "hello":
+      // A new tab: let it know what this one has open
+      setPeer(message.tabId, null);
+      announce();
+      break;
+    case "open":
+      setPeer(message.tabId, message.documentId);
+      break;
+    case "saved":
+      setPeer(message.tabId, peers.get(message.tabId)?.documentId ?? null);
+      handlers.onRemoteSave?.(message.doc);
+      break;
+    case "bye":
+      if (peers.delete(message.tabId)) handlers.onPeersChange?.();
+      break;
+  }
+}
+
+function setPeer(peerId, documentId) {
+  const previous = peers.get(peerId);
+  peers.set(peerId, { documentId, seenAt: Date.now() });
+  if (!previous || previous.documentId !== documentId) {
+    handlers.onPeersChange?.();
+  }
+}
+
+function expirePeers() {
+  const cutoff = Date.now() - PEER_TIMEOUT;
+  let changed = false;
+  for (const [peerId, peer] of peers) {
+    if (peer.seenAt < cutoff) {
+      peers.delete(peerId);
+      changed = true;
+    }
+  }
+  if (changed) handlers.onPeersChange?.();
+}
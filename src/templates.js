@@ -863,7 +863,9 @@ This thesis is organized as follows...
 = Literature Review
 
 == Previous Work
-#lorem(100)
+Literate programming @knuth1984 and document preparation systems such as
+LaTeX @lamport1994 shaped how technical writing is produced today.
+#lorem(80)
 
 == Theoretical Framework
 #lorem(80)
@@ -905,6 +907,26 @@ This thesis is organized as follows...
 #pagebreak()
 #bibliography("references.bib", style: "ieee")
 `,
+    files: {
+      "references.bib": `@article{knuth1984,
+  author  = {Donald E. Knuth},
+  title   = {Literate Programming},
+  journal = {The Computer Journal},
+  volume  = {27},
+  number  = {2},
+  pages   = {97--111},
+  year    = {1984}
+}
+
+@book{lamport1994,
+  author    = {Leslie Lamport},
+  title     = {LaTeX: A Document Preparation System},
+  publisher = {Addison-Wesley},
+  edition   = {2},
+  year      = {1994}
+}
+`,
+    },
   },
 ];
 
@@ -514,6 +514,14 @@ export function updateCustomFonts(fonts) {
   customFontsList = fonts.map(f => f.replace(/\.[^/.]+$/, '')); // Remove extension
 }
 
+// Citation entries from the project's bibliography files (updated dynamically)
+let citationList = [];
+
+// Export function to update citation keys ([{ key, type, author, title, year, file }])
+export function updateCitations(entries) {
+  citationList = entries;
+}
+
 // Register Typst language with Monaco
 export function registerTypstLanguage(monaco) {
   // Register the language
@@ -531,7 +539,7 @@ export function registerTypstLanguage(monaco) {
   
   // Register completion provider
   monaco.languages.registerCompletionItemProvider("typst", {
-    triggerCharacters: ["#", ".", '"', "(", ":", " "],
+    triggerCharacters: ["#", ".", '"', "(", ":", " ", "@", "<"],
     
     provideCompletionItems: (model, position) => {
       const textUntilPosition = model.getValueInRange({
@@ -550,9 +558,27 @@ export function registerTypstLanguage(monaco) {
       };
       
       const suggestions = [];
+      const citationMatch = textUntilPosition.match(/(?:(?:^|[^\w@])@|cite\(\s*<)([\w:.-]*)$/);
+      
+      // After @ or in cite(<...>) - show citation keys from bibliography files
+      if (citationMatch) {
+        // Keys may contain ":" "." and "-", which Monaco doesn't treat as word characters
+        const keyRange = { ...range, startColumn: position.column - citationMatch[1].length, endColumn: position.column };
+        citationList.forEach(entry => {
+          suggestions.push({
+            label: { label: entry.key, description: entry.year },
+            kind: monaco.languages.CompletionItemKind.Reference,
+            insertText: entry.key,
+            filterText: entry.key,
+            detail: [entry.author, entry.title].filter(Boolean).join(" — ") || entry.type,
+            documentation: `${entry.type ? entry.type + " in " : ""}${entry.file}`,
+            range: keyRange,
+          });
+        });
+      }
       
       // After # - show keywords and functions
-      if (textUntilPosition.match(/#\w*$/)) {
+      else if (textUntilPosition.match(/#\w*$/)) {
         // Keywords
         typstCompletions.keywords.forEach(item => {
           suggestions.push({
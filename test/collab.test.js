@@ -0,0 +1,107 @@
+// Live sessions in one process: sessions in the same room find each other over BroadcastChannel
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createSharedText } from "../src/crdt.js";
+
+// Sessions say goodbye on the window's "pagehide"
+globalThis.window ??= new EventTarget();
+
+const { joinSession } = await import("../src/collab.js");
+
+let roomCount = 0;
+const sessions = [];
+
+function join(room, name, conflicts = []) {
+  const session = joinSession({
+    room,
+    user: { name, color: "#000" },
+    onConflict: (path, text) => conflicts.push({ path, text }),
+  });
+  sessions.push(session);
+  return session;
+}
+
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error("Timed out waiting");
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Let every message in flight arrive
+const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+function lowerSeedText(...texts) {
+  return texts.sort((a, b) => (createSharedText("x", a).seed < createSharedText("x", b).seed ? -1 : 1))[0];
+}
+
+afterEach(() => {
+  for (const session of sessions.splice(0)) {
+    session.leave();
+  }
+});
+
+test("copies opened from the same text merge both sides' edits", async () => {
+  const room = `room-${++roomCount}`;
+  const a = join(room, "A");
+  a.openDocument("main.typ", "hello world");
+  a.applyLocalEdit("main.typ", [{ index: 5, deleteCount: 0, text: "," }]);
+  const b = join(room, "B");
+  b.openDocument("main.typ", "hello world");
+  b.applyLocalEdit("main.typ", [{ index: 11, deleteCount: 0, text: "!" }]);
+
+  await waitFor(() => a.getText("main.typ") === b.getText("main.typ"));
+  assert.equal(a.getText("main.typ"), "hello, world!");
+});
+
+test("of two fresh copies from different texts, the one with the lower seed stays", async () => {
+  const room = `room-${++roomCount}`;
+  const conflicts = [];
+  const a = join(room, "A", conflicts);
+  a.openDocument("main.typ", "version one");
+  const b = join(room, "B", conflicts);
+  b.openDocument("main.typ", "version two");
+
+  await waitFor(() => a.getText("main.typ") === b.getText("main.typ"));
+  assert.equal(a.getText("main.typ"), lowerSeedText("version one", "version two"));
+  assert.deepEqual(conflicts, []);
+});
+
+test("an edited copy stays over a fresh one from another text", async () => {
+  const room = `room-${++roomCount}`;
+  const conflicts = [];
+  const a = join(room, "A", conflicts);
+  a.openDocument("main.typ", "old text");
+  const b = join(room, "B", conflicts);
+  b.openDocument("main.typ", "new text");
+  b.applyLocalEdit("main.typ", [{ index: 8, deleteCount: 0, text: " edited" }]);
+
+  await waitFor(() => a.getText("main.typ") === "new text edited");
+  await settle();
+  assert.equal(b.getText("main.typ"), "new text edited");
+  assert.deepEqual(conflicts, []);
+});
+
+test("of two edited copies from different texts, the lower seed stays and the other reports its text", async () => {
+  const room = `room-${++roomCount}`;
+  const conflicts = [];
+  const a = join(room, "A", conflicts);
+  a.openDocument("main.typ", "first");
+  a.applyLocalEdit("main.typ", [{ index: 5, deleteCount: 0, text: " A" }]);
+  const b = join(room, "B", conflicts);
+  b.openDocument("main.typ", "second");
+  b.applyLocalEdit("main.typ", [{ index: 6, deleteCount: 0, text: " B" }]);
+
+  await waitFor(() => a.getText("main.typ") === b.getText("main.typ"));
+  await settle();
+  const winner = lowerSeedText("first", "second") === "first" ? "first A" : "second B";
+  const loser = winner === "first A" ? "second B" : "first A";
+  assert.equal(a.getText("main.typ"), winner);
+  assert.deepEqual(conflicts, [{ path: "main.typ", text: loser }]);
+
+  // The copy that gave way took on the winner's seed: later edits merge normally
+  (winner === "first A" ? b : a).applyLocalEdit("main.typ", [{ index: 0, deleteCount: 0, text: "> " }]);
+  await waitFor(() => a.getText("main.typ") === `> ${winner}` && b.getText("main.typ") === `> ${winner}`);
+  assert.equal(conflicts.length, 1);
+});
@@ -0,0 +1,119 @@
+// Shared text: replicas that see the same operations, in any order, end up with the same text
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSharedText, diffText } from "../src/crdt.js";
+
+// Deliver `ops` to `replica` and return the text changes it reported
+function deliver(replica, ops) {
+  return ops.flatMap(op => replica.apply(op));
+}
+
+// Small seeded generator so a failing fuzz run can be replayed
+function random(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 2 ** 32;
+  };
+}
+
+test("concurrent inserts after the same character come out in the same order everywhere", () => {
+  const a = createSharedText("a", "ab");
+  const b = createSharedText("b", "ab");
+  const fromA = a.insert(1, "X");
+  const fromB = b.insert(1, "Y");
+
+  deliver(a, [fromB]);
+  deliver(b, [fromA]);
+
+  // Same clock: the higher client id comes first
+  assert.equal(a.getText(), "aYXb");
+  assert.equal(b.getText(), "aYXb");
+});
+
+test("a run typed in one go arrives as one change", () => {
+  const a = createSharedText("a", "ab");
+  const b = createSharedText("b", "ab");
+  const changes = deliver(b, [a.insert(1, "XYZ")]);
+
+  assert.deepEqual(changes, [{ index: 1, deleteCount: 0, text: "XYZ" }]);
+  assert.equal(b.getText(), "aXYZb");
+});
+
+test("an insert arriving before the one it was typed after waits for it", () => {
+  const a = createSharedText("a", "");
+  const b = createSharedText("b", "");
+  const first = a.insert(0, "1");
+  const second = a.insert(1, "2");
+
+  assert.deepEqual(b.apply(second), []);
+  assert.equal(b.getText(), "");
+  deliver(b, [first]);
+  assert.equal(b.getText(), "12");
+});
+
+test("a delete arriving before the insert it removes waits for it", () => {
+  const a = createSharedText("a", "ab");
+  const b = createSharedText("b", "ab");
+  const insert = a.insert(1, "X");
+  const remove = a.delete(1, 1);
+
+  assert.deepEqual(b.apply(remove), []);
+  deliver(b, [insert]);
+  assert.equal(b.getText(), "ab");
+  assert.equal(a.getText(), "ab");
+});
+
+test("states of copies seeded with the same text merge without doubling it", () => {
+  const a = createSharedText("a", "hello world");
+  const b = createSharedText("b", "hello world");
+  assert.equal(a.seed, b.seed);
+  a.insert(5, ",");
+  b.delete(6, 5);
+  b.insert(6, "there");
+
+  const changes = a.applyState(b.getState());
+  b.applyState(a.getState());
+
+  assert.equal(a.getText(), "hello, there");
+  assert.equal(b.getText(), "hello, there");
+  assert.deepEqual(changes, [diffText("hello, world", "hello, there")]);
+});
+
+test("three replicas converge whatever order the operations arrive in", () => {
+  const next = random(7);
+  const pick = (list) => list[Math.floor(next() * list.length)];
+
+  for (let round = 0; round < 50; round++) {
+    const replicas = ["a", "b", "c"].map(client => createSharedText(client, "seed text"));
+    const inboxes = replicas.map(() => []);
+
+    for (let step = 0; step < 40; step++) {
+      const from = Math.floor(next() * replicas.length);
+      const replica = replicas[from];
+      const length = replica.getText().length;
+      const op = length > 0 && next() < 0.3
+        ? replica.delete(Math.floor(next() * length), 1 + Math.floor(next() * 3))
+        : replica.insert(Math.floor(next() * (length + 1)), pick(["x", "yz", "hello "]));
+      inboxes.forEach((inbox, i) => {
+        if (i !== from) inbox.push(op);
+      });
+
+      // Now and then a replica takes some of its messages, in any order
+      const to = Math.floor(next() * replicas.length);
+      while (inboxes[to].length > 0 && next() < 0.5) {
+        const [op] = inboxes[to].splice(Math.floor(next() * inboxes[to].length), 1);
+        replicas[to].apply(op);
+      }
+    }
+
+    inboxes.forEach((inbox, i) => {
+      while (inbox.length > 0) {
+        replicas[i].apply(inbox.splice(Math.floor(next() * inbox.length), 1)[0]);
+      }
+    });
+    const [first, ...rest] = replicas.map(replica => replica.getText());
+    for (const text of rest) {
+      assert.equal(text, first, `round ${round}`);
+    }
+  }
+});
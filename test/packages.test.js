@@ -0,0 +1,164 @@
+// Package resolution against a local mirror directory served as the registry
+import "fake-indexeddb/auto";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtemp, mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { gzipSync } from "node:zlib";
+import { initStorage, getPackage } from "../src/storage.js";
+import { loadPackage, untar, getPackageDependencies, findPackageImports, getPackageUrl } from "../src/packages.js";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// One tar entry: a 512-byte header and its data padded to whole blocks
+function tarEntry(name, content = "", { type = "0", prefix = "" } = {}) {
+  const data = encoder.encode(content);
+  const header = new Uint8Array(512);
+  header.set(encoder.encode(name), 0);
+  header.set(encoder.encode("0000644\0"), 100);
+  header.set(encoder.encode(data.length.toString(8).padStart(11, "0") + "\0"), 124);
+  header[156] = type.charCodeAt(0);
+  header.set(encoder.encode("ustar\0" + "00"), 257);
+  header.set(encoder.encode(prefix), 345);
+
+  const padded = new Uint8Array(Math.ceil(data.length / 512) * 512);
+  padded.set(data);
+  return [header, padded];
+}
+
+function tar(entries) {
+  const blocks = [...entries.flat(), new Uint8Array(1024)];
+  const bytes = new Uint8Array(blocks.reduce((sum, block) => sum + block.length, 0));
+  let offset = 0;
+  for (const block of blocks) {
+    bytes.set(block, offset);
+    offset += block.length;
+  }
+  return bytes;
+}
+
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = body.length + 1;
+  while (String(length).length + body.length !== length) length++;
+  return `${length}${body}`;
+}
+
+function fileText(files, path) {
+  const file = files.find(f => f.path === path);
+  return file && decoder.decode(file.data);
+}
+
+let mirror;
+let server;
+let registry;
+const requests = [];
+
+before(async () => {
+  await initStorage();
+
+  // A mirror laid out like packages.typst.org: <namespace>/<name>-<version>.tar.gz
+  mirror = await mkdtemp(join(tmpdir(), "typst-mirror-"));
+  await mkdir(join(mirror, "preview"));
+  await writeFile(join(mirror, "preview", "demo-0.1.0.tar.gz"), gzipSync(tar([
+    tarEntry("typst.toml", '[package]\nname = "demo"\nversion = "0.1.0"\nentrypoint = "lib.typ"\n'),
+    tarEntry("lib.typ", '#import "@preview/helper:1.0.0": greet\n#let hello = greet("demo")\n'),
+    tarEntry("src/", "", { type: "5" }),
+    tarEntry("src/util.typ", "#let twice(x) = x * 2\n"),
+  ])));
+
+  server = createServer(async (request, response) => {
+    requests.push(request.url);
+    try {
+      const data = await readFile(join(mirror, decodeURIComponent(new URL(request.url, "http://localhost").pathname)));
+      response.writeHead(200, { "Content-Type": "application/gzip" });
+      response.end(data);
+    } catch {
+      response.writeHead(404);
+      response.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  registry = `http://127.0.0.1:${server.address().port}/`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(mirror, { recursive: true, force: true });
+});
+
+test("untar reads regular files and skips the rest", () => {
+  const files = untar(tar([
+    tarEntry("./main.typ", "= Hello"),
+    tarEntry("assets/", "", { type: "5" }),
+    tarEntry("logo.svg", "<svg/>", { prefix: "assets" }),
+    tarEntry("link", "", { type: "2" }),
+    tarEntry("../outside.typ", "nope"),
+  ]));
+
+  assert.deepEqual(files.map(f => f.path), ["main.typ", "assets/logo.svg"]);
+  assert.equal(fileText(files, "main.typ"), "= Hello");
+  assert.equal(fileText(files, "assets/logo.svg"), "<svg/>");
+});
+
+test("untar takes long names from pax and GNU headers", () => {
+  const longPath = `${"deep/".repeat(30)}file.typ`;
+  const files = untar(tar([
+    tarEntry("PaxHeader", paxRecord("path", longPath), { type: "x" }),
+    tarEntry("truncated", "pax"),
+    tarEntry("././@LongLink", "gnu/long-name.typ", { type: "L" }),
+    tarEntry("gnu/long-na", "gnu"),
+  ]));
+
+  assert.equal(fileText(files, longPath), "pax");
+  assert.equal(fileText(files, "gnu/long-name.typ"), "gnu");
+});
+
+test("a mirror directory works as the registry", async () => {
+  const spec = { namespace: "preview", name: "demo", version: "0.1.0" };
+  assert.equal(getPackageUrl(registry, spec), `${registry}preview/demo-0.1.0.tar.gz`);
+
+  const downloads = [];
+  const pkg = await loadPackage(registry, spec, s => downloads.push(s));
+
+  assert.equal(downloads.length, 1);
+  assert.equal(pkg.key, "preview/demo/0.1.0");
+  assert.deepEqual(pkg.files.map(f => f.path).sort(), ["lib.typ", "src/util.typ", "typst.toml"]);
+  assert.equal(fileText(pkg.files, "src/util.typ"), "#let twice(x) = x * 2\n");
+  assert.deepEqual(getPackageDependencies(pkg.files), [{ namespace: "preview", name: "helper", version: "1.0.0" }]);
+});
+
+test("a cached package loads without the registry", async () => {
+  const spec = { namespace: "preview", name: "demo", version: "0.1.0" };
+  const cached = await getPackage("preview/demo/0.1.0");
+  assert.ok(cached, "the package was cached");
+
+  const before = requests.length;
+  const pkg = await loadPackage("http://127.0.0.1:1/offline", spec, () => assert.fail("went to the network"));
+  assert.equal(requests.length, before);
+  assert.equal(fileText(pkg.files, "lib.typ"), fileText(cached.files, "lib.typ"));
+});
+
+test("a package the mirror doesn't have is reported as not found", async () => {
+  await assert.rejects(
+    loadPackage(registry, { namespace: "preview", name: "missing", version: "9.9.9" }),
+    /Package @preview\/missing:9\.9\.9 not found/
+  );
+});
+
+test("imports are found in string literals only", () => {
+  const specs = findPackageImports([
+    '#import "@preview/cetz:0.2.2": canvas',
+    '#import "@preview/cetz:0.2.2"',
+    "// @preview/unquoted:1.0.0",
+    '#include "@local/mine:0.0.1"',
+  ].join("\n"));
+
+  assert.deepEqual(specs, [
+    { namespace: "preview", name: "cetz", version: "0.2.2" },
+    { namespace: "local", name: "mine", version: "0.0.1" },
+  ]);
+});
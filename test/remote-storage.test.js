@@ -0,0 +1,200 @@
+// The HTTP adapter and the sync queue against scripts/mock-storage-server.js
+import "fake-indexeddb/auto";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { createServer } from "node:net";
+import { fileURLToPath } from "node:url";
+import { initStorage, saveDocument, getDocument, getSyncStates, getSnapshots, saveFile, saveSnapshot, indexedDBAdapter } from "../src/storage.js";
+
+// Sync remembers its server in localStorage and listens for "online" on window
+globalThis.window ??= new EventTarget();
+globalThis.localStorage ??= (() => {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+})();
+
+const { createHttpAdapter, startRemoteSync, stopRemoteSync, syncRemoteNow, getRemoteStatus } =
+  await import("../src/remote-storage.js");
+
+const serverScript = fileURLToPath(new URL("../scripts/mock-storage-server.js", import.meta.url));
+const servers = new Set();
+
+async function startServer(port = 0, args = []) {
+  const child = spawn(process.execPath, [serverScript, "--port", String(port), ...args], {
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  servers.add(child);
+  child.stdout.setEncoding("utf-8");
+
+  let output = "";
+  for await (const chunk of child.stdout) {
+    output += chunk;
+    const match = output.match(/localhost:(\d+)/);
+    if (match) return { child, url: `http://127.0.0.1:${match[1]}` };
+  }
+  throw new Error(`Mock server exited: ${output}`);
+}
+
+async function stopServer(child) {
+  servers.delete(child);
+  if (child.exitCode !== null) return;
+  child.kill();
+  await once(child, "exit");
+}
+
+// A port nothing listens on, for a server that is down
+async function freePort() {
+  const probe = createServer();
+  await new Promise(resolve => probe.listen(0, "127.0.0.1", resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!(await condition())) {
+    if (Date.now() - start > timeout) throw new Error("Timed out waiting");
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+async function pendingKeys() {
+  return (await getSyncStates()).filter(state => state.pending).map(state => `${state.collection}/${state.key}`);
+}
+
+let server;
+
+before(async () => {
+  await initStorage();
+  server = await startServer();
+});
+
+after(async () => {
+  stopRemoteSync();
+  for (const child of servers) {
+    await stopServer(child);
+  }
+});
+
+test("put creates a record once and then needs its current etag", async () => {
+  const adapter = createHttpAdapter(server.url);
+  const etag = await adapter.put("documents", "etag-doc", { id: "etag-doc", content: "one" });
+  assert.ok(etag);
+
+  await assert.rejects(adapter.put("documents", "etag-doc", { id: "etag-doc", content: "again" }),
+    { name: "PreconditionFailedError" });
+
+  const next = await adapter.put("documents", "etag-doc", { id: "etag-doc", content: "two" }, etag);
+  assert.notEqual(next, etag);
+  await assert.rejects(adapter.put("documents", "etag-doc", { id: "etag-doc", content: "stale" }, etag),
+    { name: "PreconditionFailedError" });
+
+  const stored = await adapter.get("documents", "etag-doc");
+  assert.deepEqual(stored, { record: { id: "etag-doc", content: "two" }, etag: next });
+});
+
+test("delete needs the current etag", async () => {
+  const adapter = createHttpAdapter(server.url);
+  const etag = await adapter.put("documents", "delete-doc", { id: "delete-doc", content: "" });
+  const next = await adapter.put("documents", "delete-doc", { id: "delete-doc", content: "changed" }, etag);
+
+  await assert.rejects(adapter.delete("documents", "delete-doc", etag), { name: "PreconditionFailedError" });
+  await adapter.delete("documents", "delete-doc", next);
+  assert.equal(await adapter.get("documents", "delete-doc"), null);
+  assert.ok(!(await adapter.list("documents")).some(item => item.key === "delete-doc"));
+});
+
+test("binary fields and keys with slashes survive the round trip", async () => {
+  const adapter = createHttpAdapter(server.url);
+  const key = "project-1/images/logo.png";
+  const data = new Uint8Array([0, 1, 2, 253, 254, 255]);
+  const etag = await adapter.put("files", key, { projectId: "project-1", path: "images/logo.png", data });
+
+  const { record } = await adapter.get("files", key);
+  assert.ok(record.data instanceof Uint8Array);
+  assert.deepEqual(Array.from(record.data), Array.from(data));
+  assert.deepEqual(await adapter.list("files"), [{ key, etag }]);
+});
+
+test("a server that isn't running is reported as offline", async () => {
+  const adapter = createHttpAdapter(`http://127.0.0.1:${await freePort()}`);
+  await assert.rejects(adapter.list("documents"), { name: "OfflineError" });
+});
+
+test("a token the server doesn't accept is an error, not offline", async () => {
+  const guarded = await startServer(0, ["--token", "secret"]);
+  try {
+    await assert.rejects(createHttpAdapter(guarded.url, { token: "wrong" }).list("documents"), (error) => {
+      assert.notEqual(error.name, "OfflineError");
+      assert.equal(error.status, 401);
+      return true;
+    });
+    assert.deepEqual(await createHttpAdapter(guarded.url, { token: "secret" }).list("documents"), []);
+  } finally {
+    await stopServer(guarded.child);
+  }
+});
+
+test("changes made offline are queued and sent once the server is back", async () => {
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+
+  await startRemoteSync({ url });
+  assert.equal(getRemoteStatus().state, "offline");
+
+  await saveDocument("offline-doc", "written offline", "main.typ");
+  await waitFor(async () => (await pendingKeys()).includes("documents/offline-doc"));
+  await syncRemoteNow();
+  assert.equal(getRemoteStatus().state, "offline");
+  assert.deepEqual(await pendingKeys(), ["documents/offline-doc"]);
+
+  const back = await startServer(port);
+  await syncRemoteNow();
+  assert.equal(getRemoteStatus().state, "synced");
+  assert.equal(getRemoteStatus().pending, 0);
+
+  const { record } = await createHttpAdapter(url).get("documents", "offline-doc");
+  assert.equal(record.content, "written offline");
+
+  stopRemoteSync();
+  await stopServer(back.child);
+});
+
+test("a change the server moved past keeps the server's copy and snapshots the local text", async () => {
+  await startRemoteSync({ url: server.url });
+  await saveDocument("conflict-doc", "first", "main.typ");
+  await waitFor(async () => (await pendingKeys()).includes("documents/conflict-doc"));
+  await syncRemoteNow();
+
+  // Another device changes the document, then this one does without pulling first
+  const adapter = createHttpAdapter(server.url);
+  const { record, etag } = await adapter.get("documents", "conflict-doc");
+  await adapter.put("documents", "conflict-doc", { ...record, content: "from elsewhere" }, etag);
+  await saveDocument("conflict-doc", "from here", "main.typ");
+  await waitFor(async () => (await pendingKeys()).includes("documents/conflict-doc"));
+  await syncRemoteNow();
+
+  assert.equal((await getDocument("conflict-doc")).content, "from elsewhere");
+  const snapshots = await getSnapshots("conflict-doc");
+  assert.ok(snapshots.some(snapshot => snapshot.reason === "conflict" && snapshot.content === "from here"));
+
+  stopRemoteSync();
+});
+
+test("the local adapter lists sync keys from keys alone", async () => {
+  await saveFile("images/list.png", new Uint8Array([1]), "image", "list-project");
+  await saveSnapshot({ documentId: "list-doc", content: "old", name: "", reason: "auto", createdAt: 1234 });
+
+  const fileKeys = (await indexedDBAdapter.list("files")).map(item => item.key);
+  const historyKeys = (await indexedDBAdapter.list("history")).map(item => item.key);
+  assert.ok(fileKeys.includes("list-project/images/list.png"));
+  assert.ok(historyKeys.includes("list-doc/1234"));
+  assert.ok((await indexedDBAdapter.get("history", "list-doc/1234")).record.content === "old");
+});
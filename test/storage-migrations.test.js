@@ -0,0 +1,194 @@
+// Schema migrations: open a database at an old version, fill it, upgrade it and
+// check what the migrations made of the data
+import "fake-indexeddb/auto";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { openDatabase, readDatabaseBackup, attachStorage, GLOBAL_FILES } from "../src/storage.js";
+
+let databaseCount = 0;
+
+function scratchName() {
+  return `migration-test-${++databaseCount}`;
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function putAll(database, storeName, records) {
+  const transaction = database.transaction(storeName, "readwrite");
+  for (const record of records) {
+    transaction.objectStore(storeName).put(record);
+  }
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function getAll(database, storeName) {
+  return request(database.transaction(storeName).objectStore(storeName).getAll());
+}
+
+test("a new database gets every store", async () => {
+  const database = await openDatabase(scratchName());
+  assert.deepEqual(Array.from(database.objectStoreNames).sort(), [
+    "comments", "documents", "files", "history", "packages", "preferences", "projects", "suggestions", "syncState",
+  ]);
+  database.close();
+});
+
+test("version 2 turns every document into a single-file project", async () => {
+  const name = scratchName();
+  const v1 = await openDatabase(name, 1);
+  await putAll(v1, "documents", [
+    { id: "doc-a", name: "thesis.typ", content: "= Thesis", createdAt: 1, updatedAt: 2 },
+    { id: "doc-b", content: "unnamed" },
+  ]);
+  v1.close();
+
+  const v2 = await openDatabase(name, 2);
+  const projects = await getAll(v2, "projects");
+  const docs = await getAll(v2, "documents");
+  v2.close();
+
+  assert.deepEqual(projects.map(({ id, name, mainFile, createdAt }) => ({ id, name, mainFile, createdAt })), [
+    { id: "project-doc-a", name: "thesis", mainFile: "thesis.typ", createdAt: 1 },
+    { id: "project-doc-b", name: "main", mainFile: "main.typ", createdAt: projects[1].createdAt },
+  ]);
+  assert.deepEqual(docs.map(({ id, name, projectId, content }) => ({ id, name, projectId, content })), [
+    { id: "doc-a", name: "thesis.typ", projectId: "project-doc-a", content: "= Thesis" },
+    { id: "doc-b", name: "main.typ", projectId: "project-doc-b", content: "unnamed" },
+  ]);
+});
+
+test("version 4 moves files from documents to projects", async () => {
+  const name = scratchName();
+  const v1 = await openDatabase(name, 1);
+  await putAll(v1, "documents", [
+    { id: "doc-a", name: "a.typ", content: "" },
+    { id: "doc-b", name: "b.typ", content: "" },
+  ]);
+  await putAll(v1, "files", [
+    { path: "logo.png", type: "image", documentId: "doc-a", data: new Uint8Array([1]) },
+    { path: "Inter.ttf", type: "font", documentId: GLOBAL_FILES, data: new Uint8Array([2]) },
+    { path: "shared.svg", type: "image", documentId: "default", data: new Uint8Array([3]) },
+  ]);
+  v1.close();
+
+  // Straight from 1 to 4: the upgrade runs 2, 3 and 4 in one go
+  const v4 = await openDatabase(name, 4);
+  const files = await getAll(v4, "files");
+  const byKey = await request(v4.transaction("files").objectStore("files").get(["project-doc-a", "logo.png"]));
+  v4.close();
+
+  assert.deepEqual(files.map(({ projectId, path }) => [projectId, path]), [
+    [GLOBAL_FILES, "Inter.ttf"],
+    ["project-doc-a", "logo.png"],
+    ["project-doc-a", "shared.svg"],
+    ["project-doc-b", "shared.svg"],
+  ]);
+  assert.equal(byKey.data[0], 1);
+  assert.ok(files.every(file => !("documentId" in file)));
+});
+
+test("upgrading keeps the data of earlier versions", async () => {
+  const name = scratchName();
+  const v4 = await openDatabase(name, 4);
+  await putAll(v4, "projects", [{ id: "p", name: "Paper", mainFile: "main.typ" }]);
+  await putAll(v4, "documents", [{ id: "d", name: "main.typ", content: "Hi", projectId: "p" }]);
+  v4.close();
+
+  const latest = await openDatabase(name);
+  assert.deepEqual((await getAll(latest, "documents")).map(doc => doc.content), ["Hi"]);
+  assert.deepEqual((await getAll(latest, "projects")).map(project => project.name), ["Paper"]);
+  assert.ok(latest.objectStoreNames.contains("suggestions"));
+  latest.close();
+});
+
+test("version 9 indexes the files already stored by project and date", async () => {
+  const name = scratchName();
+  const v8 = await openDatabase(name, 8);
+  await putAll(v8, "files", [
+    { projectId: "p", path: "new.png", createdAt: 20, data: new Uint8Array([1]) },
+    { projectId: "p", path: "old.png", createdAt: 10, data: new Uint8Array([2]) },
+    { projectId: "q", path: "other.png", createdAt: 15, data: new Uint8Array([3]) },
+  ]);
+  v8.close();
+
+  const v9 = await openDatabase(name, 9);
+  const stamps = v9.transaction("files").objectStore("files").index("stamp");
+  const keys = await request(stamps.getAllKeys(IDBKeyRange.bound(["p"], ["p", []])));
+  v9.close();
+
+  assert.deepEqual(keys, [["p", "old.png"], ["p", "new.png"]]);
+});
+
+test("a failed upgrade leaves the database at its old version", async () => {
+  const name = scratchName();
+
+  // A version 1 database that already has the store migration 2 creates
+  const open = indexedDB.open(name, 1);
+  open.onupgradeneeded = () => {
+    open.result.createObjectStore("documents", { keyPath: "id" });
+    open.result.createObjectStore("projects", { keyPath: "id" });
+  };
+  const v1 = await request(open);
+  await putAll(v1, "documents", [{ id: "keep", name: "main.typ", content: "precious" }]);
+  v1.close();
+
+  await assert.rejects(openDatabase(name), (error) => {
+    assert.equal(error.name, "StorageUpgradeError");
+    assert.equal(error.fromVersion, 1);
+    assert.match(error.message, /migration 2/);
+    return true;
+  });
+
+  const backup = await readDatabaseBackup(name);
+  assert.equal(backup.version, 1);
+  assert.deepEqual(backup.stores.documents, [{ id: "keep", name: "main.typ", content: "precious" }]);
+});
+
+test("version 10 indexes the snapshots already stored by document and date", async () => {
+  const name = scratchName();
+  const v9 = await openDatabase(name, 9);
+  await putAll(v9, "history", [
+    { documentId: "d", content: "later", createdAt: 20 },
+    { documentId: "d", content: "earlier", createdAt: 10 },
+  ]);
+  v9.close();
+
+  const v10 = await openDatabase(name, 10);
+  const keys = v10.transaction("history").objectStore("history").index("key");
+  const snapshots = await request(keys.getAll(IDBKeyRange.bound(["d"], ["d", []])));
+  v10.close();
+
+  assert.deepEqual(snapshots.map(snapshot => snapshot.content), ["earlier", "later"]);
+});
+
+test("attaching never creates or upgrades the database, and reattaches after an upgrade", async () => {
+  assert.equal(await attachStorage(), null);
+  assert.equal((await readDatabaseBackup()).version, 0);
+
+  const old = await openDatabase(undefined, 4);
+  old.close();
+  assert.equal(await attachStorage(), null);
+  assert.equal((await readDatabaseBackup()).version, 4);
+
+  const page = await openDatabase();
+  const version = page.version;
+  page.close();
+  const attached = await attachStorage();
+  assert.equal(attached.version, version);
+
+  // Another tab upgrades: the attached connection steps aside, then opens the new version
+  const upgraded = await openDatabase(undefined, version + 1);
+  upgraded.close();
+  const reattached = await attachStorage();
+  assert.notEqual(reattached, attached);
+  assert.equal(reattached.version, version + 1);
+  reattached.close();
+});
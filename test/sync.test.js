@@ -0,0 +1,32 @@
+// Source sync: a word is found by its neighbours, and said to be ambiguous when they don't decide
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { contextAt, locateWord } from "../src/sync.js";
+
+test("the neighbours pick out one of several occurrences", () => {
+  const source = "= Intro\nThe cat sat.\n= Later\nA dog sat.";
+  const preview = "Intro The cat sat. Later A dog sat.";
+  const context = contextAt(preview, preview.indexOf("sat", preview.indexOf("dog")));
+
+  const match = locateWord([source], "sat", context, 1);
+  assert.equal(match.offset, source.lastIndexOf("sat"));
+  assert.equal(match.unique, true);
+});
+
+test("places that look alike are reported as not unique", () => {
+  const source = "#table([Total], [1], [Total], [1], [Total], [1], [Total], [1], [Total], [1], [Total], [1])";
+  const preview = "Total 1 ".repeat(6);
+  const context = contextAt(preview, "Total 1 ".length * 2);
+
+  const match = locateWord([source], "Total", context, 2);
+  assert.equal(match.unique, false);
+});
+
+test("a word found only once is unique even without matching neighbours", () => {
+  const match = locateWord(["one", "two three"], "three", { before: ["x"], after: [] }, 0);
+  assert.deepEqual(match, { index: 1, offset: 4, unique: true });
+});
+
+test("a word with no occurrence is not found", () => {
+  assert.equal(locateWord(["some text"], "missing", { before: [], after: [] }), null);
+});